@@ -0,0 +1,249 @@
+// Adaptive scheduler - decides how long PhoneDetector.start() waits between frames
+//
+// Each stage of a detection (capture, preprocess, inference, postprocess,
+// tracking) is timed and smoothed. The pause after a frame keeps the share of
+// time spent detecting near the CPU budget: busy / (busy + pause) = budget.
+// On top of that:
+//   - a phone seen recently, or a significant change in the picture, keeps the
+//     budget rate for activeWindow ms
+//   - a static scene backs off frame by frame up to maxInterval
+//   - a hidden tab waits at least hiddenInterval
+// While waiting, MotionDetector compares a tiny grayscale thumbnail of the
+// camera with the last detected frame and cuts the pause short on movement.
+
+export const SCHEDULER_PROFILES = Object.freeze({
+    BALANCED: 'balanced',
+    POWER_SAVER: 'power-saver'
+});
+
+export const SCHEDULER_PROFILE_LABELS = {
+    [SCHEDULER_PROFILES.BALANCED]: 'Balanced',
+    [SCHEDULER_PROFILES.POWER_SAVER]: 'Power saver (on battery)'
+};
+
+const PROFILE_OPTIONS = {
+    [SCHEDULER_PROFILES.BALANCED]: {
+        maxCpuBudget: 1,
+        activeWindow: 5000,     // ms a phone sighting or movement keeps the fast rate
+        staticBackoff: 1.5,     // pause multiplier per frame without activity
+        maxInterval: 2000,      // longest pause for a static scene (ms)
+        hiddenInterval: 1000,   // shortest pause while the tab is hidden (ms)
+        motionThreshold: 0.04,  // share of thumbnail pixels that must change
+        motionPollInterval: 250
+    },
+    [SCHEDULER_PROFILES.POWER_SAVER]: {
+        maxCpuBudget: 0.2,
+        activeWindow: 3000,
+        staticBackoff: 2,
+        maxInterval: 5000,
+        hiddenInterval: 5000,
+        motionThreshold: 0.06,
+        motionPollInterval: 500
+    }
+};
+
+export const DEFAULT_SCHEDULER = Object.freeze({
+    profile: SCHEDULER_PROFILES.BALANCED,
+    cpuBudget: 0.5,           // share of time spent detecting (0-1], capped by the profile
+    minInterval: 0,           // never pause less than this (ms)
+    latencySmoothing: 0.3     // weight of the newest measurement in the moving average
+});
+
+// First pause of a static scene when the budget alone would not pause at all
+const STATIC_BASE_INTERVAL = 100;
+
+export class AdaptiveScheduler {
+    /**
+     * @param {object} [options] - See DEFAULT_SCHEDULER
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_SCHEDULER };
+        this.configure(options);
+        this.reset();
+    }
+
+    configure(options = {}) {
+        const next = { ...this.options, ...options };
+        if (!PROFILE_OPTIONS[next.profile]) {
+            throw new Error(`Unknown scheduler profile "${next.profile}" (expected ${Object.values(SCHEDULER_PROFILES).join(' or ')})`);
+        }
+        if (!(next.cpuBudget > 0 && next.cpuBudget <= 1)) {
+            throw new Error(`cpuBudget must be between 0 and 1, got ${next.cpuBudget}`);
+        }
+        this.options = next;
+    }
+
+    reset() {
+        this.latency = {};
+        this.busy = null;
+        this.staticFrames = 0;
+        this.lastActivity = -Infinity;
+    }
+
+    get profile() {
+        return PROFILE_OPTIONS[this.options.profile];
+    }
+
+    get cpuBudget() {
+        return Math.min(this.options.cpuBudget, this.profile.maxCpuBudget);
+    }
+
+    /**
+     * Record a finished detection.
+     * @param {object} frame
+     * @param {object} frame.stages - Milliseconds per stage, e.g. { capture, inference }
+     * @param {number} [frame.motion=0] - MotionDetector score of the frame
+     * @param {boolean} [frame.phoneSeen=false] - Whether a distraction was being tracked
+     * @param {number} [frame.timestamp=Date.now()]
+     */
+    record({ stages, motion = 0, phoneSeen = false, timestamp = Date.now() }) {
+        const alpha = this.options.latencySmoothing;
+        let busy = 0;
+        Object.entries(stages).forEach(([stage, ms]) => {
+            const previous = this.latency[stage];
+            this.latency[stage] = previous === undefined ? ms : previous * (1 - alpha) + ms * alpha;
+            busy += this.latency[stage];
+        });
+        this.busy = busy;
+
+        if (phoneSeen || motion >= this.profile.motionThreshold) {
+            this.lastActivity = timestamp;
+            this.staticFrames = 0;
+        } else {
+            this.staticFrames++;
+        }
+    }
+
+    isActive(now = Date.now()) {
+        return now - this.lastActivity < this.profile.activeWindow;
+    }
+
+    /**
+     * Pause before the next detection.
+     * @param {object} [state]
+     * @param {boolean} [state.hidden=false] - Whether the page is hidden
+     * @param {number} [state.now=Date.now()]
+     * @returns {number} Milliseconds
+     */
+    nextDelay({ hidden = false, now = Date.now() } = {}) {
+        const { staticBackoff, maxInterval, hiddenInterval } = this.profile;
+        const busy = this.busy ?? 0;
+
+        let delay = Math.max(this.options.minInterval, busy * (1 / this.cpuBudget - 1));
+        if (!this.isActive(now) && this.staticFrames > 0) {
+            const backoff = Math.max(delay, STATIC_BASE_INTERVAL) * staticBackoff ** (this.staticFrames - 1);
+            delay = Math.max(delay, Math.min(maxInterval, backoff));
+        }
+        if (hidden) delay = Math.max(delay, hiddenInterval);
+        return Math.round(delay);
+    }
+
+    /**
+     * Smoothed per-stage latency and the current pacing, for diagnostics.
+     */
+    stats(now = Date.now()) {
+        return {
+            latency: { ...this.latency },
+            busy: this.busy,
+            cpuBudget: this.cpuBudget,
+            active: this.isActive(now),
+            staticFrames: this.staticFrames
+        };
+    }
+}
+
+/**
+ * Luma of RGBA pixels.
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array}
+ */
+export function grayscale(rgba) {
+    const gray = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+        const p = i * 4;
+        gray[i] = (rgba[p] * 77 + rgba[p + 1] * 150 + rgba[p + 2] * 29) >> 8;
+    }
+    return gray;
+}
+
+/**
+ * Share of pixels whose brightness changed by more than pixelThreshold.
+ * Counting pixels rather than summing differences ignores sensor noise.
+ * @param {Uint8Array} a - grayscale()
+ * @param {Uint8Array} b - grayscale() of the same size
+ * @returns {number} 0-1
+ */
+export function frameDifference(a, b, pixelThreshold = 16) {
+    if (a.length !== b.length) {
+        throw new Error('Frames must be the same size to compare');
+    }
+    let changed = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (Math.abs(a[i] - b[i]) > pixelThreshold) changed++;
+    }
+    return a.length === 0 ? 0 : changed / a.length;
+}
+
+export class MotionDetector {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.width=32] - Thumbnail size; tiny keeps the check cheap
+     * @param {number} [options.height=24]
+     */
+    constructor({ width = 32, height = 24 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.canvas = null;
+        this.ctx = null;
+        this.reference = null;
+    }
+
+    _thumbnail(source) {
+        if (!this.ctx) {
+            if (typeof OffscreenCanvas !== 'undefined') {
+                this.canvas = new OffscreenCanvas(this.width, this.height);
+            } else if (typeof document !== 'undefined') {
+                this.canvas = document.createElement('canvas');
+                this.canvas.width = this.width;
+                this.canvas.height = this.height;
+            } else {
+                return null;
+            }
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        try {
+            this.ctx.drawImage(source, 0, 0, this.width, this.height);
+            return grayscale(this.ctx.getImageData(0, 0, this.width, this.height).data);
+        } catch (e) {
+            // e.g. the video has no frame yet
+            return null;
+        }
+    }
+
+    /**
+     * Change since the reference frame, without moving the reference.
+     * @returns {number} 0-1, 0 when it cannot be measured
+     */
+    difference(source) {
+        if (!this.reference) return 0;
+        const current = this._thumbnail(source);
+        return current ? frameDifference(this.reference, current) : 0;
+    }
+
+    /**
+     * Change since the reference frame; the frame becomes the new reference.
+     * The first frame counts as fully changed.
+     * @returns {number} 0-1
+     */
+    measure(source) {
+        const current = this._thumbnail(source);
+        if (!current) return 0;
+        const score = this.reference ? frameDifference(this.reference, current) : 1;
+        this.reference = current;
+        return score;
+    }
+
+    reset() {
+        this.reference = null;
+    }
+}
@@ -0,0 +1,165 @@
+// Alert policy - escalates alerts while a distraction stays in view
+//
+// A confirmed phone starts an episode. The longer it lasts, the higher the
+// level: gentle chime -> louder tone -> spoken reminder -> full-screen overlay.
+// The current level fires as soon as it is reached and then again whenever its
+// own cooldown has passed. Cooldowns span episodes, so putting a phone down and
+// picking it up again does not restart the noise.
+//
+// Events:
+//   'alert'  { level, elapsed, timestamp, context }   play/show this level now
+//   'clear'  { timestamp, duration }                  the episode ended
+//
+// No alerts fire during quiet hours. Time comes from timestamps, so throttled
+// timers in background tabs only delay escalation, they don't skip it.
+
+import { EventEmitter } from './event-emitter.js';
+
+export const ALERT_LEVELS = Object.freeze({
+    CHIME: 'chime',
+    TONE: 'tone',
+    SPEECH: 'speech',
+    OVERLAY: 'overlay'
+});
+
+export const ALERT_LEVEL_LABELS = {
+    [ALERT_LEVELS.CHIME]: 'Gentle chime',
+    [ALERT_LEVELS.TONE]: 'Louder tone',
+    [ALERT_LEVELS.SPEECH]: 'Spoken reminder',
+    [ALERT_LEVELS.OVERLAY]: 'Full-screen overlay'
+};
+
+/**
+ * @typedef {object} AlertLevel
+ * @property {string} id - One of ALERT_LEVELS
+ * @property {number|null} after - ms into the episode when the level starts, null = off
+ * @property {number} cooldown - Minimum ms between two alerts at this level
+ */
+
+export const DEFAULT_ALERT_POLICY = Object.freeze({
+    levels: [
+        { id: ALERT_LEVELS.CHIME, after: 0, cooldown: 5000 },
+        { id: ALERT_LEVELS.TONE, after: 10000, cooldown: 15000 },
+        { id: ALERT_LEVELS.SPEECH, after: 30000, cooldown: 30000 },
+        { id: ALERT_LEVELS.OVERLAY, after: 60000, cooldown: 60000 }
+    ],
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+    tickInterval: 1000
+});
+
+/**
+ * Minutes since midnight for "HH:MM".
+ * @throws {Error} For anything else
+ */
+export function parseTime(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+    if (!match) throw new Error(`Expected a time like 22:30, got "${value}"`);
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Whether a moment falls inside quiet hours (local time). Ranges may wrap
+ * past midnight; start == end means no quiet hours.
+ * @param {Date} date
+ * @param {{enabled: boolean, start: string, end: string}} quietHours
+ */
+export function isQuietTime(date, quietHours) {
+    if (!quietHours || !quietHours.enabled) return false;
+    const start = parseTime(quietHours.start);
+    const end = parseTime(quietHours.end);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    if (start === end) return false;
+    if (start < end) return minutes >= start && minutes < end;
+    return minutes >= start || minutes < end;
+}
+
+export class AlertPolicy extends EventEmitter {
+    /**
+     * @param {object} [options] - See DEFAULT_ALERT_POLICY
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_ALERT_POLICY };
+        this.configure(options);
+        this.lastFired = {};
+        this.episode = null;
+        this.intervalId = null;
+    }
+
+    configure(options = {}) {
+        const next = { ...this.options, ...options };
+        next.levels.forEach((level) => {
+            if (!Object.values(ALERT_LEVELS).includes(level.id)) {
+                throw new Error(`Unknown alert level "${level.id}"`);
+            }
+        });
+        // Validates the times
+        isQuietTime(new Date(), next.quietHours);
+        // Levels must escalate in order of their start time
+        next.levels = next.levels
+            .filter(level => level.after !== null && level.after !== undefined)
+            .sort((a, b) => a.after - b.after);
+        this.options = next;
+    }
+
+    get isActive() {
+        return this.episode !== null;
+    }
+
+    /** Level of the running episode, or null */
+    get level() {
+        return this.episode ? this.episode.level : null;
+    }
+
+    /**
+     * A distraction was confirmed - the first level may fire straight away.
+     * @param {number} [timestamp=Date.now()]
+     * @param {object} [context] - Passed through to 'alert' (e.g. detection and alert mode)
+     */
+    start(timestamp = Date.now(), context = {}) {
+        if (this.episode) this.end(timestamp);
+        this.episode = { startTime: timestamp, level: null, context };
+        this.update(timestamp);
+
+        if (typeof setInterval === 'function') {
+            this.intervalId = setInterval(() => this.update(Date.now()), this.options.tickInterval);
+        }
+    }
+
+    /**
+     * Escalate and repeat alerts for the running episode.
+     */
+    update(timestamp = Date.now()) {
+        if (!this.episode) return;
+
+        const elapsed = timestamp - this.episode.startTime;
+        const reached = this.options.levels.filter(level => level.after <= elapsed);
+        const level = reached[reached.length - 1];
+        if (!level) return;
+        this.episode.level = level.id;
+
+        if (isQuietTime(new Date(timestamp), this.options.quietHours)) return;
+
+        const last = this.lastFired[level.id];
+        if (last !== undefined && timestamp - last < level.cooldown) return;
+
+        this.lastFired[level.id] = timestamp;
+        this.emit('alert', { level: level.id, elapsed, timestamp, context: this.episode.context });
+    }
+
+    /**
+     * The distraction is gone.
+     */
+    end(timestamp = Date.now()) {
+        if (this.intervalId !== null) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        if (!this.episode) return;
+
+        const duration = timestamp - this.episode.startTime;
+        this.episode = null;
+        this.emit('clear', { timestamp, duration });
+    }
+}
@@ -0,0 +1,130 @@
+// Alert sound picker in the settings screen - upload, test and reset per level
+
+import { ALERT_LEVELS, ALERT_LEVEL_LABELS } from './alert-policy.js';
+import { initAudio, setCustomSound, clearCustomSound, hasCustomSound, playAlertLevel } from './audio-alerts.js';
+import { saveAlertSound, getAlertSounds, deleteAlertSound } from './sound-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('sounds');
+
+// Speech and the overlay are not sounds
+const SOUND_LEVELS = [ALERT_LEVELS.CHIME, ALERT_LEVELS.TONE];
+
+function buildRow(level) {
+    const row = document.createElement('div');
+    row.className = 'alert-sound-row';
+    row.dataset.level = level;
+
+    const name = document.createElement('span');
+    name.className = 'settings-label';
+    name.textContent = ALERT_LEVEL_LABELS[level];
+
+    const file = document.createElement('span');
+    file.className = 'alert-sound-file';
+
+    const upload = document.createElement('label');
+    upload.className = 'btn-secondary file-button';
+    const uploadText = document.createElement('span');
+    uploadText.textContent = 'Choose file';
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*';
+    input.hidden = true;
+    upload.append(uploadText, input);
+
+    const test = document.createElement('button');
+    test.type = 'button';
+    test.className = 'btn-secondary';
+    test.dataset.action = 'test';
+    test.textContent = 'Test';
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'btn-secondary';
+    reset.dataset.action = 'reset';
+    reset.textContent = 'Built-in';
+
+    row.append(name, file, upload, test, reset);
+    return row;
+}
+
+/**
+ * Render the sound rows and load previously uploaded sounds.
+ * @returns {Promise<void>} Resolves once saved sounds are decoded
+ */
+export async function initAlertSoundsPanel() {
+    const list = document.getElementById('alert-sounds-list');
+    const message = document.getElementById('alert-sounds-message');
+    const names = {};
+
+    function setMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('is-error', isError);
+    }
+
+    function render() {
+        list.querySelectorAll('.alert-sound-row').forEach((row) => {
+            const { level } = row.dataset;
+            row.querySelector('.alert-sound-file').textContent = hasCustomSound(level) ? names[level] : 'Built-in sound';
+            row.querySelector('[data-action="reset"]').disabled = !hasCustomSound(level);
+        });
+    }
+
+    list.innerHTML = '';
+    SOUND_LEVELS.forEach(level => list.appendChild(buildRow(level)));
+
+    list.addEventListener('change', async (event) => {
+        const input = event.target;
+        const { level } = input.closest('.alert-sound-row').dataset;
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const data = await file.arrayBuffer();
+            await setCustomSound(level, data);
+            await saveAlertSound({ level, name: file.name, type: file.type, data });
+            names[level] = file.name;
+            setMessage(`${ALERT_LEVEL_LABELS[level]} now plays ${file.name}.`);
+        } catch (e) {
+            clearCustomSound(level);
+            setMessage(e.message, true);
+        }
+        render();
+    });
+
+    list.addEventListener('click', async (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        const { level } = button.closest('.alert-sound-row').dataset;
+
+        if (button.dataset.action === 'test') {
+            initAudio();
+            playAlertLevel(level);
+        } else if (button.dataset.action === 'reset') {
+            clearCustomSound(level);
+            try {
+                await deleteAlertSound(level);
+                setMessage(`${ALERT_LEVEL_LABELS[level]} uses the built-in sound again.`);
+            } catch (e) {
+                setMessage(`Could not remove the saved sound: ${e.message}`, true);
+            }
+            render();
+        }
+    });
+
+    try {
+        const saved = await getAlertSounds();
+        await Promise.all(saved.map(async (sound) => {
+            try {
+                await setCustomSound(sound.level, sound.data);
+                names[sound.level] = sound.name;
+            } catch (e) {
+                log.warn(`Ignoring saved ${sound.level} sound:`, e.message);
+            }
+        }));
+    } catch (e) {
+        log.warn('Failed to load custom alert sounds:', e);
+    }
+    render();
+}
@@ -0,0 +1,212 @@
+// Sound notification system (works even when tab is inactive)
+// Sounds are synthesised with the Web Audio API unless the user uploaded their
+// own for a level. How often they play is up to AlertPolicy (alert-policy.js).
+
+import { ALERT_LEVELS } from './alert-policy.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('audio');
+
+let audioContext = null;
+let keepAliveId = null;
+let soundEnabled = true;
+
+// Decoded user sounds by alert level
+const customSounds = new Map();
+
+function getAudioContext() {
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return audioContext;
+}
+
+export function initAudio() {
+    if (keepAliveId !== null) {
+        resumeAudio();
+        return;
+    }
+
+    try {
+        getAudioContext();
+        resumeAudio();
+
+        // Keep audio context alive by playing silent audio periodically
+        keepAliveId = setInterval(resumeAudio, 1000);
+    } catch (e) {
+        log.warn('Audio context not supported:', e);
+    }
+}
+
+export function resumeAudio() {
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+export function setSoundEnabled(enabled) {
+    soundEnabled = enabled;
+}
+
+export function isSoundEnabled() {
+    return soundEnabled;
+}
+
+/**
+ * Play a single synthesised tone.
+ * @param {object} tone
+ * @param {number} tone.frequency - Hz
+ * @param {OscillatorType} [tone.type='sine']
+ * @param {number} [tone.volume=0.3] - Starting gain, fades out exponentially
+ * @param {number} [tone.duration=0.5] - Seconds
+ * @param {number} [tone.delay=0] - Seconds from now
+ */
+export function playTone({ frequency, type = 'sine', volume = 0.3, duration = 0.5, delay = 0 }) {
+    if (!soundEnabled || !audioContext) return;
+
+    // Resume audio context first (required for background playback)
+    resumeAudio();
+
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(audioContext.destination);
+
+    oscillator.frequency.value = frequency;
+    oscillator.type = type;
+
+    const startAt = audioContext.currentTime + delay;
+    gainNode.gain.setValueAtTime(volume, startAt);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, startAt + duration);
+
+    oscillator.start(startAt);
+    oscillator.stop(startAt + duration);
+}
+
+/**
+ * Decode an uploaded audio file and use it for an alert level.
+ * @param {string} level - ALERT_LEVELS.CHIME or ALERT_LEVELS.TONE
+ * @param {ArrayBuffer} data - Encoded audio (any format the browser can decode)
+ * @throws {Error} When the browser cannot decode the file
+ */
+export async function setCustomSound(level, data) {
+    let buffer;
+    try {
+        // decodeAudioData detaches its input - keep the caller's copy intact
+        buffer = await getAudioContext().decodeAudioData(data.slice(0));
+    } catch (e) {
+        throw new Error('This audio file could not be decoded - try an MP3, WAV or OGG file');
+    }
+    customSounds.set(level, buffer);
+    return buffer.duration;
+}
+
+export function clearCustomSound(level) {
+    customSounds.delete(level);
+}
+
+export function hasCustomSound(level) {
+    return customSounds.has(level);
+}
+
+function playBuffer(buffer, volume = 1) {
+    resumeAudio();
+    const source = audioContext.createBufferSource();
+    const gainNode = audioContext.createGain();
+    source.buffer = buffer;
+    gainNode.gain.value = volume;
+    source.connect(gainNode);
+    gainNode.connect(audioContext.destination);
+    source.start();
+}
+
+// Soft two-note chime for the first alert level
+function playGentleChime() {
+    playTone({ frequency: 660, type: 'triangle', volume: 0.15, duration: 0.35 });
+    playTone({ frequency: 880, type: 'triangle', volume: 0.15, duration: 0.5, delay: 0.18 });
+}
+
+/**
+ * Play the sound for an alert level: the user's own file if one was set,
+ * otherwise the built-in sound.
+ * @param {string} level - ALERT_LEVELS.CHIME or ALERT_LEVELS.TONE
+ */
+export function playAlertLevel(level) {
+    if (!soundEnabled || !audioContext) return;
+
+    try {
+        if (customSounds.has(level)) {
+            playBuffer(customSounds.get(level));
+        } else if (level === ALERT_LEVELS.CHIME) {
+            playGentleChime();
+        } else {
+            playAlertSound();
+        }
+    } catch (e) {
+        log.warn('Failed to play sound:', e);
+    }
+}
+
+/**
+ * Read a reminder out loud with the Speech Synthesis API.
+ */
+export function speak(text) {
+    if (!soundEnabled || !('speechSynthesis' in window)) return;
+
+    try {
+        // Don't queue reminders behind each other
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    } catch (e) {
+        log.warn('Failed to speak reminder:', e);
+    }
+}
+
+export function playAlertSound() {
+    if (!soundEnabled || !audioContext) return;
+
+    try {
+        // Play a more noticeable alert when tab is hidden
+        const isBackground = document.hidden;
+
+        // Louder and longer beep when in background
+        // Square wave is more noticeable
+        playTone({
+            frequency: isBackground ? 1000 : 800,
+            type: isBackground ? 'square' : 'sine',
+            volume: isBackground ? 0.5 : 0.3,
+            duration: isBackground ? 0.8 : 0.5
+        });
+
+        // Play a second beep for background alerts
+        if (isBackground) {
+            playTone({ frequency: 1200, type: 'square', volume: 0.5, duration: 0.3, delay: 0.3 });
+        }
+
+        log.debug('Alert sound played', isBackground ? '(background)' : '(foreground)');
+    } catch (e) {
+        log.warn('Failed to play sound:', e);
+    }
+}
+
+// Rising three-note chime when a break starts, falling when work starts again,
+// a longer fanfare when the whole timed session is done
+const CHIMES = {
+    'work-end': [523, 659, 784],
+    'break-end': [784, 659, 523],
+    'session-end': [523, 659, 784, 1047]
+};
+
+export function playChime(kind) {
+    const notes = CHIMES[kind];
+    if (!notes) return;
+
+    try {
+        notes.forEach((frequency, index) => {
+            playTone({ frequency, type: 'triangle', volume: 0.25, duration: 0.4, delay: index * 0.2 });
+        });
+    } catch (e) {
+        log.warn('Failed to play chime:', e);
+    }
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// focus-guard-eval - measure the detector against labelled images
+//
+//   focus-guard-eval [options] <dataset>
+//
+// Runs the model over every image (no temporal smoothing - images are
+// independent) and reports precision, recall and F1 at a range of confidence
+// thresholds plus AP at IoU 0.5 for one class (the phone by default). With
+// --compare-model, --compare-manifest or --compare-settings, a second run on
+// the same images is reported side by side with the differences.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { UsageError, parseCommandLine, loadSettings, createDetector, run } from '../cli/common.js';
+import { decodeImage } from '../cli/frame-files.js';
+import { loadYoloDataset, loadCocoDataset } from '../cli/dataset.js';
+import { DEFAULT_EVALUATION, evaluateClass, compareEvaluations, formatEvaluationReport } from '../evaluation.js';
+import { CLASS_NAMES } from '../detection-core.js';
+import { resolveClassMap } from '../model-manifest.js';
+
+const USAGE = `Usage: focus-guard-eval [options] <dataset>
+
+Datasets:
+  <folder>                    YOLO labels: images/ + labels/ (or .txt files next to
+                              the images); class ids are COCO indices unless
+                              --names or classes.txt names them
+  --coco <file> <folder>      COCO annotation JSON and the image folder
+
+Options:
+  -m, --model <file>          ONNX model (default: ./yolov8n.onnx)
+      --manifest <file>       Model manifest JSON instead of --model
+  -s, --settings <file>       Settings exported from the app (NMS overlap, input size)
+      --size <px>             Input size for models with a dynamic input, a multiple of 32
+      --compare-model <file>  Second model to compare against the first
+      --compare-manifest <f>  Second model, as a manifest
+      --compare-settings <f>  Second settings file (same model unless given)
+      --names <file>          Class names for YOLO label ids
+      --class <name|index>    Class to evaluate (default: cell phone)
+      --iou <n>               IoU needed for a match (default: 0.5)
+      --thresholds <list>     Confidence thresholds, comma separated
+                              (default: 0.1,0.2,...,0.9)
+  -f, --format <fmt>          markdown or json (default: markdown)
+  -o, --output <file>         Write the report here instead of stdout
+  -q, --quiet                 No progress on stderr
+  -h, --help                  Show this help`;
+
+const OPTIONS = {
+    model: { type: 'string', short: 'm' },
+    manifest: { type: 'string' },
+    settings: { type: 'string', short: 's' },
+    size: { type: 'string' },
+    'compare-model': { type: 'string' },
+    'compare-manifest': { type: 'string' },
+    'compare-settings': { type: 'string' },
+    coco: { type: 'string' },
+    names: { type: 'string' },
+    class: { type: 'string', default: CLASS_NAMES[DEFAULT_EVALUATION.classIndex] },
+    iou: { type: 'string', default: String(DEFAULT_EVALUATION.iouThreshold) },
+    thresholds: { type: 'string', default: DEFAULT_EVALUATION.thresholds.join(',') },
+    format: { type: 'string', short: 'f', default: 'markdown' },
+    output: { type: 'string', short: 'o' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const REPORT_FORMATS = ['markdown', 'json'];
+
+// Detections this weak still count towards the precision/recall curve
+const MIN_SCORE = 0.001;
+
+function parseClass(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+    const [classIndex] = resolveClassMap([value]);
+    if (classIndex >= CLASS_NAMES.length) {
+        throw new UsageError(`Unknown class "${value}" - use a COCO class name or index`);
+    }
+    return classIndex;
+}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseCommandLine(argv, OPTIONS);
+    if (values.help) return { values };
+
+    if (positionals.length !== 1) throw new UsageError('Give exactly one dataset folder');
+    if (!REPORT_FORMATS.includes(values.format)) {
+        throw new UsageError(`--format must be ${REPORT_FORMATS.join(' or ')}`);
+    }
+    if (values['compare-model'] && values['compare-manifest']) {
+        throw new UsageError('Use either --compare-model or --compare-manifest, not both');
+    }
+
+    const iouThreshold = Number(values.iou);
+    if (!(iouThreshold > 0 && iouThreshold <= 1)) throw new UsageError('--iou must be between 0 and 1');
+    const thresholds = [...new Set(values.thresholds.split(',').map(Number))].sort((a, b) => a - b);
+    if (thresholds.some(value => !(value > 0 && value <= 1))) {
+        throw new UsageError('--thresholds must be numbers between 0 and 1');
+    }
+
+    return {
+        values,
+        dataset: positionals[0],
+        evaluation: { classIndex: parseClass(values.class), iouThreshold, thresholds }
+    };
+}
+
+// The baseline and, when asked for, a second run that differs in model and/or settings
+function describeRuns(values) {
+    const baseline = { model: values.model, manifest: values.manifest, settings: values.settings };
+    const runs = [{ ...baseline, label: basename(values.manifest || values.model || 'yolov8n.onnx') }];
+
+    const modelChanged = values['compare-model'] || values['compare-manifest'];
+    if (!modelChanged && !values['compare-settings']) return runs;
+
+    const candidate = {
+        model: modelChanged ? values['compare-model'] : baseline.model,
+        manifest: modelChanged ? values['compare-manifest'] : baseline.manifest,
+        settings: values['compare-settings'] || baseline.settings
+    };
+    let label = basename(candidate.manifest || candidate.model || 'yolov8n.onnx');
+    if (!modelChanged) {
+        runs[0].label += ` (${baseline.settings ? basename(baseline.settings) : 'default settings'})`;
+        label += ` (${basename(candidate.settings)})`;
+    }
+    if (label === runs[0].label) label += ' (compare)';
+    return [...runs, { ...candidate, label }];
+}
+
+async function evaluateRun(runConfig, entries, { values, evaluation, log }) {
+    const settings = await loadSettings(runConfig.settings, { modelInputSize: values.size });
+    const detector = await createDetector(runConfig, settings);
+    const images = [];
+    let totalMs = 0;
+    try {
+        for (const [index, entry] of entries.entries()) {
+            const { width, height, data } = await decodeImage(await readFile(entry.file), entry.file);
+            const { detections, stages } = await detector.infer(data, width, height, {
+                classes: [evaluation.classIndex],
+                classThresholds: {},
+                confidenceThreshold: MIN_SCORE
+            });
+            totalMs += stages.preprocess + stages.inference + stages.postprocess;
+            images.push({ name: entry.file, boxes: entry.boxes(width, height), detections });
+            if ((index + 1) % 25 === 0) log(`${runConfig.label}: ${index + 1}/${entries.length} images`);
+        }
+    } finally {
+        await detector.dispose();
+    }
+    return {
+        label: runConfig.label,
+        result: evaluateClass(images, evaluation),
+        latency: totalMs / entries.length
+    };
+}
+
+async function main(argv) {
+    const { values, dataset, evaluation } = parseOptions(argv);
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    const log = values.quiet ? () => {} : message => console.error(message);
+
+    const entries = values.coco
+        ? await loadCocoDataset(values.coco, dataset)
+        : await loadYoloDataset(dataset, { names: values.names });
+    log(`${entries.length} labelled images`);
+
+    const results = [];
+    for (const runConfig of describeRuns(values)) {
+        log(`Evaluating ${runConfig.label}...`);
+        results.push(await evaluateRun(runConfig, entries, { values, evaluation, log }));
+    }
+    if (results[0].result.groundTruth === 0) {
+        log(`Warning: no labelled ${CLASS_NAMES[evaluation.classIndex] || `class ${evaluation.classIndex}`} boxes - recall and AP are 0`);
+    }
+
+    const report = values.format === 'json'
+        ? `${JSON.stringify({
+            runs: results,
+            ...(results.length === 2 && { comparison: compareEvaluations(results[0].result, results[1].result) })
+        }, null, 2)}\n`
+        : formatEvaluationReport(results);
+
+    if (values.output) {
+        await writeFile(values.output, report);
+        log(`Report written to ${values.output}`);
+    } else {
+        process.stdout.write(report);
+    }
+}
+
+run('focus-guard-eval', main);
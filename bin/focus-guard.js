@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// focus-guard - run the phone detector over recordings without a browser or camera
+//
+//   focus-guard [options] <input...>
+//
+// Inputs are image folders, single images, binary PPM/PGM streams ('-' reads
+// stdin) or video files (decoded with ffmpeg). Per-frame detections go to
+// stdout (or --output) as JSON Lines or CSV; phone-time totals go to stderr
+// (or --summary as JSON). Uses the same pre/post-processing, smoothing and
+// phone context as the app, with ONNX Runtime for Node.
+
+import { createWriteStream } from 'node:fs';
+import { stat, writeFile } from 'node:fs/promises';
+import { UsageError, parseCommandLine, loadSettings, createDetector, run } from '../cli/common.js';
+import { openFrames } from '../cli/frame-files.js';
+import { OUTPUT_FORMATS, frameRecord, formatRecord, summarizeSource, summarizeRun } from '../cli/report.js';
+
+const USAGE = `Usage: focus-guard [options] <input...>
+
+Inputs:
+  <folder>                 Images (.png, .jpg, .ppm, .pgm) in natural name order
+  <image>                  A single image
+  <file.ppm> | -           Concatenated binary PPM/PGM frames (- = stdin), e.g.
+                           ffmpeg -i s.mp4 -vf fps=2 -f image2pipe -vcodec ppm - | focus-guard -
+  <video>                  Any other file, decoded with ffmpeg
+
+Options:
+  -m, --model <file>       ONNX model (default: ./yolov8n.onnx)
+      --manifest <file>    Model manifest JSON instead of --model
+  -s, --settings <file>    Settings exported from the app (thresholds, input size...)
+      --zones <file>       JSON array of include/exclude zones (normalized points)
+      --fps <n>            Frames per second to sample videos at, or the frame rate
+                           of image folders and streams (default: 2)
+      --confidence <n>     Confidence threshold, 0-1 (default from settings: 0.4)
+      --size <px>          Input size for models with a dynamic input, a multiple
+                           of 32 (the default model is fixed at 640)
+      --ffmpeg <path>      ffmpeg executable (default: ffmpeg)
+  -f, --format <fmt>       jsonl or csv (default: jsonl)
+  -o, --output <file>      Write detections here instead of stdout
+      --summary <file>     Write phone-time totals here as JSON
+  -q, --quiet              No progress or totals on stderr
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+    model: { type: 'string', short: 'm' },
+    manifest: { type: 'string' },
+    settings: { type: 'string', short: 's' },
+    zones: { type: 'string' },
+    fps: { type: 'string', default: '2' },
+    confidence: { type: 'string' },
+    size: { type: 'string' },
+    ffmpeg: { type: 'string', default: 'ffmpeg' },
+    format: { type: 'string', short: 'f', default: OUTPUT_FORMATS.JSONL },
+    output: { type: 'string', short: 'o' },
+    summary: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function parseOptions(argv) {
+    const { values, positionals } = parseCommandLine(argv, OPTIONS);
+    if (values.help) return { values, inputs: [] };
+
+    if (positionals.length === 0) throw new UsageError('No input given');
+    if (!Object.values(OUTPUT_FORMATS).includes(values.format)) {
+        throw new UsageError(`--format must be ${Object.values(OUTPUT_FORMATS).join(' or ')}`);
+    }
+    const fps = Number(values.fps);
+    if (!(fps > 0 && fps <= 120)) throw new UsageError('--fps must be a number between 0 and 120');
+    if (positionals.filter(input => input === '-').length > 1) throw new UsageError('stdin (-) can only be read once');
+
+    return { values: { ...values, fps }, inputs: positionals };
+}
+
+// One input, start to finish; smoothing starts fresh for every recording
+async function analyzeInput(input, detector, { values, writeRecord, log }) {
+    const stats = input === '-' ? null : await stat(input);
+    const name = input === '-' ? 'stdin' : input;
+    log(`Analysing ${name}...`);
+    const frameMs = 1000 / values.fps;
+    const intervals = [];
+    let phoneSince = null;
+    const unsubscribe = [
+        detector.on('phone-start', ({ timestamp }) => {
+            phoneSince = timestamp;
+        }),
+        detector.on('phone-end', ({ timestamp }) => {
+            if (phoneSince !== null) intervals.push({ start: phoneSince, end: timestamp });
+            phoneSince = null;
+        })
+    ];
+
+    let frames = 0;
+    let duration = 0;
+    try {
+        for await (const frame of openFrames(input, values, stats)) {
+            const result = await detector.detect(frame.data, frame.width, frame.height, frame.timestamp);
+            await writeRecord(frameRecord(frame, result));
+            frames++;
+            // Each frame stands for the time until the next one
+            duration = frame.timestamp + frameMs;
+            if (frames % 50 === 0) log(`${name}: ${frames} frames`);
+        }
+        detector.finish(duration);
+    } finally {
+        unsubscribe.forEach(off => off());
+    }
+    return summarizeSource(name, frames, duration, intervals);
+}
+
+function formatSummary(summary) {
+    const share = `${Math.round(summary.phoneShare * 100)}%`;
+    return `${summary.frames} frames, ${summary.durationSeconds}s: ${summary.phoneEvents} phone pickups, `
+        + `${summary.phoneSeconds}s with a phone (${share})`;
+}
+
+async function main(argv) {
+    const { values, inputs } = parseOptions(argv);
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    const log = values.quiet ? () => {} : message => console.error(message);
+
+    const settings = await loadSettings(values.settings, {
+        confidenceThreshold: values.confidence,
+        modelInputSize: values.size
+    });
+    const detector = await createDetector(values, settings);
+
+    const out = values.output ? createWriteStream(values.output) : process.stdout;
+    let records = 0;
+    // CSV gets its header before the first record
+    const writeRecord = record => new Promise((done, fail) => {
+        out.write(formatRecord(record, values.format, records++ === 0), error => (error ? fail(error) : done()));
+    });
+
+    const sources = [];
+    try {
+        for (const input of inputs) {
+            const summary = await analyzeInput(input, detector, { values, writeRecord, log });
+            sources.push(summary);
+            log(`${summary.source}: ${formatSummary(summary)}`);
+        }
+    } finally {
+        await detector.dispose();
+        if (values.output) await new Promise(done => out.end(done));
+    }
+
+    const run = summarizeRun(sources);
+    if (sources.length > 1) log(`Total: ${formatSummary(run)}`);
+    if (values.summary) {
+        await writeFile(values.summary, `${JSON.stringify({ ...run, perSource: sources }, null, 2)}\n`);
+    }
+}
+
+run('focus-guard', main);
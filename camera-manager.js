@@ -0,0 +1,257 @@
+// Camera manager - lists webcams, opens and hot-switches streams, watches for unplugging
+//
+//   const camera = new CameraManager();
+//   camera.on('stream', ({ stream }) => { video.srcObject = stream; });
+//   camera.on('error', ({ code, message }) => ...);
+//   await camera.open(settings);            // last chosen camera, or the default one
+//   await camera.switchTo(deviceId, settings);
+//
+// Events:
+//   'stream'       { stream, deviceId }     a new stream is live (open, switch or reconnect)
+//   'devices'      { devices }              the camera list changed
+//   'disconnected' { deviceId }             the live camera was unplugged or stopped by the OS
+//   'error'        { code, message, error } opening a camera failed (code from CAMERA_ERRORS)
+//
+// After 'disconnected', plugging the same camera back in reopens it automatically.
+
+import { EventEmitter } from './event-emitter.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('camera');
+
+const STORAGE_KEY = 'focus-guard-camera';
+
+export const CAMERA_ERRORS = Object.freeze({
+    DENIED: 'denied',
+    NOT_FOUND: 'not-found',
+    IN_USE: 'in-use',
+    CONSTRAINTS: 'constraints',
+    UNSUPPORTED: 'unsupported',
+    UNKNOWN: 'unknown'
+});
+
+const ERROR_MESSAGES = {
+    [CAMERA_ERRORS.DENIED]: 'Camera access was blocked. Allow the camera in your browser\'s site settings and try again.',
+    [CAMERA_ERRORS.NOT_FOUND]: 'No camera was found. Connect a webcam and try again.',
+    [CAMERA_ERRORS.IN_USE]: 'The camera is in use by another app (e.g. a video call). Close it and try again.',
+    [CAMERA_ERRORS.CONSTRAINTS]: 'The camera does not support the configured resolution or frame rate. Adjust the camera settings and try again.',
+    [CAMERA_ERRORS.UNSUPPORTED]: 'This browser cannot access cameras here. Use a current browser over HTTPS.',
+    [CAMERA_ERRORS.UNKNOWN]: 'The camera could not be started.'
+};
+
+/**
+ * Map a getUserMedia failure to a code and a message a user can act on.
+ * @param {Error|DOMException} error
+ * @returns {{code: string, message: string}}
+ */
+export function describeCameraError(error) {
+    const codes = {
+        NotAllowedError: CAMERA_ERRORS.DENIED,
+        SecurityError: CAMERA_ERRORS.DENIED,
+        NotFoundError: CAMERA_ERRORS.NOT_FOUND,
+        NotReadableError: CAMERA_ERRORS.IN_USE,
+        AbortError: CAMERA_ERRORS.IN_USE,
+        OverconstrainedError: CAMERA_ERRORS.CONSTRAINTS,
+        TypeError: CAMERA_ERRORS.UNSUPPORTED
+    };
+    const code = codes[error?.name] || CAMERA_ERRORS.UNKNOWN;
+    return { code, message: ERROR_MESSAGES[code] };
+}
+
+/**
+ * Video constraints from the camera settings.
+ * @param {object} settings - cameraWidth, cameraHeight, cameraFrameRate
+ * @param {string} [deviceId] - Require this camera
+ */
+export function cameraConstraints(settings, deviceId) {
+    const constraints = {
+        width: { ideal: settings.cameraWidth },
+        height: { ideal: settings.cameraHeight },
+        frameRate: { ideal: settings.cameraFrameRate }
+    };
+    if (deviceId) constraints.deviceId = { exact: deviceId };
+    return constraints;
+}
+
+export class CameraManager extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {MediaDevices} [options.mediaDevices=navigator.mediaDevices]
+     * @param {Storage} [options.storage=localStorage] - Where the chosen camera is remembered
+     */
+    constructor({ mediaDevices = globalThis.navigator?.mediaDevices, storage = globalThis.localStorage } = {}) {
+        super();
+        this.mediaDevices = mediaDevices;
+        this.storage = storage;
+        this.stream = null;
+        this.settings = null;
+        this.lostDeviceId = null;
+        this.devices = [];
+
+        this._onDeviceChange = () => this._deviceChanged();
+        if (this.mediaDevices?.addEventListener) {
+            this.mediaDevices.addEventListener('devicechange', this._onDeviceChange);
+        }
+    }
+
+    get track() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    }
+
+    /** deviceId of the live camera, or null */
+    get deviceId() {
+        return this.track?.getSettings().deviceId || null;
+    }
+
+    get preferredDeviceId() {
+        if (!this.storage) return null;
+        try {
+            return this.storage.getItem(STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _remember(deviceId) {
+        if (!this.storage || !deviceId) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, deviceId);
+        } catch (e) {
+            log.warn('Failed to save camera choice:', e);
+        }
+    }
+
+    /**
+     * Video inputs. Labels are empty until camera permission has been granted.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async listDevices() {
+        if (!this.mediaDevices?.enumerateDevices) return [];
+        const all = await this.mediaDevices.enumerateDevices();
+        this.devices = all
+            .filter(device => device.kind === 'videoinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+        return this.devices;
+    }
+
+    /**
+     * Open a camera, replacing the current stream.
+     * Falls back to the default camera when the remembered one is gone.
+     * @param {object} settings - Camera settings (see cameraConstraints)
+     * @param {string} [deviceId=preferredDeviceId]
+     * @returns {Promise<MediaStream>}
+     * @throws {Error} With .code from CAMERA_ERRORS; also emitted as 'error'
+     */
+    async open(settings, deviceId = this.preferredDeviceId) {
+        if (!this.mediaDevices?.getUserMedia) {
+            return this._fail(new TypeError('getUserMedia is not available'));
+        }
+        this.settings = settings;
+
+        // Some cameras cannot be opened twice, so release the current one first
+        this._release();
+
+        let stream;
+        try {
+            stream = await this.mediaDevices.getUserMedia({ video: cameraConstraints(settings, deviceId) });
+        } catch (error) {
+            const missing = error.name === 'NotFoundError' || error.name === 'OverconstrainedError';
+            if (!deviceId || !missing) return this._fail(error);
+
+            log.warn(`Camera ${deviceId} unavailable, using the default camera:`, error);
+            try {
+                stream = await this.mediaDevices.getUserMedia({ video: cameraConstraints(settings) });
+            } catch (fallbackError) {
+                return this._fail(fallbackError);
+            }
+        }
+
+        this._attach(stream);
+        // Labels become available once permission is granted
+        this.emit('devices', { devices: await this.listDevices() });
+        return stream;
+    }
+
+    /**
+     * Hot-switch to another camera and remember the choice.
+     */
+    async switchTo(deviceId, settings = this.settings) {
+        const stream = await this.open(settings, deviceId);
+        this._remember(this.deviceId);
+        return stream;
+    }
+
+    /**
+     * Apply new camera settings to the live stream without reopening it.
+     */
+    async applySettings(settings) {
+        this.settings = settings;
+        if (!this.track) return;
+        try {
+            await this.track.applyConstraints(cameraConstraints(settings));
+        } catch (e) {
+            log.warn('Camera rejected new constraints:', e);
+        }
+    }
+
+    stop() {
+        this._release();
+        this.lostDeviceId = null;
+    }
+
+    dispose() {
+        this.stop();
+        if (this.mediaDevices?.removeEventListener) {
+            this.mediaDevices.removeEventListener('devicechange', this._onDeviceChange);
+        }
+    }
+
+    _attach(stream) {
+        this.stream = stream;
+        this.lostDeviceId = null;
+        const deviceId = this.deviceId;
+
+        // 'ended' fires when the camera is unplugged or revoked - not for our own stop()
+        this.track.addEventListener('ended', () => {
+            if (this.stream !== stream) return;
+            this.stream = null;
+            this.lostDeviceId = deviceId;
+            this.emit('disconnected', { deviceId });
+        });
+        this.emit('stream', { stream, deviceId });
+    }
+
+    _release() {
+        if (!this.stream) return;
+        const stream = this.stream;
+        this.stream = null;
+        stream.getTracks().forEach(track => track.stop());
+    }
+
+    _fail(error) {
+        const { code, message } = describeCameraError(error);
+        log.warn('Camera error:', error);
+        this.emit('error', { code, message, error });
+        const wrapped = new Error(message);
+        wrapped.code = code;
+        wrapped.cause = error;
+        throw wrapped;
+    }
+
+    async _deviceChanged() {
+        let devices;
+        try {
+            devices = await this.listDevices();
+        } catch (e) {
+            log.warn('Failed to list cameras:', e);
+            return;
+        }
+        this.emit('devices', { devices });
+
+        // The camera we lost is back - pick up where we left off
+        if (this.lostDeviceId && this.settings && devices.some(d => d.deviceId === this.lostDeviceId)) {
+            log.info('Camera reconnected, reopening');
+            this.open(this.settings, this.lostDeviceId).catch(() => {});
+        }
+    }
+}
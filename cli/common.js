@@ -0,0 +1,122 @@
+// Shared plumbing for the command-line tools (Node only): ONNX Runtime,
+// settings files, model loading and exit codes
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { OfflineDetector } from '../offline-detector.js';
+import { DEFAULT_MODEL_MANIFEST, loadManifest } from '../model-manifest.js';
+import { SettingsStore, defaultSettings } from '../settings.js';
+import { validateZones } from '../roi-zones.js';
+
+// Exit code 2 = bad usage, 1 = failed while running
+export class UsageError extends Error {}
+
+// fetch() stand-in so loadManifest() can read file: URLs
+async function fileFetch(url) {
+    try {
+        const text = await readFile(fileURLToPath(url), 'utf8');
+        return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+    } catch (e) {
+        return { ok: false, status: 404 };
+    }
+}
+
+export async function importRuntime() {
+    try {
+        return await import('onnxruntime-node');
+    } catch (e) {
+        throw new Error(`ONNX Runtime for Node is not installed (${e.message}). Run: npm install onnxruntime-node`);
+    }
+}
+
+/**
+ * parseArgs() that reports problems as UsageError.
+ */
+export function parseCommandLine(argv, options) {
+    try {
+        return parseArgs({ args: argv, options, allowPositionals: true });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+}
+
+/**
+ * Settings exported from the app (optional) plus command-line overrides,
+ * validated like the settings screen.
+ * @param {string} [file] - Exported settings JSON
+ * @param {object} [overrides] - Setting key -> raw value
+ * @returns {Promise<object>} Complete settings
+ */
+export async function loadSettings(file, overrides = {}) {
+    const store = new SettingsStore(null);
+    if (file) {
+        const errors = store.import(await readFile(file, 'utf8'));
+        if (Object.keys(errors).length > 0) {
+            throw new UsageError(`${file}: ${Object.values(errors).join('; ')}`);
+        }
+    }
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+    const errors = store.update(defined);
+    if (Object.keys(errors).length > 0) {
+        throw new UsageError(Object.values(errors).join('; '));
+    }
+    return { ...defaultSettings(), ...store.get() };
+}
+
+/**
+ * Create and load an OfflineDetector configured like the app.
+ * @param {object} source
+ * @param {string} [source.model] - ONNX file (default: ./yolov8n.onnx)
+ * @param {string} [source.manifest] - Model manifest JSON instead of a model file
+ * @param {string} [source.zones] - JSON file with an array of zones
+ * @param {object} settings - From loadSettings()
+ * @returns {Promise<OfflineDetector>}
+ */
+export async function createDetector({ model, manifest: manifestFile, zones: zonesFile }, settings) {
+    if (model && manifestFile) throw new UsageError('Use either a model or a manifest, not both');
+
+    const ort = await importRuntime();
+    const cwd = pathToFileURL(`${process.cwd()}/`).href;
+    const manifest = manifestFile
+        ? await loadManifest(resolve(manifestFile), { baseUrl: cwd, fetch: fileFetch })
+        : { ...DEFAULT_MODEL_MANIFEST, url: resolve(model || 'yolov8n.onnx') };
+    const zones = zonesFile ? validateZones(JSON.parse(await readFile(zonesFile, 'utf8'))) : [];
+
+    const detector = new OfflineDetector({
+        ort,
+        manifest,
+        modelWidth: settings.modelInputSize,
+        modelHeight: settings.modelInputSize,
+        iouThreshold: settings.iouThreshold,
+        smoothing: {
+            enterThreshold: settings.confidenceThreshold,
+            // Same hysteresis as the app
+            exitThreshold: settings.confidenceThreshold * 0.75
+        },
+        context: { alertNearby: settings.alertNearbyPhones },
+        zones
+    });
+    const modelPath = manifest.url.startsWith('file:') ? fileURLToPath(manifest.url) : manifest.url;
+    await detector.load(modelPath);
+    return detector;
+}
+
+/**
+ * Run a command's main function and turn errors into messages and exit codes.
+ * @param {string} name - Command name for messages
+ * @param {Function} main - async (argv) => void
+ */
+export function run(name, main) {
+    // Output piped into e.g. head, which stopped reading
+    process.stdout.on('error', (e) => {
+        if (e.code !== 'EPIPE') throw e;
+        process.exit(0);
+    });
+    main(process.argv.slice(2)).catch((e) => {
+        console.error(`${name}: ${e.message}`);
+        if (e instanceof UsageError) console.error(`Run ${name} --help for usage.`);
+        process.exitCode = e instanceof UsageError ? 2 : 1;
+    });
+}
@@ -0,0 +1,88 @@
+// Labelled image sets for focus-guard-eval (Node only)
+//
+// YOLO: <dir>/images/* with <dir>/labels/<name>.txt (Ultralytics layout), or
+//       the .txt files next to the images. An image without a label file has
+//       no objects. Label class ids are COCO indices unless a class names file
+//       (--names, or classes.txt in the folder) says otherwise.
+// COCO: an annotation JSON file plus the folder its file_name entries are relative to.
+//
+// Every entry is { file, boxes(width, height) } - YOLO labels are normalized,
+// so boxes are only known once the image has been decoded.
+
+import { access, readFile, stat } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { listImages } from './frame-files.js';
+import { parseYoloLabels, parseCocoAnnotations } from '../evaluation.js';
+import { parseClassNames, resolveClassMap } from '../model-manifest.js';
+
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+async function readOptional(path) {
+    return (await exists(path)) ? readFile(path, 'utf8') : null;
+}
+
+/**
+ * @param {string} directory
+ * @param {object} [options]
+ * @param {string} [options.names] - Class names file for the label ids
+ */
+export async function loadYoloDataset(directory, { names } = {}) {
+    const imagesDir = join(directory, 'images');
+    const split = (await exists(imagesDir)) && (await stat(imagesDir)).isDirectory();
+    const imageDir = split ? imagesDir : directory;
+    const labelDir = split ? join(directory, 'labels') : directory;
+
+    const namesFile = names || ((await exists(join(directory, 'classes.txt'))) ? join(directory, 'classes.txt') : null);
+    const classMap = namesFile ? resolveClassMap(parseClassNames(await readFile(namesFile, 'utf8'))) : null;
+
+    const files = await listImages(imageDir);
+    if (files.length === 0) throw new Error(`No images in ${imageDir}`);
+
+    return Promise.all(files.map(async (file) => {
+        const labelFile = join(labelDir, `${basename(file, extname(file))}.txt`);
+        const text = await readOptional(labelFile);
+        return {
+            file,
+            boxes: (width, height) => {
+                if (text === null) return [];
+                try {
+                    return parseYoloLabels(text, width, height, classMap);
+                } catch (e) {
+                    throw new Error(`${labelFile}: ${e.message}`);
+                }
+            }
+        };
+    }));
+}
+
+/**
+ * @param {string} annotationFile - COCO JSON
+ * @param {string} imageDir - Folder the file_name entries are relative to
+ */
+export async function loadCocoDataset(annotationFile, imageDir) {
+    let coco;
+    try {
+        coco = JSON.parse(await readFile(annotationFile, 'utf8'));
+    } catch (e) {
+        throw new Error(`${annotationFile} is not valid JSON: ${e.message}`);
+    }
+    const images = parseCocoAnnotations(coco);
+    if (images.length === 0) throw new Error(`${annotationFile} lists no images`);
+
+    return images.map(image => ({
+        file: join(imageDir, image.name),
+        boxes: (width, height) => {
+            if (image.width && image.height && (image.width !== width || image.height !== height)) {
+                throw new Error(`${image.name} is ${width}x${height}, but the annotations say ${image.width}x${image.height}`);
+            }
+            return image.boxes;
+        }
+    }));
+}
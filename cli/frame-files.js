@@ -0,0 +1,221 @@
+// Frame input for the focus-guard CLI (Node only)
+//
+// Sources, each yielding { name, index, timestamp, width, height, data } with
+// RGBA data and timestamp in ms from the start of the recording:
+//   - a folder of images (.png, .jpg, .ppm/.pgm), in natural file name order
+//   - a binary PPM/PGM stream: a file or stdin, e.g. the output of
+//       ffmpeg -i session.mp4 -vf fps=2 -f image2pipe -vcodec ppm -
+//   - a video file, decoded by spawning ffmpeg (must be on PATH)
+//
+// PNG and JPEG decoding uses the optional pngjs and jpeg-js packages.
+
+import { createReadStream } from 'node:fs';
+import { readdir, readFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { spawn } from 'node:child_process';
+
+export const IMAGE_EXTENSIONS = Object.freeze(['.png', '.jpg', '.jpeg', '.ppm', '.pgm', '.pnm']);
+export const PNM_EXTENSIONS = Object.freeze(['.ppm', '.pgm', '.pnm']);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+const WHITESPACE = new Set([0x20, 0x09, 0x0a, 0x0d, 0x0b, 0x0c]);
+
+async function importOptional(name) {
+    try {
+        return await import(name);
+    } catch (e) {
+        throw new Error(`Decoding this image needs the "${name}" package - run npm install`);
+    }
+}
+
+/**
+ * Parse one binary PNM image (P5 greyscale or P6 RGB, 8 bit) at `offset`.
+ * @param {Buffer} buffer
+ * @param {number} [offset=0]
+ * @returns {{width: number, height: number, data: Uint8ClampedArray, end: number}|null}
+ *   null when the buffer does not hold the whole image yet; end = offset after the pixels
+ * @throws {Error} For anything that is not an 8-bit binary PNM
+ */
+export function parsePnm(buffer, offset = 0) {
+    let position = offset;
+    const fields = [];
+    while (fields.length < 4) {
+        while (position < buffer.length && WHITESPACE.has(buffer[position])) position++;
+        if (buffer[position] === 0x23) { // '#' comment up to the end of the line
+            while (position < buffer.length && buffer[position] !== 0x0a) position++;
+            continue;
+        }
+        const start = position;
+        while (position < buffer.length && !WHITESPACE.has(buffer[position]) && buffer[position] !== 0x23) position++;
+        // The last header field must be followed by one whitespace byte
+        if (position >= buffer.length) return null;
+        fields.push(buffer.toString('latin1', start, position));
+    }
+    position++;
+
+    const [magic, ...numbers] = fields;
+    if (magic !== 'P5' && magic !== 'P6') {
+        throw new Error(`Unsupported PNM format "${magic}" - expected binary P5 or P6`);
+    }
+    const [width, height, maxValue] = numbers.map(Number);
+    if (!(width > 0 && height > 0) || !Number.isInteger(width) || !Number.isInteger(height)) {
+        throw new Error(`Invalid PNM size ${numbers[0]}x${numbers[1]}`);
+    }
+    if (!(maxValue > 0 && maxValue < 256)) {
+        throw new Error(`Unsupported PNM max value ${numbers[2]} - only 8-bit images are supported`);
+    }
+
+    const channels = magic === 'P6' ? 3 : 1;
+    const end = position + width * height * channels;
+    if (end > buffer.length) return null;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const scale = 255 / maxValue;
+    // Greyscale repeats its one sample for R, G and B
+    const green = channels === 3 ? 1 : 0;
+    const blue = channels === 3 ? 2 : 0;
+    for (let i = 0, source = position; i < data.length; i += 4, source += channels) {
+        data[i] = buffer[source] * scale;
+        data[i + 1] = buffer[source + green] * scale;
+        data[i + 2] = buffer[source + blue] * scale;
+        data[i + 3] = 255;
+    }
+    return { width, height, data, end };
+}
+
+/**
+ * Decode a PNG, JPEG or binary PNM file to RGBA.
+ * @param {Buffer} buffer
+ * @param {string} [name] - Used in error messages
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray|Uint8Array}>}
+ */
+export async function decodeImage(buffer, name = 'image') {
+    if (buffer.subarray(0, 4).equals(PNG_SIGNATURE)) {
+        const { PNG } = await importOptional('pngjs');
+        const { width, height, data } = PNG.sync.read(buffer);
+        return { width, height, data };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        const { default: jpeg } = await importOptional('jpeg-js');
+        const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { width, height, data };
+    }
+    if (buffer[0] === 0x50) { // 'P'
+        const image = parsePnm(buffer);
+        if (!image) throw new Error(`${name} is truncated`);
+        return { width: image.width, height: image.height, data: image.data };
+    }
+    throw new Error(`${name} is not a PNG, JPEG or binary PNM image`);
+}
+
+/**
+ * Image files in a folder, in natural order (frame2 before frame10).
+ * @returns {Promise<string[]>} Full paths
+ */
+export async function listImages(directory) {
+    const entries = await readdir(directory, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.includes(extname(entry.name).toLowerCase()))
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(name => join(directory, name));
+}
+
+/**
+ * Frames from a folder of images, `1000 / fps` ms apart.
+ */
+export async function* readImageFolder(directory, { fps }) {
+    const files = await listImages(directory);
+    if (files.length === 0) {
+        throw new Error(`No ${IMAGE_EXTENSIONS.join('/')} images in ${directory}`);
+    }
+    for (let index = 0; index < files.length; index++) {
+        const image = await decodeImage(await readFile(files[index]), files[index]);
+        yield { name: files[index], index, timestamp: Math.round((index * 1000) / fps), ...image };
+    }
+}
+
+/**
+ * Frames from a stream of concatenated binary PNM images.
+ * @param {AsyncIterable<Buffer>} stream - Readable stream
+ * @param {object} options
+ * @param {number} options.fps - Frame rate of the sequence
+ * @param {string} options.name - Source name for the records
+ */
+export async function* readPnmStream(stream, { fps, name }) {
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    for await (const chunk of stream) {
+        pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+        let image;
+        while ((image = parsePnm(pending)) !== null) {
+            pending = pending.subarray(image.end);
+            const { width, height, data } = image;
+            yield { name, index, timestamp: Math.round((index * 1000) / fps), width, height, data };
+            index++;
+        }
+    }
+    if (pending.some(byte => !WHITESPACE.has(byte))) {
+        throw new Error(`${name} ends with an incomplete frame`);
+    }
+}
+
+/**
+ * Decode a video with ffmpeg, sampled at `fps` frames per second.
+ * @param {string} file
+ * @param {object} options
+ * @param {number} options.fps
+ * @param {string} [options.ffmpeg='ffmpeg'] - ffmpeg executable
+ */
+export async function* readVideo(file, { fps, ffmpeg = 'ffmpeg' }) {
+    const child = spawn(ffmpeg, [
+        '-v', 'error', '-nostdin', '-i', file,
+        '-vf', `fps=${fps}`, '-f', 'image2pipe', '-vcodec', 'ppm', '-'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+    });
+    const exited = new Promise((resolve, reject) => {
+        child.on('error', (e) => reject(e.code === 'ENOENT'
+            ? new Error(`${ffmpeg} not found - install ffmpeg, or decode ${file} to images or a PPM stream first`)
+            : e));
+        child.on('close', resolve);
+    });
+    // Surfaced by the await below; avoid an unhandled rejection meanwhile
+    exited.catch(() => {});
+
+    try {
+        yield* readPnmStream(child.stdout, { fps, name: file });
+        const code = await exited;
+        if (code !== 0) {
+            throw new Error(`ffmpeg could not decode ${file}: ${stderr.trim() || `exit code ${code}`}`);
+        }
+    } finally {
+        if (child.exitCode === null) child.kill();
+    }
+}
+
+async function* readImageFile(file) {
+    const image = await decodeImage(await readFile(file), file);
+    yield { name: file, index: 0, timestamp: 0, ...image };
+}
+
+/**
+ * Pick the reader for an input argument: a folder, a single image, a PNM
+ * stream ('-' = stdin) or a video file.
+ * @param {string} input
+ * @param {object} options - fps, ffmpeg
+ * @param {import('node:fs').Stats|null} stats - fs.stat() of the input (null for stdin)
+ */
+export function openFrames(input, options, stats) {
+    if (input === '-') return readPnmStream(process.stdin, { ...options, name: 'stdin' });
+    if (stats.isDirectory()) return readImageFolder(input, options);
+    const extension = extname(input).toLowerCase();
+    if (PNM_EXTENSIONS.includes(extension)) {
+        return readPnmStream(createReadStream(input), { ...options, name: input });
+    }
+    if (IMAGE_EXTENSIONS.includes(extension)) return readImageFile(input);
+    return readVideo(input, options);
+}
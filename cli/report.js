@@ -0,0 +1,119 @@
+// Per-frame records and phone-time totals for the focus-guard CLI
+//
+// JSON Lines: one object per frame
+//   { source, frame, timestamp, width, height, state, detections: [{ class, className, score, x, y, width, height, trackId?, usage? }] }
+// CSV: one row per detection; frames without detections get one row with the
+// detection columns empty, so every frame appears in the output.
+
+import { summarizeSession } from '../session-recorder.js';
+
+export const OUTPUT_FORMATS = Object.freeze({
+    JSONL: 'jsonl',
+    CSV: 'csv'
+});
+
+export const CSV_COLUMNS = Object.freeze([
+    'source', 'frame', 'timestamp', 'state',
+    'class', 'class_name', 'score', 'x', 'y', 'width', 'height', 'track_id', 'usage'
+]);
+
+const round = (value, digits) => Number(value.toFixed(digits));
+const phoneMs = intervals => intervals.reduce((sum, { start, end }) => sum + Math.max(0, end - start), 0);
+
+/**
+ * Build the output record for one analysed frame.
+ * @param {object} frame - From cli/frame-files.js
+ * @param {{detections: Array, state: string}} result - From OfflineDetector.detect()
+ */
+export function frameRecord(frame, { detections, state }) {
+    return {
+        source: frame.name,
+        frame: frame.index,
+        timestamp: frame.timestamp,
+        width: frame.width,
+        height: frame.height,
+        state,
+        detections: detections.map(det => ({
+            class: det.class,
+            className: det.className,
+            score: round(det.score, 4),
+            x: round(det.x, 1),
+            y: round(det.y, 1),
+            width: round(det.width, 1),
+            height: round(det.height, 1),
+            ...(det.trackId !== undefined && { trackId: det.trackId }),
+            ...(det.usage !== undefined && { usage: det.usage })
+        }))
+    };
+}
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a record; CSV output starts with a header line when `first` is set.
+ * @param {object} record - From frameRecord()
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @param {boolean} [first=false]
+ * @returns {string} One or more lines, each ending in \n
+ */
+export function formatRecord(record, format, first = false) {
+    if (format === OUTPUT_FORMATS.JSONL) {
+        return `${JSON.stringify(record)}\n`;
+    }
+    if (format !== OUTPUT_FORMATS.CSV) {
+        throw new Error(`Unknown output format "${format}" - use ${Object.values(OUTPUT_FORMATS).join(' or ')}`);
+    }
+
+    const frameColumns = [record.source, record.frame, record.timestamp, record.state];
+    const rows = record.detections.length > 0
+        ? record.detections.map(det => [
+            ...frameColumns,
+            det.class, det.className, det.score, det.x, det.y, det.width, det.height, det.trackId, det.usage
+        ])
+        : [frameColumns];
+    const lines = rows.map(row => `${row.map(csvField).join(',')}\n`).join('');
+    return first ? `${CSV_COLUMNS.join(',')}\n${lines}` : lines;
+}
+
+/**
+ * Phone-time totals for one recording, as the app records a session.
+ * Times are relative to the start of the recording.
+ * @param {string} source
+ * @param {number} frames - Frames analysed
+ * @param {number} duration - Length of the recording in ms
+ * @param {Array<{start: number, end: number}>} phoneIntervals - Confirmed phone episodes
+ */
+export function summarizeSource(source, frames, duration, phoneIntervals) {
+    const { phoneEvents, phoneSeconds, longestPhoneFreeSeconds } = summarizeSession(0, duration, phoneIntervals, source);
+    return {
+        source,
+        frames,
+        durationSeconds: round(duration / 1000, 1),
+        phoneEvents,
+        phoneSeconds,
+        phoneShare: duration > 0 ? round(phoneMs(phoneIntervals) / duration, 3) : 0,
+        longestPhoneFreeSeconds,
+        phoneIntervals
+    };
+}
+
+/**
+ * Add up per-source summaries.
+ */
+export function summarizeRun(sources) {
+    const total = key => sources.reduce((sum, source) => sum + source[key], 0);
+    const durationSeconds = round(total('durationSeconds'), 1);
+    const phoneSeconds = sources.reduce((sum, source) => sum + phoneMs(source.phoneIntervals), 0) / 1000;
+    return {
+        sources: sources.length,
+        frames: total('frames'),
+        durationSeconds,
+        phoneEvents: total('phoneEvents'),
+        phoneSeconds: Math.round(phoneSeconds),
+        phoneShare: durationSeconds > 0 ? round(phoneSeconds / durationSeconds, 3) : 0
+    };
+}
@@ -0,0 +1,176 @@
+// Statistics dashboard - daily/weekly charts of locally stored focus sessions
+// Charts are drawn on plain canvases so no chart library (or CDN) is needed.
+
+import { getSessions, clearSessions } from './session-store.js';
+import { bucketSessions, summarize, trend, startOfWeek, focusSeconds } from './session-stats.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('dashboard');
+
+const DAYS_SHOWN = 7;
+const WEEKS_SHOWN = 8;
+
+const COLORS = {
+    focus: '#34C759',
+    phone: '#DC3545',
+    axis: '#E5E5E5',
+    text: '#666666'
+};
+
+export function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    if (hours === 0) return `${minutes}m`;
+    return `${hours}h ${minutes}m`;
+}
+
+function formatDayLabel(start) {
+    return new Date(start).toLocaleDateString(undefined, { weekday: 'short' });
+}
+
+function formatWeekLabel(start) {
+    return new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// Bars show focused minutes, the red number above each bar is phone pickups
+function drawBarChart(canvas, buckets, formatLabel) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 600;
+    const height = canvas.clientHeight || 220;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const padding = { top: 24, right: 8, bottom: 28, left: 8 };
+    const chartHeight = height - padding.top - padding.bottom;
+    const slot = (width - padding.left - padding.right) / buckets.length;
+    const barWidth = Math.min(40, slot * 0.6);
+    const maxMinutes = Math.max(1, ...buckets.map(b => b.focusSeconds / 60));
+
+    ctx.strokeStyle = COLORS.axis;
+    ctx.beginPath();
+    ctx.moveTo(padding.left, padding.top + chartHeight);
+    ctx.lineTo(width - padding.right, padding.top + chartHeight);
+    ctx.stroke();
+
+    ctx.font = '12px Inter, sans-serif';
+    ctx.textAlign = 'center';
+
+    buckets.forEach((bucket, index) => {
+        const centerX = padding.left + slot * index + slot / 2;
+        const barHeight = (bucket.focusSeconds / 60 / maxMinutes) * chartHeight;
+        const barTop = padding.top + chartHeight - barHeight;
+
+        ctx.fillStyle = COLORS.focus;
+        ctx.fillRect(centerX - barWidth / 2, barTop, barWidth, barHeight);
+
+        if (bucket.phoneEvents > 0) {
+            ctx.fillStyle = COLORS.phone;
+            ctx.fillText(`📱${bucket.phoneEvents}`, centerX, barTop - 6);
+        }
+
+        ctx.fillStyle = COLORS.text;
+        ctx.fillText(formatLabel(bucket.start), centerX, height - 8);
+    });
+}
+
+function renderSummary(container, sessions) {
+    const total = summarize(sessions);
+    const cards = [
+        ['Sessions', String(total.sessions)],
+        ['Time monitored', formatDuration(total.focusSeconds)],
+        ['Phone pickups', String(total.phoneEvents)],
+        ['Phone time', formatDuration(total.phoneSeconds)],
+        ['Longest phone-free', formatDuration(total.longestPhoneFreeSeconds)]
+    ];
+
+    container.innerHTML = '';
+    cards.forEach(([label, value]) => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+        const valueEl = document.createElement('div');
+        valueEl.className = 'stat-value';
+        valueEl.textContent = value;
+        const labelEl = document.createElement('div');
+        labelEl.className = 'stat-label';
+        labelEl.textContent = label;
+        card.append(valueEl, labelEl);
+        container.appendChild(card);
+    });
+}
+
+function renderTrend(element, weeks) {
+    const { direction, change } = trend(weeks);
+    const percent = change !== null ? `${Math.round(Math.abs(change) * 100)}% ` : '';
+
+    const messages = {
+        better: `Nice! ${percent}fewer phone pickups per hour than in previous weeks.`,
+        worse: `${percent}more phone pickups per hour than in previous weeks.`,
+        steady: 'Phone pickups per hour are steady compared to previous weeks.',
+        unknown: 'Keep monitoring to see how your focus changes over time.'
+    };
+    element.textContent = messages[direction];
+    element.dataset.trend = direction;
+}
+
+function renderSessionList(list, sessions) {
+    list.innerHTML = '';
+    if (sessions.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'session-empty';
+        empty.textContent = 'No sessions yet. Start monitoring to build your history.';
+        list.appendChild(empty);
+        return;
+    }
+
+    sessions.slice(-10).reverse().forEach((session) => {
+        const item = document.createElement('li');
+        item.className = 'session-item';
+        const when = new Date(session.startTime).toLocaleString(undefined, {
+            weekday: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        const duration = formatDuration(focusSeconds(session));
+        item.textContent = `${when} · ${duration} · ${session.phoneEvents} pickups · ` +
+            `${formatDuration(session.phoneSeconds)} on phone`;
+        if (session.awaySeconds > 0) item.textContent += ` · ${formatDuration(session.awaySeconds)} away`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Load the session history and render every dashboard widget.
+ */
+export async function renderDashboard() {
+    const summary = document.getElementById('dashboard-summary');
+    const dailyChart = document.getElementById('daily-chart');
+    const weeklyChart = document.getElementById('weekly-chart');
+    const trendEl = document.getElementById('dashboard-trend');
+    const sessionList = document.getElementById('session-list');
+
+    let sessions = [];
+    try {
+        // Enough history for the weekly chart
+        const now = Date.now();
+        const since = startOfWeek(now - (WEEKS_SHOWN - 1) * 7 * 24 * 60 * 60 * 1000);
+        sessions = await getSessions(since);
+    } catch (e) {
+        log.warn('Failed to load session history:', e);
+    }
+
+    const days = bucketSessions(sessions, DAYS_SHOWN, 'day');
+    const weeks = bucketSessions(sessions, WEEKS_SHOWN, 'week');
+
+    renderSummary(summary, sessions.filter(session => session.startTime >= days[0].start));
+    drawBarChart(dailyChart, days, formatDayLabel);
+    drawBarChart(weeklyChart, weeks, formatWeekLabel);
+    renderTrend(trendEl, weeks);
+    renderSessionList(sessionList, sessions);
+}
+
+export async function clearHistory() {
+    await clearSessions();
+    await renderDashboard();
+}
@@ -0,0 +1,535 @@
+// YOLO detection core - pure functions with no DOM or ONNX Runtime dependency
+// Supports YOLOv5, YOLOv8 and NMS-in-graph output formats, either declared by a
+// model manifest (see model-manifest.js) or auto-detected from the output shape
+// Frames are letterboxed into the model input (as in Ultralytics training) and
+// boxes are mapped back through the same geometry
+// Runs in the browser, in the detection worker and in Node
+
+export const MODEL_WIDTH = 640;
+export const MODEL_HEIGHT = 640;
+
+export const CONFIDENCE_THRESHOLD = 0.4;
+export const IOU_THRESHOLD = 0.45;
+
+// Classes listed in postprocessWithStats() topScores
+export const TOP_SCORES = 5;
+
+// COCO class names (YOLOv5 uses COCO dataset)
+export const CLASS_NAMES = [
+    'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck', 'boat',
+    'traffic light', 'fire hydrant', 'stop sign', 'parking meter', 'bench', 'bird', 'cat',
+    'dog', 'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra', 'giraffe', 'backpack',
+    'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee', 'skis', 'snowboard', 'sports ball',
+    'kite', 'baseball bat', 'baseball glove', 'skateboard', 'surfboard', 'tennis racket',
+    'bottle', 'wine glass', 'cup', 'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple',
+    'sandwich', 'orange', 'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair',
+    'couch', 'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse',
+    'remote', 'keyboard', 'cell phone', 'microwave', 'oven', 'toaster', 'sink', 'refrigerator',
+    'book', 'clock', 'vase', 'scissors', 'teddy bear', 'hair drier', 'toothbrush'
+];
+
+// Phone class index in COCO (cell phone = 67)
+export const PHONE_CLASS_INDEX = 67;
+
+// Ultralytics pads letterboxed images with this grey
+export const PAD_COLOR = Object.freeze([114, 114, 114]);
+
+export const RESIZE_MODES = Object.freeze({
+    LETTERBOX: 'letterbox', // keep aspect ratio, pad the rest (what YOLO was trained on)
+    STRETCH: 'stretch'      // fill the model input, distorting the aspect ratio
+});
+
+export const OUTPUT_LAYOUTS = Object.freeze({
+    AUTO: 'auto',     // guess from the output shape
+    YOLOV8: 'yolov8', // [1, 4 + classes, boxes] - cx, cy, w, h, class scores
+    YOLOV5: 'yolov5', // [1, boxes, 5 + classes] - cx, cy, w, h, objectness, class scores
+    NMS: 'nms'        // [1, boxes, 6] - x1, y1, x2, y2, score, class (NMS already applied)
+});
+
+/**
+ * Where a frame lands inside the model input.
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @param {number} modelWidth
+ * @param {number} modelHeight
+ * @param {string} [mode='letterbox'] - One of RESIZE_MODES
+ * @returns {{scaleX: number, scaleY: number, padX: number, padY: number, width: number, height: number}}
+ *   scale is model pixels per frame pixel; width/height is the drawn (unpadded) size
+ */
+export function resizeGeometry(frameWidth, frameHeight, modelWidth, modelHeight, mode = RESIZE_MODES.LETTERBOX) {
+    if (!(frameWidth > 0 && frameHeight > 0)) {
+        throw new Error(`Invalid frame size ${frameWidth}x${frameHeight}`);
+    }
+
+    if (mode === RESIZE_MODES.STRETCH) {
+        return {
+            scaleX: modelWidth / frameWidth,
+            scaleY: modelHeight / frameHeight,
+            padX: 0,
+            padY: 0,
+            width: modelWidth,
+            height: modelHeight
+        };
+    }
+    if (mode !== RESIZE_MODES.LETTERBOX) {
+        throw new Error(`Unknown resize mode "${mode}"`);
+    }
+
+    const scale = Math.min(modelWidth / frameWidth, modelHeight / frameHeight);
+    const width = Math.round(frameWidth * scale);
+    const height = Math.round(frameHeight * scale);
+    return {
+        scaleX: scale,
+        scaleY: scale,
+        padX: Math.floor((modelWidth - width) / 2),
+        padY: Math.floor((modelHeight - height) / 2),
+        width,
+        height
+    };
+}
+
+/**
+ * Map a box from model input coordinates back to the original frame,
+ * undoing the padding and scaling and clipping to the frame.
+ * @param {{x, y, width, height}} box - Model input coordinates
+ * @param {object} geometry - From resizeGeometry()
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @returns {{x, y, width, height}}
+ */
+export function toFrameBox(box, geometry, frameWidth, frameHeight) {
+    const { scaleX, scaleY, padX, padY } = geometry;
+    const x1 = Math.min(frameWidth, Math.max(0, (box.x - padX) / scaleX));
+    const y1 = Math.min(frameHeight, Math.max(0, (box.y - padY) / scaleY));
+    const x2 = Math.min(frameWidth, Math.max(0, (box.x + box.width - padX) / scaleX));
+    const y2 = Math.min(frameHeight, Math.max(0, (box.y + box.height - padY) / scaleY));
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+/**
+ * Flip a box horizontally, e.g. for a mirrored (selfie view) display.
+ * @param {{x, width}} box
+ * @param {number} frameWidth
+ * @returns {object} A copy with x mirrored
+ */
+export function mirrorBox(box, frameWidth) {
+    return { ...box, x: frameWidth - box.x - box.width };
+}
+
+/**
+ * Draw a frame into a model-sized 2D context using the given geometry.
+ * Works with any CanvasRenderingContext2D or OffscreenCanvasRenderingContext2D.
+ */
+export function drawResized(ctx, frame, geometry, padColor = PAD_COLOR) {
+    const { padX, padY, width, height } = geometry;
+    if (padX > 0 || padY > 0) {
+        ctx.fillStyle = `rgb(${padColor[0]}, ${padColor[1]}, ${padColor[2]})`;
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+    ctx.drawImage(frame, padX, padY, width, height);
+}
+
+/**
+ * drawResized() without a canvas: bilinear resize of raw RGBA pixels into the
+ * model input, padding the rest. Used where no 2D context exists (Node).
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA pixels, length frameWidth * frameHeight * 4
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @param {number} modelWidth
+ * @param {number} modelHeight
+ * @param {object} geometry - From resizeGeometry()
+ * @param {number[]} [padColor=PAD_COLOR]
+ * @returns {Uint8ClampedArray} RGBA pixels, length modelWidth * modelHeight * 4
+ */
+export function resizePixels(data, frameWidth, frameHeight, modelWidth, modelHeight, geometry, padColor = PAD_COLOR) {
+    if (data.length < frameWidth * frameHeight * 4) {
+        throw new Error(`Expected ${frameWidth * frameHeight * 4} RGBA values, got ${data.length}`);
+    }
+
+    const { padX, padY, width, height } = geometry;
+    const output = new Uint8ClampedArray(modelWidth * modelHeight * 4);
+    for (let i = 0; i < output.length; i += 4) {
+        output[i] = padColor[0];
+        output[i + 1] = padColor[1];
+        output[i + 2] = padColor[2];
+        output[i + 3] = 255;
+    }
+
+    const ratioX = frameWidth / width;
+    const ratioY = frameHeight / height;
+    for (let y = 0; y < height; y++) {
+        const outY = y + padY;
+        if (outY < 0 || outY >= modelHeight) continue;
+
+        // Sample at pixel centres, as canvas smoothing does
+        const srcY = Math.min(frameHeight - 1, Math.max(0, (y + 0.5) * ratioY - 0.5));
+        const y0 = Math.floor(srcY);
+        const y1 = Math.min(frameHeight - 1, y0 + 1);
+        const fy = srcY - y0;
+
+        for (let x = 0; x < width; x++) {
+            const outX = x + padX;
+            if (outX < 0 || outX >= modelWidth) continue;
+
+            const srcX = Math.min(frameWidth - 1, Math.max(0, (x + 0.5) * ratioX - 0.5));
+            const x0 = Math.floor(srcX);
+            const x1 = Math.min(frameWidth - 1, x0 + 1);
+            const fx = srcX - x0;
+
+            const a = (y0 * frameWidth + x0) * 4;
+            const b = (y0 * frameWidth + x1) * 4;
+            const c = (y1 * frameWidth + x0) * 4;
+            const d = (y1 * frameWidth + x1) * 4;
+            const o = (outY * modelWidth + outX) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                const top = data[a + channel] + (data[b + channel] - data[a + channel]) * fx;
+                const bottom = data[c + channel] + (data[d + channel] - data[c + channel]) * fx;
+                output[o + channel] = top + (bottom - top) * fy;
+            }
+        }
+    }
+    return output;
+}
+
+/**
+ * Convert RGBA pixels (already at model resolution) into a planar RGB tensor.
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA pixels, length modelWidth * modelHeight * 4
+ * @param {number} modelWidth
+ * @param {number} modelHeight
+ * @param {object} [options]
+ * @param {number[]} [options.mean=[0, 0, 0]] - Per-channel mean, subtracted after scaling to [0, 1]
+ * @param {number[]} [options.std=[1, 1, 1]] - Per-channel standard deviation
+ * @param {string} [options.dataType='float32'] - 'uint8' passes raw 0-255 values (quantized inputs)
+ * @param {Float32Array|Uint8Array} [options.output] - Buffer to fill instead of allocating one per frame
+ *   (used when it has the right type and length)
+ * @returns {Float32Array|Uint8Array} CHW data
+ */
+export function preprocess(data, modelWidth, modelHeight, options = {}) {
+    const { mean = [0, 0, 0], std = [1, 1, 1], dataType = 'float32', output = null } = options;
+    const planeSize = modelWidth * modelHeight;
+    if (data.length < planeSize * 4) {
+        throw new Error(`Expected ${planeSize * 4} RGBA values, got ${data.length}`);
+    }
+
+    // YOLO expects RGB (not BGR!)
+    const reusable = (Type) => (output instanceof Type && output.length === 3 * planeSize ? output : new Type(3 * planeSize));
+
+    if (dataType === 'uint8') {
+        const input = reusable(Uint8Array);
+        for (let index = 0, i = 0; index < planeSize; index++, i += 4) {
+            input[index] = data[i];
+            input[index + planeSize] = data[i + 1];
+            input[index + 2 * planeSize] = data[i + 2];
+        }
+        return input;
+    }
+    if (dataType !== 'float32') {
+        throw new Error(`Unsupported input data type: ${dataType}`);
+    }
+
+    const input = reusable(Float32Array);
+    const scale = std.map(s => 1 / (255.0 * s));
+    const offset = mean.map((m, c) => m / std[c]);
+
+    // Normalize to [0, 1], then apply mean/std
+    for (let index = 0, i = 0; index < planeSize; index++, i += 4) {
+        input[index] = data[i] * scale[0] - offset[0];
+        input[index + planeSize] = data[i + 1] * scale[1] - offset[1];
+        input[index + 2 * planeSize] = data[i + 2] * scale[2] - offset[2];
+    }
+
+    return input;
+}
+
+/**
+ * Work out how to read a model output tensor.
+ * @param {number[]} dims - Output tensor shape
+ * @param {string} [layout='auto'] - One of OUTPUT_LAYOUTS
+ * @param {number} [numClasses=80]
+ * @returns {{layout: string, numClasses: number}}
+ * @throws {Error} When the shape does not match the layout, or no layout fits
+ */
+export function resolveOutputLayout(dims, layout = OUTPUT_LAYOUTS.AUTO, numClasses = CLASS_NAMES.length) {
+    const shape = `[${dims.join(', ')}]`;
+    if (dims.length !== 3) {
+        throw new Error(`Unsupported model output shape ${shape}: expected 3 dimensions`);
+    }
+
+    if (layout === OUTPUT_LAYOUTS.YOLOV8) {
+        if (dims[1] <= 4) throw new Error(`Output shape ${shape} does not match the yolov8 layout [1, 4 + classes, boxes]`);
+        return { layout, numClasses: dims[1] - 4 };
+    }
+    if (layout === OUTPUT_LAYOUTS.YOLOV5) {
+        if (dims[2] <= 5) throw new Error(`Output shape ${shape} does not match the yolov5 layout [1, boxes, 5 + classes]`);
+        return { layout, numClasses: dims[2] - 5 };
+    }
+    if (layout === OUTPUT_LAYOUTS.NMS) {
+        if (dims[2] < 6) throw new Error(`Output shape ${shape} does not match the nms layout [1, boxes, 6]`);
+        return { layout, numClasses };
+    }
+    if (layout !== OUTPUT_LAYOUTS.AUTO) {
+        throw new Error(`Unknown output layout "${layout}"`);
+    }
+
+    // Stock COCO exports
+    if (dims[1] === 84) return { layout: OUTPUT_LAYOUTS.YOLOV8, numClasses: 80 };
+    if (dims[2] === 85) return { layout: OUTPUT_LAYOUTS.YOLOV5, numClasses: 80 };
+
+    // Exports with a different number of classes
+    if (dims[1] === 4 + numClasses) return { layout: OUTPUT_LAYOUTS.YOLOV8, numClasses };
+    if (dims[2] === 5 + numClasses) return { layout: OUTPUT_LAYOUTS.YOLOV5, numClasses };
+    if (dims[2] === 6) return { layout: OUTPUT_LAYOUTS.NMS, numClasses };
+
+    throw new Error(
+        `Unrecognised model output shape ${shape} for ${numClasses} classes. ` +
+        'Set "outputLayout" (yolov8, yolov5 or nms) and "classNames" in the model manifest.'
+    );
+}
+
+/**
+ * Post-process YOLO output (supports both YOLOv5 and YOLOv8).
+ * @param {{dims: number[], data: ArrayLike<number>}} output - Output tensor (or any object shaped like one)
+ * @param {number} imgWidth - Width of the original frame, boxes are mapped back to it and clipped
+ * @param {number} imgHeight - Height of the original frame
+ * @param {number} modelWidth
+ * @param {number} modelHeight
+ * @param {object} [options]
+ * @param {number} [options.confidenceThreshold=0.4]
+ * @param {number} [options.iouThreshold=0.45]
+ * @param {number[]} [options.classes=[67]] - Class indices to keep
+ * @param {Object<number, number>} [options.classThresholds] - Per-class confidence thresholds
+ *   (classes listed here are kept too; others use confidenceThreshold)
+ * @param {string} [options.layout='auto'] - One of OUTPUT_LAYOUTS
+ * @param {string[]} [options.classNames=CLASS_NAMES] - The model's class names
+ * @param {number[]} [options.classMap] - Model class index -> reported class index
+ *   (classes and classThresholds refer to reported indices)
+ * @param {object} [options.geometry] - resizeGeometry() used for the input (default: stretched)
+ * @returns {Array<{x, y, width, height, class, className, score}>}
+ * @throws {Error} When the output shape cannot be interpreted
+ */
+export function postprocess(output, imgWidth, imgHeight, modelWidth, modelHeight, options = {}) {
+    return postprocessWithStats(output, imgWidth, imgHeight, modelWidth, modelHeight, options).detections;
+}
+
+/**
+ * postprocess() plus numbers for diagnosing missed or false detections.
+ * Same parameters as postprocess().
+ * @returns {{detections: Array, stats: {candidates: number, kept: number, topScores: Array}}}
+ *   candidates = boxes above their threshold before NMS, kept = after NMS,
+ *   topScores = best raw score of the TOP_SCORES best classes, whether or not
+ *   they were asked for ({class, className, score})
+ */
+export function postprocessWithStats(output, imgWidth, imgHeight, modelWidth, modelHeight, options = {}) {
+    const {
+        confidenceThreshold = CONFIDENCE_THRESHOLD,
+        iouThreshold = IOU_THRESHOLD,
+        classes = [PHONE_CLASS_INDEX],
+        classThresholds = {},
+        layout: requestedLayout = OUTPUT_LAYOUTS.AUTO,
+        classNames = CLASS_NAMES,
+        classMap = null,
+        geometry = resizeGeometry(imgWidth, imgHeight, modelWidth, modelHeight, RESIZE_MODES.STRETCH)
+    } = options;
+
+    const detections = [];
+    const outputDims = output.dims;
+    const outputData = output.data;
+    const { layout, numClasses } = resolveOutputLayout(outputDims, requestedLayout, classNames.length);
+    const mapClass = classMap ? (modelClass => classMap[modelClass] ?? modelClass) : (modelClass => modelClass);
+    const nameOf = modelClass => classNames[modelClass] || `class_${modelClass}`;
+
+    const keepClasses = new Set([...classes, ...Object.keys(classThresholds).map(Number)]);
+    const thresholdFor = (classIndex) => classThresholds[classIndex] ?? confidenceThreshold;
+
+    // Cheap pre-filter before the per-class check
+    const minThreshold = Math.min(confidenceThreshold, ...Object.values(classThresholds));
+
+    // Best score per model class, before any class or threshold filtering
+    const bestScores = new Map();
+    const noteScore = (modelClass, score) => {
+        if (score > (bestScores.get(modelClass) ?? 0)) bestScores.set(modelClass, score);
+    };
+    const result = (kept) => ({
+        detections: kept,
+        stats: {
+            candidates: detections.length,
+            kept: kept.length,
+            topScores: [...bestScores]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, TOP_SCORES)
+                .map(([modelClass, score]) => ({ class: mapClass(modelClass), className: nameOf(modelClass), score }))
+        }
+    });
+
+    // Model-space centre/size box -> frame coordinates
+    const frameBox = (xCenter, yCenter, w, h) => toFrameBox(
+        { x: xCenter - w / 2, y: yCenter - h / 2, width: w, height: h },
+        geometry, imgWidth, imgHeight
+    );
+
+    // YOLOv8 format: [1, 84, 8400] - transposed!
+    // 84 = 4 (x,y,w,h) + 80 (class scores)
+    // 8400 = number of detection candidates
+    if (layout === OUTPUT_LAYOUTS.YOLOV8) {
+        const numDetections = outputDims[2]; // 8400
+
+        for (let i = 0; i < numDetections; i++) {
+            // Find class with highest score (no separate objectness in YOLOv8)
+            let maxClass = 0;
+            let maxScore = outputData[4 * numDetections + i]; // First class score
+
+            for (let j = 1; j < numClasses; j++) {
+                const score = outputData[(4 + j) * numDetections + i];
+                if (score > maxScore) {
+                    maxScore = score;
+                    maxClass = j;
+                }
+            }
+
+            noteScore(maxClass, maxScore);
+
+            // Skip low confidence detections and classes we don't care about
+            const classIndex = mapClass(maxClass);
+            if (!keepClasses.has(classIndex)) continue;
+            if (maxScore < thresholdFor(classIndex)) continue;
+
+            // YOLOv8 is transposed: data is stored as [feature][detection]
+            const box = frameBox(
+                outputData[0 * numDetections + i],
+                outputData[1 * numDetections + i],
+                outputData[2 * numDetections + i],
+                outputData[3 * numDetections + i]
+            );
+
+            detections.push(makeDetection(box, classIndex, nameOf(maxClass), maxScore));
+        }
+
+        return result(nmsPerClass(detections, iouThreshold));
+    }
+
+    // YOLOv5 format: [1, 25200, 85]
+    // 85 = 4 (x,y,w,h) + 1 (objectness) + 80 (class scores)
+    if (layout === OUTPUT_LAYOUTS.YOLOV5) {
+        const numBoxes = outputDims[1];
+        const stride = outputDims[2];
+
+        for (let i = 0; i < numBoxes; i++) {
+            const offset = i * stride;
+            const conf = outputData[offset + 4]; // Objectness score
+
+            if (conf < minThreshold) continue;
+
+            // Find class with highest score
+            let maxClass = 0;
+            let maxScore = outputData[offset + 5];
+            for (let j = 1; j < numClasses; j++) {
+                if (outputData[offset + 5 + j] > maxScore) {
+                    maxScore = outputData[offset + 5 + j];
+                    maxClass = j;
+                }
+            }
+
+            const finalScore = conf * maxScore;
+            noteScore(maxClass, finalScore);
+            const classIndex = mapClass(maxClass);
+            if (!keepClasses.has(classIndex)) continue;
+            if (finalScore < thresholdFor(classIndex)) continue;
+
+            const box = frameBox(outputData[offset], outputData[offset + 1], outputData[offset + 2], outputData[offset + 3]);
+
+            detections.push(makeDetection(box, classIndex, nameOf(maxClass), finalScore));
+        }
+
+        return result(nmsPerClass(detections, iouThreshold));
+    }
+
+    // End-to-end export: [1, 300, 6] - boxes are corners and NMS already ran in the graph
+    const numBoxes = outputDims[1];
+    const stride = outputDims[2];
+
+    for (let i = 0; i < numBoxes; i++) {
+        const offset = i * stride;
+        const score = outputData[offset + 4];
+        const modelClass = Math.round(outputData[offset + 5]);
+        noteScore(modelClass, score);
+        const classIndex = mapClass(modelClass);
+
+        if (!keepClasses.has(classIndex)) continue;
+        if (score < thresholdFor(classIndex)) continue;
+
+        const x1 = outputData[offset];
+        const y1 = outputData[offset + 1];
+        const box = toFrameBox(
+            { x: x1, y: y1, width: outputData[offset + 2] - x1, height: outputData[offset + 3] - y1 },
+            geometry, imgWidth, imgHeight
+        );
+
+        detections.push(makeDetection(box, classIndex, nameOf(modelClass), score));
+    }
+
+    return result(detections.sort((a, b) => b.score - a.score));
+}
+
+function makeDetection(box, classIndex, className, score) {
+    return {
+        x: box.x,
+        y: box.y,
+        width: box.width,
+        height: box.height,
+        class: classIndex,
+        className,
+        score
+    };
+}
+
+// A phone lying on a laptop must not suppress the laptop (or vice versa)
+function nmsPerClass(detections, iouThreshold) {
+    const byClass = new Map();
+    detections.forEach((det) => {
+        if (!byClass.has(det.class)) byClass.set(det.class, []);
+        byClass.get(det.class).push(det);
+    });
+
+    const kept = [];
+    byClass.forEach(group => kept.push(...nms(group, iouThreshold)));
+    return kept.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Greedy non-maximum suppression. Does not modify the input array.
+ * @param {Array<{x, y, width, height, score}>} detections
+ * @param {number} iouThreshold - Boxes overlapping a better box by at least this much are dropped
+ * @returns {Array} Kept detections, highest score first
+ */
+export function nms(detections, iouThreshold) {
+    let remaining = [...detections].sort((a, b) => b.score - a.score);
+    const filtered = [];
+
+    while (remaining.length > 0) {
+        const best = remaining.shift();
+        filtered.push(best);
+        remaining = remaining.filter(det => calculateIOU(best, det) < iouThreshold);
+    }
+
+    return filtered;
+}
+
+/**
+ * Intersection over union of two {x, y, width, height} boxes.
+ * @returns {number} Value in [0, 1]
+ */
+export function calculateIOU(box1, box2) {
+    const x1 = Math.max(box1.x, box2.x);
+    const y1 = Math.max(box1.y, box2.y);
+    const x2 = Math.min(box1.x + box1.width, box2.x + box2.width);
+    const y2 = Math.min(box1.y + box1.height, box2.y + box2.height);
+
+    if (x2 < x1 || y2 < y1) return 0;
+
+    const intersection = (x2 - x1) * (y2 - y1);
+    const area1 = box1.width * box1.height;
+    const area2 = box2.width * box2.height;
+    const union = area1 + area2 - intersection;
+
+    return union > 0 ? intersection / union : 0;
+}
@@ -1,235 +1,215 @@
-// YOLOv8 Nano Detection Engine - Non-blocking version
-// Supports both YOLOv5 and YOLOv8 models (auto-detected)
-// Load ONNX.js from CDN
-let ort = null;
-
-// Load ONNX.js library
-async function loadONNX() {
-    if (typeof window !== 'undefined' && window.ort) {
-        return window.ort;
-    }
-    
-    // Try loading from CDN - use version 1.18 for better compatibility
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/ort.min.js';
-    script.async = true;
-    
-    return new Promise((resolve, reject) => {
-        script.onload = () => {
-            if (window.ort) {
-                // Configure WASM with more memory
-                if (window.ort.env && window.ort.env.wasm) {
-                    window.ort.env.wasm.numThreads = 1;
-                    window.ort.env.wasm.simd = true;
-                }
-                resolve(window.ort);
-            } else {
-                reject(new Error('ONNX.js failed to load'));
-            }
-        };
-        script.onerror = () => reject(new Error('Failed to load ONNX.js script'));
-        document.head.appendChild(script);
-    });
-}
+// Focus Guard UI - screens, toggles, alerts and overlay drawing
+// Detection itself lives in phone-detector.js (worker-backed, DOM-free)
+
+import { PhoneDetector } from './phone-detector.js';
+import { PHONE_STATES } from './phone-state-machine.js';
+import { SessionRecorder } from './session-recorder.js';
+import { saveSession } from './session-store.js';
+import { renderDashboard, clearHistory } from './dashboard.js';
+import { goalsFromSettings } from './goals.js';
+import { initGoalsCard } from './goals-card.js';
+import { initAudio, resumeAudio, setSoundEnabled, playAlertLevel, speak, playChime } from './audio-alerts.js';
+import { AlertPolicy, ALERT_LEVELS } from './alert-policy.js';
+import { initAlertSoundsPanel } from './alert-sounds-panel.js';
+import { FocusTimer, validateTimerOptions, formatRemaining } from './focus-timer.js';
+import { SettingsStore } from './settings.js';
+import { initSettingsPanel, downloadFile } from './settings-panel.js';
+import { ProfileStore, ALERT_MODES, profileSmoothingOptions, alertModeFor, classColor, classLabel } from './distraction-profiles.js';
+import { initProfilePanel } from './profile-panel.js';
+import { PHONE_USAGE, PERSON_CLASS_INDEX } from './phone-context.js';
+import { mirrorBox } from './detection-core.js';
+import { DEFAULT_MODEL_MANIFEST } from './model-manifest.js';
+import { registerServiceWorker, initOfflineIndicator } from './pwa.js';
+import { ZoneStore } from './roi-zones.js';
+import { initRoiEditor } from './roi-editor.js';
+import { CameraManager } from './camera-manager.js';
+import { Integrations, INTEGRATION_EVENTS } from './integrations.js';
+import { initIntegrationsPanel } from './integrations-panel.js';
+import { captureSnapshot } from './snapshot-capture.js';
+import {
+    saveSnapshot,
+    pruneSnapshots,
+    createSnapshotId,
+    snapshotLimits,
+    enforceSnapshotRetention
+} from './snapshot-store.js';
+import { initSnapshotGallery } from './snapshot-gallery.js';
+import { initPipDashboard } from './pip-dashboard.js';
+import { PresenceTracker, modelDetectsPeople } from './presence-tracker.js';
+import { SOURCE_TYPES, isLiveSource, tracksPresence, sourceTypeForFile, openScreenCapture } from './frame-sources.js';
+import { initSourcePlayer } from './source-player.js';
+import { logger, createLogger } from './logger.js';
+import { FrameRateMeter, createDiagnosticsBundle } from './diagnostics.js';
+import { initDiagnosticsOverlay } from './diagnostics-overlay.js';
+
+const log = createLogger('app');
 
 // UI Elements
 const homepage = document.getElementById('homepage');
 const permissionScreen = document.getElementById('permission-screen');
 const detectionScreen = document.getElementById('detection-screen');
+const dashboardScreen = document.getElementById('dashboard-screen');
+const dashboardLink = document.getElementById('dashboard-link');
+const dashboardBackBtn = document.getElementById('dashboard-back-btn');
+const clearHistoryBtn = document.getElementById('clear-history-btn');
 const detectionToggle = document.getElementById('detection-toggle');
 const detectionToggleAlt = document.getElementById('detection-toggle-alt');
 const startBtn = document.getElementById('start-btn');
 const startBtnAlt = document.getElementById('start-btn-alt');
 const requestPermissionBtn = document.getElementById('request-permission-btn');
+const screenShareBtn = document.getElementById('screen-share-btn');
+const openFileBtn = document.getElementById('open-file-btn');
+const sourceFileInput = document.getElementById('source-file-input');
+const sourceOpenBtn = document.getElementById('source-open-btn');
 const stopBtn = document.getElementById('stop-btn');
 const soundToggle = document.getElementById('sound-toggle');
 const pipBtn = document.getElementById('pip-btn');
+const pauseBtn = document.getElementById('pause-btn');
 const pipInfo = document.getElementById('pip-info');
 
 const video = document.getElementById('webcam');
+const sourceImage = document.getElementById('source-image');
 const canvas = document.getElementById('canvas-overlay');
 const ctx = canvas.getContext('2d');
 const statusPanel = document.getElementById('status-panel');
+const statusText = document.getElementById('status-text');
+const statusTimer = document.getElementById('status-timer');
+const statusBackend = document.getElementById('status-backend');
+
+const timerBtn = document.getElementById('timer-btn');
+const timerPanel = document.getElementById('timer-panel');
+const timerWorkInput = document.getElementById('timer-work');
+const timerBreakInput = document.getElementById('timer-break');
+const timerCyclesInput = document.getElementById('timer-cycles');
+const timerError = document.getElementById('timer-error');
+const timerStartBtn = document.getElementById('timer-start-btn');
+const timerEndBtn = document.getElementById('timer-end-btn');
+const blockSummary = document.getElementById('block-summary');
+const settingsLink = document.getElementById('settings-link');
+const settingsBtn = document.getElementById('settings-btn');
+const profilesLink = document.getElementById('profiles-link');
+const profilesBtn = document.getElementById('profiles-btn');
+const zonesBtn = document.getElementById('zones-btn');
+const diagnosticsBtn = document.getElementById('diagnostics-btn');
+const cameraSelect = document.getElementById('camera-select');
+const permissionError = document.getElementById('permission-error');
+const alertOverlay = document.getElementById('alert-overlay');
+const alertOverlayTitle = document.getElementById('alert-overlay-title');
+const alertOverlayDismiss = document.getElementById('alert-overlay-dismiss');
 
-let model = null;
 let isRunning = false; // Start as false, only run when user enables
-let isProcessing = false;
-let lastPredictionTime = 0;
-let lastPhoneDetectionTime = 0;
-const DETECTION_INTERVAL = 2000; // 2 seconds - more frequent detection
-const SOUND_COOLDOWN = 2000; // 2 seconds between sound alerts
-
-// Sound notification system (works even when tab is inactive)
-let audioContext = null;
-let soundEnabled = true;
+let isPaused = false;
 let isTabHidden = false;
 
-function initAudio() {
-    try {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        
-        // Keep audio context alive by playing silent audio periodically
-        setInterval(() => {
-            if (audioContext && audioContext.state === 'suspended') {
-                audioContext.resume();
-            }
-        }, 1000);
-    } catch (e) {
-        console.warn('Audio context not supported:', e);
-    }
+// What detection runs on - the webcam unless a screen or file was chosen
+let sourceType = SOURCE_TYPES.CAMERA;
+let screenStream = null;
+
+// Files are reviewed: no focus session, alerts, presence or integrations
+function isReviewing() {
+    return !isLiveSource(sourceType);
 }
 
-// Picture-in-Picture support for background detection
+function frameElement() {
+    return sourceType === SOURCE_TYPES.IMAGE ? sourceImage : video;
+}
+
+function sourceReady() {
+    if (sourceType === SOURCE_TYPES.IMAGE) return sourceImage.complete && sourceImage.naturalWidth > 0;
+    return Boolean(video.srcObject || video.src) && video.readyState >= 2;
+}
+
+// The webcam is shown as a mirror, everything else as it is
+function isMirrored() {
+    return sourceType === SOURCE_TYPES.CAMERA;
+}
+
+// Picture-in-Picture mini dashboard for background detection
 let pipEnabled = true; // User can toggle this
 
-async function enterPictureInPicture() {
-    if (!document.pictureInPictureEnabled) {
-        console.log('Picture-in-Picture not supported');
-        return false;
-    }
-    
-    if (!video || !video.srcObject) {
-        console.log('Video not ready for PiP');
-        return false;
+const pipDashboard = initPipDashboard({
+    video,
+    stage: [video, sourceImage, canvas],
+    statusPanel,
+    onPause: togglePause,
+    onStop: stopMonitoring,
+    onChange: showPipState
+});
+let pipUpdateInterval = null;
+
+function updatePipDashboard() {
+    const now = Date.now();
+    pipDashboard.update({
+        elapsed: sessionRecorder.elapsed(now),
+        streak: sessionRecorder.phoneFreeStreak(now),
+        paused: isPaused
+    });
+}
+
+function showPipState(isOpen) {
+    if (pipBtn) {
+        pipBtn.classList.toggle('active', isOpen);
+        pipBtn.innerHTML = isOpen ? '<span>Pop Out Active</span>' : '<span>📺 Pop Out</span>';
     }
-    
-    try {
-        if (document.pictureInPictureElement) {
-            // Already in PiP
-            return true;
-        }
-        await video.requestPictureInPicture();
-        console.log('Entered Picture-in-Picture mode');
-        return true;
-    } catch (e) {
-        console.warn('Failed to enter PiP:', e);
-        return false;
+    clearInterval(pipUpdateInterval);
+    pipUpdateInterval = null;
+    if (isOpen) {
+        updatePipDashboard();
+        pipUpdateInterval = setInterval(updatePipDashboard, 1000);
     }
 }
 
-async function exitPictureInPicture() {
-    if (document.pictureInPictureElement) {
-        try {
-            await document.exitPictureInPicture();
-            console.log('Exited Picture-in-Picture mode');
-        } catch (e) {
-            console.warn('Failed to exit PiP:', e);
-        }
+async function autoPictureInPicture() {
+    if (!isRunning || !pipEnabled || pipDashboard.isOpen()) return;
+    log.debug('Tab hidden, attempting auto-PiP...');
+    if (await pipDashboard.open()) {
+        log.info('Auto-enabled PiP for background detection');
     }
 }
 
 // Track when tab is hidden/visible
 document.addEventListener('visibilitychange', async () => {
     isTabHidden = document.hidden;
-    console.log('Tab visibility changed:', isTabHidden ? 'hidden' : 'visible');
+    log.debug('Tab visibility changed:', isTabHidden ? 'hidden' : 'visible');
     
     // Resume audio when tab becomes visible
-    if (!isTabHidden && audioContext && audioContext.state === 'suspended') {
-        audioContext.resume();
+    if (!isTabHidden) {
+        resumeAudio();
     }
     
     // Auto-enable Picture-in-Picture when tab is hidden
     // Only works after user has clicked the PiP button once (browser security)
-    if (isTabHidden && isRunning && pipEnabled && !document.pictureInPictureElement) {
-        console.log('Tab hidden, attempting auto-PiP...');
-        const entered = await enterPictureInPicture();
-        if (entered) {
-            console.log('Auto-enabled PiP for background detection');
-        }
+    if (isTabHidden) {
+        await autoPictureInPicture();
     }
 });
 
-// Handle PiP window close
-video.addEventListener('leavepictureinpicture', () => {
-    console.log('Left Picture-in-Picture mode');
-});
-
-function playAlertSound() {
-    if (!soundEnabled || !audioContext) return;
-    
-    // Check cooldown to prevent spam
-    const now = Date.now();
-    if (now - lastPhoneDetectionTime < SOUND_COOLDOWN) return;
-    lastPhoneDetectionTime = now;
-    
-    try {
-        // Resume audio context first (required for background playback)
-        if (audioContext.state === 'suspended') {
-            audioContext.resume();
-        }
-        
-        // Play a more noticeable alert when tab is hidden
-        const isBackground = document.hidden;
-        
-        // Create a beep sound using Web Audio API
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-        
-        // Louder and longer beep when in background
-        oscillator.frequency.value = isBackground ? 1000 : 800;
-        oscillator.type = isBackground ? 'square' : 'sine'; // Square wave is more noticeable
-        
-        const volume = isBackground ? 0.5 : 0.3;
-        const duration = isBackground ? 0.8 : 0.5;
-        
-        gainNode.gain.setValueAtTime(volume, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + duration);
-        
-        oscillator.start(audioContext.currentTime);
-        oscillator.stop(audioContext.currentTime + duration);
-        
-        // Play a second beep for background alerts
-        if (isBackground) {
-            setTimeout(() => {
-                if (!soundEnabled || !audioContext) return;
-                const osc2 = audioContext.createOscillator();
-                const gain2 = audioContext.createGain();
-                osc2.connect(gain2);
-                gain2.connect(audioContext.destination);
-                osc2.frequency.value = 1200;
-                osc2.type = 'square';
-                gain2.gain.setValueAtTime(0.5, audioContext.currentTime);
-                gain2.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
-                osc2.start(audioContext.currentTime);
-                osc2.stop(audioContext.currentTime + 0.3);
-            }, 300);
-        }
-        
-        console.log('Alert sound played', isBackground ? '(background)' : '(foreground)');
-    } catch (e) {
-        console.warn('Failed to play sound:', e);
-    }
+// Browsers with automatic PiP (Chrome, for pages using the camera) ask for the
+// window through Media Session when the tab is hidden - no click needed then
+try {
+    navigator.mediaSession?.setActionHandler('enterpictureinpicture', autoPictureInPicture);
+} catch (e) {
+    log.info('Automatic Picture-in-Picture not supported');
 }
 
-// Show browser notification
-let lastNotificationTime = 0;
-const NOTIFICATION_COOLDOWN = 5000; // 5 seconds between notifications
-
-function showNotification() {
-    // Check cooldown
-    const now = Date.now();
-    if (now - lastNotificationTime < NOTIFICATION_COOLDOWN) return;
-    
+// Show browser notification (how often is up to the alert policy)
+function showNotification(className = 'phone') {
     // Only show notification if permission granted
     if (!('Notification' in window)) {
-        console.log('Notifications not supported');
+        log.debug('Notifications not supported');
         return;
     }
     
     if (Notification.permission !== 'granted') {
-        console.log('Notification permission not granted');
+        log.debug('Notification permission not granted');
         return;
     }
     
-    lastNotificationTime = now;
-    
     try {
-        const notification = new Notification('📱 Phone Detected!', {
-            body: 'A phone has been detected in your workspace. Stay focused!',
-            icon: 'humanPhone.png',
+        const isPhone = className === 'cell phone' || className === 'phone';
+        const notification = new Notification(isPhone ? '📱 Phone Detected!' : `Distraction Detected: ${className}`, {
+            body: `A ${isPhone ? 'phone' : className} has been detected in your workspace. Stay focused!`,
+            icon: 'HumanPhone.png',
             tag: 'phone-detection', // Prevents duplicate notifications
             requireInteraction: false, // Auto-dismiss after a few seconds
             silent: false // Allow system sound too
@@ -246,403 +226,521 @@ function showNotification() {
             notification.close();
         };
         
-        console.log('Notification shown');
+        log.debug('Notification shown');
     } catch (e) {
-        console.warn('Failed to show notification:', e);
+        log.warn('Failed to show notification:', e);
     }
 }
 
-// COCO class names (YOLOv5 uses COCO dataset)
-const CLASS_NAMES = [
-    'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck', 'boat',
-    'traffic light', 'fire hydrant', 'stop sign', 'parking meter', 'bench', 'bird', 'cat',
-    'dog', 'horse', 'sheep', 'cow', 'elephant', 'bear', 'zebra', 'giraffe', 'backpack',
-    'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee', 'skis', 'snowboard', 'sports ball',
-    'kite', 'baseball bat', 'baseball glove', 'skateboard', 'surfboard', 'tennis racket',
-    'bottle', 'wine glass', 'cup', 'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple',
-    'sandwich', 'orange', 'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair',
-    'couch', 'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse',
-    'remote', 'keyboard', 'cell phone', 'microwave', 'oven', 'toaster', 'sink', 'refrigerator',
-    'book', 'clock', 'vase', 'scissors', 'teddy bear', 'hair drier', 'toothbrush'
-];
+// User settings and distraction profiles (persisted in localStorage)
+const settingsStore = new SettingsStore();
+const profileStore = new ProfileStore();
 
-// Phone class index in COCO (cell phone = 67)
-const PHONE_CLASS_INDEX = 67;
+function detectorOptions(settings, profile = profileStore.active) {
+    const { targetClasses, classThresholds } = profileSmoothingOptions(profile, settings.confidenceThreshold);
+    return {
+        modelWidth: settings.modelInputSize,
+        modelHeight: settings.modelInputSize,
+        iouThreshold: settings.iouThreshold,
+        detectionInterval: settings.detectionInterval,
+        scheduler: {
+            profile: settings.schedulerProfile,
+            cpuBudget: settings.cpuBudget / 100
+        },
+        smoothing: {
+            enterThreshold: settings.confidenceThreshold,
+            // Hysteresis: a confirmed phone stays confirmed down to 75% of the threshold
+            exitThreshold: settings.confidenceThreshold * 0.75,
+            targetClasses,
+            classThresholds
+        },
+        context: {
+            alertNearby: settings.alertNearbyPhones
+        }
+    };
+}
 
-async function startSystem() {
-    statusPanel.innerText = "Loading ONNX Runtime...";
+// Webcam selection, hot switching and unplug handling
+const cameraManager = new CameraManager();
 
-    try {
-        // Load ONNX.js library first
-        ort = await loadONNX();
-        console.log('ONNX.js loaded successfully');
-        
-        // Initialize ONNX Runtime - check if env exists
-        if (ort && ort.env && ort.env.wasm) {
-            ort.env.wasm.numThreads = 1; // Single thread to prevent blocking
-            ort.env.wasm.simd = false; // Disable SIMD for compatibility
-        } else {
-            console.warn('ONNX.js env.wasm not available, using defaults');
-        }
-        
-        statusPanel.innerText = "Loading YOLOv8 Model...";
-        
-        // Load YOLO ONNX model from local file
-        // Supports both YOLOv5 and YOLOv8 (auto-detected by output format)
-        const modelUrl = './yolov8n.onnx'; // YOLOv8 Nano - 33% more accurate than v5!
-        
-        if (!ort || !ort.InferenceSession) {
-            throw new Error('ONNX.js library not loaded properly');
-        }
-        
-        try {
-            console.log('Loading YOLO model from:', modelUrl);
-            
-            // Fetch the model as ArrayBuffer (more reliable for large models)
-            statusPanel.innerText = "Downloading model...";
-            const response = await fetch(modelUrl);
-            if (!response.ok) {
-                throw new Error(`Model file not found (HTTP ${response.status})`);
-            }
-            
-            const contentLength = response.headers.get('content-length');
-            console.log('Model file found, size:', contentLength, 'bytes');
-            
-            const modelBuffer = await response.arrayBuffer();
-            console.log('Model downloaded, creating session...');
-            statusPanel.innerText = "Initializing AI...";
-            
-            // Load from ArrayBuffer
-            model = await ort.InferenceSession.create(modelBuffer, {
-                executionProviders: ['wasm'],
-                graphOptimizationLevel: 'basic',
-            });
-            statusPanel.innerText = "Model Loaded Successfully!";
-            console.log('Model loaded! Input names:', model.inputNames, 'Output names:', model.outputNames);
-        } catch (modelError) {
-            console.error('Model load error:', modelError);
-            const errorMsg = modelError.message || modelError.toString() || 'Unknown error';
-            throw new Error(`Failed to load model: ${errorMsg}. Make sure yolov8n.onnx is in the project folder.`);
+// Escalating alerts while a distraction stays in view
+function alertPolicyOptions(settings) {
+    // 0 turns a level off
+    const seconds = value => (value > 0 ? value * 1000 : null);
+    return {
+        levels: [
+            { id: ALERT_LEVELS.CHIME, after: 0, cooldown: settings.chimeCooldown * 1000 },
+            { id: ALERT_LEVELS.TONE, after: seconds(settings.toneAfter), cooldown: settings.toneCooldown * 1000 },
+            { id: ALERT_LEVELS.SPEECH, after: seconds(settings.speechAfter), cooldown: settings.speechCooldown * 1000 },
+            { id: ALERT_LEVELS.OVERLAY, after: seconds(settings.overlayAfter), cooldown: settings.overlayCooldown * 1000 }
+        ],
+        quietHours: {
+            enabled: settings.quietHoursEnabled,
+            start: settings.quietHoursStart,
+            end: settings.quietHoursEnd
         }
+    };
+}
 
-        statusPanel.innerText = "Model Ready - Waiting for camera...";
-        
-        // Wait for video stream to be set (will be set by permission handler)
-        const checkVideo = setInterval(() => {
-            if (video.srcObject && video.readyState >= 2) {
-                clearInterval(checkVideo);
-                isRunning = true;
-                statusPanel.innerText = "Active: YOLOv8 Nano";
-        statusPanel.classList.add('status-safe');
-                // Start detection with delay
-                setTimeout(() => {
-                    if (window.requestIdleCallback) {
-                        requestIdleCallback(predictWebcam, { timeout: 1000 });
-                    } else {
-                        setTimeout(predictWebcam, 1000);
-                    }
-                }, 500);
-            }
-        }, 100);
-        
-        // Set timeout to stop checking after 30 seconds
-        setTimeout(() => clearInterval(checkVideo), 30000);
+const alertPolicy = new AlertPolicy(alertPolicyOptions(settingsStore.get()));
 
-    } catch (err) {
-        statusPanel.innerText = "Error: " + err.message;
-        console.error("Startup error:", err);
+// Detector core (DOM-free) - this file only wires it to the screens and toggles
+const detector = new PhoneDetector(detectorOptions(settingsStore.get()));
+
+// Apply settings to the running session without restarting the camera
+async function applySettings(settings, changed = []) {
+    logger.setLevel(settings.logLevel);
+    detector.configure(detectorOptions(settings));
+    alertPolicy.configure(alertPolicyOptions(settings));
+
+    if (changed.some(key => key.startsWith('camera'))) {
+        await cameraManager.applySettings(settings);
     }
 }
 
-// Preprocess image for YOLO models
-function preprocess(imageData, modelWidth, modelHeight) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = modelWidth;
-    canvas.height = modelHeight;
-    
-    ctx.drawImage(imageData, 0, 0, modelWidth, modelHeight);
-    const imageDataProcessed = ctx.getImageData(0, 0, modelWidth, modelHeight);
-    
-    const input = new Float32Array(3 * modelWidth * modelHeight);
-    const data = imageDataProcessed.data;
-    
-    // Normalize to [0, 1] - YOLO expects RGB (not BGR!)
-    for (let i = 0; i < data.length; i += 4) {
-        const r = data[i] / 255.0;
-        const g = data[i + 1] / 255.0;
-        const b = data[i + 2] / 255.0;
-        
-        const index = Math.floor(i / 4);
-        input[index] = r; // R (was incorrectly B)
-        input[index + modelWidth * modelHeight] = g; // G
-        input[index + 2 * modelWidth * modelHeight] = b; // B (was incorrectly R)
-    }
-    
-    return input;
+settingsStore.on('change', ({ settings, changed }) => applySettings(settings, changed));
+applySettings(settingsStore.get());
+
+profileStore.on('change', ({ profile }) => {
+    detector.configure(detectorOptions(settingsStore.get(), profile));
+});
+
+const settingsPanel = initSettingsPanel(settingsStore);
+initAlertSoundsPanel();
+const profilePanel = initProfilePanel(profileStore);
+
+// Daily goals, streak and achievements on the homepage card
+const goalsCard = initGoalsCard({
+    getGoals: () => goalsFromSettings(settingsStore.get()),
+    onEdit: () => settingsPanel.open()
+});
+settingsStore.on('change', ({ changed }) => {
+    if (changed.some(key => key.startsWith('goal'))) goalsCard.render();
+});
+
+// Desk zones, saved per camera so a laptop and an external webcam each keep their own
+const zoneStore = new ZoneStore();
+let lastDetections = [];
+
+// Screens and files keep zones of their own, one set per source type
+function cameraDeviceId() {
+    if (sourceType !== SOURCE_TYPES.CAMERA) return sourceType;
+    return cameraManager.deviceId || 'default';
 }
 
-// Post-process YOLO output (supports both YOLOv5 and YOLOv8)
-function postprocess(output, imgWidth, imgHeight, modelWidth, modelHeight) {
-    const detections = [];
-    const outputDims = output.dims;
-    const outputData = Array.from(output.data);
-    
-    const scaleX = imgWidth / modelWidth;
-    const scaleY = imgHeight / modelHeight;
-    
-    console.log('Output dims:', outputDims);
-    
-    // YOLOv8 format: [1, 84, 8400] - transposed!
-    // 84 = 4 (x,y,w,h) + 80 (class scores)
-    // 8400 = number of detection candidates
-    if (outputDims.length === 3 && outputDims[1] === 84) {
-        console.log('Detected YOLOv8 output format');
-        const numClasses = 80;
-        const numDetections = outputDims[2]; // 8400
-        
-        for (let i = 0; i < numDetections; i++) {
-            // YOLOv8 is transposed: data is stored as [feature][detection]
-            const x_center = outputData[0 * numDetections + i] * scaleX;
-            const y_center = outputData[1 * numDetections + i] * scaleY;
-            const w = outputData[2 * numDetections + i] * scaleX;
-            const h = outputData[3 * numDetections + i] * scaleY;
-            
-            // Find class with highest score (no separate objectness in YOLOv8)
-            let maxClass = 0;
-            let maxScore = outputData[4 * numDetections + i]; // First class score
-            
-            for (let j = 1; j < numClasses; j++) {
-                const score = outputData[(4 + j) * numDetections + i];
-                if (score > maxScore) {
-                    maxScore = score;
-                    maxClass = j;
-                }
-            }
-            
-            // Skip low confidence detections
-            if (maxScore < 0.4) continue;
-            
-            // ONLY DETECT PHONES (class 67 = cell phone in COCO)
-            if (maxClass !== 67) continue;
-            
-            console.log(`YOLOv8 Phone detected! Confidence: ${(maxScore * 100).toFixed(1)}%`);
-            
-            detections.push({
-                x: x_center - w / 2,
-                y: y_center - h / 2,
-                width: w,
-                height: h,
-                class: maxClass,
-                className: CLASS_NAMES[maxClass] || `class_${maxClass}`,
-                score: maxScore
-            });
-        }
-        
-        return nms(detections, 0.45);
+function applyZones() {
+    detector.configure({ zones: zoneStore.get(cameraDeviceId()) });
+}
+
+zoneStore.on('change', ({ deviceId }) => {
+    if (deviceId === cameraDeviceId()) applyZones();
+});
+
+const roiEditor = initRoiEditor({
+    canvas,
+    store: zoneStore,
+    getDeviceId: cameraDeviceId,
+    // Detection may be paused for a while in a static scene - redraw right away
+    onChange: () => displayDetections(lastDetections),
+    isMirrored
+});
+
+detector.on('status', ({ message }) => {
+    statusText.innerText = message;
+});
+
+// Smoothed inference time shown next to the backend name
+let inferenceMs = null;
+
+// Diagnostics overlay and the bundle for bug reports
+const frameRate = new FrameRateMeter();
+let lastFrame = null;
+
+function modelDiagnostics() {
+    if (!detector.manifest) return null;
+    return {
+        name: detector.manifest.name,
+        url: detector.manifest.url,
+        inputWidth: detector.modelWidth,
+        inputHeight: detector.modelHeight
+    };
+}
+
+function updateDiagnostics() {
+    diagnosticsOverlay.update({
+        backend: detector.backend,
+        model: modelDiagnostics(),
+        frameRate: frameRate.rate(),
+        frame: lastFrame
+    });
+}
+
+function downloadDiagnostics() {
+    const bundle = createDiagnosticsBundle({
+        settings: settingsStore.get(),
+        profile: profileStore.active,
+        model: modelDiagnostics(),
+        backend: detector.backend,
+        source: {
+            type: sourceType,
+            width: video.videoWidth || sourceImage.naturalWidth,
+            height: video.videoHeight || sourceImage.naturalHeight,
+            zones: zoneStore.get(cameraDeviceId()).length
+        },
+        frame: lastFrame,
+        frameRate: frameRate.rate(),
+        log: logger.entries()
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`focus-guard-diagnostics-${date}.json`, JSON.stringify(bundle, null, 2));
+    log.info('Diagnostics bundle downloaded');
+}
+
+const diagnosticsOverlay = initDiagnosticsOverlay({
+    onDownload: downloadDiagnostics,
+    // Both live in the top-left corner
+    onOpen: () => roiEditor.close()
+});
+
+function showBackend() {
+    if (!detector.backend) return;
+    statusBackend.innerText = `${detector.backend.label} · ${Math.round(inferenceMs ?? detector.backend.latency)} ms`;
+    statusBackend.hidden = false;
+}
+
+detector.on('detection', (frame) => {
+    const { detections, width, height, inferenceTime, timestamp, mediaTime } = frame;
+    // A frame may still arrive just after pausing
+    if (!isRunning || isPaused) return;
+    lastFrame = frame;
+    frameRate.tick(timestamp);
+    updateDiagnostics();
+    if (isReviewing()) {
+        // Same classes as the overlay; a still image has no media time
+        const profile = profileStore.active;
+        sourcePlayer.record(mediaTime ?? 0, detections.filter(det => profile.classes[det.class]));
+    } else if (presenceAvailable && tracksPresence(sourceType) && settingsStore.get().presenceEnabled) {
+        presenceTracker.update(detections, timestamp);
     }
-    
-    // YOLOv5 format: [1, 25200, 85]
-    // 85 = 4 (x,y,w,h) + 1 (objectness) + 80 (class scores)
-    if (outputDims.length === 3 && outputDims[2] === 85) {
-        console.log('Detected YOLOv5 output format');
-        const numBoxes = outputDims[1];
-        
-        for (let i = 0; i < numBoxes; i++) {
-            const offset = i * 85;
-            const x_center = outputData[offset] * scaleX;
-            const y_center = outputData[offset + 1] * scaleY;
-            const w = outputData[offset + 2] * scaleX;
-            const h = outputData[offset + 3] * scaleY;
-            const conf = outputData[offset + 4]; // Objectness score
-            
-            if (conf < 0.4) continue;
-            
-            // Find class with highest score
-            let maxClass = 0;
-            let maxScore = outputData[offset + 5];
-            for (let j = 1; j < 80; j++) {
-                if (outputData[offset + 5 + j] > maxScore) {
-                    maxScore = outputData[offset + 5 + j];
-                    maxClass = j;
-                }
-            }
-            
-            const finalScore = conf * maxScore;
-            if (finalScore < 0.4) continue;
-            
-            // ONLY DETECT PHONES (class 67 = cell phone)
-            if (maxClass !== 67) continue;
-            
-            console.log(`YOLOv5 Phone detected! Confidence: ${(finalScore * 100).toFixed(1)}%`);
-            
-            detections.push({
-                x: x_center - w / 2,
-                y: y_center - h / 2,
-                width: w,
-                height: h,
-                class: maxClass,
-                className: CLASS_NAMES[maxClass] || `class_${maxClass}`,
-                score: finalScore
-            });
+
+    inferenceMs = inferenceMs === null ? inferenceTime : inferenceMs * 0.9 + inferenceTime * 0.1;
+    showBackend();
+
+    // Render - use requestAnimationFrame to ensure smooth updates
+    requestAnimationFrame(() => {
+        // Resize canvas to match video exactly
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
         }
-        
-        return nms(detections, 0.45);
+        displayDetections(detections);
+    });
+});
+
+detector.on('state', ({ to, detection }) => {
+    if (detection) lastDistraction = detection.className;
+    if (isRunning && !isPaused) updateStatus(to);
+});
+
+// Focus session history (saved locally when Stop is clicked)
+const sessionRecorder = new SessionRecorder();
+
+// Webhooks and the BroadcastChannel/postMessage bridge for other tools
+const integrations = new Integrations();
+initIntegrationsPanel(integrations);
+
+// Alert snapshots are reviewed on the dashboard
+const snapshotGallery = initSnapshotGallery({ getLimits: () => snapshotLimits(settingsStore.get()) });
+enforceSnapshotRetention(settingsStore);
+
+// Video and image files under review; the downloaded results say how they were produced
+const sourcePlayer = initSourcePlayer({
+    video,
+    image: sourceImage,
+    getReportDetails: () => ({
+        model: detector.manifest?.name,
+        backend: detector.backend?.name,
+        profile: profileStore.active.id,
+        zones: zoneStore.get(cameraDeviceId()),
+        settings: settingsStore.get()
+    })
+});
+
+async function finishSession() {
+    const session = sessionRecorder.stop();
+    if (!session) return;
+
+    integrations.emit(INTEGRATION_EVENTS.SESSION_END, {
+        sessionId: session.id,
+        duration: session.endTime - session.startTime,
+        phoneEvents: session.phoneEvents,
+        phoneSeconds: session.phoneSeconds
+    }, session.endTime);
+
+    try {
+        await saveSession(session);
+        log.info('Session saved:', session.id);
+        goalsCard.render();
+    } catch (e) {
+        log.warn('Failed to save session:', e);
     }
-    
-    // Fallback for other formats
-    console.log('Unknown output format:', outputDims);
-    return detections;
 }
 
-// Simple NMS implementation
-function nms(detections, iouThreshold) {
-    detections.sort((a, b) => b.score - a.score);
-    const filtered = [];
-    
-    while (detections.length > 0) {
-        const best = detections.shift();
-        filtered.push(best);
-        detections = detections.filter(det => {
-            const iou = calculateIOU(best, det);
-            return iou < iouThreshold;
-        });
-    }
-    
-    return filtered;
+// The confirmed distraction, if any. It only counts (and alerts) while
+// someone is at the desk - `since` is set once it does.
+let distraction = null;
+
+function endDistraction(timestamp) {
+    integrations.emit(INTEGRATION_EVENTS.PHONE_END, {
+        sessionId: sessionRecorder.id,
+        duration: timestamp - distraction.since
+    }, timestamp);
+    distraction.since = null;
+    sessionRecorder.phoneEnd(timestamp);
+    focusTimer.phoneEnd(timestamp);
+    alertPolicy.end(timestamp);
 }
 
-function calculateIOU(box1, box2) {
-    const x1 = Math.max(box1.x, box2.x);
-    const y1 = Math.max(box1.y, box2.y);
-    const x2 = Math.min(box1.x + box1.width, box2.x + box2.width);
-    const y2 = Math.min(box1.y + box1.height, box2.y + box2.height);
-    
-    if (x2 < x1 || y2 < y1) return 0;
-    
-    const intersection = (x2 - x1) * (y2 - y1);
-    const area1 = box1.width * box1.height;
-    const area2 = box2.width * box2.height;
-    const union = area1 + area2 - intersection;
-    
-    return intersection / union;
+detector.on('phone-end', ({ timestamp }) => {
+    if (distraction && distraction.since !== null) endDistraction(timestamp);
+    distraction = null;
+});
+
+// Alerts follow confirmed distractions, not individual frames
+detector.on('phone-start', ({ timestamp, detection }) => {
+    if (isPaused || isReviewing()) return;
+    distraction = { detection, since: null };
+    // Nobody at the desk - a phone left lying in view is not a distraction
+    if (!isAway) startDistraction(timestamp);
+});
+
+function startDistraction(timestamp) {
+    const { detection } = distraction;
+    distraction.since = timestamp;
+    focusTimer.phoneStart(timestamp);
+    integrations.emit(INTEGRATION_EVENTS.PHONE_START, {
+        sessionId: sessionRecorder.id,
+        className: detection ? detection.className : 'cell phone',
+        confidence: detection ? detection.score : null,
+        onBreak: isOnBreak()
+    }, timestamp);
+
+    // Phones are fine during timer breaks
+    if (!isOnBreak()) countDistraction(timestamp);
 }
 
-async function predictWebcam() {
-    if (!isRunning || !model || !ort) return;
-    
-    // Check if video is ready
-    if (!video || video.videoWidth === 0 || video.readyState < 2) {
-        setTimeout(predictWebcam, 500);
-        return;
+// Session time and alerts, for a distraction outside a timer break
+function countDistraction(timestamp) {
+    const { detection } = distraction;
+    sessionRecorder.phoneStart(timestamp);
+
+    // Each class in the active profile decides how loudly it alerts
+    const alertMode = detection ? alertModeFor(profileStore.active, detection.class) : ALERT_MODES.FULL;
+    if (alertMode !== ALERT_MODES.NONE) {
+        alertPolicy.start(timestamp, { alertMode, className: detection ? detection.className : 'phone', detection });
     }
+}
 
-    // Rate limiting - only run every 2 seconds
-    const now = Date.now();
-    if (now - lastPredictionTime < DETECTION_INTERVAL) {
-        setTimeout(predictWebcam, 500);
-        return;
+// Presence: with nobody in view for the grace period, alerts and focus time pause
+const presenceTracker = new PresenceTracker(presenceOptions(settingsStore.get()));
+let isAway = false;
+// Custom models without a person class cannot tell
+let presenceAvailable = true;
+
+function presenceOptions(settings) {
+    return { awayAfterMs: settings.awayGracePeriod * 1000 };
+}
+
+presenceTracker.on('away', ({ since, timestamp }) => {
+    isAway = true;
+    sessionRecorder.awayStart(since, timestamp);
+    if (distraction && distraction.since !== null) endDistraction(timestamp);
+    updateStatus(detector.phoneState);
+});
+
+presenceTracker.on('return', ({ timestamp }) => {
+    isAway = false;
+    sessionRecorder.awayEnd(timestamp);
+    // Came back to a phone that is still in view
+    if (distraction) startDistraction(timestamp);
+    updateStatus(detector.phoneState);
+});
+
+// Leaving the away state without a 'return', e.g. when pausing or turning the setting off
+function resetPresence(timestamp = Date.now()) {
+    if (isAway) {
+        isAway = false;
+        sessionRecorder.awayEnd(timestamp);
+        if (distraction && isRunning && !isPaused) startDistraction(timestamp);
     }
+    presenceTracker.reset(timestamp);
+}
 
-    // Prevent overlapping
-    if (isProcessing) {
-        setTimeout(predictWebcam, 500);
-        return;
+settingsStore.on('change', ({ settings }) => {
+    presenceTracker.configure(presenceOptions(settings));
+    if (!settings.presenceEnabled) resetPresence();
+});
+
+// Opt-in snapshots: the first alert of each distraction keeps a picture of what triggered it
+async function saveAlertSnapshot(detection, timestamp) {
+    const settings = settingsStore.get();
+    if (!settings.snapshotsEnabled) return;
+
+    // The object may have moved since the distraction was confirmed
+    const current = lastDetections.find(det => det.trackId === detection.trackId && det.class === detection.class) || detection;
+    const persons = lastDetections.filter(det => det.class === PERSON_CLASS_INDEX);
+    try {
+        const snapshot = await captureSnapshot(video, { box: current, persons, blur: settings.snapshotBlur });
+        await saveSnapshot({
+            ...snapshot,
+            id: createSnapshotId(timestamp),
+            timestamp,
+            sessionId: sessionRecorder.id,
+            classIndex: current.class,
+            className: current.className,
+            score: current.score
+        });
+        await pruneSnapshots(snapshotLimits(settings));
+    } catch (e) {
+        log.warn('Failed to save alert snapshot:', e);
     }
+}
 
-    lastPredictionTime = now;
-    isProcessing = true;
+alertPolicy.on('alert', ({ level, timestamp, context }) => {
+    const { alertMode, className, detection } = context;
+    if (detection && !context.snapshotTaken) {
+        context.snapshotTaken = true;
+        saveAlertSnapshot(detection, timestamp);
+    }
+    const audible = alertMode === ALERT_MODES.FULL || alertMode === ALERT_MODES.SOUND;
+    const visible = alertMode === ALERT_MODES.FULL || alertMode === ALERT_MODES.NOTIFICATION;
 
-    // Resize canvas to match video exactly
-    if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
+    // Sounds play in the background too; notifications matter most when the tab is hidden
+    if (level === ALERT_LEVELS.SPEECH) {
+        if (audible) speak(settingsStore.get().speechMessage);
+    } else if (level === ALERT_LEVELS.OVERLAY) {
+        if (audible) playAlertLevel(ALERT_LEVELS.TONE);
+        if (visible) showAlertOverlay(className);
+    } else if (audible) {
+        playAlertLevel(level);
     }
+    if (visible) showNotification(className);
+});
 
-    // Use setTimeout to yield to browser BEFORE processing
-    // This ensures the page can handle clicks/interactions
-    setTimeout(async () => {
-        try {
-            const modelWidth = 640;
-            const modelHeight = 640;
-            
-            // Yield to browser multiple times during processing
-            // Preprocess
-            await new Promise(resolve => setTimeout(resolve, 10));
-            const input = preprocess(video, modelWidth, modelHeight);
-            
-            // Create tensor
-            await new Promise(resolve => setTimeout(resolve, 10));
-            const tensor = new ort.Tensor('float32', input, [1, 3, modelHeight, modelWidth]);
-            
-            // Run inference - this is the blocking part
-            // But we've yielded multiple times already, so browser can handle events
-            const feeds = { [model.inputNames[0]]: tensor };
-            const results = await model.run(feeds);
-            
-            // Get output
-            const output = results[model.outputNames[0]];
-            
-            // Post-process
-            await new Promise(resolve => setTimeout(resolve, 10));
-            const detections = postprocess(output, video.videoWidth, video.videoHeight, modelWidth, modelHeight);
-            
-            // Debug: Log all detections
-            if (detections.length > 0) {
-                console.log(`Found ${detections.length} phone detection(s):`, detections);
+alertPolicy.on('clear', () => hideAlertOverlay());
+
+function showAlertOverlay(className) {
+    const isPhone = className === 'cell phone' || className === 'phone';
+    alertOverlayTitle.textContent = isPhone ? 'Still on your phone?' : `Still distracted by the ${className}?`;
+    alertOverlay.hidden = false;
+}
+
+function hideAlertOverlay() {
+    alertOverlay.hidden = true;
+}
+
+// Dismissing only hides it - it comes back after its cooldown if the phone stays
+alertOverlayDismiss.addEventListener('click', hideAlertOverlay);
+
+detector.on('error', ({ error }) => {
+    log.warn("Detection error:", error);
+    // e.g. a custom model whose output format cannot be read
+    if (isRunning) statusText.innerText = "Error: " + error.message;
+});
+
+async function startSystem() {
+    statusText.innerText = "Starting detection worker...";
+
+    try {
+        // Load YOLO ONNX model - the built-in YOLOv8 Nano or a custom model manifest
+        // Output format is taken from the manifest or auto-detected
+        const { modelManifestUrl } = settingsStore.get();
+        const info = modelManifestUrl
+            ? await detector.loadManifest(modelManifestUrl)
+            : await detector.load(DEFAULT_MODEL_MANIFEST.url); // YOLOv8 Nano - 33% more accurate than v5!
+        statusText.innerText = "Model Loaded Successfully!";
+        log.info('Model loaded! Input names:', info.inputNames, 'Output names:', info.outputNames);
+        log.info(`Running on ${info.backend.label} (${info.backend.latency.toFixed(1)} ms benchmark)`, info.backend.benchmark);
+        inferenceMs = null;
+        showBackend();
+
+        statusText.innerText = "Model Ready - Waiting for camera...";
+        
+        // Wait for the camera, screen or file to show its first frame
+        const checkVideo = setInterval(() => {
+            if (sourceReady()) {
+                clearInterval(checkVideo);
+                startDetectionLoop();
             }
-            
-            // Render - use requestAnimationFrame to ensure smooth updates
-            requestAnimationFrame(() => {
-                displayDetections(detections);
-                isProcessing = false;
-            });
-            
-        } catch (err) {
-            console.warn("Detection error:", err);
-            isProcessing = false;
+        }, 100);
+        
+        // Set timeout to stop checking after 30 seconds
+        setTimeout(() => clearInterval(checkVideo), 30000);
+
+    } catch (err) {
+        statusText.innerText = "Error: " + err.message;
+        log.error("Startup error:", err);
     }
+}
+
+function startDetectionLoop() {
+    if (isRunning) return;
 
-        // Schedule next detection with longer delay
-        setTimeout(predictWebcam, 1000);
-    }, 200); // Initial delay to yield to browser
+    isRunning = true;
+    presenceAvailable = modelDetectsPeople(detector.manifest);
+    if (!presenceAvailable) log.warn('This model has no person class - presence detection is off');
+    presenceTracker.reset();
+    frameRate.reset();
+    statusText.innerText = `Active: ${detector.manifest.name}`;
+    statusPanel.classList.add('status-safe');
+    if (!isReviewing()) {
+        sessionRecorder.start();
+        integrations.emit(INTEGRATION_EVENTS.SESSION_START, { sessionId: sessionRecorder.id }, sessionRecorder.startTime);
+    }
+    detector.start(frameElement());
 }
 
 function displayDetections(detections) {
+    lastDetections = detections;
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    let phoneFound = false;
+    // Objects outside the zones were already dropped by the detector
+    roiEditor.draw(ctx);
 
-    // Filter to only phones (should already be filtered, but double-check)
-    const phoneDetections = detections.filter(det => det.class === 67 || det.className === 'cell phone');
+    // Only draw classes the active profile cares about
+    const profile = profileStore.active;
+    const profileDetections = detections.filter(det => profile.classes[det.class]);
+    const { alertNearbyPhones } = settingsStore.get();
 
-    phoneDetections.forEach((det) => {
-        const { x, y, width, height, className, score } = det;
-        const scorePercent = Math.round(score * 100);
+    // For the webcam the canvas is mirrored with CSS transform: scaleX(-1) to
+    // match video. Undo that in the drawing transform and mirror the boxes
+    // instead, so boxes still line up with the video but labels read left-to-right.
+    // Boxes are already clipped to the frame by postprocess().
+    const mirrored = isMirrored();
+    ctx.save();
+    if (mirrored) ctx.setTransform(-1, 0, 0, 1, canvas.width, 0);
 
-            phoneFound = true;
+    profileDetections.forEach((det) => {
+        const { x, y, width, height } = mirrored ? mirrorBox(det, canvas.width) : det;
+        const { className, score, trackId } = det;
+        const scorePercent = Math.round(score * 100);
 
-        // Canvas is mirrored with CSS transform: scaleX(-1) to match video
-        // So we draw at the original coordinates (no mirroring needed in code)
-        // Ensure coordinates are within canvas bounds
-        const boxX = Math.max(0, Math.min(x, canvas.width - width));
-        const boxY = Math.max(0, Math.min(y, canvas.height - height));
-        const boxW = Math.min(width, canvas.width - boxX);
-        const boxH = Math.min(height, canvas.height - boxY);
-        
-        drawBox(boxX, boxY, boxW, boxH, className, scorePercent);
+        let label = trackId ? `${className} #${trackId}` : className;
+        if (det.usage) label += det.usage === PHONE_USAGE.IN_USE ? ' (in use)' : ' (nearby)';
+        drawBox(x, y, width, height, label, scorePercent, classColor(det.class),
+            det.usage === PHONE_USAGE.NEARBY && !alertNearbyPhones);
     });
 
-    updateStatus(phoneFound);
+    ctx.restore();
+    drawLegend(profile);
 }
 
-function drawBox(x, y, w, h, label, score) {
-    ctx.strokeStyle = '#00FF00';
-    if (label === 'cell phone') {
-        ctx.strokeStyle = '#FF0000';
-    }
-
+function drawBox(x, y, w, h, label, score, color, dashed = false) {
+    ctx.strokeStyle = color;
     ctx.lineWidth = 4;
+    // Dashed outline: seen, but not something we alert on
+    ctx.setLineDash(dashed ? [10, 6] : []);
     ctx.strokeRect(x, y, w, h);
+    ctx.setLineDash([]);
     
     ctx.fillStyle = ctx.strokeStyle;
     ctx.fillRect(x, y, w, 25);
@@ -652,36 +750,227 @@ function drawBox(x, y, w, h, label, score) {
     ctx.fillText(`${label} ${score}%`, x + 5, y + 20);
 }
 
-function updateStatus(found) {
-    if (found) {
-        statusPanel.innerText = "⚠️ PHONE DETECTED ⚠️";
-        statusPanel.classList.remove('status-safe');
+// Colour key for the active profile, top-left as the user sees it
+function drawLegend(profile) {
+    const classes = Object.keys(profile.classes).map(Number);
+    const rowHeight = 22;
+    const width = 170;
+    const height = classes.length * rowHeight + 12;
+
+    ctx.save();
+    // A canvas mirrored with CSS is flipped back so the text reads normally
+    if (isMirrored()) ctx.setTransform(-1, 0, 0, 1, canvas.width, 0);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(10, 10, width, height);
+
+    ctx.font = '14px Arial';
+    classes.forEach((classIndex, i) => {
+        const y = 16 + i * rowHeight;
+        ctx.fillStyle = classColor(classIndex);
+        ctx.fillRect(18, y + 3, 12, 12);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(classLabel(classIndex), 38, y + 14);
+    });
+
+    ctx.restore();
+}
+
+// Status follows the debounced phone state, not individual frames
+let lastDistraction = 'cell phone';
+
+function updateStatus(state) {
+    statusPanel.classList.remove('status-safe', 'status-warning', 'status-danger', 'status-away');
+
+    if (isPaused) {
+        statusText.innerText = "Paused";
+        statusPanel.classList.add('status-warning');
+    } else if (isAway) {
+        statusText.innerText = "Away - alerts paused";
+        statusPanel.classList.add('status-away');
+    } else if (isOnBreak()) {
+        statusText.innerText = "Break time";
+        statusPanel.classList.add('status-safe');
+    } else if (state === PHONE_STATES.CONFIRMED) {
+        const what = lastDistraction === 'cell phone' ? 'PHONE' : lastDistraction.toUpperCase();
+        statusText.innerText = `⚠️ ${what} DETECTED ⚠️`;
         statusPanel.classList.add('status-danger');
-        
-        // Play sound alert (works in background too)
-        playAlertSound();
-        
-        // Show browser notification (especially useful when tab is not active)
-        showNotification();
+    } else if (state === PHONE_STATES.SUSPECTED) {
+        statusText.innerText = lastDistraction === 'cell phone' ? "Possible phone..." : `Possible ${lastDistraction}...`;
+        statusPanel.classList.add('status-warning');
     } else {
-        statusPanel.innerText = "Scanning...";
-        statusPanel.classList.remove('status-danger');
+        statusText.innerText = "Scanning...";
         statusPanel.classList.add('status-safe');
     }
 }
 
+// Pausing stops detection, alerts and focus time until resumed (e.g. for a call)
+function setPaused(paused) {
+    if (!isRunning || paused === isPaused) return;
+    isPaused = paused;
+    const now = Date.now();
+    if (paused) {
+        // Ends a running distraction, which also ends its alerts
+        detector.stop();
+        resetPresence(now);
+        sessionRecorder.pause(now);
+    } else {
+        sessionRecorder.resume(now);
+        presenceTracker.reset(now);
+        // A lost camera resumes detection itself when it comes back
+        if (!cameraLost) detector.start(frameElement());
+    }
+    updateStatus(detector.phoneState);
+    showPauseState();
+}
+
+function togglePause() {
+    setPaused(!isPaused);
+}
+
+function showPauseState() {
+    if (pauseBtn) pauseBtn.innerHTML = isPaused ? '<span>▶ Resume</span>' : '<span>⏸ Pause</span>';
+    if (pipDashboard.isOpen()) updatePipDashboard();
+}
+
+// Timed focus sessions (Pomodoro)
+const focusTimer = new FocusTimer();
+let blockSummaryTimeout = null;
+
+function isOnBreak() {
+    return focusTimer.isActive && !focusTimer.isWorkBlock;
+}
+
+function showTimerControls(active) {
+    timerStartBtn.hidden = active;
+    timerEndBtn.hidden = !active;
+    timerWorkInput.disabled = active;
+    timerBreakInput.disabled = active;
+    timerCyclesInput.disabled = active;
+    timerBtn.classList.toggle('active', active);
+}
+
+function endFocusTimer() {
+    focusTimer.stop();
+    statusTimer.hidden = true;
+    showTimerControls(false);
+}
+
+function showBlockSummary(summary) {
+    const { phase, cycle, violations, phoneSeconds } = summary;
+    const cycles = focusTimer.options.cycles;
+
+    let message;
+    if (phase === 'work') {
+        const pickups = violations === 1 ? '1 phone pickup' : `${violations} phone pickups`;
+        const phoneTime = phoneSeconds > 0 ? `, ${formatRemaining(phoneSeconds * 1000)} on phone` : '';
+        const next = cycle < cycles ? ` Enjoy a ${focusTimer.options.breakMinutes} min break!` : '';
+        message = violations === 0
+            ? `Work block ${cycle}/${cycles} done - phone-free! 🎉${next}`
+            : `Work block ${cycle}/${cycles} done: ${pickups}${phoneTime}.${next}`;
+    } else {
+        message = `Break over - work block ${cycle + 1}/${cycles} starts now.`;
+    }
+
+    blockSummary.textContent = message;
+    blockSummary.classList.toggle('has-violations', phase === 'work' && violations > 0);
+    blockSummary.hidden = false;
+
+    clearTimeout(blockSummaryTimeout);
+    blockSummaryTimeout = setTimeout(() => {
+        blockSummary.hidden = true;
+    }, 10000);
+}
+
+focusTimer.on('tick', ({ phase, cycle, cycles, remainingMs }) => {
+    const label = phase === 'work' ? `Work ${cycle}/${cycles}` : 'Break';
+    statusTimer.innerText = `${label} · ${formatRemaining(remainingMs)}`;
+    statusTimer.hidden = false;
+});
+
+focusTimer.on('block-end', (summary) => {
+    // A break has started (or work resumed) - whatever was escalating starts over
+    alertPolicy.end();
+    // A phone still in view stops counting as the break starts and counts
+    // again once work resumes (the timer carries it over by itself)
+    if (distraction && distraction.since !== null) {
+        if (isOnBreak()) sessionRecorder.phoneEnd(summary.endTime);
+        else countDistraction(summary.endTime);
+    }
+    playChime(summary.phase === 'work' ? 'work-end' : 'break-end');
+    showBlockSummary(summary);
+    if (isRunning) updateStatus(detector.phoneState);
+});
+
+focusTimer.on('finished', ({ blocks }) => {
+    const violations = blocks.reduce((total, block) => total + block.violations, 0);
+    playChime('session-end');
+    endFocusTimer();
+    blockSummary.textContent = `Timed session complete! ${blocks.filter(b => b.phase === 'work').length} work blocks, ` +
+        `${violations} phone pickup${violations === 1 ? '' : 's'} in total.`;
+    log.info('Timed session finished:', blocks);
+});
+
+if (timerBtn) {
+    timerBtn.addEventListener('click', () => {
+        roiEditor.close();
+        timerPanel.hidden = !timerPanel.hidden;
+    });
+}
+
+if (timerStartBtn) {
+    timerStartBtn.addEventListener('click', () => {
+        try {
+            focusTimer.options = validateTimerOptions({
+                workMinutes: timerWorkInput.value,
+                breakMinutes: timerBreakInput.value,
+                cycles: timerCyclesInput.value
+            });
+        } catch (e) {
+            timerError.textContent = e.message;
+            timerError.hidden = false;
+            return;
+        }
+
+        timerError.hidden = true;
+        timerPanel.hidden = true;
+        showTimerControls(true);
+        focusTimer.start();
+    });
+}
+
+if (timerEndBtn) {
+    timerEndBtn.addEventListener('click', () => {
+        endFocusTimer();
+        timerPanel.hidden = true;
+        if (isRunning) updateStatus(detector.phoneState);
+    });
+}
+
+if (blockSummary) {
+    blockSummary.addEventListener('click', () => {
+        blockSummary.hidden = true;
+    });
+}
+
 // UI Flow Management
 function showScreen(screenName) {
     homepage.classList.remove('active');
     permissionScreen.classList.remove('active');
     detectionScreen.classList.remove('active');
+    dashboardScreen.classList.remove('active');
     
     if (screenName === 'homepage') {
         homepage.classList.add('active');
+        goalsCard.render();
     } else if (screenName === 'permission') {
         permissionScreen.classList.add('active');
     } else if (screenName === 'detection') {
         detectionScreen.classList.add('active');
+    } else if (screenName === 'dashboard') {
+        dashboardScreen.classList.add('active');
+        renderDashboard();
+        snapshotGallery.render();
     }
 }
 
@@ -717,114 +1006,357 @@ if (startBtnAlt) {
     });
 }
 
-requestPermissionBtn.addEventListener('click', async () => {
+// Camera picker on the detection screen
+let cameraLost = false;
+
+function renderCameraOptions(devices) {
+    if (!cameraSelect) return;
+    cameraSelect.innerHTML = '';
+    devices.forEach(({ deviceId, label }) => {
+        cameraSelect.appendChild(new Option(label, deviceId));
+    });
+    cameraSelect.value = cameraManager.deviceId || '';
+    // Nothing to choose between with a single camera
+    cameraSelect.hidden = devices.length < 2 || sourceType !== SOURCE_TYPES.CAMERA;
+}
+
+cameraManager.on('devices', ({ devices }) => renderCameraOptions(devices));
+
+cameraManager.on('stream', ({ stream, deviceId }) => {
+    video.srcObject = stream;
+    applyZones();
+    if (cameraSelect) cameraSelect.value = deviceId || '';
+
+    // Same model, new camera - detection carries on once the first frame arrives
+    if (cameraLost && isRunning) {
+        cameraLost = false;
+        // Time without a camera is not time away
+        resetPresence();
+        if (!isPaused) detector.start(video);
+        updateStatus(detector.phoneState);
+    }
+});
+
+cameraManager.on('disconnected', () => {
+    if (!isRunning) return;
+    cameraLost = true;
+    detector.stop();
+    statusPanel.classList.remove('status-safe', 'status-danger', 'status-away');
+    statusPanel.classList.add('status-warning');
+    statusText.innerText = 'Camera disconnected - plug it back in or pick another camera';
+});
+
+if (cameraSelect) {
+    cameraSelect.addEventListener('change', async () => {
+        // The 'stream' handler picks detection up on the new camera
+        cameraLost = isRunning;
+        try {
+            await cameraManager.switchTo(cameraSelect.value, settingsStore.get());
+        } catch (err) {
+            // The previous stream is already closed - wait for another choice or a replug
+            if (isRunning) detector.stop();
+            statusPanel.classList.remove('status-safe', 'status-danger', 'status-away');
+            statusPanel.classList.add('status-warning');
+            statusText.innerText = `Camera error: ${err.message}`;
+            renderCameraOptions(cameraManager.devices);
+        }
+    });
+}
+
+// Point the detection screen at a source before detection starts on it
+function useSource(type) {
+    sourceType = type;
+    video.classList.toggle('is-unmirrored', !isMirrored());
+    canvas.classList.toggle('is-unmirrored', !isMirrored());
+    // Pausing, the timer and the camera picker are for live monitoring
+    const live = isLiveSource(type);
+    if (pauseBtn) pauseBtn.hidden = !live;
+    if (timerBtn) timerBtn.hidden = !live;
+    if (cameraSelect && type !== SOURCE_TYPES.CAMERA) cameraSelect.hidden = true;
+    if (!tracksPresence(type)) resetPresence();
+    applyZones();
+}
+
+function showPermissionError(message) {
+    permissionError.textContent = message;
+    permissionError.hidden = false;
+}
+
+async function requestNotificationPermission() {
+    // Request notification permission with user feedback
+    if ('Notification' in window && Notification.permission === 'default') {
+        const permission = await Notification.requestPermission();
+        log.info('Notification permission:', permission);
+        if (permission === 'granted') {
+            // Show a test notification
+            new Notification('Focus Guard Active!', {
+                body: 'You will be notified when a phone is detected, even if you switch tabs.',
+                icon: 'HumanPhone.png',
+                tag: 'welcome'
+            });
+        }
+    } else if (Notification.permission === 'granted') {
+        log.info('Notifications already enabled');
+    } else {
+        log.info('Notifications denied or not supported');
+    }
+}
+
+// The source is open - load the model and start once it shows a frame
+async function beginMonitoring() {
     try {
-        const stream = await navigator.mediaDevices.getUserMedia({ 
-            video: { 
-                width: { ideal: 640 },
-                height: { ideal: 480 },
-                frameRate: { ideal: 10 }
-            } 
-        });
-        video.srcObject = stream;
+        permissionError.hidden = true;
         showScreen('detection');
         initAudio();
-        
-        // Request notification permission with user feedback
-        if ('Notification' in window && Notification.permission === 'default') {
-            const permission = await Notification.requestPermission();
-            console.log('Notification permission:', permission);
-            if (permission === 'granted') {
-                // Show a test notification
-                new Notification('Focus Guard Active!', {
-                    body: 'You will be notified when a phone is detected, even if you switch tabs.',
-                    icon: 'humanPhone.png',
-                    tag: 'welcome'
-                });
-            }
-        } else if (Notification.permission === 'granted') {
-            console.log('Notifications already enabled');
-        } else {
-            console.log('Notifications denied or not supported');
-        }
-        
+
+        // Reviewed files never alert
+        if (!isReviewing()) await requestNotificationPermission();
+
         // Start the detection system (model loading)
         await startSystem();
         
         // Wait for video to load
         video.addEventListener("loadeddata", () => {
-            isRunning = true;
-            statusPanel.innerText = "Active: YOLOv8 Nano";
-            statusPanel.classList.add('status-safe');
-            setTimeout(() => {
-                if (window.requestIdleCallback) {
-                    requestIdleCallback(predictWebcam, { timeout: 1000 });
-                } else {
-                    setTimeout(predictWebcam, 1000);
-                }
-            }, 500);
+            if (detector.isLoaded && sourceReady()) startDetectionLoop();
         }, { once: true });
     } catch (err) {
-        alert('Camera access denied. Please allow camera access to use Focus Guard.');
-        showScreen('homepage');
+        statusText.innerText = "Error: " + err.message;
+        log.error("Startup error:", err);
+    }
+}
+
+requestPermissionBtn.addEventListener('click', async () => {
+    useSource(SOURCE_TYPES.CAMERA);
+    try {
+        await cameraManager.open(settingsStore.get());
+    } catch (err) {
+        // Stay here so the user can fix the problem and try again
+        showPermissionError(err.message);
+        requestPermissionBtn.querySelector('span').textContent = 'Try Again';
+        return;
+    }
+    await beginMonitoring();
+});
+
+if (screenShareBtn) {
+    screenShareBtn.addEventListener('click', async () => {
+        let stream;
+        try {
+            stream = await openScreenCapture();
+        } catch (err) {
+            showPermissionError(err.message);
+            return;
+        }
+
+        useSource(SOURCE_TYPES.SCREEN);
+        screenStream = stream;
+        video.srcObject = stream;
+        // The browser's own "Stop sharing" button ends monitoring like Stop
+        stream.getVideoTracks()[0].addEventListener('ended', () => {
+            if (screenStream === stream) stopMonitoring();
+        }, { once: true });
+        await beginMonitoring();
+    });
+}
+
+// Files can be opened from the permission screen, or swapped while reviewing
+function canOpenFile() {
+    if (permissionScreen.classList.contains('active')) return true;
+    return isRunning && isReviewing();
+}
+
+async function openFile(file) {
+    if (!canOpenFile()) return;
+    const type = sourceTypeForFile(file);
+    if (!type) {
+        const message = `"${file.name}" is not a video or image file.`;
+        if (isRunning) {
+            statusText.innerText = message;
+        } else {
+            showPermissionError(message);
+        }
+        return;
+    }
+
+    if (!isRunning) {
+        useSource(type);
+        sourcePlayer.load(file, type);
+        await beginMonitoring();
+        return;
     }
+
+    // Another file - the model stays loaded
+    detector.stop();
+    lastDetections = [];
+    useSource(type);
+    sourcePlayer.load(file, type);
+    if (!isPaused) detector.start(frameElement());
+    updateStatus(detector.phoneState);
+}
+
+function pickFile() {
+    sourceFileInput.click();
+}
+
+if (openFileBtn) openFileBtn.addEventListener('click', pickFile);
+if (sourceOpenBtn) sourceOpenBtn.addEventListener('click', pickFile);
+
+sourceFileInput.addEventListener('change', () => {
+    const [file] = sourceFileInput.files;
+    // The same file can be picked again
+    sourceFileInput.value = '';
+    if (file) openFile(file);
+});
+
+// Drag and drop a recording onto the page
+const dropTarget = permissionScreen.querySelector('.permission-wrapper');
+
+document.addEventListener('dragover', (event) => {
+    if (!canOpenFile() || !event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    dropTarget.classList.add('is-drop-target');
+});
+
+document.addEventListener('dragleave', (event) => {
+    // Only when leaving the window, not when moving between elements
+    if (!event.relatedTarget) dropTarget.classList.remove('is-drop-target');
+});
+
+document.addEventListener('drop', (event) => {
+    dropTarget.classList.remove('is-drop-target');
+    const [file] = event.dataTransfer.files;
+    if (!file || !canOpenFile()) return;
+    event.preventDefault();
+    openFile(file);
 });
 
-stopBtn.addEventListener('click', async () => {
+async function stopMonitoring() {
     isRunning = false;
+    isPaused = false;
+    isAway = false;
+    showPauseState();
+    roiEditor.close();
+    alertPolicy.end();
+    lastDetections = [];
+    lastFrame = null;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    await detector.dispose();
+    finishSession();
+    endFocusTimer();
+    timerPanel.hidden = true;
+    blockSummary.hidden = true;
     
     // Exit Picture-in-Picture first
-    if (document.pictureInPictureElement) {
-        await exitPictureInPicture();
-    }
+    await pipDashboard.close();
     
-    if (video.srcObject) {
-        video.srcObject.getTracks().forEach(track => track.stop());
-        video.srcObject = null;
+    cameraManager.stop();
+    cameraLost = false;
+    video.srcObject = null;
+    if (screenStream) {
+        screenStream.getTracks().forEach(track => track.stop());
+        screenStream = null;
     }
+    sourcePlayer.unload();
+    useSource(SOURCE_TYPES.CAMERA);
     showScreen('homepage');
     syncToggles(false);
-});
+}
 
-soundToggle.addEventListener('change', (e) => {
-    soundEnabled = e.target.checked;
-});
+stopBtn.addEventListener('click', stopMonitoring);
 
-// PiP button handler - manual trigger (works better with browser restrictions)
-if (pipBtn) {
-    pipBtn.addEventListener('click', async () => {
-        if (document.pictureInPictureElement) {
-            // Already in PiP, exit it
-            await exitPictureInPicture();
-            pipBtn.classList.remove('active');
-            pipBtn.innerHTML = '<span>📺 Pop Out</span>';
+if (pauseBtn) {
+    pauseBtn.addEventListener('click', togglePause);
+}
+
+if (zonesBtn) {
+    zonesBtn.addEventListener('click', () => {
+        if (roiEditor.isOpen()) {
+            roiEditor.close();
         } else {
-            // Enter PiP
-            const success = await enterPictureInPicture();
-            if (success) {
-                pipBtn.classList.add('active');
-                pipBtn.innerHTML = '<span>Pop Out Active</span>';
-                pipEnabled = true; // Enable auto-PiP after manual trigger
+            timerPanel.hidden = true;
+            diagnosticsOverlay.close();
+            // Zones are drawn in frame pixels - the overlay may not have been sized yet
+            if (video.videoWidth && canvas.width !== video.videoWidth) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
             }
+            roiEditor.open();
         }
     });
 }
 
-// Update button when PiP state changes
-video.addEventListener('enterpictureinpicture', () => {
-    if (pipBtn) {
-        pipBtn.classList.add('active');
-        pipBtn.innerHTML = '<span>Pop Out Active</span>';
-    }
-});
+if (diagnosticsBtn) {
+    diagnosticsBtn.addEventListener('click', () => {
+        diagnosticsOverlay.toggle();
+        updateDiagnostics();
+    });
+}
 
-video.addEventListener('leavepictureinpicture', () => {
-    if (pipBtn) {
-        pipBtn.classList.remove('active');
-        pipBtn.innerHTML = '<span>📺 Pop Out</span>';
-    }
+if (settingsLink) {
+    settingsLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        settingsPanel.open();
+    });
+}
+
+if (settingsBtn) {
+    settingsBtn.addEventListener('click', () => {
+        settingsPanel.open();
+    });
+}
+
+if (profilesLink) {
+    profilesLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        profilePanel.open();
+    });
+}
+
+if (profilesBtn) {
+    profilesBtn.addEventListener('click', () => {
+        profilePanel.open();
+    });
+}
+
+if (dashboardLink) {
+    dashboardLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        showScreen('dashboard');
+    });
+}
+
+if (dashboardBackBtn) {
+    dashboardBackBtn.addEventListener('click', () => {
+        showScreen('homepage');
+    });
+}
+
+if (clearHistoryBtn) {
+    clearHistoryBtn.addEventListener('click', async () => {
+        if (!confirm('Delete all saved focus sessions? Goal streaks and achievements start over too.')) return;
+        try {
+            await clearHistory();
+        } catch (e) {
+            log.warn('Failed to clear history:', e);
+        }
+    });
+}
+
+soundToggle.addEventListener('change', (e) => {
+    setSoundEnabled(e.target.checked);
 });
 
+// PiP button handler - manual trigger (works better with browser restrictions)
+if (pipBtn) {
+    pipBtn.addEventListener('click', async () => {
+        if (pipDashboard.isOpen()) {
+            await pipDashboard.close();
+        } else if (await pipDashboard.open()) {
+            pipEnabled = true; // Enable auto-PiP after manual trigger
+        }
+    });
+}
+
 // Hide PiP info after 8 seconds
 if (pipInfo) {
     setTimeout(() => {
@@ -839,3 +1371,5 @@ if (pipInfo) {
 // Initialize on page load
 showScreen('homepage');
 initAudio();
+initOfflineIndicator(document.getElementById('offline-indicator'));
+registerServiceWorker();
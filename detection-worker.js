@@ -0,0 +1,274 @@
+// YOLO Detection Worker - owns the ONNX session off the main thread
+// Pre/post-processing lives in detection-core.js and is shared with Node
+//
+// Message protocol (main thread -> worker):
+//   { type: 'load', id, modelUrl, config, inputWidth, inputHeight, preferredBackend }
+//   { type: 'load', id, modelBuffer, config, inputWidth, inputHeight, preferredBackend }
+//       config = { preprocess, postprocess } option defaults from model-manifest.js modelConfig()
+//       preferredBackend = backend remembered from an earlier load (skips the benchmark)
+//   { type: 'infer', id, frame, width, height, modelWidth, modelHeight, geometry, padColor, options }
+//       frame = ImageBitmap or ImageData (transferred), options = postprocess() options,
+//       geometry = resizeGeometry() for letterboxing the frame into the model input
+//   { type: 'dispose', id }
+//
+// Replies (worker -> main thread):
+//   { type: 'status', id, message, progress? }     progress while loading (progress = download %)
+//   { type: 'loaded', id, inputNames, outputNames, backend, backendLabel, latency, benchmark }
+//       benchmark = [{ backend, latency } | { backend, error }], empty when the preferred backend worked
+//   { type: 'result', id, detections, inferenceTime, stages, stats }
+//       stages = { preprocess, inference, postprocess } in ms; inferenceTime is their sum
+//       stats = { candidates, kept, topScores } from postprocessWithStats()
+//   { type: 'disposed', id }
+//   { type: 'error', id, message }
+
+import {
+    MODEL_WIDTH,
+    MODEL_HEIGHT,
+    PAD_COLOR,
+    RESIZE_MODES,
+    preprocess,
+    postprocessWithStats,
+    resizeGeometry,
+    drawResized
+} from './detection-core.js';
+import { probeBackends, selectBackend, describeBackend, wasmThreads } from './execution-backend.js';
+import { createLogger } from './logger.js';
+
+const ORT_VERSION = '1.18.0';
+// Vendored copy (npm install) so the app works offline; the CDN is only a fallback
+const ORT_LOCAL_URL = new URL('./vendor/onnxruntime-web/', import.meta.url).href;
+const ORT_CDN_URL = `https://cdn.jsdelivr.net/npm/onnxruntime-web@${ORT_VERSION}/dist/`;
+
+const log = createLogger('worker');
+
+let ort = null;
+let model = null;
+let modelConfig = { preprocess: {}, postprocess: {} };
+
+// Scratch canvas and input tensor buffer reused for every frame
+let scratchCanvas = null;
+let scratchCtx = null;
+let inputBuffer = null;
+
+// Load ONNX Runtime (ESM build) inside the worker
+async function loadONNX() {
+    if (ort) return ort;
+
+    // The "all" bundle ships every execution provider (WebGPU, WebGL, WASM)
+    let baseUrl = ORT_LOCAL_URL;
+    try {
+        ort = await import(`${baseUrl}esm/ort.all.min.js`);
+    } catch (e) {
+        log.warn('Vendored ONNX Runtime not found (run npm install), using the CDN:', e);
+        baseUrl = ORT_CDN_URL;
+        ort = await import(`${baseUrl}esm/ort.all.min.js`);
+    }
+
+    if (ort.env && ort.env.wasm) {
+        ort.env.wasm.wasmPaths = baseUrl;
+        // Running in a worker, so SIMD and multiple threads no longer block the UI.
+        // Threads are only available when the page is cross-origin isolated.
+        ort.env.wasm.simd = true;
+        ort.env.wasm.numThreads = wasmThreads();
+    }
+    return ort;
+}
+
+// Use the remembered backend if it still works, otherwise benchmark everything available
+async function createSession(id, modelBuffer, { inputWidth, inputHeight, preferredBackend, dataType }) {
+    const onStatus = message => postMessage({ type: 'status', id, message });
+    const available = await probeBackends();
+    const options = { inputWidth, inputHeight, dataType, onStatus };
+
+    if (preferredBackend && available.includes(preferredBackend)) {
+        try {
+            const chosen = await selectBackend(ort, modelBuffer, { ...options, candidates: [preferredBackend], benchmark: false });
+            return { ...chosen, results: [] };
+        } catch (e) {
+            log.warn(`Remembered backend ${preferredBackend} failed, benchmarking again:`, e);
+        }
+    }
+
+    onStatus('Benchmarking backends...');
+    return selectBackend(ort, modelBuffer, { ...options, candidates: available });
+}
+
+async function loadModel(id, { modelUrl, modelBuffer, config, inputWidth = MODEL_WIDTH, inputHeight = MODEL_HEIGHT, preferredBackend }) {
+    postMessage({ type: 'status', id, message: 'Loading ONNX Runtime...' });
+    await loadONNX();
+
+    if (!ort || !ort.InferenceSession) {
+        throw new Error('ONNX.js library not loaded properly');
+    }
+
+    let chosen;
+
+    try {
+        if (!modelBuffer) {
+            // Fetch the model as ArrayBuffer (more reliable for large models)
+            postMessage({ type: 'status', id, message: 'Downloading model...' });
+            const response = await fetch(modelUrl);
+            if (!response.ok) {
+                throw new Error(`Model file not found (HTTP ${response.status})`);
+            }
+            modelBuffer = await readWithProgress(response, (percent) => {
+                postMessage({ type: 'status', id, message: `Downloading model... ${percent}%`, progress: percent });
+            });
+        }
+
+        postMessage({ type: 'status', id, message: 'Initializing AI...' });
+
+        if (model) {
+            await model.release();
+            model = null;
+        }
+
+        chosen = await createSession(id, modelBuffer, {
+            inputWidth,
+            inputHeight,
+            preferredBackend,
+            dataType: config?.preprocess?.dataType
+        });
+        model = chosen.session;
+        modelConfig = {
+            preprocess: { ...config?.preprocess },
+            postprocess: { ...config?.postprocess }
+        };
+    } catch (modelError) {
+        const errorMsg = modelError.message || modelError.toString() || 'Unknown error';
+        const where = modelUrl ? ` Make sure ${modelUrl} exists.` : '';
+        throw new Error(`Failed to load model: ${errorMsg}.${where}`);
+    }
+
+    return {
+        inputNames: model.inputNames,
+        outputNames: model.outputNames,
+        backend: chosen.backend,
+        backendLabel: describeBackend(chosen.backend),
+        latency: chosen.latency,
+        benchmark: chosen.results
+    };
+}
+
+// Read a response body, reporting whole percentages when the size is known
+async function readWithProgress(response, onProgress) {
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!total || !response.body) return response.arrayBuffer();
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    let lastPercent = -1;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+
+        // Compressed transfers can deliver more bytes than Content-Length says
+        const percent = Math.min(100, Math.floor((received / total) * 100));
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            onProgress(percent);
+        }
+    }
+
+    const buffer = new Uint8Array(received);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        buffer.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return buffer.buffer;
+}
+
+// Letterbox the incoming frame into the model input and read back RGBA pixels
+function frameToPixels(frame, modelWidth, modelHeight, geometry, padColor) {
+    // Frame was already resized on the main thread (no OffscreenCanvas support)
+    if (typeof ImageBitmap === 'undefined' || !(frame instanceof ImageBitmap)) {
+        return frame.data;
+    }
+
+    if (!scratchCanvas) {
+        scratchCanvas = new OffscreenCanvas(modelWidth, modelHeight);
+        scratchCtx = scratchCanvas.getContext('2d', { willReadFrequently: true });
+    } else if (scratchCanvas.width !== modelWidth || scratchCanvas.height !== modelHeight) {
+        // Input size changed in settings
+        scratchCanvas.width = modelWidth;
+        scratchCanvas.height = modelHeight;
+    }
+
+    drawResized(scratchCtx, frame, geometry, padColor);
+    frame.close();
+    return scratchCtx.getImageData(0, 0, modelWidth, modelHeight).data;
+}
+
+async function infer(frame, imgWidth, imgHeight, modelWidth, modelHeight, geometry, padColor, options) {
+    if (!model) {
+        if (frame.close) frame.close();
+        throw new Error('Model not loaded');
+    }
+
+    const started = performance.now();
+    const pixels = frameToPixels(frame, modelWidth, modelHeight, geometry, padColor);
+    const input = preprocess(pixels, modelWidth, modelHeight, { ...modelConfig.preprocess, output: inputBuffer });
+    // Safe to reuse: only one frame is in flight at a time
+    inputBuffer = input;
+    const dataType = input instanceof Uint8Array ? 'uint8' : 'float32';
+    const tensor = new ort.Tensor(dataType, input, [1, 3, modelHeight, modelWidth]);
+
+    const feeds = { [model.inputNames[0]]: tensor };
+    const preprocessed = performance.now();
+    const results = await model.run(feeds);
+    const output = results[model.outputNames[0]];
+    const inferred = performance.now();
+
+    const { detections, stats } = postprocessWithStats(output, imgWidth, imgHeight, modelWidth, modelHeight, {
+        ...modelConfig.postprocess,
+        ...options,
+        geometry
+    });
+    const finished = performance.now();
+    return {
+        detections,
+        inferenceTime: finished - started,
+        stages: {
+            preprocess: preprocessed - started,
+            inference: inferred - preprocessed,
+            postprocess: finished - inferred
+        },
+        stats
+    };
+}
+
+self.onmessage = async (event) => {
+    const { type, id } = event.data;
+
+    try {
+        if (type === 'load') {
+            const info = await loadModel(id, event.data);
+            postMessage({ type: 'loaded', id, ...info });
+        } else if (type === 'infer') {
+            const {
+                frame, width, height, options,
+                modelWidth = MODEL_WIDTH, modelHeight = MODEL_HEIGHT,
+                geometry = resizeGeometry(width, height, modelWidth, modelHeight, RESIZE_MODES.LETTERBOX),
+                padColor = PAD_COLOR
+            } = event.data;
+            const result = await infer(frame, width, height, modelWidth, modelHeight, geometry, padColor, options);
+            postMessage({ type: 'result', id, ...result });
+        } else if (type === 'dispose') {
+            if (model) {
+                await model.release();
+                model = null;
+            }
+            postMessage({ type: 'disposed', id });
+        } else {
+            throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (err) {
+        log.warn('Worker error:', err);
+        postMessage({ type: 'error', id, message: err.message || String(err) });
+    }
+};
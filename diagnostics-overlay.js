@@ -0,0 +1,73 @@
+// Diagnostics overlay on the detection screen - backend, frame rate, stage
+// timings, candidates before/after NMS and the top raw class scores of the
+// latest frame, with a button to download the diagnostics bundle.
+
+import { formatStages, formatTopScores } from './diagnostics.js';
+
+/**
+ * Wire up the overlay.
+ * @param {object} options
+ * @param {Function} options.onDownload - Download button clicked
+ * @param {Function} [options.onOpen] - Called when the overlay opens, e.g. to close other panels
+ * @returns {{open: Function, close: Function, toggle: Function, isOpen: Function, update: Function}}
+ */
+export function initDiagnosticsOverlay({ onDownload, onOpen = () => {} }) {
+    const panel = document.getElementById('diagnostics-overlay');
+    const downloadBtn = document.getElementById('diagnostics-download-btn');
+    const fields = {
+        backend: document.getElementById('diagnostics-backend'),
+        model: document.getElementById('diagnostics-model'),
+        frameRate: document.getElementById('diagnostics-fps'),
+        frame: document.getElementById('diagnostics-frame'),
+        stages: document.getElementById('diagnostics-stages'),
+        candidates: document.getElementById('diagnostics-candidates'),
+        scores: document.getElementById('diagnostics-scores')
+    };
+
+    downloadBtn.addEventListener('click', () => onDownload());
+
+    function isOpen() {
+        return !panel.hidden;
+    }
+
+    function open() {
+        onOpen();
+        panel.hidden = false;
+    }
+
+    function close() {
+        panel.hidden = true;
+    }
+
+    function toggle() {
+        if (isOpen()) {
+            close();
+        } else {
+            open();
+        }
+    }
+
+    /**
+     * Show the latest numbers; cheap enough to call for every frame.
+     * @param {object} state
+     * @param {object} [state.backend] - detector.backend
+     * @param {object} [state.model] - { name, inputWidth, inputHeight }
+     * @param {number} state.frameRate
+     * @param {object} [state.frame] - Last detector 'detection' event
+     */
+    function update({ backend, model, frameRate, frame }) {
+        if (!isOpen()) return;
+        fields.backend.textContent = backend ? `${backend.label} (${backend.latency.toFixed(1)} ms benchmark)` : '-';
+        fields.model.textContent = model ? `${model.name} · ${model.inputWidth}×${model.inputHeight}` : '-';
+        fields.frameRate.textContent = `${frameRate.toFixed(1)} fps`;
+        if (!frame) return;
+        fields.frame.textContent = `${frame.width}×${frame.height} · ${frame.state}`;
+        fields.stages.textContent = formatStages(frame.stages);
+        fields.candidates.textContent = frame.stats
+            ? `${frame.stats.candidates} → ${frame.stats.kept} after NMS → ${frame.detections.length} tracked`
+            : `${frame.detections.length} tracked`;
+        fields.scores.textContent = frame.stats ? formatTopScores(frame.stats.topScores) : '-';
+    }
+
+    return { open, close, toggle, isOpen, update };
+}
@@ -0,0 +1,139 @@
+// Diagnostics for bug reports - frame rate, per-frame pipeline numbers and the
+// downloadable bundle (settings, environment, recent log). Frames, snapshots
+// and other images are never part of it.
+
+const BUNDLE_FORMAT = 'focus-guard-diagnostics';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Analysed frames per second over a sliding window.
+ */
+export class FrameRateMeter {
+    constructor({ windowMs = 5000 } = {}) {
+        this.windowMs = windowMs;
+        this.times = [];
+    }
+
+    tick(timestamp = Date.now()) {
+        this.times.push(timestamp);
+        this._trim(timestamp);
+    }
+
+    /**
+     * @returns {number} Frames per second, 0 without two frames in the window
+     */
+    rate(now = Date.now()) {
+        this._trim(now);
+        if (this.times.length < 2) return 0;
+        const span = this.times[this.times.length - 1] - this.times[0];
+        return span > 0 ? ((this.times.length - 1) * 1000) / span : 0;
+    }
+
+    reset() {
+        this.times = [];
+    }
+
+    _trim(now) {
+        while (this.times.length > 0 && now - this.times[0] > this.windowMs) this.times.shift();
+    }
+}
+
+/**
+ * "preprocess 4.1 · inference 38.0 · postprocess 2.2 ms"
+ * @param {Object<string, number>} stages - Milliseconds per stage
+ */
+export function formatStages(stages) {
+    const parts = Object.entries(stages).map(([name, ms]) => `${name} ${ms.toFixed(1)}`);
+    return `${parts.join(' · ')} ms`;
+}
+
+/**
+ * "person 0.91 · cell phone 0.62"
+ * @param {Array<{className: string, score: number}>} topScores
+ */
+export function formatTopScores(topScores) {
+    if (topScores.length === 0) return 'none';
+    return topScores.map(({ className, score }) => `${className} ${score.toFixed(2)}`).join(' · ');
+}
+
+/**
+ * The numbers worth keeping from a detector 'detection' event - no pixels.
+ * @param {object} event
+ */
+export function summarizeFrame(event) {
+    return {
+        timestamp: event.timestamp,
+        width: event.width,
+        height: event.height,
+        state: event.state,
+        stages: event.stages,
+        candidates: event.stats?.candidates,
+        kept: event.stats?.kept,
+        tracked: event.detections.length,
+        topScores: event.stats?.topScores
+    };
+}
+
+/**
+ * Browser and device details that explain most backend and performance problems.
+ * @param {object} [env=globalThis]
+ */
+export function collectEnvironment(env = globalThis) {
+    const navigator = env.navigator || {};
+    return {
+        userAgent: navigator.userAgent,
+        platform: navigator.userAgentData?.platform ?? navigator.platform,
+        language: navigator.language,
+        hardwareConcurrency: navigator.hardwareConcurrency,
+        deviceMemory: navigator.deviceMemory,
+        online: navigator.onLine,
+        webgpu: Boolean(navigator.gpu),
+        crossOriginIsolated: Boolean(env.crossOriginIsolated),
+        documentPictureInPicture: 'documentPictureInPicture' in env,
+        standalone: env.matchMedia?.('(display-mode: standalone)').matches ?? false,
+        screen: env.screen
+            ? { width: env.screen.width, height: env.screen.height, devicePixelRatio: env.devicePixelRatio }
+            : null
+    };
+}
+
+/**
+ * Everything attached to a bug report, ready for JSON.stringify.
+ * @param {object} parts
+ * @param {object} parts.settings
+ * @param {object} [parts.profile] - Active distraction profile
+ * @param {object} [parts.model] - Model name, URL and input size
+ * @param {object} [parts.backend] - detector.backend
+ * @param {object} [parts.source] - What detection runs on, e.g. { type: 'camera' }
+ * @param {object} [parts.frame] - Last detector 'detection' event
+ * @param {number} [parts.frameRate]
+ * @param {Array} parts.log - Logger entries
+ * @param {object} [parts.environment=collectEnvironment()]
+ * @param {Date} [parts.createdAt=new Date()]
+ */
+export function createDiagnosticsBundle({
+    settings,
+    profile = null,
+    model = null,
+    backend = null,
+    source = null,
+    frame = null,
+    frameRate = 0,
+    log,
+    environment = collectEnvironment(),
+    createdAt = new Date()
+}) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: createdAt.toISOString(),
+        environment,
+        settings,
+        profile,
+        model,
+        backend,
+        source,
+        lastFrame: frame ? { ...summarizeFrame(frame), frameRate } : null,
+        log
+    };
+}
@@ -0,0 +1,211 @@
+// Distraction profiles - which COCO classes count as a distraction, how
+// confident the model must be for each, and how each one alerts.
+//
+// Built-in profiles are read-only; users can save their own copies.
+
+import { EventEmitter } from './event-emitter.js';
+import { CLASS_NAMES, PHONE_CLASS_INDEX } from './detection-core.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('profiles');
+
+const STORAGE_KEY = 'focus-guard-profiles';
+
+export const ALERT_MODES = Object.freeze({
+    FULL: 'sound-and-notification',
+    SOUND: 'sound',
+    NOTIFICATION: 'notification',
+    NONE: 'none'
+});
+
+export const ALERT_MODE_LABELS = {
+    [ALERT_MODES.FULL]: 'Sound + notification',
+    [ALERT_MODES.SOUND]: 'Sound only',
+    [ALERT_MODES.NOTIFICATION]: 'Notification only',
+    [ALERT_MODES.NONE]: 'Box only (no alert)'
+};
+
+/**
+ * @typedef {object} ClassRule
+ * @property {number|null} threshold - null uses the global confidence setting
+ * @property {string} alert - One of ALERT_MODES
+ *
+ * @typedef {object} DistractionProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} [builtIn]
+ * @property {Object<number, ClassRule>} classes - keyed by COCO class index
+ */
+
+export const BUILT_IN_PROFILES = [
+    {
+        id: 'phone',
+        name: 'Phone only',
+        builtIn: true,
+        classes: {
+            [PHONE_CLASS_INDEX]: { threshold: null, alert: ALERT_MODES.FULL }
+        }
+    },
+    {
+        id: 'no-screens',
+        name: 'No screens (study mode)',
+        builtIn: true,
+        classes: {
+            [PHONE_CLASS_INDEX]: { threshold: null, alert: ALERT_MODES.FULL },
+            65: { threshold: 0.5, alert: ALERT_MODES.SOUND },        // remote
+            62: { threshold: 0.5, alert: ALERT_MODES.SOUND },        // tv
+            63: { threshold: 0.5, alert: ALERT_MODES.NOTIFICATION }, // laptop
+            73: { threshold: 0.5, alert: ALERT_MODES.NONE }          // book
+        }
+    }
+];
+
+// Phones are always red; other classes get well-separated hues (golden angle)
+export function classColor(classIndex) {
+    if (classIndex === PHONE_CLASS_INDEX) return '#FF0000';
+    const hue = Math.round((classIndex * 137.508) % 360);
+    return `hsl(${hue}, 85%, 50%)`;
+}
+
+export function classLabel(classIndex) {
+    return CLASS_NAMES[classIndex] || `class_${classIndex}`;
+}
+
+/**
+ * Validate a profile loaded from storage or built in the editor.
+ * @returns {DistractionProfile} A clean copy
+ */
+export function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') throw new Error('Profile must be an object');
+    if (!profile.id || typeof profile.id !== 'string') throw new Error('Profile needs an id');
+
+    const name = String(profile.name || '').trim();
+    if (!name) throw new Error('Profile needs a name');
+
+    const classes = {};
+    Object.entries(profile.classes || {}).forEach(([key, rule]) => {
+        const classIndex = Number(key);
+        if (!Number.isInteger(classIndex) || classIndex < 0 || classIndex >= CLASS_NAMES.length) {
+            throw new Error(`Unknown class index ${key}`);
+        }
+        const threshold = rule.threshold === null || rule.threshold === undefined || rule.threshold === ''
+            ? null
+            : Number(rule.threshold);
+        if (threshold !== null && !(threshold >= 0.05 && threshold <= 0.95)) {
+            throw new Error(`Threshold for ${classLabel(classIndex)} must be between 0.05 and 0.95`);
+        }
+        const alert = Object.values(ALERT_MODES).includes(rule.alert) ? rule.alert : ALERT_MODES.FULL;
+        classes[classIndex] = { threshold, alert };
+    });
+
+    if (Object.keys(classes).length === 0) throw new Error('Select at least one class');
+    return { id: profile.id, name, classes };
+}
+
+export class ProfileStore extends EventEmitter {
+    constructor(storage = globalThis.localStorage) {
+        super();
+        this.storage = storage;
+        this.customProfiles = [];
+        this.activeId = BUILT_IN_PROFILES[0].id;
+        this._read();
+    }
+
+    _read() {
+        if (!this.storage) return;
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            this.customProfiles = (stored.profiles || []).flatMap((profile) => {
+                try {
+                    return [validateProfile(profile)];
+                } catch (e) {
+                    log.warn('Dropping invalid profile:', e.message);
+                    return [];
+                }
+            });
+            if (stored.activeId && this.get(stored.activeId)) this.activeId = stored.activeId;
+        } catch (e) {
+            log.warn('Ignoring corrupt saved profiles:', e);
+        }
+    }
+
+    _write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({
+                activeId: this.activeId,
+                profiles: this.customProfiles
+            }));
+        } catch (e) {
+            log.warn('Failed to save profiles:', e);
+        }
+    }
+
+    list() {
+        return [...BUILT_IN_PROFILES, ...this.customProfiles];
+    }
+
+    get(id) {
+        return this.list().find(profile => profile.id === id) || null;
+    }
+
+    get active() {
+        return this.get(this.activeId) || BUILT_IN_PROFILES[0];
+    }
+
+    setActive(id) {
+        if (!this.get(id)) throw new Error(`Unknown profile ${id}`);
+        this.activeId = id;
+        this._write();
+        this.emit('change', { profile: this.active });
+    }
+
+    /**
+     * Create or update a custom profile and make it active.
+     * @returns {DistractionProfile}
+     */
+    save(profile) {
+        const clean = validateProfile(profile);
+        const existing = this.get(clean.id);
+        if (existing && existing.builtIn) throw new Error('Built-in profiles cannot be changed');
+
+        if (existing) {
+            this.customProfiles = this.customProfiles.map(p => (p.id === clean.id ? clean : p));
+        } else {
+            this.customProfiles.push(clean);
+        }
+        this.activeId = clean.id;
+        this._write();
+        this.emit('change', { profile: this.active });
+        return clean;
+    }
+
+    remove(id) {
+        const profile = this.get(id);
+        if (!profile || profile.builtIn) return;
+
+        this.customProfiles = this.customProfiles.filter(p => p.id !== id);
+        if (this.activeId === id) this.activeId = BUILT_IN_PROFILES[0].id;
+        this._write();
+        this.emit('change', { profile: this.active });
+    }
+}
+
+/**
+ * Detector options for a profile.
+ * @param {DistractionProfile} profile
+ * @param {number} defaultThreshold - Global confidence setting
+ */
+export function profileSmoothingOptions(profile, defaultThreshold) {
+    const targetClasses = Object.keys(profile.classes).map(Number);
+    const classThresholds = {};
+    targetClasses.forEach((classIndex) => {
+        classThresholds[classIndex] = profile.classes[classIndex].threshold ?? defaultThreshold;
+    });
+    return { targetClasses, classThresholds };
+}
+
+export function alertModeFor(profile, classIndex) {
+    const rule = profile.classes[classIndex];
+    return rule ? rule.alert : ALERT_MODES.NONE;
+}
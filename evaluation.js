@@ -0,0 +1,269 @@
+// Detector evaluation - precision, recall, F1 and average precision against labelled images
+//
+// Ground truth comes from YOLO txt labels or a COCO JSON file and is turned
+// into pixel boxes with reported (COCO) class indices, the same space the
+// detector reports in. Detections are matched greedily, best score first, to
+// the unmatched box of the same class with the highest IoU (as in VOC/COCO);
+// a match needs IoU >= iouThreshold (0.5 for mAP@0.5).
+//
+// Pure functions: the focus-guard-eval CLI does the file reading and inference.
+
+import { PHONE_CLASS_INDEX, CLASS_NAMES, calculateIOU } from './detection-core.js';
+import { resolveClassMap } from './model-manifest.js';
+
+export const DEFAULT_EVALUATION = Object.freeze({
+    classIndex: PHONE_CLASS_INDEX,
+    iouThreshold: 0.5,
+    thresholds: Object.freeze([0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9])
+});
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Parse a YOLO label file: one "class cx cy w h" line per object, normalized to 0-1.
+ * @param {string} text
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number[]} [classMap] - Label class -> reported class (from resolveClassMap); default: labels use COCO indices
+ * @returns {Array<{class: number, x: number, y: number, width: number, height: number}>}
+ * @throws {Error} Naming the first malformed line
+ */
+export function parseYoloLabels(text, width, height, classMap = null) {
+    const boxes = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        // A sixth column (confidence, in prediction files) is ignored
+        const values = trimmed.split(/\s+/).map(Number);
+        const [labelClass, cx, cy, w, h] = values;
+        if (values.length < 5 || values.some(value => !Number.isFinite(value)) || !Number.isInteger(labelClass) || labelClass < 0) {
+            throw new Error(`Line ${index + 1}: expected "class x_center y_center width height"`);
+        }
+        if ([cx, cy, w, h].some(value => value < 0 || value > 1)) {
+            throw new Error(`Line ${index + 1}: coordinates must be normalized to 0-1`);
+        }
+        boxes.push({
+            class: classMap ? (classMap[labelClass] ?? CLASS_NAMES.length + labelClass) : labelClass,
+            x: (cx - w / 2) * width,
+            y: (cy - h / 2) * height,
+            width: w * width,
+            height: h * height
+        });
+    });
+    return boxes;
+}
+
+/**
+ * Read a COCO annotation file. Categories are matched to reported classes by
+ * name, since COCO category ids are not the 0-79 model indices.
+ * Crowd annotations are skipped.
+ * @param {object} coco - Parsed JSON with images, annotations and categories
+ * @returns {Array<{name: string, width: number, height: number, boxes: Array}>} One entry per image
+ */
+export function parseCocoAnnotations(coco) {
+    if (!coco || !Array.isArray(coco.images) || !Array.isArray(coco.annotations) || !Array.isArray(coco.categories)) {
+        throw new Error('COCO annotations need images, annotations and categories arrays');
+    }
+
+    const classMap = resolveClassMap(coco.categories.map(category => String(category.name)));
+    const classOf = new Map(coco.categories.map((category, index) => [category.id, classMap[index]]));
+
+    const images = new Map(coco.images.map(image => [image.id, {
+        name: image.file_name,
+        width: image.width,
+        height: image.height,
+        boxes: []
+    }]));
+
+    coco.annotations.forEach((annotation) => {
+        if (annotation.iscrowd) return;
+        const image = images.get(annotation.image_id);
+        if (!image) throw new Error(`Annotation ${annotation.id} refers to unknown image ${annotation.image_id}`);
+        if (!classOf.has(annotation.category_id)) {
+            throw new Error(`Annotation ${annotation.id} refers to unknown category ${annotation.category_id}`);
+        }
+        const [x, y, width, height] = annotation.bbox;
+        image.boxes.push({ class: classOf.get(annotation.category_id), x, y, width, height });
+    });
+
+    return [...images.values()];
+}
+
+/**
+ * Match one image's detections to its ground truth boxes (one class).
+ * @param {Array<{score}>} detections
+ * @param {Array} boxes - Ground truth
+ * @param {number} [iouThreshold=0.5]
+ * @returns {Array<{score: number, truePositive: boolean, iou: number}>} Best score first
+ */
+export function matchDetections(detections, boxes, iouThreshold = DEFAULT_EVALUATION.iouThreshold) {
+    const used = new Set();
+    return [...detections]
+        .sort((a, b) => b.score - a.score)
+        .map((det) => {
+            let best = -1;
+            let bestIou = 0;
+            boxes.forEach((box, index) => {
+                if (used.has(index)) return;
+                const iou = calculateIOU(det, box);
+                if (iou > bestIou) {
+                    bestIou = iou;
+                    best = index;
+                }
+            });
+            const truePositive = best !== -1 && bestIou >= iouThreshold;
+            if (truePositive) used.add(best);
+            return { score: det.score, truePositive, iou: bestIou };
+        });
+}
+
+/**
+ * Area under the precision/recall curve, all-point interpolated (VOC 2010+).
+ * @param {Array<{score: number, truePositive: boolean}>} matches - From every image
+ * @param {number} groundTruth - Number of ground truth boxes
+ * @returns {number} 0-1; 0 when there is no ground truth
+ */
+export function averagePrecision(matches, groundTruth) {
+    if (groundTruth === 0) return 0;
+
+    const sorted = [...matches].sort((a, b) => b.score - a.score);
+    const recall = [0];
+    const precision = [1];
+    let tp = 0;
+    sorted.forEach((match, index) => {
+        if (match.truePositive) tp++;
+        recall.push(tp / groundTruth);
+        precision.push(tp / (index + 1));
+    });
+
+    // Precision envelope: the best precision at this recall or any higher one
+    for (let i = precision.length - 2; i >= 0; i--) {
+        precision[i] = Math.max(precision[i], precision[i + 1]);
+    }
+
+    let area = 0;
+    for (let i = 1; i < recall.length; i++) {
+        area += (recall[i] - recall[i - 1]) * precision[i];
+    }
+    return area;
+}
+
+/**
+ * Precision, recall and F1 when only detections scoring >= threshold count.
+ */
+export function scoreAtThreshold(matches, groundTruth, threshold) {
+    const kept = matches.filter(match => match.score >= threshold);
+    const tp = kept.filter(match => match.truePositive).length;
+    const fp = kept.length - tp;
+    const fn = groundTruth - tp;
+    const precision = kept.length > 0 ? tp / kept.length : 0;
+    const recall = groundTruth > 0 ? tp / groundTruth : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { threshold, tp, fp, fn, precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+/**
+ * Evaluate one class over a labelled image set.
+ * @param {Array<{name: string, boxes: Array, detections: Array}>} images - Ground truth and
+ *   detections (all classes; detections should go down to the lowest threshold of interest)
+ * @param {object} [options] - See DEFAULT_EVALUATION
+ * @returns {{classIndex, iouThreshold, images, groundTruth, detections, ap, thresholds: Array, best: object}}
+ *   best is the threshold with the highest F1
+ */
+export function evaluateClass(images, options = {}) {
+    const { classIndex, iouThreshold, thresholds } = { ...DEFAULT_EVALUATION, ...options };
+
+    let groundTruth = 0;
+    const matches = [];
+    images.forEach((image) => {
+        const boxes = image.boxes.filter(box => box.class === classIndex);
+        const detections = image.detections.filter(det => det.class === classIndex);
+        groundTruth += boxes.length;
+        matches.push(...matchDetections(detections, boxes, iouThreshold));
+    });
+
+    const perThreshold = thresholds.map(threshold => scoreAtThreshold(matches, groundTruth, threshold));
+    const best = perThreshold.reduce((top, entry) => (entry.f1 > top.f1 ? entry : top), perThreshold[0]);
+
+    return {
+        classIndex,
+        iouThreshold,
+        images: images.length,
+        groundTruth,
+        detections: matches.length,
+        ap: round(averagePrecision(matches, groundTruth)),
+        thresholds: perThreshold,
+        best
+    };
+}
+
+/**
+ * Differences between two evaluations of the same images (candidate - baseline).
+ */
+export function compareEvaluations(baseline, candidate) {
+    if (baseline.groundTruth !== candidate.groundTruth || baseline.images !== candidate.images) {
+        throw new Error('Evaluations were run on different image sets');
+    }
+    const byThreshold = new Map(baseline.thresholds.map(entry => [entry.threshold, entry]));
+    return {
+        ap: round(candidate.ap - baseline.ap),
+        thresholds: candidate.thresholds
+            .filter(entry => byThreshold.has(entry.threshold))
+            .map((entry) => {
+                const base = byThreshold.get(entry.threshold);
+                return {
+                    threshold: entry.threshold,
+                    precision: round(entry.precision - base.precision),
+                    recall: round(entry.recall - base.recall),
+                    f1: round(entry.f1 - base.f1)
+                };
+            })
+    };
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const signed = value => `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+
+/**
+ * Markdown report for one or two evaluation runs.
+ * @param {Array<{label: string, result: object, latency?: number}>} runs - latency = mean ms per image
+ * @returns {string}
+ */
+export function formatEvaluationReport(runs) {
+    const [first] = runs;
+    const className = CLASS_NAMES[first.result.classIndex] || `class ${first.result.classIndex}`;
+    const lines = [
+        `# Detection evaluation: ${className}`,
+        '',
+        `${first.result.images} images, ${first.result.groundTruth} labelled boxes, IoU >= ${first.result.iouThreshold}`,
+        '',
+        '| Run | AP | Best F1 | at threshold | Precision | Recall | ms / image |',
+        '|---|---|---|---|---|---|---|'
+    ];
+    runs.forEach(({ label, result, latency }) => {
+        const { best } = result;
+        lines.push(`| ${label} | ${percent(result.ap)} | ${percent(best.f1)} | ${best.threshold} | `
+            + `${percent(best.precision)} | ${percent(best.recall)} | ${latency === undefined ? '-' : latency.toFixed(1)} |`);
+    });
+
+    lines.push('', '| Threshold | ' + runs.map(({ label }) => `${label} P / R / F1`).join(' | ') + ' |');
+    lines.push('|---|' + runs.map(() => '---|').join(''));
+    first.result.thresholds.forEach((entry, index) => {
+        const cells = runs.map(({ result }) => {
+            const { precision, recall, f1, tp, fp, fn } = result.thresholds[index];
+            return `${percent(precision)} / ${percent(recall)} / ${percent(f1)} (${tp} TP, ${fp} FP, ${fn} FN)`;
+        });
+        lines.push(`| ${entry.threshold} | ${cells.join(' | ')} |`);
+    });
+
+    if (runs.length === 2) {
+        const diff = compareEvaluations(runs[0].result, runs[1].result);
+        lines.push('', `## ${runs[1].label} vs ${runs[0].label}`, '', `AP ${signed(diff.ap)} points`, '');
+        lines.push('| Threshold | Precision | Recall | F1 |', '|---|---|---|---|');
+        diff.thresholds.forEach(({ threshold, precision, recall, f1 }) => {
+            lines.push(`| ${threshold} | ${signed(precision)} | ${signed(recall)} | ${signed(f1)} |`);
+        });
+    }
+    return `${lines.join('\n')}\n`;
+}
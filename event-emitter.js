@@ -0,0 +1,48 @@
+// Minimal event emitter shared by the detector and UI modules
+// Works the same in the browser, in workers and in Node (no DOM events needed)
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('events');
+
+export class EventEmitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    on(type, listener) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, new Set());
+        }
+        this._listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    once(type, listener) {
+        const wrapper = (payload) => {
+            this.off(type, wrapper);
+            listener(payload);
+        };
+        return this.on(type, wrapper);
+    }
+
+    off(type, listener) {
+        const listeners = this._listeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    emit(type, payload) {
+        const listeners = this._listeners.get(type);
+        if (!listeners || listeners.size === 0) return false;
+
+        // Copy so listeners can unsubscribe while being called
+        [...listeners].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (e) {
+                log.warn(`Listener for "${type}" failed:`, e);
+            }
+        });
+        return true;
+    }
+}
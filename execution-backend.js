@@ -0,0 +1,194 @@
+// Execution backends - pick the fastest ONNX Runtime execution provider
+//
+// Runs inside the detection worker. Available providers are probed (WebGPU,
+// WebGL, WASM - multi-threaded when the page is cross-origin isolated), each
+// one gets a session and a short warm-up benchmark, and the fastest wins.
+// The main thread remembers the winner so later loads skip the benchmark;
+// if that backend stops working, selection falls back to a full benchmark.
+
+import { createLogger } from './logger.js';
+
+// The worker has its own logger; only warnings reach the console there
+const log = createLogger('backend');
+
+export const BACKENDS = Object.freeze({
+    WEBGPU: 'webgpu',
+    WEBGL: 'webgl',
+    WASM: 'wasm'
+});
+
+export const BACKEND_LABELS = {
+    [BACKENDS.WEBGPU]: 'WebGPU',
+    [BACKENDS.WEBGL]: 'WebGL',
+    [BACKENDS.WASM]: 'WASM'
+};
+
+const STORAGE_KEY = 'focus-guard-backend';
+const WARMUP_RUNS = 2;
+const TIMED_RUNS = 3;
+
+/**
+ * Number of WASM threads this context can use (1 unless cross-origin isolated).
+ */
+export function wasmThreads() {
+    if (!globalThis.crossOriginIsolated) return 1;
+    return Math.min(4, globalThis.navigator?.hardwareConcurrency || 1);
+}
+
+/**
+ * Backends this browser can run, most promising first. WASM is always last.
+ * @returns {Promise<string[]>}
+ */
+export async function probeBackends() {
+    const available = [];
+
+    try {
+        if (globalThis.navigator?.gpu && await navigator.gpu.requestAdapter()) {
+            available.push(BACKENDS.WEBGPU);
+        }
+    } catch (e) {
+        log.debug('WebGPU unavailable:', e.message);
+    }
+
+    try {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const canvas = new OffscreenCanvas(1, 1);
+            if (canvas.getContext('webgl2') || canvas.getContext('webgl')) {
+                available.push(BACKENDS.WEBGL);
+            }
+        }
+    } catch (e) {
+        log.debug('WebGL unavailable:', e.message);
+    }
+
+    available.push(BACKENDS.WASM);
+    return available;
+}
+
+/**
+ * Human readable backend name, e.g. "WASM (4 threads)".
+ */
+export function describeBackend(backend) {
+    const label = BACKEND_LABELS[backend] || backend;
+    if (backend === BACKENDS.WASM && wasmThreads() > 1) return `${label} (${wasmThreads()} threads)`;
+    return label;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Create a session on one backend and time a few inferences on a blank input.
+ * @returns {Promise<{backend: string, session: object, latency: number}>}
+ */
+export async function benchmarkBackend(ort, modelBytes, backend, { inputWidth, inputHeight, dataType = 'float32' }) {
+    const session = await ort.InferenceSession.create(modelBytes, {
+        executionProviders: [backend],
+        graphOptimizationLevel: 'basic'
+    });
+
+    try {
+        const size = 3 * inputWidth * inputHeight;
+        const data = dataType === 'uint8' ? new Uint8Array(size) : new Float32Array(size);
+        const feeds = { [session.inputNames[0]]: new ort.Tensor(dataType, data, [1, 3, inputHeight, inputWidth]) };
+
+        // First runs compile shaders / allocate buffers and are not representative
+        for (let i = 0; i < WARMUP_RUNS; i++) await session.run(feeds);
+
+        const times = [];
+        for (let i = 0; i < TIMED_RUNS; i++) {
+            const started = performance.now();
+            await session.run(feeds);
+            times.push(performance.now() - started);
+        }
+        return { backend, session, latency: median(times) };
+    } catch (e) {
+        await session.release();
+        throw e;
+    }
+}
+
+/**
+ * Try backends in order and keep the fastest working one.
+ * @param {object} ort - ONNX Runtime module
+ * @param {ArrayBuffer} modelBuffer
+ * @param {object} options
+ * @param {string[]} options.candidates - Backends to try, in order
+ * @param {boolean} [options.benchmark=true] - false: keep the first backend that works
+ * @param {number} options.inputWidth
+ * @param {number} options.inputHeight
+ * @param {string} [options.dataType='float32']
+ * @param {Function} [options.onStatus] - Called with progress messages
+ * @returns {Promise<{backend: string, session: object, latency: number, results: Array}>}
+ *   results lists every attempt as { backend, latency } or { backend, error }
+ * @throws {Error} When no backend could create a session
+ */
+export async function selectBackend(ort, modelBuffer, options) {
+    const { candidates, benchmark = true, onStatus = () => {} } = options;
+    const modelBytes = new Uint8Array(modelBuffer);
+    const results = [];
+    let best = null;
+
+    for (const backend of candidates) {
+        onStatus(`Testing ${describeBackend(backend)}...`);
+        try {
+            const attempt = await benchmarkBackend(ort, modelBytes, backend, options);
+            results.push({ backend, latency: attempt.latency });
+
+            if (!best || attempt.latency < best.latency) {
+                if (best) await best.session.release();
+                best = attempt;
+            } else {
+                await attempt.session.release();
+            }
+            if (!benchmark) break;
+        } catch (e) {
+            log.warn(`Backend ${backend} failed:`, e);
+            results.push({ backend, error: e.message || String(e) });
+        }
+    }
+
+    if (!best) {
+        const reasons = results.map(r => `${r.backend}: ${r.error}`).join('; ');
+        throw new Error(`No execution backend could run this model (${reasons})`);
+    }
+    return { ...best, results };
+}
+
+// The remembered choice only applies to the same model, input size and browser
+function choiceKey({ modelKey, inputWidth, inputHeight }) {
+    const userAgent = globalThis.navigator?.userAgent || '';
+    return `${modelKey}|${inputWidth}x${inputHeight}|${userAgent}`;
+}
+
+/**
+ * Previously selected backend for this model, or null.
+ * @param {Storage} storage
+ */
+export function recallBackend(storage, context) {
+    if (!storage) return null;
+    try {
+        const stored = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+        if (stored && stored.key === choiceKey(context) && Object.values(BACKENDS).includes(stored.backend)) {
+            return stored.backend;
+        }
+    } catch (e) {
+        log.warn('Ignoring corrupt saved backend choice:', e);
+    }
+    return null;
+}
+
+export function rememberBackend(storage, context, backend, latency) {
+    if (!storage) return;
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ key: choiceKey(context), backend, latency, savedAt: Date.now() }));
+    } catch (e) {
+        log.warn('Failed to save backend choice:', e);
+    }
+}
+
+export function forgetBackend(storage) {
+    if (storage) storage.removeItem(STORAGE_KEY);
+}
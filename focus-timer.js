@@ -0,0 +1,182 @@
+// Pomodoro-style timed focus session: alternating work and break blocks
+// Phone pickups during work blocks count as violations, during breaks they are ignored.
+//
+// Events:
+//   'tick'       { phase, cycle, cycles, remainingMs }   about once a second
+//   'block-end'  BlockSummary                           a work or break block finished
+//   'finished'   { blocks }                             all cycles done
+//
+// Time is derived from timestamps rather than counted ticks, so throttled
+// timers in background tabs don't make blocks run long.
+
+import { EventEmitter } from './event-emitter.js';
+
+export const DEFAULT_TIMER = Object.freeze({
+    workMinutes: 25,
+    breakMinutes: 5,
+    cycles: 4
+});
+
+/**
+ * @typedef {object} BlockSummary
+ * @property {'work'|'break'} phase
+ * @property {number} cycle - 1-based
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {number} violations - phone pickups (work blocks only)
+ * @property {number} phoneSeconds - seconds with a phone visible (work blocks only)
+ */
+
+export function validateTimerOptions(options) {
+    const merged = { ...DEFAULT_TIMER, ...options };
+    const checks = [
+        ['workMinutes', 1, 180],
+        ['breakMinutes', 1, 60],
+        ['cycles', 1, 12]
+    ];
+    checks.forEach(([key, min, max]) => {
+        const value = Number(merged[key]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`${key} must be between ${min} and ${max}`);
+        }
+        merged[key] = value;
+    });
+    merged.cycles = Math.round(merged.cycles);
+    return merged;
+}
+
+export class FocusTimer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = validateTimerOptions(options);
+        this.intervalId = null;
+        this._resetState();
+    }
+
+    _resetState() {
+        this.phase = null;
+        this.cycle = 0;
+        this.blockStart = 0;
+        this.blockEnd = 0;
+        this.violations = 0;
+        this.phoneMs = 0;
+        this.phoneSince = null;
+        this.blocks = [];
+    }
+
+    get isActive() {
+        return this.phase !== null;
+    }
+
+    get isWorkBlock() {
+        return this.phase === 'work';
+    }
+
+    start(now = Date.now()) {
+        this.stop();
+        this._resetState();
+        this._beginBlock('work', 1, now);
+        this.intervalId = setInterval(() => this.tick(), 1000);
+        this.tick(now);
+    }
+
+    stop() {
+        if (this.intervalId !== null) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.phase = null;
+    }
+
+    _beginBlock(phase, cycle, now) {
+        const minutes = phase === 'work' ? this.options.workMinutes : this.options.breakMinutes;
+        this.phase = phase;
+        this.cycle = cycle;
+        this.blockStart = now;
+        this.blockEnd = now + minutes * 60 * 1000;
+        this.violations = 0;
+        this.phoneMs = 0;
+        // A phone still visible when work resumes counts from the block start,
+        // and as a pickup of the new block
+        if (this.phoneSince !== null) {
+            this.phoneSince = now;
+            if (phase === 'work') this.violations = 1;
+        }
+    }
+
+    /** A confirmed phone appeared. Returns true if it counts as a violation. */
+    phoneStart(now = Date.now()) {
+        if (!this.isActive) return false;
+        this.phoneSince = now;
+        if (this.phase !== 'work') return false;
+        this.violations++;
+        return true;
+    }
+
+    phoneEnd(now = Date.now()) {
+        if (this.phoneSince === null) return;
+        if (this.phase === 'work') {
+            this.phoneMs += Math.max(0, now - this.phoneSince);
+        }
+        this.phoneSince = null;
+    }
+
+    /**
+     * Advance the timer; finishes any blocks whose end time has passed.
+     */
+    tick(now = Date.now()) {
+        if (!this.isActive) return;
+
+        while (this.isActive && now >= this.blockEnd) {
+            this._finishBlock(this.blockEnd);
+        }
+        if (!this.isActive) return;
+
+        this.emit('tick', {
+            phase: this.phase,
+            cycle: this.cycle,
+            cycles: this.options.cycles,
+            remainingMs: this.blockEnd - now
+        });
+    }
+
+    _finishBlock(endTime) {
+        if (this.phoneSince !== null && this.phase === 'work') {
+            this.phoneMs += Math.max(0, endTime - this.phoneSince);
+        }
+
+        const summary = {
+            phase: this.phase,
+            cycle: this.cycle,
+            startTime: this.blockStart,
+            endTime,
+            violations: this.phase === 'work' ? this.violations : 0,
+            phoneSeconds: this.phase === 'work' ? Math.round(this.phoneMs / 1000) : 0
+        };
+        this.blocks.push(summary);
+
+        const lastCycle = this.cycle >= this.options.cycles;
+        if (this.phase === 'work' && lastCycle) {
+            // No break after the final work block
+            const blocks = this.blocks;
+            this.stop();
+            this.emit('block-end', summary);
+            this.emit('finished', { blocks });
+            return;
+        }
+
+        if (this.phase === 'work') {
+            this._beginBlock('break', this.cycle, endTime);
+        } else {
+            this._beginBlock('work', this.cycle + 1, endTime);
+        }
+        this.emit('block-end', summary);
+    }
+}
+
+export function formatRemaining(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
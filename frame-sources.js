@@ -0,0 +1,163 @@
+// Input sources for the detection loop besides the webcam
+//
+//   camera - getUserMedia through CameraManager (mirrored, like a mirror)
+//   screen - a getDisplayMedia capture of a screen, window or tab
+//   video  - a local video file, with play/pause/seek
+//   image  - a local still image
+//
+// Camera and screen are live: they record focus sessions and alert. Files
+// are for review, e.g. reproducing a false positive from a recorded session,
+// and only list what was detected on which frame (FrameResultLog).
+
+export const SOURCE_TYPES = Object.freeze({
+    CAMERA: 'camera',
+    SCREEN: 'screen',
+    VIDEO: 'video',
+    IMAGE: 'image'
+});
+
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.webm', '.mov', '.ogv', '.mkv'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp', '.avif'];
+
+// Most recordings are 30 fps; the browser does not report the frame rate
+export const FRAME_STEP_SECONDS = 1 / 30;
+
+// Frames with detections kept in a FrameResultLog
+const MAX_FRAMES = 1000;
+
+/**
+ * Whether a source records sessions and alerts, rather than being reviewed.
+ * @param {string} type - SOURCE_TYPES value
+ */
+export function isLiveSource(type) {
+    return type === SOURCE_TYPES.CAMERA || type === SOURCE_TYPES.SCREEN;
+}
+
+/**
+ * Whether "nobody in view" means the user left the desk. Only the camera
+ * looks at the user - a shared screen would count as away after the grace period.
+ * @param {string} type - SOURCE_TYPES value
+ */
+export function tracksPresence(type) {
+    return type === SOURCE_TYPES.CAMERA;
+}
+
+/**
+ * Which kind of file source a dropped or picked file is.
+ * @param {{name: string, type: string}} file
+ * @returns {string|null} SOURCE_TYPES.VIDEO, SOURCE_TYPES.IMAGE or null
+ */
+export function sourceTypeForFile(file) {
+    if (file.type.startsWith('video/')) return SOURCE_TYPES.VIDEO;
+    if (file.type.startsWith('image/')) return SOURCE_TYPES.IMAGE;
+
+    // Some systems report no MIME type, e.g. for .mkv
+    const dot = file.name.lastIndexOf('.');
+    const extension = dot === -1 ? '' : file.name.slice(dot).toLowerCase();
+    if (VIDEO_EXTENSIONS.includes(extension)) return SOURCE_TYPES.VIDEO;
+    if (IMAGE_EXTENSIONS.includes(extension)) return SOURCE_TYPES.IMAGE;
+    return null;
+}
+
+/**
+ * Media time as m:ss.mmm (h:mm:ss.mmm from an hour), precise enough to name a frame.
+ * @param {number} seconds
+ */
+export function formatMediaTime(seconds) {
+    const totalMs = Math.round(Math.max(0, seconds) * 1000);
+    const ms = String(totalMs % 1000).padStart(3, '0');
+    const totalSeconds = Math.floor(totalMs / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const secs = String(totalSeconds % 60).padStart(2, '0');
+    if (hours === 0) return `${minutes}:${secs}.${ms}`;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}.${ms}`;
+}
+
+/**
+ * Ask the user for a screen, window or tab to capture.
+ * @param {MediaDevices} [mediaDevices=navigator.mediaDevices]
+ * @returns {Promise<MediaStream>}
+ * @throws {Error} With a message a user can act on
+ */
+export async function openScreenCapture(mediaDevices = globalThis.navigator?.mediaDevices) {
+    if (!mediaDevices?.getDisplayMedia) {
+        throw new Error('This browser cannot share a screen here. Use a current desktop browser over HTTPS.');
+    }
+    try {
+        return await mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (error) {
+        if (error.name === 'NotAllowedError') {
+            throw new Error('Screen sharing was cancelled or blocked.');
+        }
+        throw new Error(`Screen sharing failed: ${error.message}`);
+    }
+}
+
+function frameDetection(det) {
+    const summary = {
+        class: det.class,
+        className: det.className,
+        score: det.score,
+        box: { x: det.x, y: det.y, width: det.width, height: det.height }
+    };
+    if (det.trackId) summary.trackId = det.trackId;
+    if (det.usage) summary.usage = det.usage;
+    return summary;
+}
+
+/**
+ * Detections per analysed frame of a reviewed file, in media time order.
+ * Analysing the same frame again (a paused video, a still image) replaces
+ * its entry; frames without detections are not kept.
+ */
+export class FrameResultLog {
+    constructor({ maxFrames = MAX_FRAMES } = {}) {
+        this.maxFrames = maxFrames;
+        this.frames = [];
+    }
+
+    /**
+     * @param {number} mediaTime - Seconds into the file (0 for an image)
+     * @param {Array} detections - Detections in frame coordinates
+     * @returns {boolean} Whether the log changed
+     */
+    record(mediaTime, detections) {
+        const index = this.frames.findIndex(frame => frame.mediaTime >= mediaTime);
+        const existing = index !== -1 && this.frames[index].mediaTime === mediaTime;
+        if (detections.length === 0 && !existing) return false;
+
+        const entry = { mediaTime, detections: detections.map(frameDetection) };
+        if (detections.length === 0) {
+            this.frames.splice(index, 1);
+        } else if (existing) {
+            this.frames[index] = entry;
+        } else {
+            this.frames.splice(index === -1 ? this.frames.length : index, 0, entry);
+            // Full - the earliest frames are kept
+            if (this.frames.length > this.maxFrames) this.frames.pop();
+        }
+        return true;
+    }
+
+    clear() {
+        this.frames = [];
+    }
+
+    /**
+     * Everything needed to reproduce the results, for a bug report.
+     * @param {object} source - { name, type } of the reviewed file
+     * @param {object} [extra] - e.g. { model, settings }
+     */
+    export(source, extra = {}) {
+        return {
+            source: { name: source.name, type: source.type },
+            ...extra,
+            frames: this.frames.map(({ mediaTime, detections }) => ({
+                time: formatMediaTime(mediaTime),
+                mediaTime,
+                detections
+            }))
+        };
+    }
+}
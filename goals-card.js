@@ -0,0 +1,97 @@
+// Daily goals on the homepage "Ready to Focus?" card - today's progress,
+// the current streak and the achievement badges
+
+import { getSessions } from './session-store.js';
+import { goalSummary, hasGoals } from './goals.js';
+import { formatDuration } from './dashboard.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('goals');
+
+// Badges unlocked this recently are highlighted
+const NEW_ACHIEVEMENT_MS = 24 * 60 * 60 * 1000;
+
+function describeStreak({ current, best }) {
+    if (current === 0) return best > 0 ? `Best streak: ${best} days` : '';
+    const days = `${current}-day streak`;
+    return best > current ? `🔥 ${days} · best ${best}` : `🔥 ${days}`;
+}
+
+function buildBadge(achievement, now) {
+    const item = document.createElement('li');
+    item.className = 'achievement';
+    const unlocked = achievement.unlockedAt !== null;
+    item.classList.toggle('is-unlocked', unlocked);
+    item.classList.toggle('is-new', unlocked && now - achievement.unlockedAt < NEW_ACHIEVEMENT_MS);
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.textContent = achievement.icon;
+    icon.setAttribute('aria-hidden', 'true');
+    const title = document.createElement('span');
+    title.className = 'achievement-title';
+    title.textContent = achievement.title;
+    item.append(icon, title);
+
+    const when = unlocked
+        ? `unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`
+        : 'locked';
+    item.title = `${achievement.description} (${when})`;
+    return item;
+}
+
+/**
+ * Wire up the goals section of the homepage card.
+ * @param {object} options
+ * @param {Function} options.getGoals - Current goals, see goalsFromSettings()
+ * @param {Function} options.onEdit - "Change goals" clicked
+ * @returns {{render: Function}}
+ */
+export function initGoalsCard({ getGoals, onEdit }) {
+    const streakEl = document.getElementById('goals-streak');
+    const emptyEl = document.getElementById('goals-empty');
+    const focusRow = document.getElementById('goal-focus');
+    const focusValue = document.getElementById('goal-focus-value');
+    const focusProgress = document.getElementById('goal-focus-progress');
+    const pickupsRow = document.getElementById('goal-pickups');
+    const pickupsValue = document.getElementById('goal-pickups-value');
+    const pickupsProgress = document.getElementById('goal-pickups-progress');
+    const achievementList = document.getElementById('achievement-list');
+    const editBtn = document.getElementById('goals-edit-btn');
+
+    editBtn.addEventListener('click', () => onEdit());
+
+    /**
+     * Reload the session history and show the latest progress.
+     */
+    async function render() {
+        let sessions = [];
+        try {
+            sessions = await getSessions();
+        } catch (e) {
+            log.warn('Failed to load session history:', e);
+        }
+
+        const now = Date.now();
+        const goals = getGoals();
+        const { today, streak, achievements } = goalSummary(sessions, goals, now);
+
+        emptyEl.hidden = hasGoals(goals);
+        streakEl.textContent = describeStreak(streak);
+
+        focusRow.hidden = goals.focusMinutes === 0;
+        focusValue.textContent = `${formatDuration(today.focus.value)} / ${formatDuration(today.focus.target)}`;
+        focusProgress.value = today.focus.target > 0 ? Math.min(1, today.focus.value / today.focus.target) : 0;
+        focusRow.classList.toggle('is-done', today.focus.done);
+
+        pickupsRow.hidden = goals.maxPickups === 0;
+        pickupsValue.textContent = `${today.pickups.value} (fewer than ${today.pickups.limit})`;
+        pickupsProgress.value = today.pickups.limit > 0 ? Math.min(1, today.pickups.value / today.pickups.limit) : 0;
+        pickupsRow.classList.toggle('is-over', !today.pickups.done);
+
+        achievementList.innerHTML = '';
+        achievements.forEach(achievement => achievementList.appendChild(buildBadge(achievement, now)));
+    }
+
+    return { render };
+}
@@ -0,0 +1,177 @@
+// Daily goals, streaks and achievements
+// Pure functions over the locally stored focus sessions - nothing extra is
+// saved, so progress always matches the session history (clearing the
+// history starts over). Goals are the current settings applied to every day.
+
+import { startOfDay, summarize, focusSeconds } from './session-stats.js';
+
+const HOUR = 3600;
+
+/**
+ * @typedef {object} Goals
+ * @property {number} focusMinutes - Minutes monitored per day, 0 for no target
+ * @property {number} maxPickups - Stay below this many phone pickups per day, 0 for no limit
+ */
+
+export const ACHIEVEMENTS = Object.freeze([
+    { id: 'first-session', icon: '🎬', title: 'First session', description: 'Finish your first monitoring session' },
+    { id: 'phone-free-hour', icon: '⏱️', title: 'Phone-free hour', description: 'Go a full hour without picking up your phone' },
+    { id: 'goals-met', icon: '🎯', title: 'Goal getter', description: 'Meet your daily goals' },
+    { id: 'streak-3', icon: '🔥', title: 'On a roll', description: 'Meet your daily goals 3 days in a row' },
+    { id: 'streak-7', icon: '🏆', title: 'Full week', description: 'Meet your daily goals 7 days in a row' },
+    { id: 'focus-10h', icon: '⌛', title: 'Ten hours', description: 'Monitor 10 hours in total' },
+    { id: 'focus-100h', icon: '💎', title: 'A hundred hours', description: 'Monitor 100 hours in total' }
+]);
+
+// Days in a row meeting the goals, and total seconds monitored, for each milestone
+const STREAK_ACHIEVEMENTS = { 'streak-3': 3, 'streak-7': 7 };
+const FOCUS_ACHIEVEMENTS = { 'focus-10h': 10 * HOUR, 'focus-100h': 100 * HOUR };
+
+/**
+ * @param {object} settings - SettingsStore values
+ * @returns {Goals}
+ */
+export function goalsFromSettings(settings) {
+    return { focusMinutes: settings.goalFocusMinutes, maxPickups: settings.goalMaxPickups };
+}
+
+export function hasGoals(goals) {
+    return goals.focusMinutes > 0 || goals.maxPickups > 0;
+}
+
+/**
+ * Totals per calendar day, oldest first. Only days with sessions are listed;
+ * a session counts towards the day it started on.
+ * @param {Array} sessions
+ * @returns {Array<{start: number, sessions: number, focusSeconds: number, phoneEvents: number, lastEndTime: number}>}
+ */
+export function dailyTotals(sessions) {
+    const byDay = new Map();
+    sessions.forEach((session) => {
+        const start = startOfDay(session.startTime);
+        if (!byDay.has(start)) byDay.set(start, []);
+        byDay.get(start).push(session);
+    });
+
+    return [...byDay.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, daySessions]) => ({
+            ...summarize(daySessions),
+            start,
+            lastEndTime: Math.max(...daySessions.map(session => session.endTime))
+        }));
+}
+
+/**
+ * How far one day is towards each goal.
+ * @param {object} [day] - dailyTotals() entry, missing for a day without sessions
+ * @param {Goals} goals
+ */
+export function goalProgress(day, goals) {
+    const seconds = day?.focusSeconds ?? 0;
+    const pickups = day?.phoneEvents ?? 0;
+    const focus = {
+        value: seconds,
+        target: goals.focusMinutes * 60,
+        done: goals.focusMinutes === 0 || seconds >= goals.focusMinutes * 60
+    };
+    const phone = {
+        value: pickups,
+        limit: goals.maxPickups,
+        done: goals.maxPickups === 0 || pickups < goals.maxPickups
+    };
+    // A day nothing was monitored never counts, even against a pickup limit alone
+    const met = hasGoals(goals) && Boolean(day?.sessions) && focus.done && phone.done;
+    return { focus, pickups: phone, met };
+}
+
+export function meetsGoals(day, goals) {
+    return goalProgress(day, goals).met;
+}
+
+/**
+ * Consecutive days meeting the goals.
+ * Today is still in progress, so not having met the goals yet does not
+ * break a streak that ran until yesterday.
+ * @param {Array} days - dailyTotals()
+ * @param {Goals} goals
+ * @param {number} [now=Date.now()]
+ * @returns {{current: number, best: number}}
+ */
+export function goalStreak(days, goals, now = Date.now()) {
+    const metDays = new Set(days.filter(day => meetsGoals(day, goals)).map(day => day.start));
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    [...metDays].sort((a, b) => a - b).forEach((start) => {
+        // One millisecond before a day is inside the previous one (DST-safe)
+        run = previous !== null && startOfDay(start - 1) === previous ? run + 1 : 1;
+        best = Math.max(best, run);
+        previous = start;
+    });
+
+    let day = startOfDay(now);
+    if (!metDays.has(day)) day = startOfDay(day - 1);
+    let current = 0;
+    while (metDays.has(day)) {
+        current++;
+        day = startOfDay(day - 1);
+    }
+
+    return { current, best };
+}
+
+/**
+ * Every achievement, with the time it was unlocked or null while still locked.
+ * @param {Array} sessions - The whole history
+ * @param {Goals} goals
+ * @returns {Array<{id, icon, title, description, unlockedAt: number|null}>}
+ */
+export function achievements(sessions, goals) {
+    const unlocked = new Map();
+    const unlock = (id, timestamp) => {
+        if (!unlocked.has(id)) unlocked.set(id, timestamp);
+    };
+
+    let totalFocus = 0;
+    [...sessions].sort((a, b) => a.startTime - b.startTime).forEach((session) => {
+        unlock('first-session', session.endTime);
+        if (session.longestPhoneFreeSeconds >= HOUR) unlock('phone-free-hour', session.endTime);
+        totalFocus += focusSeconds(session);
+        Object.entries(FOCUS_ACHIEVEMENTS).forEach(([id, seconds]) => {
+            if (totalFocus >= seconds) unlock(id, session.endTime);
+        });
+    });
+
+    let run = 0;
+    let previous = null;
+    dailyTotals(sessions).forEach((day) => {
+        if (!meetsGoals(day, goals)) return;
+        run = previous !== null && startOfDay(day.start - 1) === previous ? run + 1 : 1;
+        previous = day.start;
+        unlock('goals-met', day.lastEndTime);
+        Object.entries(STREAK_ACHIEVEMENTS).forEach(([id, days]) => {
+            if (run >= days) unlock(id, day.lastEndTime);
+        });
+    });
+
+    return ACHIEVEMENTS.map(achievement => ({ ...achievement, unlockedAt: unlocked.get(achievement.id) ?? null }));
+}
+
+/**
+ * Everything the "Ready to Focus?" card shows.
+ * @param {Array} sessions - The whole history
+ * @param {Goals} goals
+ * @param {number} [now=Date.now()]
+ */
+export function goalSummary(sessions, goals, now = Date.now()) {
+    const days = dailyTotals(sessions);
+    const today = days.find(day => day.start === startOfDay(now));
+    return {
+        goals,
+        today: goalProgress(today, goals),
+        streak: goalStreak(days, goals, now),
+        achievements: achievements(sessions, goals)
+    };
+}
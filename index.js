@@ -0,0 +1,132 @@
+// Focus Guard detection library
+// Browser: PhoneDetector runs inference in a Web Worker
+// Node: the pure pre/post-processing functions can be used directly, and
+// OfflineDetector runs the full pipeline with onnxruntime-node
+
+export { PhoneDetector } from './phone-detector.js';
+export { OfflineDetector } from './offline-detector.js';
+export { EventEmitter } from './event-emitter.js';
+export {
+    CLASS_NAMES,
+    PHONE_CLASS_INDEX,
+    MODEL_WIDTH,
+    MODEL_HEIGHT,
+    CONFIDENCE_THRESHOLD,
+    IOU_THRESHOLD,
+    preprocess,
+    postprocess,
+    postprocessWithStats,
+    nms,
+    calculateIOU,
+    resolveOutputLayout,
+    resizeGeometry,
+    resizePixels,
+    toFrameBox,
+    mirrorBox,
+    OUTPUT_LAYOUTS,
+    RESIZE_MODES,
+    PAD_COLOR,
+    TOP_SCORES
+} from './detection-core.js';
+export {
+    DEFAULT_MODEL_MANIFEST,
+    loadManifest,
+    validateManifest,
+    resolveClassMap,
+    parseClassNames,
+    modelConfig
+} from './model-manifest.js';
+export { BACKENDS, BACKEND_LABELS, probeBackends, forgetBackend } from './execution-backend.js';
+export {
+    AdaptiveScheduler,
+    MotionDetector,
+    SCHEDULER_PROFILES,
+    DEFAULT_SCHEDULER,
+    grayscale,
+    frameDifference
+} from './adaptive-scheduler.js';
+export { PhoneStateMachine, BoxTracker, PHONE_STATES, DEFAULT_SMOOTHING } from './phone-state-machine.js';
+export {
+    PhoneContext,
+    PHONE_USAGE,
+    PERSON_CLASS_INDEX,
+    DEFAULT_CONTEXT,
+    upperBodyRegion,
+    phoneFeatures,
+    inUseScore
+} from './phone-context.js';
+export { PresenceTracker, PRESENCE_STATES, DEFAULT_PRESENCE, modelDetectsPeople } from './presence-tracker.js';
+export { ZoneStore, ZONE_TYPES, validateZones, pointInPolygon, inZones, zoneToPixels } from './roi-zones.js';
+export { CameraManager, CAMERA_ERRORS, cameraConstraints, describeCameraError } from './camera-manager.js';
+export {
+    SOURCE_TYPES,
+    FRAME_STEP_SECONDS,
+    FrameResultLog,
+    isLiveSource,
+    tracksPresence,
+    sourceTypeForFile,
+    formatMediaTime,
+    openScreenCapture
+} from './frame-sources.js';
+export { AlertPolicy, ALERT_LEVELS, DEFAULT_ALERT_POLICY, isQuietTime, parseTime } from './alert-policy.js';
+export {
+    Integrations,
+    IntegrationStore,
+    WebhookDispatcher,
+    EventBridge,
+    INTEGRATION_EVENTS,
+    createEvent,
+    signPayload,
+    validateWebhook,
+    validateOrigin
+} from './integrations.js';
+export {
+    DEFAULT_EVALUATION,
+    parseYoloLabels,
+    parseCocoAnnotations,
+    matchDetections,
+    averagePrecision,
+    evaluateClass,
+    compareEvaluations,
+    formatEvaluationReport
+} from './evaluation.js';
+export {
+    ACHIEVEMENTS,
+    goalsFromSettings,
+    hasGoals,
+    dailyTotals,
+    goalProgress,
+    meetsGoals,
+    goalStreak,
+    achievements,
+    goalSummary
+} from './goals.js';
+export { Logger, logger, createLogger, LOG_LEVELS, formatLogValue } from './logger.js';
+export {
+    FrameRateMeter,
+    createDiagnosticsBundle,
+    collectEnvironment,
+    formatStages,
+    formatTopScores,
+    summarizeFrame
+} from './diagnostics.js';
+export {
+    snapshotsToPrune,
+    snapshotLimits,
+    enforceSnapshotRetention,
+    snapshotDatasetFiles,
+    SNAPSHOT_LIMIT_SETTINGS
+} from './snapshot-store.js';
+export { SNAPSHOT_BLUR, faceRegion, expandBox } from './snapshot-capture.js';
+export { createZip, crc32 } from './zip-writer.js';
+export { FocusTimer, DEFAULT_TIMER } from './focus-timer.js';
+export { SettingsStore, SETTINGS_SCHEMA, defaultSettings, validateSettings } from './settings.js';
+export {
+    ProfileStore,
+    BUILT_IN_PROFILES,
+    ALERT_MODES,
+    validateProfile,
+    profileSmoothingOptions,
+    alertModeFor,
+    classColor
+} from './distraction-profiles.js';
@@ -0,0 +1,142 @@
+// Webhook list in the settings screen - add, enable, test and remove
+
+import { INTEGRATION_EVENTS, createEvent } from './integrations.js';
+
+// Test events are sent on demand only
+const SUBSCRIBABLE = Object.values(INTEGRATION_EVENTS).filter(type => type !== INTEGRATION_EVENTS.TEST);
+
+function buildRow(hook) {
+    const row = document.createElement('div');
+    row.className = 'webhook-row';
+    row.dataset.id = hook.id;
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = hook.enabled;
+    enabled.dataset.action = 'toggle';
+    enabled.setAttribute('aria-label', `Send events to ${hook.url}`);
+
+    const details = document.createElement('span');
+    details.className = 'webhook-details';
+    const url = document.createElement('span');
+    url.className = 'webhook-url';
+    url.textContent = hook.url;
+    const events = document.createElement('span');
+    events.className = 'settings-help';
+    events.textContent = `${hook.events.join(', ')}${hook.secret ? ' · signed' : ''}`;
+    details.append(url, events);
+
+    const test = document.createElement('button');
+    test.type = 'button';
+    test.className = 'btn-secondary';
+    test.dataset.action = 'test';
+    test.textContent = 'Test';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn-secondary';
+    remove.dataset.action = 'remove';
+    remove.textContent = 'Remove';
+
+    row.append(enabled, details, test, remove);
+    return row;
+}
+
+/**
+ * @param {Integrations} integrations
+ */
+export function initIntegrationsPanel(integrations) {
+    const { store, dispatcher } = integrations;
+    const list = document.getElementById('webhook-list');
+    const urlInput = document.getElementById('webhook-url');
+    const secretInput = document.getElementById('webhook-secret');
+    const eventsBox = document.getElementById('webhook-events');
+    const addBtn = document.getElementById('webhook-add-btn');
+    const message = document.getElementById('webhook-message');
+    const originInput = document.getElementById('embed-origin');
+    const originSaveBtn = document.getElementById('embed-origin-save-btn');
+
+    function setMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('is-error', isError);
+    }
+
+    function render() {
+        list.innerHTML = '';
+        store.list().forEach(hook => list.appendChild(buildRow(hook)));
+        if (store.list().length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'settings-help';
+            empty.textContent = 'No webhooks yet.';
+            list.appendChild(empty);
+        }
+    }
+
+    eventsBox.innerHTML = '';
+    SUBSCRIBABLE.forEach((type) => {
+        const label = document.createElement('label');
+        label.className = 'webhook-event';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = type;
+        checkbox.checked = true;
+        label.append(checkbox, document.createTextNode(type));
+        eventsBox.appendChild(label);
+    });
+
+    addBtn.addEventListener('click', () => {
+        const events = [...eventsBox.querySelectorAll('input:checked')].map(input => input.value);
+        try {
+            const hook = store.save({ url: urlInput.value.trim(), secret: secretInput.value, events });
+            urlInput.value = '';
+            secretInput.value = '';
+            setMessage(`Added ${hook.url}.`);
+        } catch (e) {
+            setMessage(e.message, true);
+        }
+    });
+
+    originSaveBtn.addEventListener('click', () => {
+        try {
+            const origin = store.setEmbedOrigin(originInput.value);
+            originInput.value = origin;
+            setMessage(origin
+                ? `Events are posted to ${origin} when it embeds Focus Guard.`
+                : 'Events are not posted to embedding pages.');
+        } catch (e) {
+            setMessage(e.message, true);
+        }
+    });
+
+    list.addEventListener('change', (event) => {
+        if (event.target.dataset.action !== 'toggle') return;
+        const hook = store.list().find(h => h.id === event.target.closest('.webhook-row').dataset.id);
+        if (hook) store.save({ ...hook, enabled: event.target.checked });
+    });
+
+    list.addEventListener('click', async (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        const hook = store.list().find(h => h.id === button.closest('.webhook-row').dataset.id);
+        if (!hook) return;
+
+        if (button.dataset.action === 'remove') {
+            store.remove(hook.id);
+            setMessage(`Removed ${hook.url}.`);
+        } else if (button.dataset.action === 'test') {
+            setMessage(`Sending a test event to ${hook.url}...`);
+            button.disabled = true;
+            try {
+                const { status, attempts } = await dispatcher.deliver(hook, createEvent(INTEGRATION_EVENTS.TEST));
+                setMessage(`Delivered (HTTP ${status}${attempts > 1 ? ` after ${attempts} attempts` : ''}).`);
+            } catch (e) {
+                setMessage(`${e.message}. The receiver must allow CORS requests from this page.`, true);
+            }
+            button.disabled = false;
+        }
+    });
+
+    store.on('change', render);
+    originInput.value = store.embedOrigin;
+    render();
+}
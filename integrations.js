@@ -0,0 +1,383 @@
+// Integrations - let other tools react to detection events
+//
+// Two outlets, fed the same events:
+//   - webhooks: signed JSON POSTs to user-configured URLs (Home Assistant, a
+//     desk light, a script on localhost), retried with exponential backoff
+//   - EventBridge: a BroadcastChannel for other tabs/workers on this origin and,
+//     when Focus Guard runs in an iframe, postMessage to the embedding page -
+//     only if the user allowed that page's origin (off by default)
+//
+// Event payload:
+//   { type, id, timestamp, sessionId, className?, confidence?, duration? }
+//   type is one of INTEGRATION_EVENTS; duration (ms) is set on phone-end and session-end
+//
+// Webhook requests carry the headers
+//   X-Focus-Guard-Event:     the event type
+//   X-Focus-Guard-Delivery:  the event id (same on every retry)
+//   X-Focus-Guard-Signature: sha256=<hex HMAC-SHA256 of the raw body with the hook's secret>
+// scripts/webhook-receiver.js is a local receiver that verifies them.
+
+import { EventEmitter } from './event-emitter.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('integrations');
+
+const STORAGE_KEY = 'focus-guard-integrations';
+const CHANNEL_NAME = 'focus-guard';
+const MAX_WEBHOOKS = 10;
+
+export const INTEGRATION_EVENTS = Object.freeze({
+    PHONE_START: 'phone-start',
+    PHONE_END: 'phone-end',
+    SESSION_START: 'session-start',
+    SESSION_END: 'session-end',
+    TEST: 'test'
+});
+
+export const DEFAULT_RETRY = Object.freeze({
+    attempts: 5,        // including the first try
+    baseDelay: 1000,    // ms before the first retry, doubled each time
+    maxDelay: 30000,
+    timeout: 10000      // per request
+});
+
+/**
+ * Build an event payload.
+ * @param {string} type - One of INTEGRATION_EVENTS
+ * @param {object} [data] - sessionId, className, confidence, duration...
+ * @param {number} [timestamp=Date.now()]
+ */
+export function createEvent(type, data = {}, timestamp = Date.now()) {
+    if (!Object.values(INTEGRATION_EVENTS).includes(type)) {
+        throw new Error(`Unknown integration event "${type}"`);
+    }
+    const random = Math.random().toString(36).slice(2, 8);
+    return { type, id: `evt-${timestamp}-${random}`, timestamp, ...data };
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * HMAC-SHA256 of a request body, hex encoded.
+ * @param {string} body
+ * @param {string} secret
+ * @returns {Promise<string>}
+ * @throws {Error} Outside a secure context (https or localhost), which has no crypto.subtle
+ */
+export async function signPayload(body, secret) {
+    if (!globalThis.crypto?.subtle) {
+        throw new Error('Signing needs a secure context (https or localhost)');
+    }
+    const encoder = new TextEncoder();
+    const key = await globalThis.crypto.subtle.importKey(
+        'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    return toHex(await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+}
+
+/**
+ * Delay before retry number `attempt` (1 = first retry), with +-20% jitter so
+ * several tabs don't hammer a recovering receiver in lockstep.
+ */
+export function backoffDelay(attempt, { baseDelay, maxDelay } = DEFAULT_RETRY, random = Math.random) {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay * (0.8 + random() * 0.4));
+}
+
+/**
+ * @typedef {object} Webhook
+ * @property {string} id
+ * @property {string} url - http(s) URL
+ * @property {string} [secret] - Signs the body; empty = unsigned
+ * @property {string[]} events - Event types to send
+ * @property {boolean} enabled
+ */
+
+/**
+ * Validate a webhook definition.
+ * @returns {Webhook} Cleaned copy
+ * @throws {Error} Describing the first problem
+ */
+export function validateWebhook(hook) {
+    let url;
+    try {
+        url = new URL(hook?.url);
+    } catch (e) {
+        throw new Error('Webhook URL is not a valid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('Webhook URL must start with http:// or https://');
+    }
+
+    const events = hook.events ?? Object.values(INTEGRATION_EVENTS);
+    if (!Array.isArray(events) || events.some(type => !Object.values(INTEGRATION_EVENTS).includes(type))) {
+        throw new Error(`Webhook events must be a list of ${Object.values(INTEGRATION_EVENTS).join(', ')}`);
+    }
+
+    return {
+        id: String(hook.id || `hook-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`),
+        url: url.href,
+        secret: String(hook.secret || ''),
+        events: [...events],
+        enabled: hook.enabled !== false
+    };
+}
+
+/**
+ * Validate the origin of a page allowed to embed Focus Guard and receive its events.
+ * @param {string} value - e.g. https://dashboard.example.com, empty for none
+ * @returns {string} The normalised origin, or '' for none
+ * @throws {Error} For anything that is not a single http(s) origin
+ */
+export function validateOrigin(value) {
+    const text = String(value ?? '').trim();
+    if (text === '') return '';
+    let url;
+    try {
+        url = new URL(text);
+    } catch (e) {
+        throw new Error('Embedding page origin is not a valid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('Embedding page origin must start with http:// or https://');
+    }
+    return url.origin;
+}
+
+export class WebhookDispatcher extends EventEmitter {
+    /**
+     * Events:
+     *   'delivered' { hook, event, attempts, status }
+     *   'failed'    { hook, event, attempts, error }   gave up after the last attempt
+     *
+     * @param {object} [options]
+     * @param {Function} [options.fetch=globalThis.fetch]
+     * @param {object} [options.retry] - See DEFAULT_RETRY
+     * @param {Function} [options.sleep] - (ms) => Promise, for tests
+     */
+    constructor({ fetch = globalThis.fetch, retry = {}, sleep } = {}) {
+        super();
+        this.fetch = fetch;
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+        this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.hooks = [];
+    }
+
+    setWebhooks(hooks) {
+        this.hooks = hooks.map(validateWebhook);
+    }
+
+    /**
+     * Send an event to every enabled hook that subscribed to it.
+     * Never rejects - failures are reported through 'failed'.
+     * @returns {Promise<void>} Resolves when all deliveries finished or gave up
+     */
+    async dispatch(event, hooks = this.hooks) {
+        const targets = hooks.filter(hook => hook.enabled && hook.events.includes(event.type));
+        await Promise.all(targets.map(hook => this.deliver(hook, event).catch(() => {})));
+    }
+
+    /**
+     * Deliver one event to one hook, retrying network errors, 429 and 5xx.
+     * @returns {Promise<{status: number, attempts: number}>}
+     * @throws {Error} After the last failed attempt
+     */
+    async deliver(hook, event) {
+        const body = JSON.stringify(event);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Focus-Guard-Event': event.type,
+            'X-Focus-Guard-Delivery': event.id
+        };
+        if (hook.secret) {
+            try {
+                headers['X-Focus-Guard-Signature'] = `sha256=${await signPayload(body, hook.secret)}`;
+            } catch (e) {
+                // Nothing was sent, and retrying would not help
+                const error = new Error(`Webhook ${hook.url} not sent: ${e.message}`);
+                this.emit('failed', { hook, event, attempts: 0, error });
+                throw error;
+            }
+        }
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= this.retry.attempts; attempt++) {
+            if (attempt > 1) await this.sleep(backoffDelay(attempt - 1, this.retry));
+
+            let retryable = true;
+            try {
+                const response = await this._post(hook.url, headers, body);
+                if (response.ok) {
+                    this.emit('delivered', { hook, event, attempts: attempt, status: response.status });
+                    return { status: response.status, attempts: attempt };
+                }
+                // Other 4xx mean the request itself is wrong - sending it again won't help
+                retryable = response.status === 429 || response.status >= 500;
+                lastError = new Error(`Webhook ${hook.url} answered HTTP ${response.status}`);
+            } catch (e) {
+                lastError = new Error(`Webhook ${hook.url} unreachable: ${e.message}`);
+            }
+            if (!retryable) {
+                this.emit('failed', { hook, event, attempts: attempt, error: lastError });
+                throw lastError;
+            }
+        }
+
+        this.emit('failed', { hook, event, attempts: this.retry.attempts, error: lastError });
+        throw lastError;
+    }
+
+    async _post(url, headers, body) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.retry.timeout) : null;
+        try {
+            return await this.fetch(url, { method: 'POST', headers, body, signal: controller?.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+export class EventBridge {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.channelName='focus-guard']
+     * @param {string} [options.targetOrigin=''] - The one embedding origin events are
+     *   posted to; empty posts nothing to the embedding page
+     */
+    constructor({ channelName = CHANNEL_NAME, targetOrigin = '' } = {}) {
+        this.setTargetOrigin(targetOrigin);
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+    }
+
+    setTargetOrigin(origin) {
+        this.targetOrigin = validateOrigin(origin);
+    }
+
+    publish(event) {
+        const message = { source: 'focus-guard', ...event };
+        if (this.channel) this.channel.postMessage(message);
+
+        // Only when embedded in another page, and only to the origin the user allowed
+        const parent = globalThis.window?.parent;
+        if (this.targetOrigin && parent && parent !== globalThis.window) {
+            parent.postMessage(message, this.targetOrigin);
+        }
+    }
+
+    close() {
+        if (this.channel) this.channel.close();
+        this.channel = null;
+    }
+}
+
+export class IntegrationStore extends EventEmitter {
+    constructor(storage = globalThis.localStorage) {
+        super();
+        this.storage = storage;
+        this.webhooks = [];
+        this.embedOrigin = '';
+        this._read();
+    }
+
+    _read() {
+        if (!this.storage) return;
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            this.webhooks = (stored.webhooks || []).flatMap((hook) => {
+                try {
+                    return [validateWebhook(hook)];
+                } catch (e) {
+                    log.warn('Dropping invalid webhook:', e.message);
+                    return [];
+                }
+            });
+            this.embedOrigin = validateOrigin(stored.embedOrigin);
+        } catch (e) {
+            log.warn('Ignoring corrupt saved integrations:', e);
+        }
+    }
+
+    _write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ webhooks: this.webhooks, embedOrigin: this.embedOrigin }));
+        } catch (e) {
+            log.warn('Failed to save integrations:', e);
+        }
+    }
+
+    list() {
+        return [...this.webhooks];
+    }
+
+    /**
+     * Add or update a webhook.
+     * @returns {Webhook}
+     */
+    save(hook) {
+        const clean = validateWebhook(hook);
+        const exists = this.webhooks.some(h => h.id === clean.id);
+        if (!exists && this.webhooks.length >= MAX_WEBHOOKS) {
+            throw new Error(`At most ${MAX_WEBHOOKS} webhooks are supported`);
+        }
+        this.webhooks = exists
+            ? this.webhooks.map(h => (h.id === clean.id ? clean : h))
+            : [...this.webhooks, clean];
+        this._write();
+        this._changed();
+        return clean;
+    }
+
+    remove(id) {
+        this.webhooks = this.webhooks.filter(h => h.id !== id);
+        this._write();
+        this._changed();
+    }
+
+    /**
+     * Allow one page embedding Focus Guard in an iframe to receive events.
+     * @param {string} origin - Empty to stop posting events to the embedding page
+     * @returns {string} The normalised origin
+     */
+    setEmbedOrigin(origin) {
+        this.embedOrigin = validateOrigin(origin);
+        this._write();
+        this._changed();
+        return this.embedOrigin;
+    }
+
+    _changed() {
+        this.emit('change', { webhooks: this.list(), embedOrigin: this.embedOrigin });
+    }
+}
+
+/**
+ * Fan events out to webhooks and the event bridge.
+ */
+export class Integrations {
+    constructor({ store = new IntegrationStore(), dispatcher = new WebhookDispatcher(), bridge = new EventBridge() } = {}) {
+        this.store = store;
+        this.dispatcher = dispatcher;
+        this.bridge = bridge;
+        this.dispatcher.setWebhooks(store.list());
+        this.bridge.setTargetOrigin(store.embedOrigin);
+        store.on('change', ({ webhooks, embedOrigin }) => {
+            this.dispatcher.setWebhooks(webhooks);
+            this.bridge.setTargetOrigin(embedOrigin);
+        });
+    }
+
+    /**
+     * Publish an event everywhere. Webhook delivery runs in the background.
+     * @returns {object} The event that was sent
+     */
+    emit(type, data = {}, timestamp = Date.now()) {
+        const event = createEvent(type, data, timestamp);
+        this.bridge.publish(event);
+        this.dispatcher.dispatch(event);
+        return event;
+    }
+}
@@ -0,0 +1,129 @@
+// IndexedDB access shared by Focus Guard's local data stores
+// Everything stays in this browser - nothing is ever sent to a server.
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('db');
+
+const DB_NAME = 'focus-guard';
+
+// One entry per schema version; each upgrade only adds what its version introduced
+const UPGRADES = [
+    // v1: monitoring sessions
+    (db) => {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('startTime', 'startTime');
+    },
+    // v2: user-uploaded alert sounds, one per alert level
+    (db) => {
+        db.createObjectStore('alert-sounds', { keyPath: 'level' });
+    },
+    // v3: opt-in alert snapshots (thumbnails of what triggered an alert)
+    (db) => {
+        const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+        snapshots.createIndex('timestamp', 'timestamp');
+    }
+];
+
+const DB_VERSION = UPGRADES.length;
+
+let dbPromise = null;
+
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                UPGRADES[version](db, request.transaction);
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Another tab upgraded the schema - let it, and reopen next time
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => log.warn('Database upgrade blocked by another open tab');
+    });
+
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run `fn(store)` inside a transaction and resolve with its result once the
+ * transaction completes.
+ */
+export async function withStore(storeName, mode, fn) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const store = transaction.objectStore(storeName);
+        let result;
+
+        Promise.resolve(fn(store)).then((value) => {
+            result = value;
+        }, reject);
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+export function putRecord(storeName, record) {
+    return withStore(storeName, 'readwrite', store => promisify(store.put(record)));
+}
+
+export function getRecord(storeName, key) {
+    return withStore(storeName, 'readonly', store => promisify(store.get(key)));
+}
+
+export function deleteRecord(storeName, key) {
+    return withStore(storeName, 'readwrite', store => promisify(store.delete(key)));
+}
+
+export function deleteRecords(storeName, keys) {
+    return withStore(storeName, 'readwrite', store => Promise.all(keys.map(key => promisify(store.delete(key)))));
+}
+
+export function clearStore(storeName) {
+    return withStore(storeName, 'readwrite', store => promisify(store.clear()));
+}
+
+/**
+ * Read records, optionally restricted to an index range.
+ * @param {string} storeName
+ * @param {object} [query]
+ * @param {string} [query.index] - Index name
+ * @param {IDBKeyRange} [query.range]
+ */
+export function getRecords(storeName, { index, range } = {}) {
+    return withStore(storeName, 'readonly', (store) => {
+        const source = index ? store.index(index) : store;
+        return promisify(source.getAll(range));
+    });
+}
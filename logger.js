@@ -0,0 +1,132 @@
+// Leveled logging with a ring buffer of recent entries
+//
+//   const log = createLogger('camera');
+//   log.info('Camera reconnected, reopening');
+//   log.warn('Failed to list cameras:', error);
+//
+// Entries at or above the level are printed to the console. The most recent
+// entries - info and up, plus debug while the level is debug - are kept for the
+// diagnostics bundle. Extra arguments are turned into text when logged, so
+// the buffer never holds on to frames, streams or sessions.
+
+export const LOG_LEVELS = Object.freeze({
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error'
+});
+
+export const LOG_LEVEL_LABELS = Object.freeze({
+    [LOG_LEVELS.DEBUG]: 'Debug (everything)',
+    [LOG_LEVELS.INFO]: 'Info',
+    [LOG_LEVELS.WARN]: 'Warnings and errors',
+    [LOG_LEVELS.ERROR]: 'Errors only'
+});
+
+const SEVERITY = {
+    [LOG_LEVELS.DEBUG]: 0,
+    [LOG_LEVELS.INFO]: 1,
+    [LOG_LEVELS.WARN]: 2,
+    [LOG_LEVELS.ERROR]: 3
+};
+
+const MAX_DETAILS_LENGTH = 2000;
+
+/**
+ * Text for one logged argument.
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatLogValue(value) {
+    if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+    if (typeof value === 'string') return value;
+    if (value === undefined) return 'undefined';
+    try {
+        return JSON.stringify(value) ?? String(value);
+    } catch (e) {
+        // Circular or otherwise unserialisable
+        return String(value);
+    }
+}
+
+export class Logger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.level='warn'] - Lowest LOG_LEVELS value printed
+     * @param {number} [options.capacity=500] - Entries kept in the ring buffer
+     * @param {Console} [options.output=console] - Where entries are printed, null for nowhere
+     */
+    constructor({ level = LOG_LEVELS.WARN, capacity = 500, output = globalThis.console } = {}) {
+        this.setLevel(level);
+        this.capacity = capacity;
+        this.output = output;
+        this.buffer = [];
+        this.next = 0;
+    }
+
+    setLevel(level) {
+        if (!(level in SEVERITY)) throw new Error(`Unknown log level "${level}"`);
+        this.level = level;
+    }
+
+    /**
+     * @param {string} level - LOG_LEVELS value
+     * @param {string} scope - Part of the app, e.g. 'camera'
+     * @param {string} message
+     * @param {...*} details - Printed as they are, kept as text
+     */
+    log(level, scope, message, ...details) {
+        const severity = SEVERITY[level];
+        if (severity >= SEVERITY[this.level] && this.output) {
+            this.output[level](`[${scope}] ${message}`, ...details);
+        }
+        if (severity < Math.min(SEVERITY[LOG_LEVELS.INFO], SEVERITY[this.level])) return;
+
+        const entry = { timestamp: Date.now(), level, scope, message: String(message) };
+        if (details.length > 0) {
+            entry.details = details.map(formatLogValue).join(' ').slice(0, MAX_DETAILS_LENGTH);
+        }
+        // Ring buffer: overwrite the oldest entry once full
+        if (this.buffer.length < this.capacity) {
+            this.buffer.push(entry);
+        } else {
+            this.buffer[this.next] = entry;
+        }
+        this.next = (this.next + 1) % this.capacity;
+    }
+
+    /**
+     * Logging functions for one part of the app.
+     * @param {string} name
+     * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+     */
+    scope(name) {
+        return {
+            debug: (...args) => this.log(LOG_LEVELS.DEBUG, name, ...args),
+            info: (...args) => this.log(LOG_LEVELS.INFO, name, ...args),
+            warn: (...args) => this.log(LOG_LEVELS.WARN, name, ...args),
+            error: (...args) => this.log(LOG_LEVELS.ERROR, name, ...args)
+        };
+    }
+
+    /**
+     * Buffered entries, oldest first.
+     * @returns {Array<{timestamp, level, scope, message, details?}>}
+     */
+    entries() {
+        if (this.buffer.length < this.capacity) return [...this.buffer];
+        return [...this.buffer.slice(this.next), ...this.buffer.slice(0, this.next)];
+    }
+
+    clear() {
+        this.buffer = [];
+        this.next = 0;
+    }
+}
+
+// Shared by the whole app (each worker has its own)
+export const logger = new Logger();
+
+export function createLogger(scope) {
+    return logger.scope(scope);
+}
@@ -0,0 +1,242 @@
+// Model manifests - describe a detection model so it can be swapped without code changes
+//
+// A manifest is a small JSON file next to the model:
+//
+//   {
+//     "name": "Phone detector (int8)",
+//     "url": "phone-int8.onnx",
+//     "inputSize": 416,                 // or [width, height]
+//     "dynamicInput": false,            // true for dynamic=True exports: the input size setting applies
+//     "classNames": "classes.txt",      // array, or a .json / one-name-per-line file
+//     "outputLayout": "auto",           // auto | yolov8 | yolov5 | nms
+//     "nmsInGraph": false,              // true for end-to-end exports (implies "nms")
+//     "normalization": { "mean": [0, 0, 0], "std": [1, 1, 1] },
+//     "resize": "letterbox",            // or "stretch" for models trained on stretched images
+//     "padColor": [114, 114, 114],      // letterbox padding (RGB)
+//     "inputType": "float32"            // or "uint8" for fully quantized inputs
+//   }
+//
+// Relative URLs are resolved against the manifest's own URL. Class names that
+// match a COCO name (or a common phone alias) are reported with the COCO index,
+// so distraction profiles keep working with fine-tuned models.
+
+import {
+    CLASS_NAMES,
+    MODEL_WIDTH,
+    MODEL_HEIGHT,
+    OUTPUT_LAYOUTS,
+    PHONE_CLASS_INDEX,
+    RESIZE_MODES,
+    PAD_COLOR
+} from './detection-core.js';
+
+export const DEFAULT_MODEL_MANIFEST = Object.freeze({
+    name: 'YOLOv8 Nano',
+    url: './yolov8n.onnx',
+    inputWidth: MODEL_WIDTH,
+    inputHeight: MODEL_HEIGHT,
+    // `yolo export format=onnx` fixes the input at 1x3x640x640 unless exported
+    // with dynamic=True, so the input size setting does not apply
+    dynamicInput: false,
+    classNames: CLASS_NAMES,
+    outputLayout: OUTPUT_LAYOUTS.AUTO,
+    nmsInGraph: false,
+    normalization: Object.freeze({ mean: [0, 0, 0], std: [1, 1, 1] }),
+    resize: RESIZE_MODES.LETTERBOX,
+    padColor: PAD_COLOR,
+    inputType: 'float32'
+});
+
+// Names fine-tuned phone detectors commonly use for the COCO 'cell phone' class
+const CLASS_ALIASES = {
+    'phone': PHONE_CLASS_INDEX,
+    'cellphone': PHONE_CLASS_INDEX,
+    'cell_phone': PHONE_CLASS_INDEX,
+    'mobile phone': PHONE_CLASS_INDEX,
+    'mobile_phone': PHONE_CLASS_INDEX,
+    'smartphone': PHONE_CLASS_INDEX,
+    'tvmonitor': CLASS_NAMES.indexOf('tv')
+};
+
+function checkTriple(value, name) {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+        throw new Error(`${name} must be an array of 3 numbers`);
+    }
+}
+
+/**
+ * Validate a manifest and fill in defaults. classNames must already be an array.
+ * @param {object} manifest
+ * @returns {object} A complete manifest
+ * @throws {Error} Describing the first invalid field
+ */
+export function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error('Model manifest must be an object');
+    }
+    if (!manifest.url || typeof manifest.url !== 'string') {
+        throw new Error('Model manifest needs a "url" for the ONNX file');
+    }
+
+    let [inputWidth, inputHeight] = [manifest.inputWidth, manifest.inputHeight];
+    if (manifest.inputSize !== undefined) {
+        [inputWidth, inputHeight] = Array.isArray(manifest.inputSize)
+            ? manifest.inputSize
+            : [manifest.inputSize, manifest.inputSize];
+    }
+    inputWidth = inputWidth ?? MODEL_WIDTH;
+    inputHeight = inputHeight ?? MODEL_HEIGHT;
+    [inputWidth, inputHeight].forEach((size) => {
+        if (!Number.isInteger(size) || size < 32 || size % 32 !== 0) {
+            throw new Error(`Model input size must be a positive multiple of 32, got ${size}`);
+        }
+    });
+
+    const classNames = manifest.classNames ?? CLASS_NAMES;
+    if (!Array.isArray(classNames) || classNames.length === 0 || !classNames.every(n => typeof n === 'string')) {
+        throw new Error('Model manifest "classNames" must be a non-empty list of names');
+    }
+
+    const nmsInGraph = Boolean(manifest.nmsInGraph);
+    let outputLayout = manifest.outputLayout ?? OUTPUT_LAYOUTS.AUTO;
+    if (!Object.values(OUTPUT_LAYOUTS).includes(outputLayout)) {
+        throw new Error(`Unknown outputLayout "${outputLayout}" (expected ${Object.values(OUTPUT_LAYOUTS).join(', ')})`);
+    }
+    if (nmsInGraph) {
+        if (outputLayout !== OUTPUT_LAYOUTS.AUTO && outputLayout !== OUTPUT_LAYOUTS.NMS) {
+            throw new Error('nmsInGraph models must use the "nms" output layout');
+        }
+        outputLayout = OUTPUT_LAYOUTS.NMS;
+    }
+
+    const normalization = {
+        mean: manifest.normalization?.mean ?? [0, 0, 0],
+        std: manifest.normalization?.std ?? [1, 1, 1]
+    };
+    checkTriple(normalization.mean, 'normalization.mean');
+    checkTriple(normalization.std, 'normalization.std');
+    if (normalization.std.some(s => s === 0)) {
+        throw new Error('normalization.std must not contain 0');
+    }
+
+    const resize = manifest.resize ?? RESIZE_MODES.LETTERBOX;
+    if (!Object.values(RESIZE_MODES).includes(resize)) {
+        throw new Error(`Unknown resize mode "${resize}" (expected letterbox or stretch)`);
+    }
+    const padColor = manifest.padColor ?? PAD_COLOR;
+    checkTriple(padColor, 'padColor');
+    if (padColor.some(c => c < 0 || c > 255)) {
+        throw new Error('padColor values must be between 0 and 255');
+    }
+
+    const inputType = manifest.inputType ?? 'float32';
+    if (inputType !== 'float32' && inputType !== 'uint8') {
+        throw new Error(`Unsupported inputType "${inputType}" (expected float32 or uint8)`);
+    }
+
+    return {
+        name: manifest.name || manifest.url,
+        url: manifest.url,
+        inputWidth,
+        inputHeight,
+        dynamicInput: Boolean(manifest.dynamicInput),
+        classNames,
+        outputLayout,
+        nmsInGraph,
+        normalization,
+        resize,
+        padColor: [...padColor],
+        inputType
+    };
+}
+
+/**
+ * Map model class indices to the indices detections are reported with:
+ * COCO names (and phone aliases) keep their COCO index, anything else is
+ * placed after the COCO range.
+ * @param {string[]} classNames
+ * @returns {number[]}
+ */
+export function resolveClassMap(classNames) {
+    return classNames.map((name, modelIndex) => {
+        const key = name.trim().toLowerCase();
+        const cocoIndex = CLASS_NAMES.indexOf(key);
+        if (cocoIndex !== -1) return cocoIndex;
+        if (CLASS_ALIASES[key] !== undefined) return CLASS_ALIASES[key];
+        return CLASS_NAMES.length + modelIndex;
+    });
+}
+
+/**
+ * Parse a class names file: a JSON array, a JSON object keyed by index
+ * (Ultralytics style) or one name per line.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseClassNames(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) return parsed;
+        return Object.keys(parsed).sort((a, b) => a - b).map(key => parsed[key]);
+    }
+    return trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Fetch a manifest (or take an object) and resolve everything it points to.
+ * @param {string|URL|object} source - Manifest URL or manifest object
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Base for relative URLs when source is an object
+ * @param {Function} [options.fetch=globalThis.fetch]
+ * @returns {Promise<object>} Validated manifest with an absolute url and classNames array
+ */
+export async function loadManifest(source, { baseUrl = globalThis.location?.href, fetch = globalThis.fetch } = {}) {
+    let manifest = source;
+    let base = baseUrl;
+
+    if (typeof source === 'string' || source instanceof URL) {
+        base = new URL(source, baseUrl).href;
+        const response = await fetch(base);
+        if (!response.ok) {
+            throw new Error(`Model manifest not found (HTTP ${response.status}): ${base}`);
+        }
+        try {
+            manifest = await response.json();
+        } catch (e) {
+            throw new Error(`Model manifest ${base} is not valid JSON`);
+        }
+    }
+
+    manifest = { ...manifest };
+    if (typeof manifest.classNames === 'string') {
+        const namesUrl = new URL(manifest.classNames, base).href;
+        const response = await fetch(namesUrl);
+        if (!response.ok) {
+            throw new Error(`Class names file not found (HTTP ${response.status}): ${namesUrl}`);
+        }
+        manifest.classNames = parseClassNames(await response.text());
+    }
+    if (manifest.url) manifest.url = new URL(manifest.url, base).href;
+
+    return validateManifest(manifest);
+}
+
+/**
+ * Settings the detection worker needs for a manifest.
+ * @returns {{preprocess: object, postprocess: object}}
+ */
+export function modelConfig(manifest) {
+    return {
+        preprocess: {
+            mean: manifest.normalization.mean,
+            std: manifest.normalization.std,
+            dataType: manifest.inputType
+        },
+        postprocess: {
+            layout: manifest.outputLayout,
+            classNames: manifest.classNames,
+            classMap: resolveClassMap(manifest.classNames)
+        }
+    };
+}
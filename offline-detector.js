@@ -0,0 +1,194 @@
+// OfflineDetector - the detection pipeline for already decoded frames, without
+// a browser, worker or camera (used by the focus-guard CLI)
+//
+//   const ort = await import('onnxruntime-node');
+//   const detector = new OfflineDetector({ ort });
+//   await detector.load('./yolov8n.onnx');
+//   const { detections, state } = await detector.detect(rgba, width, height, timestamp);
+//
+// Frames go through the same steps as PhoneDetector: letterbox (resizePixels),
+// preprocess, the ONNX session, postprocess/NMS, zones, PhoneContext and the
+// debounced PhoneStateMachine. Timestamps come from the caller (frame time in
+// the recording), so smoothing behaves as it did live.
+//
+// Events:
+//   'phone-start' { detection, timestamp, trackId }
+//   'phone-end'   { timestamp, duration, trackId }
+
+import { EventEmitter } from './event-emitter.js';
+import { IOU_THRESHOLD, resizeGeometry, resizePixels, preprocess, postprocess } from './detection-core.js';
+import { PhoneStateMachine, PHONE_STATES } from './phone-state-machine.js';
+import { PhoneContext, PERSON_CLASS_INDEX } from './phone-context.js';
+import { DEFAULT_MODEL_MANIFEST, validateManifest, modelConfig } from './model-manifest.js';
+import { inZones } from './roi-zones.js';
+
+export class OfflineDetector extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {object} options.ort - ONNX Runtime module (onnxruntime-node or onnxruntime-web)
+     * @param {object} [options.manifest] - Validated model manifest (default: YOLOv8 Nano)
+     * @param {number} [options.modelWidth] - Input size for models with a dynamic input
+     * @param {number} [options.modelHeight]
+     * @param {number} [options.iouThreshold=0.45]
+     * @param {object} [options.smoothing] - PhoneStateMachine options
+     * @param {object} [options.context] - PhoneContext options
+     * @param {Array} [options.zones] - Include/exclude zones (see roi-zones.js)
+     * @param {object} [options.sessionOptions] - Passed to InferenceSession.create()
+     */
+    constructor({ ort, manifest = DEFAULT_MODEL_MANIFEST, modelWidth, modelHeight, iouThreshold = IOU_THRESHOLD,
+        smoothing, context, zones = [], sessionOptions = {} } = {}) {
+        super();
+        if (!ort || !ort.InferenceSession) {
+            throw new Error('OfflineDetector needs an ONNX Runtime module (options.ort)');
+        }
+        this.ort = ort;
+        this.manifest = validateManifest(manifest);
+        this.config = modelConfig(this.manifest);
+        // Models exported for one input size ignore the requested size
+        this.modelWidth = this.manifest.dynamicInput ? (modelWidth || this.manifest.inputWidth) : this.manifest.inputWidth;
+        this.modelHeight = this.manifest.dynamicInput ? (modelHeight || this.manifest.inputHeight) : this.manifest.inputHeight;
+        this.iouThreshold = iouThreshold;
+        this.zones = zones;
+        this.sessionOptions = sessionOptions;
+        this.session = null;
+
+        this.stateMachine = new PhoneStateMachine(smoothing);
+        this.phoneContext = new PhoneContext(context);
+        this.stateMachine.on('transition', (transition) => this._onTransition(transition));
+        this.phoneSince = 0;
+        this.lastTimestamp = 0;
+    }
+
+    /**
+     * Create the ONNX session.
+     * @param {string|Uint8Array} [model=manifest.url] - File path (Node), URL or model bytes
+     */
+    async load(model = this.manifest.url) {
+        if (this.session) await this.dispose();
+        try {
+            this.session = await this.ort.InferenceSession.create(model, this.sessionOptions);
+        } catch (e) {
+            const where = typeof model === 'string' ? ` Make sure ${model} exists.` : '';
+            throw new Error(`Failed to load model: ${e.message || e}.${where}`);
+        }
+        return { inputNames: this.session.inputNames, outputNames: this.session.outputNames };
+    }
+
+    /**
+     * Raw detections for one frame - no zones, context or smoothing.
+     * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA, width * height * 4
+     * @param {number} width
+     * @param {number} height
+     * @param {object} [options] - postprocess() options (classes, thresholds...)
+     * @returns {Promise<{detections: Array, stages: {preprocess, inference, postprocess}}>}
+     */
+    async infer(pixels, width, height, options = {}) {
+        if (!this.session) {
+            throw new Error('Model not loaded - call load() first');
+        }
+
+        const started = performance.now();
+        const { modelWidth, modelHeight } = this;
+        const geometry = resizeGeometry(width, height, modelWidth, modelHeight, this.manifest.resize);
+        const resized = resizePixels(pixels, width, height, modelWidth, modelHeight, geometry, this.manifest.padColor);
+        const input = preprocess(resized, modelWidth, modelHeight, this.config.preprocess);
+        const dataType = input instanceof Uint8Array ? 'uint8' : 'float32';
+        const tensor = new this.ort.Tensor(dataType, input, [1, 3, modelHeight, modelWidth]);
+
+        const preprocessed = performance.now();
+        const results = await this.session.run({ [this.session.inputNames[0]]: tensor });
+        const output = results[this.session.outputNames[0]];
+        const inferred = performance.now();
+
+        const detections = postprocess(output, width, height, modelWidth, modelHeight, {
+            ...this.config.postprocess,
+            iouThreshold: this.iouThreshold,
+            ...options,
+            geometry
+        });
+        return {
+            detections,
+            stages: {
+                preprocess: preprocessed - started,
+                inference: inferred - preprocessed,
+                postprocess: performance.now() - inferred
+            }
+        };
+    }
+
+    /**
+     * Run the full pipeline on one frame of a recording.
+     * @param {number} timestamp - Frame time in ms; must not go backwards
+     * @returns {Promise<{detections: Array, state: string, stages: object}>}
+     */
+    async detect(pixels, width, height, timestamp) {
+        const { detections: raw, stages } = await this.infer(pixels, width, height, {
+            // Candidates down to the exit threshold are needed for hysteresis
+            ...this._candidateFilter(),
+            confidenceThreshold: this.stateMachine.options.exitThreshold
+        });
+
+        this.lastTimestamp = timestamp;
+        const inView = raw.filter(det =>
+            det.class === PERSON_CLASS_INDEX || inZones(det, this.zones, width, height));
+        const labelled = this.phoneContext.classify(inView, timestamp);
+        const ignored = labelled.filter(det => !this.phoneContext.shouldAlert(det));
+        const { state, detections: tracked } = this.stateMachine.update(
+            labelled.filter(det => this.phoneContext.shouldAlert(det)),
+            timestamp
+        );
+        return { detections: [...tracked, ...ignored], state, stages };
+    }
+
+    // Same candidates as PhoneDetector: person boxes give phones their context
+    _candidateFilter() {
+        const { classes, classThresholds } = this.stateMachine.candidateFilter();
+        if (classes.includes(PERSON_CLASS_INDEX)) return { classes, classThresholds };
+
+        return {
+            classes: [...classes, PERSON_CLASS_INDEX],
+            classThresholds: { ...classThresholds, [PERSON_CLASS_INDEX]: this.phoneContext.options.personThreshold }
+        };
+    }
+
+    _onTransition(transition) {
+        if (transition.to === PHONE_STATES.CONFIRMED) {
+            this.phoneSince = transition.timestamp;
+            this.emit('phone-start', {
+                detection: transition.detection,
+                timestamp: transition.timestamp,
+                trackId: transition.trackId
+            });
+        } else if (transition.from === PHONE_STATES.CONFIRMED) {
+            this.emit('phone-end', {
+                timestamp: transition.timestamp,
+                duration: transition.timestamp - this.phoneSince,
+                trackId: transition.trackId
+            });
+        }
+    }
+
+    /**
+     * End of a recording: close a phone episode that is still open and start
+     * the next recording from a clean state.
+     * @param {number} [timestamp] - End of the recording (default: last frame)
+     */
+    finish(timestamp = this.lastTimestamp) {
+        if (this.stateMachine.state === PHONE_STATES.CONFIRMED) {
+            this.emit('phone-end', {
+                timestamp,
+                duration: timestamp - this.phoneSince,
+                trackId: this.stateMachine.activeTrackId
+            });
+        }
+        this.stateMachine.reset();
+        this.phoneContext.reset();
+    }
+
+    async dispose() {
+        if (this.session) {
+            await this.session.release();
+            this.session = null;
+        }
+    }
+}
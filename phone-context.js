@@ -0,0 +1,210 @@
+// Phone context - is a detected phone being used or just lying nearby?
+//
+// The model only says "there is a phone". Relating each phone box to the
+// person boxes in the same frame tells a phone held up in front of someone
+// apart from one lying face-down on the desk:
+//
+//   - overlap with the person's upper body (face and hands area)
+//   - where the phone sits vertically relative to the person
+//   - phone size relative to the person (a held phone is close to the camera)
+//   - aspect ratio (a held phone is usually upright, a flat one looks wide)
+//
+// Size and aspect ratio are smoothed per phone over time, and the final
+// in-use score has hysteresis so a label does not flicker between frames.
+
+import { PHONE_CLASS_INDEX, calculateIOU } from './detection-core.js';
+import { BoxTracker } from './phone-state-machine.js';
+
+export const PERSON_CLASS_INDEX = 0;
+
+export const PHONE_USAGE = Object.freeze({
+    IN_USE: 'in-use',
+    NEARBY: 'nearby'
+});
+
+export const DEFAULT_CONTEXT = Object.freeze({
+    alertNearby: true,        // false: phones classified as nearby never alert
+    personThreshold: 0.4,     // confidence needed for a person box to count
+    upperBodyFraction: 0.6,   // top share of the person box that holds face and hands
+    handReach: 0.25,          // how far (in person widths) hands reach beyond the box sides
+    minRelativeSize: 0.005,   // phone area / person area below this looks far away
+    featureSmoothing: 0.3,    // EMA factor for size and aspect ratio
+    inUseThreshold: 0.55,     // score needed to switch a phone to in-use
+    releaseThreshold: 0.4     // score below which an in-use phone becomes nearby
+});
+
+function area(box) {
+    return Math.max(0, box.width) * Math.max(0, box.height);
+}
+
+function intersectionArea(a, b) {
+    const x1 = Math.max(a.x, b.x);
+    const y1 = Math.max(a.y, b.y);
+    const x2 = Math.min(a.x + a.width, b.x + b.width);
+    const y2 = Math.min(a.y + a.height, b.y + b.height);
+    if (x2 <= x1 || y2 <= y1) return 0;
+    return (x2 - x1) * (y2 - y1);
+}
+
+/**
+ * Region of a person box where a phone in use is expected: the upper body,
+ * widened to either side for outstretched hands.
+ * @returns {{x, y, width, height}}
+ */
+export function upperBodyRegion(person, options = DEFAULT_CONTEXT) {
+    const reach = person.width * options.handReach;
+    return {
+        x: person.x - reach,
+        y: person.y,
+        width: person.width + 2 * reach,
+        height: person.height * options.upperBodyFraction
+    };
+}
+
+/**
+ * Single-frame geometry features of a phone relative to one person.
+ * @returns {{overlap: number, verticalPosition: number, relativeSize: number, aspectRatio: number}}
+ *   overlap - share of the phone inside the upper-body region (0..1)
+ *   verticalPosition - phone centre, 0 = top of the person box, 1 = bottom
+ *   relativeSize - phone area / person area
+ *   aspectRatio - height / width of the phone box
+ */
+export function phoneFeatures(phone, person, options = DEFAULT_CONTEXT) {
+    const phoneArea = area(phone);
+    const region = upperBodyRegion(person, options);
+
+    return {
+        overlap: phoneArea > 0 ? intersectionArea(phone, region) / phoneArea : 0,
+        verticalPosition: person.height > 0 ? (phone.y + phone.height / 2 - person.y) / person.height : 1,
+        relativeSize: area(person) > 0 ? phoneArea / area(person) : 0,
+        aspectRatio: phone.width > 0 ? phone.height / phone.width : 1
+    };
+}
+
+/**
+ * Combine features into an in-use score between 0 and 1.
+ */
+export function inUseScore(features, options = DEFAULT_CONTEXT) {
+    const { overlap, verticalPosition, relativeSize, aspectRatio } = features;
+
+    // Between the chin and the waist is where phones are held and scrolled
+    const inHandZone = verticalPosition >= 0.1 && verticalPosition <= options.upperBodyFraction + 0.1;
+    const closeEnough = relativeSize >= options.minRelativeSize;
+    // Upright (portrait) boxes look held; very wide boxes look flat on a surface
+    const upright = aspectRatio >= 1.2 ? 1 : aspectRatio >= 0.8 ? 0.5 : 0;
+
+    return 0.5 * overlap +
+        0.2 * (inHandZone ? 1 : 0) +
+        0.15 * (closeEnough ? 1 : 0) +
+        0.15 * upright;
+}
+
+/**
+ * Classifies phone detections as in use or nearby from frame to frame.
+ */
+export class PhoneContext {
+    constructor(options = {}) {
+        this.tracker = new BoxTracker();
+        this.history = new Map(); // tracker id -> { relativeSize, aspectRatio, usage }
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        const merged = { ...DEFAULT_CONTEXT, ...this.options, ...options };
+        if (merged.releaseThreshold > merged.inUseThreshold) {
+            throw new Error('releaseThreshold must not be higher than inUseThreshold');
+        }
+        if (merged.featureSmoothing <= 0 || merged.featureSmoothing > 1) {
+            throw new Error('featureSmoothing must be in (0, 1]');
+        }
+        this.options = merged;
+    }
+
+    reset() {
+        this.tracker.reset();
+        this.history.clear();
+    }
+
+    /**
+     * Label every phone in a frame. Other classes pass through unchanged.
+     * @param {Array} detections - One frame, including person boxes
+     * @param {number} [timestamp=Date.now()]
+     * @returns {Array} Copies of the detections; phones gain `usage` and `usageScore`
+     */
+    classify(detections, timestamp = Date.now()) {
+        const { personThreshold, featureSmoothing: alpha, inUseThreshold, releaseThreshold } = this.options;
+
+        const persons = detections.filter(det => det.class === PERSON_CLASS_INDEX && det.score >= personThreshold);
+        const phones = this.tracker.update(detections.filter(det => det.class === PHONE_CLASS_INDEX), timestamp);
+        const others = detections.filter(det => det.class !== PHONE_CLASS_INDEX);
+
+        const labelled = phones.map(({ trackId, ...phone }) => {
+            const person = this._nearestPerson(phone, persons);
+            const previous = this.history.get(trackId);
+
+            if (!person) {
+                // Nobody in view - nobody can be using it
+                this.history.set(trackId, { ...previous, usage: PHONE_USAGE.NEARBY });
+                return { ...phone, usage: PHONE_USAGE.NEARBY, usageScore: 0 };
+            }
+
+            const features = phoneFeatures(phone, person, this.options);
+            if (previous && previous.relativeSize !== undefined) {
+                features.relativeSize = previous.relativeSize + alpha * (features.relativeSize - previous.relativeSize);
+                features.aspectRatio = previous.aspectRatio + alpha * (features.aspectRatio - previous.aspectRatio);
+            }
+
+            const score = inUseScore(features, this.options);
+            const wasInUse = previous && previous.usage === PHONE_USAGE.IN_USE;
+            const usage = score >= (wasInUse ? releaseThreshold : inUseThreshold)
+                ? PHONE_USAGE.IN_USE
+                : PHONE_USAGE.NEARBY;
+
+            this.history.set(trackId, {
+                relativeSize: features.relativeSize,
+                aspectRatio: features.aspectRatio,
+                usage
+            });
+            return { ...phone, usage, usageScore: score };
+        });
+
+        // Forget phones the tracker has dropped
+        const live = new Set(this.tracker.tracks.map(track => track.id));
+        [...this.history.keys()].forEach((id) => {
+            if (!live.has(id)) this.history.delete(id);
+        });
+
+        return [...labelled, ...others];
+    }
+
+    /**
+     * Whether a labelled detection may drive alerts.
+     */
+    shouldAlert(detection) {
+        return this.options.alertNearby || detection.usage !== PHONE_USAGE.NEARBY;
+    }
+
+    // The person whose upper body the phone overlaps most, then the closest one
+    _nearestPerson(phone, persons) {
+        if (persons.length === 0) return null;
+
+        let best = null;
+        let bestKey = -Infinity;
+        persons.forEach((person) => {
+            const overlap = phoneFeatures(phone, person, this.options).overlap;
+            const key = overlap > 0 ? 1 + overlap : calculateIOU(phone, person) - distance(phone, person);
+            if (key > bestKey) {
+                best = person;
+                bestKey = key;
+            }
+        });
+        return best;
+    }
+}
+
+// Normalised distance between box centres (used only to rank people)
+function distance(a, b) {
+    const dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+    const dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+    return Math.hypot(dx, dy) / Math.max(1, b.width + b.height);
+}
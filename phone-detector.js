@@ -0,0 +1,516 @@
+// PhoneDetector - DOM-free detection API on top of detection-worker.js
+//
+//   const detector = new PhoneDetector();
+//   detector.on('detection', ({ detections }) => ...);
+//   detector.on('phone-start', ...);
+//   await detector.load('./yolov8n.onnx');   // or detector.loadManifest('./models/phone.json')
+//   detector.start(videoElement);
+//
+// Events:
+//   'status'      { message, progress? }               model loading progress (progress = download %)
+//   'detection'   { detections, width, height, inferenceTime, stages, stats, timestamp, state, mediaTime }
+//                 stats = { candidates, kept, topScores } before smoothing (see postprocessWithStats)
+//                 mediaTime = the video's currentTime when the frame was taken (null for other sources)
+//   'state'       { from, to, timestamp, trackId, detection }   every smoothing transition
+//   'phone-start' { detection, timestamp, trackId }    a phone was confirmed
+//   'phone-end'   { timestamp, duration, trackId }     the confirmed phone cleared
+//   'error'       { error }
+//
+// start() paces itself with AdaptiveScheduler: faster while a phone is around
+// or the picture changes, slower for a static scene or a hidden tab.
+//
+// After load(), detector.backend names the ONNX Runtime execution provider the
+// worker picked by benchmark (WebGPU, WebGL or WASM); the choice is remembered
+// per model and input size so later loads skip the benchmark.
+//
+// phone-start/phone-end follow the debounced PhoneStateMachine, not raw frames.
+// Phones are labelled in use / nearby by PhoneContext before smoothing; with
+// context.alertNearby off, nearby phones are reported but never alert.
+// Objects whose box centre falls outside the configured zones are dropped
+// before any of that (people are kept - they only give phones context).
+
+import { EventEmitter } from './event-emitter.js';
+import { MODEL_WIDTH, MODEL_HEIGHT, IOU_THRESHOLD, resizeGeometry, drawResized } from './detection-core.js';
+import { PhoneStateMachine, PHONE_STATES } from './phone-state-machine.js';
+import { PhoneContext, PERSON_CLASS_INDEX } from './phone-context.js';
+import { DEFAULT_MODEL_MANIFEST, loadManifest, validateManifest, modelConfig } from './model-manifest.js';
+import { recallBackend, rememberBackend } from './execution-backend.js';
+import { AdaptiveScheduler, MotionDetector } from './adaptive-scheduler.js';
+import { inZones } from './roi-zones.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('detector');
+
+const DEFAULT_WORKER_URL = new URL('./detection-worker.js', import.meta.url);
+
+// Width/height of anything createImageBitmap accepts
+function frameSize(frame) {
+    if (frame.videoWidth !== undefined) {
+        return { width: frame.videoWidth, height: frame.videoHeight };
+    }
+    // An <img> on the page reports its layout size as width/height
+    if (frame.naturalWidth !== undefined) {
+        return { width: frame.naturalWidth, height: frame.naturalHeight };
+    }
+    return { width: frame.width, height: frame.height };
+}
+
+function isFrameReady(source) {
+    if (source.readyState !== undefined && source.readyState < 2) return false;
+    const { width, height } = frameSize(source);
+    return width > 0 && height > 0;
+}
+
+export class PhoneDetector extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string|URL} [options.workerUrl] - Location of detection-worker.js
+     * @param {number} [options.modelWidth=640]
+     * @param {number} [options.modelHeight=640]
+     * @param {number} [options.iouThreshold=0.45] - NMS overlap threshold
+     * @param {number} [options.detectionInterval=0] - Minimum pause between frames in start() (ms)
+     * @param {object} [options.scheduler] - AdaptiveScheduler options (see DEFAULT_SCHEDULER)
+     * @param {object} [options.smoothing] - PhoneStateMachine options (see DEFAULT_SMOOTHING)
+     * @param {object} [options.context] - PhoneContext options (see DEFAULT_CONTEXT)
+     * @param {Array} [options.zones] - Include/exclude zones (see roi-zones.js)
+     * @param {Storage} [options.storage=localStorage] - Where the benchmarked backend choice is remembered
+     */
+    constructor(options = {}) {
+        super();
+        this.workerUrl = options.workerUrl || DEFAULT_WORKER_URL;
+        this.modelWidth = options.modelWidth || MODEL_WIDTH;
+        this.modelHeight = options.modelHeight || MODEL_HEIGHT;
+        this.iouThreshold = options.iouThreshold ?? IOU_THRESHOLD;
+
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();
+
+        this.loaded = false;
+        this.manifest = null;
+        this.fixedInput = false;
+        this.backend = null;
+        this.storage = options.storage === undefined ? globalThis.localStorage : options.storage;
+        this.running = false;
+        // Bumped by stop(), so a frame still in the worker is dropped
+        this.runId = 0;
+        this.processing = false;
+        this.disposing = null;
+        this.source = null;
+        this.timer = null;
+        this.lastStages = null;
+        this.zones = options.zones || [];
+
+        this.scheduler = new AdaptiveScheduler({ ...options.scheduler, minInterval: options.detectionInterval || 0 });
+        this.motion = new MotionDetector();
+
+        this.stateMachine = new PhoneStateMachine(options.smoothing);
+        this.phoneContext = new PhoneContext(options.context);
+        this.stateMachine.on('transition', (transition) => this._onTransition(transition));
+        this.phoneSince = 0;
+
+        // Fallback when OffscreenCanvas is unavailable in the worker
+        this.captureCanvas = null;
+        this.captureCtx = null;
+    }
+
+    /**
+     * Change detection parameters; takes effect from the next frame.
+     * @param {object} options - Any of modelWidth, modelHeight, iouThreshold,
+     *   detectionInterval, scheduler, smoothing, context and zones (see constructor)
+     */
+    configure(options = {}) {
+        if (options.smoothing) this.stateMachine.configure(options.smoothing);
+        if (options.context) this.phoneContext.configure(options.context);
+        // Models exported for one input size ignore the input size setting
+        if (options.modelWidth && !this.fixedInput) this.modelWidth = options.modelWidth;
+        if (options.modelHeight && !this.fixedInput) this.modelHeight = options.modelHeight;
+        if (options.iouThreshold !== undefined) this.iouThreshold = options.iouThreshold;
+        if (options.zones) this.zones = options.zones;
+        if (options.scheduler) this.scheduler.configure(options.scheduler);
+        if (options.detectionInterval !== undefined) this.scheduler.configure({ minInterval: options.detectionInterval });
+
+        // The main-thread fallback canvas must match the model input
+        if (this.captureCanvas) {
+            this.captureCanvas.width = this.modelWidth;
+            this.captureCanvas.height = this.modelHeight;
+        }
+    }
+
+    get isLoaded() {
+        return this.loaded;
+    }
+
+    get isRunning() {
+        return this.running;
+    }
+
+    _ensureWorker() {
+        if (this.worker) return this.worker;
+        if (typeof Worker === 'undefined') {
+            throw new Error('Web Workers are not supported in this environment');
+        }
+
+        const worker = new Worker(this.workerUrl, { type: 'module' });
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            const pending = this.pending.get(message.id);
+            if (!pending) return;
+
+            if (message.type === 'status') {
+                this.emit('status', { message: message.message, progress: message.progress });
+                return;
+            }
+
+            this.pending.delete(message.id);
+            if (message.type === 'error') {
+                pending.reject(new Error(message.message));
+            } else {
+                pending.resolve(message);
+            }
+        };
+
+        worker.onerror = (event) => {
+            const error = new Error(event.message || 'Detection worker crashed');
+            this._rejectPending(error);
+            this.emit('error', { error });
+        };
+
+        this.worker = worker;
+        return worker;
+    }
+
+    _send(type, payload = {}, transfer = []) {
+        const worker = this._ensureWorker();
+        return new Promise((resolve, reject) => {
+            const id = ++this.requestId;
+            this.pending.set(id, { resolve, reject });
+            worker.postMessage({ type, id, ...payload }, transfer);
+        });
+    }
+
+    _rejectPending(error) {
+        this.pending.forEach(pending => pending.reject(error));
+        this.pending.clear();
+    }
+
+    /**
+     * Load a model into the worker.
+     * @param {string|URL|ArrayBuffer} modelSource - Model URL or the model bytes
+     * @param {object} [manifest=DEFAULT_MODEL_MANIFEST] - How to feed and read the model
+     *   (see model-manifest.js); its url is ignored here
+     * @returns {Promise<{inputNames: string[], outputNames: string[], backend: object}>}
+     *   backend = { name, label, latency (ms), benchmark } - see execution-backend.js
+     */
+    async load(modelSource, manifest = DEFAULT_MODEL_MANIFEST) {
+        // The old worker must be gone before a new one starts
+        if (this.disposing) await this.disposing;
+        this.loaded = false;
+        try {
+            const checked = validateManifest({ ...manifest, url: manifest.url || String(modelSource) });
+            const config = modelConfig(checked);
+
+            // The backend is benchmarked at the size the model will actually run at
+            const backendContext = {
+                modelKey: checked.name,
+                inputWidth: checked.dynamicInput ? this.modelWidth : checked.inputWidth,
+                inputHeight: checked.dynamicInput ? this.modelHeight : checked.inputHeight
+            };
+            const request = {
+                config,
+                inputWidth: backendContext.inputWidth,
+                inputHeight: backendContext.inputHeight,
+                preferredBackend: recallBackend(this.storage, backendContext)
+            };
+
+            let info;
+            if (modelSource instanceof ArrayBuffer) {
+                info = await this._send('load', { ...request, modelBuffer: modelSource }, [modelSource]);
+            } else {
+                const modelUrl = new URL(modelSource, globalThis.location?.href).href;
+                info = await this._send('load', { ...request, modelUrl });
+            }
+
+            this.backend = {
+                name: info.backend,
+                label: info.backendLabel,
+                latency: info.latency,
+                benchmark: info.benchmark
+            };
+            if (info.benchmark.length > 0) {
+                rememberBackend(this.storage, backendContext, info.backend, info.latency);
+            }
+
+            this.manifest = checked;
+            this.fixedInput = !checked.dynamicInput;
+            if (this.fixedInput) {
+                this.modelWidth = checked.inputWidth;
+                this.modelHeight = checked.inputHeight;
+                if (this.captureCanvas) {
+                    this.captureCanvas.width = this.modelWidth;
+                    this.captureCanvas.height = this.modelHeight;
+                }
+            }
+            this.loaded = true;
+            return { inputNames: info.inputNames, outputNames: info.outputNames, backend: this.backend };
+        } catch (error) {
+            this.emit('error', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Load the model described by a manifest.
+     * @param {string|URL|object} source - Manifest URL or manifest object
+     * @returns {Promise<{inputNames: string[], outputNames: string[], manifest: object}>}
+     */
+    async loadManifest(source) {
+        let manifest;
+        try {
+            manifest = await loadManifest(source);
+        } catch (error) {
+            this.emit('error', { error });
+            throw error;
+        }
+        const info = await this.load(manifest.url, manifest);
+        return { ...info, manifest };
+    }
+
+    async _captureFrame(frame, geometry) {
+        if (typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function') {
+            const bitmap = await createImageBitmap(frame);
+            return { frame: bitmap, transfer: [bitmap] };
+        }
+
+        // Resize on this thread and transfer the raw pixels instead
+        if (!this.captureCanvas) {
+            this.captureCanvas = document.createElement('canvas');
+            this.captureCanvas.width = this.modelWidth;
+            this.captureCanvas.height = this.modelHeight;
+            this.captureCtx = this.captureCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        drawResized(this.captureCtx, frame, geometry, this.manifest.padColor);
+        const imageData = this.captureCtx.getImageData(0, 0, this.modelWidth, this.modelHeight);
+        return { frame: imageData, transfer: [imageData.data.buffer] };
+    }
+
+    /**
+     * Run detection on a single frame.
+     * @param {CanvasImageSource|ImageBitmap|ImageData} frame
+     * @returns {Promise<Array>} Detections in frame coordinates
+     */
+    async detect(frame) {
+        if (!this.loaded) {
+            throw new Error('Model not loaded - call load() first');
+        }
+
+        const started = performance.now();
+        // Read before the capture - a playing video moves on while it runs
+        const mediaTime = frame.currentTime ?? null;
+        const { width, height } = frameSize(frame);
+        const geometry = resizeGeometry(width, height, this.modelWidth, this.modelHeight, this.manifest.resize);
+        const { frame: captured, transfer } = await this._captureFrame(frame, geometry);
+        const capturedAt = performance.now();
+        const options = {
+            // Candidates down to the exit threshold are needed for hysteresis
+            ...this._candidateFilter(),
+            confidenceThreshold: this.stateMachine.options.exitThreshold,
+            iouThreshold: this.iouThreshold
+        };
+        const runId = this.runId;
+        const result = await this._send('infer', {
+            frame: captured,
+            width,
+            height,
+            modelWidth: this.modelWidth,
+            modelHeight: this.modelHeight,
+            geometry,
+            padColor: this.manifest.padColor,
+            options
+        }, transfer);
+
+        const received = performance.now();
+        // stop() while the worker ran - the result belongs to no run
+        if (runId !== this.runId) return [];
+
+        const timestamp = Date.now();
+        const inView = result.detections.filter(det =>
+            det.class === PERSON_CLASS_INDEX || inZones(det, this.zones, width, height));
+        const labelled = this.phoneContext.classify(inView, timestamp);
+        const ignored = labelled.filter(det => !this.phoneContext.shouldAlert(det));
+        const { state, detections: tracked } = this.stateMachine.update(
+            labelled.filter(det => this.phoneContext.shouldAlert(det)),
+            timestamp
+        );
+        const detections = [...tracked, ...ignored];
+
+        // Milliseconds per stage; 'transfer' is messaging to and from the worker
+        const stages = {
+            capture: capturedAt - started,
+            ...result.stages,
+            transfer: Math.max(0, received - capturedAt - result.inferenceTime),
+            tracking: performance.now() - received
+        };
+        this.lastStages = stages;
+
+        this.emit('detection', {
+            detections,
+            width,
+            height,
+            inferenceTime: result.inferenceTime,
+            stages,
+            stats: result.stats,
+            timestamp,
+            state,
+            mediaTime
+        });
+
+        return detections;
+    }
+
+    // Person boxes are always needed to tell phones in use from phones nearby
+    _candidateFilter() {
+        const { classes, classThresholds } = this.stateMachine.candidateFilter();
+        if (classes.includes(PERSON_CLASS_INDEX)) return { classes, classThresholds };
+
+        return {
+            classes: [...classes, PERSON_CLASS_INDEX],
+            classThresholds: { ...classThresholds, [PERSON_CLASS_INDEX]: this.phoneContext.options.personThreshold }
+        };
+    }
+
+    get phoneState() {
+        return this.stateMachine.state;
+    }
+
+    _onTransition(transition) {
+        this.emit('state', transition);
+
+        if (transition.to === PHONE_STATES.CONFIRMED) {
+            this.phoneSince = transition.timestamp;
+            this.emit('phone-start', {
+                detection: transition.detection,
+                timestamp: transition.timestamp,
+                trackId: transition.trackId
+            });
+        } else if (transition.from === PHONE_STATES.CONFIRMED) {
+            this.emit('phone-end', {
+                timestamp: transition.timestamp,
+                duration: transition.timestamp - this.phoneSince,
+                trackId: transition.trackId
+            });
+        }
+    }
+
+    /**
+     * Continuously detect on a source (e.g. a <video>) until stop() is called.
+     * One frame is in flight at a time; the pause before the next one comes
+     * from the AdaptiveScheduler and is cut short when the picture changes.
+     */
+    start(source) {
+        if (!this.loaded) {
+            throw new Error('Model not loaded - call load() first');
+        }
+        this.source = source;
+        if (this.running) return;
+
+        // Each run is its own session for smoothing purposes
+        this.stateMachine.reset();
+        this.phoneContext.reset();
+        this.scheduler.reset();
+        this.motion.reset();
+        this.running = true;
+        this._loop();
+    }
+
+    stop() {
+        this.running = false;
+        this.runId++;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stateMachine.state === PHONE_STATES.CONFIRMED) {
+            const timestamp = Date.now();
+            this.emit('phone-end', {
+                timestamp,
+                duration: timestamp - this.phoneSince,
+                trackId: this.stateMachine.activeTrackId
+            });
+        }
+        this.stateMachine.reset();
+        this.phoneContext.reset();
+    }
+
+    async _loop() {
+        this.timer = null;
+        if (!this.running || this.processing) return;
+
+        if (!isFrameReady(this.source)) {
+            this.timer = setTimeout(() => this._loop(), 100);
+            return;
+        }
+
+        this.processing = true;
+        const motion = this.motion.measure(this.source);
+        try {
+            await this.detect(this.source);
+            this.scheduler.record({
+                stages: this.lastStages,
+                motion,
+                phoneSeen: this.stateMachine.state !== PHONE_STATES.IDLE
+            });
+        } catch (error) {
+            if (this.running) this.emit('error', { error });
+        }
+        this.processing = false;
+
+        if (this.running) this._scheduleNext();
+    }
+
+    // Timers keep firing (throttled) while the tab is hidden, unlike requestAnimationFrame
+    _scheduleNext() {
+        const hidden = Boolean(globalThis.document?.hidden);
+        const delay = this.scheduler.nextDelay({ hidden });
+        const due = Date.now() + delay;
+        const { motionThreshold, motionPollInterval } = this.scheduler.profile;
+
+        const wait = () => {
+            this.timer = null;
+            if (!this.running) return;
+            const remaining = due - Date.now();
+            // Movement is worth a look straight away, except in a hidden tab
+            if (remaining <= 0 || (!hidden && this.motion.difference(this.source) >= motionThreshold)) {
+                this._loop();
+            } else {
+                this.timer = setTimeout(wait, Math.min(remaining, motionPollInterval));
+            }
+        };
+        this.timer = setTimeout(wait, Math.min(delay, motionPollInterval));
+    }
+
+    /**
+     * Stop detecting, release the ONNX session and terminate the worker.
+     * A load() meanwhile waits for this to finish.
+     */
+    dispose() {
+        if (!this.disposing) {
+            this.disposing = this._dispose().finally(() => { this.disposing = null; });
+        }
+        return this.disposing;
+    }
+
+    async _dispose() {
+        this.stop();
+        if (!this.worker) return;
+
+        try {
+            await this._send('dispose');
+        } catch (e) {
+            log.warn('Failed to dispose model:', e);
+        }
+        this.worker.terminate();
+        this.worker = null;
+        this._rejectPending(new Error('Detection worker stopped'));
+        this.loaded = false;
+    }
+}
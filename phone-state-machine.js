@@ -0,0 +1,268 @@
+// Temporal smoothing for phone detections
+// Raw per-frame results are noisy: one false positive should not beep and one
+// missed frame should not clear the alert. PhoneStateMachine debounces them into
+//
+//   idle -> suspected -> confirmed -> cleared -> idle
+//             |                        |
+//             +-> idle (false alarm)   +-> suspected (phone back)
+//
+// using N-of-M frame voting, a minimum dwell time per state and hysteresis on
+// the confidence threshold. BoxTracker gives each phone a stable id across frames.
+// With a distraction profile, any of its target classes counts as "the phone".
+
+import { EventEmitter } from './event-emitter.js';
+import { calculateIOU, PHONE_CLASS_INDEX } from './detection-core.js';
+
+export const PHONE_STATES = Object.freeze({
+    IDLE: 'idle',
+    SUSPECTED: 'suspected',
+    CONFIRMED: 'confirmed',
+    CLEARED: 'cleared'
+});
+
+export const DEFAULT_SMOOTHING = Object.freeze({
+    windowSize: 5,          // M - number of recent frames that vote
+    votesRequired: 3,       // N - votes needed to confirm (phone) or clear (no phone)
+    minDwellMs: 1000,       // minimum time in suspected/confirmed before moving on
+    enterThreshold: 0.4,    // confidence needed to vote "phone" while not confirmed
+    exitThreshold: 0.3,     // lower bar that keeps an already confirmed phone alive
+    trackIouThreshold: 0.3, // minimum overlap to treat a box as the same phone
+    trackMaxMisses: 5,      // frames a track survives without a matching box
+    targetClasses: [PHONE_CLASS_INDEX], // classes that count as a distraction
+    classThresholds: {}     // per-class enter thresholds (exit keeps the same margin)
+});
+
+/**
+ * Greedy IoU matcher that keeps an identity per object across frames.
+ */
+export class BoxTracker {
+    constructor({ iouThreshold = DEFAULT_SMOOTHING.trackIouThreshold, maxMisses = DEFAULT_SMOOTHING.trackMaxMisses } = {}) {
+        this.iouThreshold = iouThreshold;
+        this.maxMisses = maxMisses;
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Match this frame's boxes to existing tracks.
+     * @param {Array} detections - Boxes for a single frame
+     * @param {number} timestamp
+     * @returns {Array} Copies of the detections with a `trackId` field
+     */
+    update(detections, timestamp) {
+        const unmatched = new Set(this.tracks);
+        const sorted = [...detections].sort((a, b) => b.score - a.score);
+
+        const tracked = sorted.map(det => {
+            let best = null;
+            let bestIou = this.iouThreshold;
+
+            unmatched.forEach(track => {
+                if (track.class !== det.class) return;
+                const iou = calculateIOU(track.box, det);
+                if (iou >= bestIou) {
+                    best = track;
+                    bestIou = iou;
+                }
+            });
+
+            if (best) {
+                unmatched.delete(best);
+                best.box = det;
+                best.score = det.score;
+                best.hits++;
+                best.misses = 0;
+                best.lastSeen = timestamp;
+            } else {
+                best = {
+                    id: this.nextId++,
+                    class: det.class,
+                    box: det,
+                    score: det.score,
+                    hits: 1,
+                    misses: 0,
+                    firstSeen: timestamp,
+                    lastSeen: timestamp
+                };
+                this.tracks.push(best);
+            }
+
+            return { ...det, trackId: best.id };
+        });
+
+        unmatched.forEach(track => track.misses++);
+        this.tracks = this.tracks.filter(track => track.misses <= this.maxMisses);
+
+        return tracked;
+    }
+
+    getTrack(id) {
+        return this.tracks.find(track => track.id === id) || null;
+    }
+
+    reset() {
+        this.tracks = [];
+    }
+}
+
+/**
+ * Debounced "phone in use" state for one monitoring session.
+ *
+ * Events:
+ *   'transition' { from, to, timestamp, trackId, detection }
+ */
+export class PhoneStateMachine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.configure(options);
+        this.tracker = new BoxTracker({
+            iouThreshold: this.options.trackIouThreshold,
+            maxMisses: this.options.trackMaxMisses
+        });
+        this.reset();
+    }
+
+    configure(options = {}) {
+        const merged = { ...DEFAULT_SMOOTHING, ...this.options, ...options };
+
+        if (merged.votesRequired < 1 || merged.votesRequired > merged.windowSize) {
+            throw new Error('votesRequired must be between 1 and windowSize');
+        }
+        if (merged.exitThreshold > merged.enterThreshold) {
+            throw new Error('exitThreshold must not be higher than enterThreshold');
+        }
+        if (!Array.isArray(merged.targetClasses) || merged.targetClasses.length === 0) {
+            throw new Error('targetClasses must list at least one class index');
+        }
+
+        this.options = merged;
+        if (this.tracker) {
+            this.tracker.iouThreshold = merged.trackIouThreshold;
+            this.tracker.maxMisses = merged.trackMaxMisses;
+        }
+    }
+
+    /**
+     * Enter/exit confidence for a class. The exit threshold keeps the same
+     * hysteresis margin below the enter threshold as the defaults do.
+     */
+    thresholdsFor(classIndex) {
+        const { enterThreshold, exitThreshold, classThresholds } = this.options;
+        const enter = classThresholds[classIndex] ?? enterThreshold;
+        return { enter, exit: Math.max(0.01, enter - (enterThreshold - exitThreshold)) };
+    }
+
+    /**
+     * postprocess() options that keep every candidate the machine may need.
+     */
+    candidateFilter() {
+        const classThresholds = {};
+        this.options.targetClasses.forEach((classIndex) => {
+            classThresholds[classIndex] = this.thresholdsFor(classIndex).exit;
+        });
+        return { classes: this.options.targetClasses, classThresholds };
+    }
+
+    reset() {
+        this.state = PHONE_STATES.IDLE;
+        this.stateSince = 0;
+        this.votes = [];
+        this.activeTrackId = null;
+        this.tracker.reset();
+    }
+
+    /**
+     * Feed one frame of detections.
+     * @param {Array} detections - Raw detections for the frame
+     * @param {number} [timestamp=Date.now()]
+     * @returns {{state: string, detections: Array, trackId: number|null}}
+     *   detections are the tracked copies (with trackId)
+     */
+    update(detections, timestamp = Date.now()) {
+        const { windowSize, votesRequired, minDwellMs } = this.options;
+        const targets = new Set(this.options.targetClasses);
+
+        const phones = this.tracker.update(
+            detections.filter(det => targets.has(det.class)),
+            timestamp
+        );
+        const others = detections.filter(det => !targets.has(det.class));
+
+        // Hysteresis: once confirmed, a weaker box is enough to keep the phone alive
+        const confirmed = this.state === PHONE_STATES.CONFIRMED;
+        const candidates = phones.filter((det) => {
+            const { enter, exit } = this.thresholdsFor(det.class);
+            return det.score >= (confirmed ? exit : enter);
+        });
+        const primary = this._pickPrimary(candidates);
+
+        this.votes.push(primary !== null);
+        if (this.votes.length > windowSize) this.votes.shift();
+
+        const positive = this.votes.filter(Boolean).length;
+        const negative = this.votes.length - positive;
+        const dwelled = timestamp - this.stateSince >= minDwellMs;
+
+        switch (this.state) {
+            case PHONE_STATES.IDLE:
+            case PHONE_STATES.CLEARED:
+                if (primary) {
+                    this.activeTrackId = primary.trackId;
+                    this._transition(PHONE_STATES.SUSPECTED, timestamp, primary);
+                } else if (this.state === PHONE_STATES.CLEARED) {
+                    this._transition(PHONE_STATES.IDLE, timestamp, null);
+                }
+                break;
+
+            case PHONE_STATES.SUSPECTED:
+                if (primary) this.activeTrackId = primary.trackId;
+                if (positive >= votesRequired && dwelled) {
+                    // Keep the followed box even if this particular frame missed it
+                    const followed = primary || phones.find(det => det.trackId === this.activeTrackId) || null;
+                    this._transition(PHONE_STATES.CONFIRMED, timestamp, followed);
+                } else if (negative >= votesRequired) {
+                    // Never confirmed - a false alarm
+                    this.activeTrackId = null;
+                    this._transition(PHONE_STATES.IDLE, timestamp, null);
+                }
+                break;
+
+            case PHONE_STATES.CONFIRMED:
+                if (primary) this.activeTrackId = primary.trackId;
+                if (negative >= votesRequired && dwelled) {
+                    this._transition(PHONE_STATES.CLEARED, timestamp, null);
+                    this.activeTrackId = null;
+                }
+                break;
+        }
+
+        return { state: this.state, detections: [...phones, ...others], trackId: this.activeTrackId };
+    }
+
+    // Prefer the phone we are already following, otherwise the most confident one
+    _pickPrimary(candidates) {
+        if (candidates.length === 0) return null;
+        const current = candidates.find(det => det.trackId === this.activeTrackId);
+        if (current) return current;
+        return candidates.reduce((best, det) => (det.score > best.score ? det : best));
+    }
+
+    _transition(to, timestamp, detection) {
+        const from = this.state;
+        this.state = to;
+        this.stateSince = timestamp;
+
+        // Start a fresh vote window so the new state has to earn its next transition
+        if (to !== PHONE_STATES.CLEARED) {
+            this.votes = this.votes.slice(-1);
+        }
+
+        this.emit('transition', {
+            from,
+            to,
+            timestamp,
+            trackId: detection ? detection.trackId : this.activeTrackId,
+            detection
+        });
+    }
+}
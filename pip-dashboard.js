@@ -0,0 +1,152 @@
+// Picture-in-Picture mini dashboard - status, boxes, session time and
+// phone-free streak in a small always-on-top window, with pause and stop.
+//
+// Uses Document Picture-in-Picture where available: the live video, overlay
+// canvas and status panel are moved into the PiP window (so everything that
+// updates them keeps working) and moved back when it closes. Other browsers
+// get the plain video pop-out.
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('pip');
+
+const WINDOW_SIZE = { width: 360, height: 340 };
+
+export function formatClock(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    if (hours === 0) return `${minutes}:${seconds}`;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+}
+
+function copyStyleSheets(target) {
+    [...document.styleSheets].forEach((sheet) => {
+        if (!sheet.href) return;
+        const link = target.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = sheet.href;
+        target.head.appendChild(link);
+    });
+}
+
+/**
+ * Wire up the pop-out.
+ * @param {object} options
+ * @param {HTMLVideoElement} options.video
+ * @param {HTMLElement[]} options.stage - Video and overlay canvas, moved into the PiP window
+ * @param {HTMLElement} options.statusPanel
+ * @param {Function} options.onPause - Pause button clicked
+ * @param {Function} options.onStop - Stop button clicked
+ * @param {Function} [options.onChange] - (isOpen) when the pop-out opens or closes
+ * @returns {{open: Function, close: Function, isOpen: Function, update: Function}}
+ */
+export function initPipDashboard({ video, stage, statusPanel, onPause, onStop, onChange = () => {} }) {
+    const dashboard = document.getElementById('pip-dashboard');
+    const stageEl = document.getElementById('pip-stage');
+    const elapsedEl = document.getElementById('pip-elapsed');
+    const streakEl = document.getElementById('pip-streak');
+    const pauseBtn = document.getElementById('pip-pause-btn');
+    const stopBtn = document.getElementById('pip-stop-btn');
+
+    let pipWindow = null;
+    let placeholders = [];
+
+    pauseBtn.addEventListener('click', () => onPause());
+    stopBtn.addEventListener('click', () => onStop());
+
+    // Remember where each element lives so it can be put back
+    function moveOut(element, target, before = null) {
+        const placeholder = document.createComment(element.id);
+        element.before(placeholder);
+        placeholders.push([placeholder, element]);
+        target.insertBefore(element, before);
+    }
+
+    function restore() {
+        placeholders.forEach(([placeholder, element]) => placeholder.replaceWith(element));
+        placeholders = [];
+        dashboard.hidden = true;
+        pipWindow = null;
+        // Moving a playing video between documents can pause it
+        video.play().catch(() => {});
+        onChange(false);
+    }
+
+    async function openDocumentPip() {
+        pipWindow = await window.documentPictureInPicture.requestWindow(WINDOW_SIZE);
+        copyStyleSheets(pipWindow.document);
+        pipWindow.document.body.classList.add('pip-document');
+
+        moveOut(dashboard, pipWindow.document.body);
+        moveOut(statusPanel, dashboard, dashboard.firstChild);
+        stage.forEach(element => moveOut(element, stageEl));
+        dashboard.hidden = false;
+        video.play().catch(() => {});
+
+        pipWindow.addEventListener('pagehide', restore, { once: true });
+        onChange(true);
+    }
+
+    async function openVideoPip() {
+        if (!document.pictureInPictureEnabled || !video.srcObject) return false;
+        if (!document.pictureInPictureElement) await video.requestPictureInPicture();
+        return true;
+    }
+
+    /**
+     * Pop out the dashboard, or the video where Document PiP is missing.
+     * Needs a user gesture (or the browser's automatic PiP) in most browsers.
+     * @returns {Promise<boolean>} Whether a PiP window is open
+     */
+    async function open() {
+        if (isOpen()) return true;
+        if ('documentPictureInPicture' in window) {
+            try {
+                await openDocumentPip();
+                return true;
+            } catch (e) {
+                pipWindow = null;
+                log.warn('Failed to open the PiP dashboard, trying the video:', e);
+            }
+        }
+        try {
+            return await openVideoPip();
+        } catch (e) {
+            log.warn('Failed to enter PiP:', e);
+            return false;
+        }
+    }
+
+    async function close() {
+        if (pipWindow) {
+            pipWindow.close();
+        } else if (document.pictureInPictureElement) {
+            try {
+                await document.exitPictureInPicture();
+            } catch (e) {
+                log.warn('Failed to exit PiP:', e);
+            }
+        }
+    }
+
+    function isOpen() {
+        return pipWindow !== null || Boolean(document.pictureInPictureElement);
+    }
+
+    /**
+     * Refresh the session numbers shown in the dashboard.
+     */
+    function update({ elapsed, streak, paused }) {
+        elapsedEl.textContent = formatClock(elapsed);
+        streakEl.textContent = formatClock(streak);
+        pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+        dashboard.classList.toggle('is-paused', paused);
+    }
+
+    video.addEventListener('enterpictureinpicture', () => onChange(true));
+    video.addEventListener('leavepictureinpicture', () => onChange(false));
+
+    return { open, close, isOpen, update };
+}
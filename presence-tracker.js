@@ -0,0 +1,103 @@
+// Presence detection from the model's person boxes
+// A phone alert is pointless at an empty chair. PresenceTracker turns per-frame
+// person detections into
+//
+//   present -> away (nobody seen for the grace period) -> present (back in view)
+//
+// The away interval starts when the person was last seen, not when the grace
+// period ran out, so away time is not counted as focus time either.
+
+import { EventEmitter } from './event-emitter.js';
+import { PERSON_CLASS_INDEX } from './phone-context.js';
+import { resolveClassMap } from './model-manifest.js';
+
+export const PRESENCE_STATES = Object.freeze({
+    PRESENT: 'present',
+    AWAY: 'away'
+});
+
+export const DEFAULT_PRESENCE = Object.freeze({
+    awayAfterMs: 30000,   // grace period with nobody in view before the user counts as away
+    returnAfterMs: 1000,  // someone must stay in view this long to count as back
+    personThreshold: 0.4  // confidence needed for a person box to count
+});
+
+/**
+ * Whether a model can see people at all - without a person class everyone
+ * would always be away.
+ * @param {object} manifest - Validated model manifest
+ */
+export function modelDetectsPeople(manifest) {
+    return resolveClassMap(manifest.classNames).includes(PERSON_CLASS_INDEX);
+}
+
+/**
+ * Events:
+ *   'away'   { since, timestamp }     since = when a person was last seen
+ *   'return' { timestamp, duration }  timestamp = when the person came back into view
+ */
+export class PresenceTracker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.configure(options);
+        this.reset();
+    }
+
+    configure(options = {}) {
+        const merged = { ...DEFAULT_PRESENCE, ...this.options, ...options };
+        if (!(merged.awayAfterMs > 0)) throw new Error('awayAfterMs must be positive');
+        if (!(merged.returnAfterMs >= 0)) throw new Error('returnAfterMs must not be negative');
+        this.options = merged;
+    }
+
+    /**
+     * Start over as present, e.g. when monitoring starts or resumes.
+     */
+    reset(timestamp = Date.now()) {
+        this.state = PRESENCE_STATES.PRESENT;
+        this.lastSeen = timestamp;
+        this.awaySince = null;
+        this.seenSince = null;
+    }
+
+    get isAway() {
+        return this.state === PRESENCE_STATES.AWAY;
+    }
+
+    /**
+     * Feed one frame of detections.
+     * @param {Array} detections - May contain any class; only people count
+     * @param {number} [timestamp=Date.now()]
+     * @returns {string} PRESENCE_STATES value
+     */
+    update(detections, timestamp = Date.now()) {
+        const { awayAfterMs, returnAfterMs, personThreshold } = this.options;
+        const present = detections.some(det => det.class === PERSON_CLASS_INDEX && det.score >= personThreshold);
+
+        if (this.state === PRESENCE_STATES.PRESENT) {
+            if (present) {
+                this.lastSeen = timestamp;
+            } else if (timestamp - this.lastSeen >= awayAfterMs) {
+                this.state = PRESENCE_STATES.AWAY;
+                this.awaySince = this.lastSeen;
+                this.seenSince = null;
+                this.emit('away', { since: this.awaySince, timestamp });
+            }
+            return this.state;
+        }
+
+        if (!present) {
+            // One stray person box is not someone sitting down
+            this.seenSince = null;
+            return this.state;
+        }
+        if (this.seenSince === null) this.seenSince = timestamp;
+        if (timestamp - this.seenSince >= returnAfterMs) {
+            const returned = this.seenSince;
+            const duration = returned - this.awaySince;
+            this.reset(timestamp);
+            this.emit('return', { timestamp: returned, duration });
+        }
+        return this.state;
+    }
+}
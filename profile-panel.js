@@ -0,0 +1,170 @@
+// Distraction profile picker/editor - one row per COCO class
+
+import { CLASS_NAMES } from './detection-core.js';
+import { ALERT_MODES, ALERT_MODE_LABELS, classColor } from './distraction-profiles.js';
+
+function buildRows(list) {
+    list.innerHTML = '';
+
+    CLASS_NAMES.forEach((className, classIndex) => {
+        const row = document.createElement('div');
+        row.className = 'profile-class-row';
+        row.dataset.classIndex = classIndex;
+
+        const label = document.createElement('label');
+        label.className = 'profile-class-name';
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.name = 'enabled';
+        const swatch = document.createElement('span');
+        swatch.className = 'profile-swatch';
+        swatch.style.background = classColor(classIndex);
+        label.append(enabled, swatch, document.createTextNode(className));
+
+        const threshold = document.createElement('input');
+        threshold.type = 'number';
+        threshold.name = 'threshold';
+        threshold.min = 0.05;
+        threshold.max = 0.95;
+        threshold.step = 0.05;
+        threshold.placeholder = 'default';
+        threshold.setAttribute('aria-label', `${className} confidence threshold`);
+
+        const alert = document.createElement('select');
+        alert.name = 'alert';
+        alert.setAttribute('aria-label', `${className} alert`);
+        Object.values(ALERT_MODES).forEach((mode) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = ALERT_MODE_LABELS[mode];
+            alert.appendChild(option);
+        });
+
+        row.append(label, threshold, alert);
+        list.appendChild(row);
+    });
+}
+
+function fillRows(list, profile) {
+    list.querySelectorAll('.profile-class-row').forEach((row) => {
+        const rule = profile.classes[row.dataset.classIndex];
+        row.querySelector('[name="enabled"]').checked = Boolean(rule);
+        row.querySelector('[name="threshold"]').value = rule && rule.threshold !== null ? rule.threshold : '';
+        row.querySelector('[name="alert"]').value = rule ? rule.alert : ALERT_MODES.FULL;
+        row.classList.toggle('is-enabled', Boolean(rule));
+    });
+
+    // Selected classes first so short profiles don't get lost among 80 rows
+    const rows = [...list.children];
+    rows.sort((a, b) => Number(b.classList.contains('is-enabled')) - Number(a.classList.contains('is-enabled')) ||
+        a.dataset.classIndex - b.dataset.classIndex);
+    list.append(...rows);
+}
+
+function readRows(list) {
+    const classes = {};
+    list.querySelectorAll('.profile-class-row').forEach((row) => {
+        if (!row.querySelector('[name="enabled"]').checked) return;
+        classes[row.dataset.classIndex] = {
+            threshold: row.querySelector('[name="threshold"]').value,
+            alert: row.querySelector('[name="alert"]').value
+        };
+    });
+    return classes;
+}
+
+/**
+ * Wire up the profiles modal.
+ * @param {import('./distraction-profiles.js').ProfileStore} store
+ * @returns {{open: Function, close: Function}}
+ */
+export function initProfilePanel(store) {
+    const modal = document.getElementById('profiles-modal');
+    const select = document.getElementById('profile-select');
+    const nameInput = document.getElementById('profile-name');
+    const list = document.getElementById('profile-class-list');
+    const message = document.getElementById('profile-message');
+    const closeBtn = document.getElementById('profiles-close-btn');
+    const saveBtn = document.getElementById('profile-save-btn');
+    const saveAsBtn = document.getElementById('profile-save-as-btn');
+    const deleteBtn = document.getElementById('profile-delete-btn');
+
+    buildRows(list);
+
+    function setMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('is-error', isError);
+    }
+
+    function render() {
+        const active = store.active;
+
+        select.innerHTML = '';
+        store.list().forEach((profile) => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.builtIn ? `${profile.name} (built-in)` : profile.name;
+            select.appendChild(option);
+        });
+        select.value = active.id;
+
+        nameInput.value = active.builtIn ? `${active.name} (copy)` : active.name;
+        fillRows(list, active);
+
+        // Built-ins can only be copied
+        saveBtn.hidden = Boolean(active.builtIn);
+        deleteBtn.hidden = Boolean(active.builtIn);
+    }
+
+    function save(id) {
+        try {
+            const profile = store.save({ id, name: nameInput.value, classes: readRows(list) });
+            render();
+            setMessage(`"${profile.name}" saved and applied.`);
+        } catch (e) {
+            setMessage(e.message, true);
+        }
+    }
+
+    function open() {
+        render();
+        setMessage('');
+        modal.hidden = false;
+    }
+
+    function close() {
+        modal.hidden = true;
+    }
+
+    select.addEventListener('change', () => {
+        store.setActive(select.value);
+        render();
+        setMessage(`Using "${store.active.name}".`);
+    });
+
+    list.addEventListener('change', (e) => {
+        const row = e.target.closest('.profile-class-row');
+        if (row) row.classList.toggle('is-enabled', row.querySelector('[name="enabled"]').checked);
+    });
+
+    saveBtn.addEventListener('click', () => save(store.active.id));
+    saveAsBtn.addEventListener('click', () => save(`custom-${Date.now()}`));
+
+    deleteBtn.addEventListener('click', () => {
+        const { name } = store.active;
+        if (!confirm(`Delete the "${name}" profile?`)) return;
+        store.remove(store.active.id);
+        render();
+        setMessage(`"${name}" deleted.`);
+    });
+
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.hidden) close();
+    });
+
+    return { open, close };
+}
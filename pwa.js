@@ -0,0 +1,41 @@
+// Progressive Web App glue - service worker registration and online/offline state
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('pwa');
+
+/**
+ * Register service-worker.js so the app, runtime and model are available offline.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker(url = './service-worker.js') {
+    if (!('serviceWorker' in navigator)) {
+        log.info('Service workers not supported - offline mode unavailable');
+        return null;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register(url, { type: 'module' });
+        log.info('Service worker registered, scope:', registration.scope);
+        return registration;
+    } catch (e) {
+        log.warn('Service worker registration failed:', e);
+        return null;
+    }
+}
+
+/**
+ * Show an element while the browser is offline.
+ * @param {HTMLElement} element
+ */
+export function initOfflineIndicator(element) {
+    if (!element) return;
+
+    const update = () => {
+        element.hidden = navigator.onLine;
+    };
+
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
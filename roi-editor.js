@@ -0,0 +1,201 @@
+// Zone editor - draw include/exclude polygons on the detection overlay
+//
+// Click on the video to add corners; clicking the first corner (or Finish)
+// closes the shape. The overlay canvas and video are cropped with
+// object-fit: cover (and mirrored for the webcam), so clicks are mapped back
+// to frame pixels first.
+
+import { ZONE_TYPES, zoneToPixels } from './roi-zones.js';
+
+const ZONE_COLORS = {
+    [ZONE_TYPES.INCLUDE]: '52, 199, 89',
+    [ZONE_TYPES.EXCLUDE]: '255, 59, 48'
+};
+
+// Clicking this close to the first corner closes the shape (fraction of frame width)
+const CLOSE_DISTANCE = 0.03;
+
+/**
+ * Map a pointer event to frame pixels on an object-fit: cover canvas.
+ * @param {boolean} [mirrored=true] - Whether the canvas is flipped with CSS scaleX(-1)
+ * @returns {{x: number, y: number}}
+ */
+export function clientToFrame(canvas, clientX, clientY, mirrored = true) {
+    const rect = canvas.getBoundingClientRect();
+    const scale = Math.max(rect.width / canvas.width, rect.height / canvas.height);
+    const offsetX = (rect.width - canvas.width * scale) / 2;
+    const offsetY = (rect.height - canvas.height * scale) / 2;
+    // CSS scaleX(-1): the left edge on screen is the right edge of the frame
+    const localX = mirrored ? rect.right - clientX : clientX - rect.left;
+    const localY = clientY - rect.top;
+    return {
+        x: Math.min(canvas.width, Math.max(0, (localX - offsetX) / scale)),
+        y: Math.min(canvas.height, Math.max(0, (localY - offsetY) / scale))
+    };
+}
+
+function tracePolygon(ctx, points) {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+}
+
+/**
+ * Draw saved zones (and the shape being drawn) in frame coordinates.
+ * @param {CanvasRenderingContext2D} ctx - Untransformed; the video gets the same CSS mirror, if any
+ * @param {Zone[]} zones
+ * @param {object} [draft] - { type, points } shape in progress, points in 0-1
+ * @param {boolean} [highlight=false] - Stronger fill while editing
+ */
+export function drawZones(ctx, zones, draft = null, highlight = false) {
+    const { width, height } = ctx.canvas;
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    zones.forEach((zone) => {
+        const color = ZONE_COLORS[zone.type];
+        tracePolygon(ctx, zoneToPixels(zone, width, height));
+        ctx.closePath();
+        ctx.fillStyle = `rgba(${color}, ${highlight ? 0.25 : 0.08})`;
+        ctx.fill();
+        ctx.strokeStyle = `rgba(${color}, ${highlight ? 0.9 : 0.5})`;
+        ctx.setLineDash(zone.type === ZONE_TYPES.EXCLUDE ? [8, 6] : []);
+        ctx.stroke();
+    });
+
+    if (draft && draft.points.length > 0) {
+        const color = ZONE_COLORS[draft.type];
+        const points = zoneToPixels(draft, width, height);
+        tracePolygon(ctx, points);
+        ctx.strokeStyle = `rgb(${color})`;
+        ctx.setLineDash([]);
+        ctx.stroke();
+        ctx.fillStyle = `rgb(${color})`;
+        points.forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+    ctx.restore();
+}
+
+/**
+ * Wire up the zone editor panel.
+ * @param {object} options
+ * @param {HTMLCanvasElement} options.canvas - The detection overlay
+ * @param {ZoneStore} options.store
+ * @param {Function} options.getDeviceId - Camera deviceId the zones belong to
+ * @param {Function} options.onChange - Called when the overlay needs redrawing
+ * @param {Function} [options.isMirrored] - Whether the overlay is currently mirrored
+ * @returns {{open: Function, close: Function, draw: Function, isOpen: Function}}
+ */
+export function initRoiEditor({ canvas, store, getDeviceId, onChange, isMirrored = () => true }) {
+    const panel = document.getElementById('zones-panel');
+    const typeSelect = document.getElementById('zone-type');
+    const count = document.getElementById('zone-count');
+    const message = document.getElementById('zone-message');
+    const finishBtn = document.getElementById('zone-finish-btn');
+    const undoBtn = document.getElementById('zone-undo-btn');
+    const removeBtn = document.getElementById('zone-remove-btn');
+    const clearBtn = document.getElementById('zone-clear-btn');
+    const doneBtn = document.getElementById('zone-done-btn');
+
+    let editing = false;
+    let draft = { type: ZONE_TYPES.INCLUDE, points: [] };
+
+    function setMessage(text) {
+        message.textContent = text;
+        message.hidden = !text;
+    }
+
+    function render() {
+        const zones = store.get(getDeviceId());
+        const includes = zones.filter(zone => zone.type === ZONE_TYPES.INCLUDE).length;
+        count.textContent = zones.length === 0
+            ? 'No zones - the whole view is watched.'
+            : `${includes} include, ${zones.length - includes} exclude zone${zones.length - includes === 1 ? '' : 's'}.`;
+        finishBtn.disabled = draft.points.length < 3;
+        undoBtn.disabled = draft.points.length === 0;
+        removeBtn.disabled = zones.length === 0;
+        clearBtn.disabled = zones.length === 0;
+        onChange();
+    }
+
+    function save(zones) {
+        try {
+            store.save(getDeviceId(), zones);
+            setMessage('');
+        } catch (e) {
+            setMessage(e.message);
+        }
+    }
+
+    function finishShape() {
+        if (draft.points.length < 3) return;
+        save([...store.get(getDeviceId()), { type: draft.type, points: draft.points }]);
+        draft = { type: typeSelect.value, points: [] };
+        render();
+    }
+
+    function onPointerDown(event) {
+        if (!editing || canvas.width === 0) return;
+        event.preventDefault();
+        const { x, y } = clientToFrame(canvas, event.clientX, event.clientY, isMirrored());
+        const point = [x / canvas.width, y / canvas.height];
+
+        const [first] = draft.points;
+        if (draft.points.length >= 3 && Math.hypot(point[0] - first[0], point[1] - first[1]) < CLOSE_DISTANCE) {
+            finishShape();
+            return;
+        }
+        draft.points.push(point);
+        render();
+    }
+
+    function open() {
+        editing = true;
+        draft = { type: typeSelect.value, points: [] };
+        panel.hidden = false;
+        canvas.style.pointerEvents = 'auto';
+        canvas.classList.add('is-editing-zones');
+        setMessage('');
+        render();
+    }
+
+    function close() {
+        if (!editing) return;
+        editing = false;
+        draft.points = [];
+        panel.hidden = true;
+        canvas.style.pointerEvents = 'none';
+        canvas.classList.remove('is-editing-zones');
+        onChange();
+    }
+
+    canvas.addEventListener('pointerdown', onPointerDown);
+    typeSelect.addEventListener('change', () => {
+        draft.type = typeSelect.value;
+        render();
+    });
+    finishBtn.addEventListener('click', finishShape);
+    undoBtn.addEventListener('click', () => {
+        draft.points.pop();
+        render();
+    });
+    removeBtn.addEventListener('click', () => {
+        save(store.get(getDeviceId()).slice(0, -1));
+        render();
+    });
+    clearBtn.addEventListener('click', () => {
+        save([]);
+        render();
+    });
+    doneBtn.addEventListener('click', close);
+
+    return {
+        open,
+        close,
+        isOpen: () => editing,
+        draw: ctx => drawZones(ctx, store.get(getDeviceId()), editing ? draft : null, editing)
+    };
+}
@@ -0,0 +1,156 @@
+// Regions of interest - include/exclude polygons over the camera view
+//
+// Zones are stored per camera device with points as fractions (0-1) of the
+// frame, so they stay in place when the video resolution changes. Points are
+// in frame coordinates (not mirrored like the on-screen video).
+//
+// A detection counts when its box centre is inside at least one include zone
+// (or there are none) and inside no exclude zone.
+
+import { EventEmitter } from './event-emitter.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('zones');
+
+const STORAGE_KEY = 'focus-guard-zones';
+const MAX_ZONES = 20;
+
+export const ZONE_TYPES = Object.freeze({
+    INCLUDE: 'include',
+    EXCLUDE: 'exclude'
+});
+
+/**
+ * @typedef {object} Zone
+ * @property {string} id
+ * @property {'include'|'exclude'} type
+ * @property {Array<[number, number]>} points - At least 3 corners, each 0-1
+ */
+
+/**
+ * Validate a zone list.
+ * @returns {Zone[]} Cleaned copy
+ * @throws {Error} Describing the first invalid zone
+ */
+export function validateZones(zones) {
+    if (!Array.isArray(zones)) throw new Error('Zones must be a list');
+    if (zones.length > MAX_ZONES) throw new Error(`At most ${MAX_ZONES} zones are supported`);
+
+    return zones.map((zone, i) => {
+        if (!Object.values(ZONE_TYPES).includes(zone?.type)) {
+            throw new Error(`Zone ${i + 1} must be "include" or "exclude"`);
+        }
+        if (!Array.isArray(zone.points) || zone.points.length < 3) {
+            throw new Error(`Zone ${i + 1} needs at least 3 corners`);
+        }
+        const points = zone.points.map(([x, y]) => {
+            if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 1 || y < 0 || y > 1) {
+                throw new Error(`Zone ${i + 1} corners must be fractions of the frame (0-1)`);
+            }
+            return [x, y];
+        });
+        return { id: String(zone.id || `zone-${Date.now().toString(36)}-${i}`), type: zone.type, points };
+    });
+}
+
+/**
+ * Even-odd ray casting test.
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<[number, number]>} points - Polygon corners
+ */
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a box (frame pixels) counts under the given zones.
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {Zone[]} zones
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ */
+export function inZones(box, zones, frameWidth, frameHeight) {
+    if (!zones || zones.length === 0) return true;
+
+    const cx = (box.x + box.width / 2) / frameWidth;
+    const cy = (box.y + box.height / 2) / frameHeight;
+    const includes = zones.filter(zone => zone.type === ZONE_TYPES.INCLUDE);
+
+    if (includes.length > 0 && !includes.some(zone => pointInPolygon(cx, cy, zone.points))) return false;
+    return !zones.some(zone => zone.type === ZONE_TYPES.EXCLUDE && pointInPolygon(cx, cy, zone.points));
+}
+
+/**
+ * Zone corners in pixels for a frame size.
+ * @returns {Array<[number, number]>}
+ */
+export function zoneToPixels(zone, frameWidth, frameHeight) {
+    return zone.points.map(([x, y]) => [x * frameWidth, y * frameHeight]);
+}
+
+export class ZoneStore extends EventEmitter {
+    constructor(storage = globalThis.localStorage) {
+        super();
+        this.storage = storage;
+        this.devices = {};
+        this._read();
+    }
+
+    _read() {
+        if (!this.storage) return;
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            Object.entries(stored).forEach(([deviceId, zones]) => {
+                try {
+                    this.devices[deviceId] = validateZones(zones);
+                } catch (e) {
+                    log.warn(`Dropping invalid zones for camera ${deviceId}:`, e.message);
+                }
+            });
+        } catch (e) {
+            log.warn('Ignoring corrupt saved zones:', e);
+        }
+    }
+
+    _write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.devices));
+        } catch (e) {
+            log.warn('Failed to save zones:', e);
+        }
+    }
+
+    /**
+     * @param {string} deviceId - Camera deviceId
+     * @returns {Zone[]}
+     */
+    get(deviceId) {
+        return this.devices[deviceId] || [];
+    }
+
+    save(deviceId, zones) {
+        const clean = validateZones(zones);
+        if (clean.length > 0) {
+            this.devices[deviceId] = clean;
+        } else {
+            delete this.devices[deviceId];
+        }
+        this._write();
+        this.emit('change', { deviceId, zones: clean });
+        return clean;
+    }
+
+    clear(deviceId) {
+        return this.save(deviceId, []);
+    }
+}
@@ -0,0 +1,32 @@
+// Copy the ONNX Runtime Web bundles and WASM binaries out of node_modules so the
+// app can be served (and cached by the service worker) without a CDN.
+// Runs automatically after `npm install`; the output folder is not committed.
+
+import { copyFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const source = join(root, 'node_modules', 'onnxruntime-web', 'dist');
+const target = join(root, 'vendor', 'onnxruntime-web');
+
+// ort.all.min.js swaps the SIMD binaries for their JSEP builds (WebGPU-capable),
+// so the plain SIMD ones are never requested
+const FILES = [
+    'esm/ort.all.min.js',
+    'ort-wasm.wasm',
+    'ort-wasm-threaded.wasm',
+    'ort-wasm-simd.jsep.wasm',
+    'ort-wasm-simd-threaded.jsep.wasm'
+];
+
+if (!existsSync(source)) {
+    console.warn('onnxruntime-web is not installed - skipping vendor copy (the app will fall back to the CDN)');
+    process.exit(0);
+}
+
+mkdirSync(join(target, 'esm'), { recursive: true });
+FILES.forEach((file) => {
+    copyFileSync(join(source, file), join(target, file));
+});
+console.log(`Copied ${FILES.length} ONNX Runtime files to ${target}`);
@@ -0,0 +1,75 @@
+// Local stand-in for a webhook receiver - prints every Focus Guard event
+//
+//   npm run webhook-receiver                  # http://localhost:8787/
+//   PORT=9000 SECRET=s3cret node scripts/webhook-receiver.js
+//
+// Add http://localhost:8787/ as a webhook in Focus Guard (same secret, if any)
+// and use "Send test event". Answers CORS preflights so the browser may POST.
+// FAIL_FIRST=2 answers the first two requests with HTTP 503 to exercise retries.
+
+import { createServer } from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const port = Number(process.env.PORT) || 8787;
+const secret = process.env.SECRET || '';
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Focus-Guard-Event, X-Focus-Guard-Delivery, X-Focus-Guard-Signature',
+    // Chrome's Private Network Access check for public pages calling localhost
+    'Access-Control-Allow-Private-Network': 'true'
+};
+
+function verify(body, header) {
+    if (!secret) return 'unsigned';
+    if (!header || !header.startsWith('sha256=')) return 'missing';
+    const expected = Buffer.from(createHmac('sha256', secret).update(body).digest('hex'));
+    const received = Buffer.from(header.slice('sha256='.length));
+    return expected.length === received.length && timingSafeEqual(expected, received) ? 'valid' : 'INVALID';
+}
+
+const server = createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS).end();
+        return;
+    }
+    if (request.method !== 'POST') {
+        response.writeHead(405, CORS_HEADERS).end();
+        return;
+    }
+
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = verify(body, request.headers['x-focus-guard-signature']);
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`-> 503 (simulated failure, delivery ${request.headers['x-focus-guard-delivery']})`);
+            response.writeHead(503, CORS_HEADERS).end();
+            return;
+        }
+        if (signature === 'INVALID' || signature === 'missing') {
+            console.log(`-> 401 (signature ${signature})`);
+            response.writeHead(401, CORS_HEADERS).end();
+            return;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(body);
+        } catch (e) {
+            response.writeHead(400, CORS_HEADERS).end();
+            return;
+        }
+        console.log(`${new Date(event.timestamp).toISOString()} ${event.type} (signature ${signature})`, event);
+        response.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' }).end('{"ok":true}');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/${secret ? ' (verifying signatures)' : ''}`);
+});
@@ -0,0 +1,168 @@
+// Focus Guard service worker - makes the app work offline
+//
+// Three caches, each versioned on its own so a UI release does not re-download
+// the 12 MB model or the ONNX Runtime binaries:
+//   shell   - HTML, CSS, JS modules and images (stale-while-revalidate)
+//   runtime - vendored ONNX Runtime bundle and WASM (cache-first)
+//   model   - .onnx files (cache-first)
+// Bump a version to invalidate that cache; old caches are deleted on activate.
+// Registered as a module worker, so it shares the app's logger.
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('service-worker');
+
+const SHELL_VERSION = 1;
+const RUNTIME_VERSION = '1.18.0'; // onnxruntime-web version in vendor/
+const MODEL_VERSION = 1;
+
+const CACHE_PREFIX = 'focus-guard-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v${SHELL_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v${RUNTIME_VERSION}`;
+const MODEL_CACHE = `${CACHE_PREFIX}model-v${MODEL_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './monitor-ui.css',
+    './HumanPhone.png',
+    './icon.svg',
+    './manifest.webmanifest',
+    './adaptive-scheduler.js',
+    './alert-policy.js',
+    './alert-sounds-panel.js',
+    './audio-alerts.js',
+    './camera-manager.js',
+    './dashboard.js',
+    './detection-core.js',
+    './detection-engine.js',
+    './detection-worker.js',
+    './diagnostics-overlay.js',
+    './diagnostics.js',
+    './distraction-profiles.js',
+    './event-emitter.js',
+    './execution-backend.js',
+    './focus-timer.js',
+    './frame-sources.js',
+    './goals-card.js',
+    './goals.js',
+    './integrations-panel.js',
+    './integrations.js',
+    './local-db.js',
+    './logger.js',
+    './model-manifest.js',
+    './phone-context.js',
+    './phone-detector.js',
+    './phone-state-machine.js',
+    './pip-dashboard.js',
+    './presence-tracker.js',
+    './profile-panel.js',
+    './pwa.js',
+    './roi-editor.js',
+    './roi-zones.js',
+    './session-recorder.js',
+    './session-stats.js',
+    './session-store.js',
+    './settings-panel.js',
+    './settings.js',
+    './snapshot-capture.js',
+    './snapshot-gallery.js',
+    './snapshot-store.js',
+    './source-player.js',
+    './sound-store.js',
+    './zip-writer.js'
+];
+
+// The WASM backend uses SIMD in every current browser - the all-in-one bundle
+// loads the JSEP build of it, which also runs WebGPU. Threaded and non-SIMD
+// variants are cached on first use
+const RUNTIME_FILES = [
+    './vendor/onnxruntime-web/esm/ort.all.min.js',
+    './vendor/onnxruntime-web/ort-wasm-simd.jsep.wasm'
+];
+
+const MODEL_FILES = [
+    './yolov8n.onnx'
+];
+
+// Runtime and model are large and may be missing in development - don't fail the install
+async function cacheOptional(cacheName, files) {
+    const cache = await caches.open(cacheName);
+    await Promise.all(files.map(async (file) => {
+        if (await cache.match(file)) return;
+        try {
+            await cache.add(file);
+        } catch (e) {
+            log.warn(`Could not pre-cache ${file}:`, e);
+        }
+    }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        await cacheOptional(RUNTIME_CACHE, RUNTIME_FILES);
+        await cacheOptional(MODEL_CACHE, MODEL_FILES);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, RUNTIME_CACHE, MODEL_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function cacheFirst(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request)
+        .then((response) => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch((error) => {
+            // Offline: a page load still gets the cached app
+            if (request.mode === 'navigate') return cache.match('./index.html');
+            throw error;
+        });
+
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/vendor/onnxruntime-web/')) {
+        event.respondWith(cacheFirst(RUNTIME_CACHE, request));
+    } else if (url.pathname.endsWith('.onnx')) {
+        event.respondWith(cacheFirst(MODEL_CACHE, request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
@@ -0,0 +1,195 @@
+// Records one monitoring run (start -> Stop) as a focus session
+// Fed by the detector's debounced phone-start/phone-end events.
+
+/**
+ * @typedef {object} FocusSession
+ * @property {string} id
+ * @property {number} startTime - ms since epoch
+ * @property {number} endTime
+ * @property {number} phoneEvents - number of confirmed phone pickups
+ * @property {number} phoneSeconds - total seconds with a phone visible
+ * @property {number} longestPhoneFreeSeconds - longest stretch without a phone
+ * @property {Array<{start: number, end: number}>} phoneIntervals
+ * @property {number} pausedSeconds - time monitoring was paused (not focus time)
+ * @property {Array<{start: number, end: number}>} pausedIntervals
+ * @property {number} awaySeconds - time nobody was at the desk (not focus time)
+ * @property {Array<{start: number, end: number}>} awayIntervals
+ */
+
+function createSessionId(timestamp) {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `session-${timestamp}-${random}`;
+}
+
+/**
+ * Milliseconds between `from` and `to` outside the paused intervals
+ * (which must not overlap each other).
+ */
+export function activeTime(from, to, pausedIntervals = []) {
+    let paused = 0;
+    pausedIntervals.forEach(({ start, end }) => {
+        paused += Math.max(0, Math.min(end, to) - Math.max(start, from));
+    });
+    return Math.max(0, to - from - paused);
+}
+
+export class SessionRecorder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.id = null;
+        this.startTime = null;
+        this.phoneIntervals = [];
+        this.phoneSince = null;
+        this.pausedIntervals = [];
+        this.pausedSince = null;
+        this.awayIntervals = [];
+        this.awaySince = null;
+    }
+
+    get isRecording() {
+        return this.startTime !== null;
+    }
+
+    get isPaused() {
+        return this.pausedSince !== null;
+    }
+
+    get isAway() {
+        return this.awaySince !== null;
+    }
+
+    start(timestamp = Date.now()) {
+        this.reset();
+        this.id = createSessionId(timestamp);
+        this.startTime = timestamp;
+    }
+
+    phoneStart(timestamp = Date.now()) {
+        if (!this.isRecording || this.phoneSince !== null) return;
+        this.phoneSince = timestamp;
+    }
+
+    phoneEnd(timestamp = Date.now()) {
+        if (!this.isRecording || this.phoneSince === null) return;
+        this.phoneIntervals.push({ start: this.phoneSince, end: timestamp });
+        this.phoneSince = null;
+    }
+
+    /**
+     * Stop counting focus time until resume(); a running phone interval ends here.
+     */
+    pause(timestamp = Date.now()) {
+        if (!this.isRecording || this.isPaused) return;
+        this.phoneEnd(timestamp);
+        this.pausedSince = timestamp;
+    }
+
+    resume(timestamp = Date.now()) {
+        if (!this.isPaused) return;
+        this.pausedIntervals.push({ start: this.pausedSince, end: timestamp });
+        this.pausedSince = null;
+    }
+
+    /**
+     * Nobody has been at the desk since `since`. Like a pause, but detected
+     * after the fact and kept apart in the summary. A phone interval running
+     * then ends there.
+     */
+    awayStart(since, timestamp = Date.now()) {
+        if (!this.isRecording || this.isPaused || this.isAway) return;
+        const start = Math.min(Math.max(since, this.startTime), timestamp);
+        if (this.phoneSince !== null) this.phoneEnd(Math.max(this.phoneSince, start));
+        this.awaySince = start;
+    }
+
+    awayEnd(timestamp = Date.now()) {
+        if (!this.isAway) return;
+        this.awayIntervals.push({ start: this.awaySince, end: timestamp });
+        this.awaySince = null;
+    }
+
+    // Paused and away intervals so far, including running ones
+    _pausedUntil(timestamp) {
+        const intervals = [...this.pausedIntervals, ...this.awayIntervals];
+        if (this.isPaused) intervals.push({ start: this.pausedSince, end: timestamp });
+        if (this.isAway) intervals.push({ start: this.awaySince, end: timestamp });
+        return intervals;
+    }
+
+    /**
+     * Focus time so far (ms), without pauses and time away.
+     */
+    elapsed(timestamp = Date.now()) {
+        if (!this.isRecording) return 0;
+        return activeTime(this.startTime, timestamp, this._pausedUntil(timestamp));
+    }
+
+    /**
+     * Focus time since the last phone went away (ms); 0 while a phone is in view.
+     */
+    phoneFreeStreak(timestamp = Date.now()) {
+        if (!this.isRecording || this.phoneSince !== null) return 0;
+        const last = this.phoneIntervals[this.phoneIntervals.length - 1];
+        return activeTime(last ? last.end : this.startTime, timestamp, this._pausedUntil(timestamp));
+    }
+
+    /**
+     * Finish the session and return its summary.
+     * @returns {FocusSession|null} null if nothing was being recorded
+     */
+    stop(timestamp = Date.now()) {
+        if (!this.isRecording) return null;
+
+        this.phoneEnd(timestamp);
+        this.resume(timestamp);
+        this.awayEnd(timestamp);
+        const session = summarizeSession(this.startTime, timestamp, this.phoneIntervals, this.id, {
+            pausedIntervals: this.pausedIntervals,
+            awayIntervals: this.awayIntervals
+        });
+        this.reset();
+        return session;
+    }
+}
+
+/**
+ * Build a session summary from its phone intervals.
+ * @param {object} [breaks] - Paused and away intervals, which are not focus time
+ * @returns {FocusSession}
+ */
+export function summarizeSession(startTime, endTime, phoneIntervals, id = createSessionId(startTime),
+    { pausedIntervals = [], awayIntervals = [] } = {}) {
+    const intervals = [...phoneIntervals].sort((a, b) => a.start - b.start);
+
+    let phoneMs = 0;
+    let longestFreeMs = 0;
+    let cursor = startTime;
+
+    // Paused and away time does not count towards phone-free stretches
+    const breaks = [...pausedIntervals, ...awayIntervals];
+    intervals.forEach(({ start, end }) => {
+        phoneMs += Math.max(0, end - start);
+        longestFreeMs = Math.max(longestFreeMs, activeTime(cursor, start, breaks));
+        cursor = Math.max(cursor, end);
+    });
+    longestFreeMs = Math.max(longestFreeMs, activeTime(cursor, endTime, breaks));
+    const pausedMs = endTime - startTime - activeTime(startTime, endTime, pausedIntervals);
+    const awayMs = endTime - startTime - activeTime(startTime, endTime, awayIntervals);
+
+    return {
+        id,
+        startTime,
+        endTime,
+        phoneEvents: intervals.length,
+        phoneSeconds: Math.round(phoneMs / 1000),
+        longestPhoneFreeSeconds: Math.round(longestFreeMs / 1000),
+        phoneIntervals: intervals,
+        pausedSeconds: Math.round(pausedMs / 1000),
+        pausedIntervals,
+        awaySeconds: Math.round(awayMs / 1000),
+        awayIntervals
+    };
+}
@@ -0,0 +1,107 @@
+// Aggregations over focus sessions for the dashboard
+// Pure functions - sessions in, plain numbers out.
+
+export function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+// Weeks start on Monday
+export function startOfWeek(timestamp) {
+    const date = new Date(startOfDay(timestamp));
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - daysSinceMonday);
+    return date.getTime();
+}
+
+function emptyBucket(start) {
+    return { start, sessions: 0, focusSeconds: 0, phoneEvents: 0, phoneSeconds: 0, longestPhoneFreeSeconds: 0 };
+}
+
+/**
+ * Seconds of a session spent monitoring - not paused and not away.
+ */
+export function focusSeconds(session) {
+    // Sessions saved before pausing and presence detection have neither field
+    const breakSeconds = (session.pausedSeconds || 0) + (session.awaySeconds || 0);
+    return Math.max(0, Math.round((session.endTime - session.startTime) / 1000) - breakSeconds);
+}
+
+function addToBucket(bucket, session) {
+    bucket.sessions++;
+    bucket.focusSeconds += focusSeconds(session);
+    bucket.phoneEvents += session.phoneEvents;
+    bucket.phoneSeconds += session.phoneSeconds;
+    bucket.longestPhoneFreeSeconds = Math.max(bucket.longestPhoneFreeSeconds, session.longestPhoneFreeSeconds);
+}
+
+/**
+ * Group sessions into consecutive buckets ending with the one containing `now`.
+ * @param {Array} sessions
+ * @param {number} count - Number of buckets
+ * @param {'day'|'week'} unit
+ * @param {number} [now=Date.now()]
+ */
+export function bucketSessions(sessions, count, unit, now = Date.now()) {
+    const startOf = unit === 'week' ? startOfWeek : startOfDay;
+    const buckets = [];
+
+    let start = startOf(now);
+    for (let i = 0; i < count; i++) {
+        buckets.unshift(emptyBucket(start));
+        // One millisecond before this bucket is inside the previous one (DST-safe)
+        start = startOf(start - 1);
+    }
+
+    sessions.forEach((session) => {
+        const bucketStart = startOf(session.startTime);
+        const bucket = buckets.find(b => b.start === bucketStart);
+        if (bucket) addToBucket(bucket, session);
+    });
+
+    return buckets;
+}
+
+/**
+ * Totals across all given sessions.
+ */
+export function summarize(sessions) {
+    const total = emptyBucket(null);
+    sessions.forEach(session => addToBucket(total, session));
+    return total;
+}
+
+/**
+ * Phone events per focused hour - lower is better. null when nothing was monitored.
+ */
+export function phoneRate(bucket) {
+    if (bucket.focusSeconds === 0) return null;
+    return bucket.phoneEvents / (bucket.focusSeconds / 3600);
+}
+
+/**
+ * Compare the phone rate of the most recent half of the buckets to the older half.
+ * @returns {{direction: 'better'|'worse'|'steady'|'unknown', change: number|null}}
+ *   change is the relative difference in phone events per hour
+ */
+export function trend(buckets) {
+    const half = Math.floor(buckets.length / 2);
+    const older = summarize([]);
+    const recent = summarize([]);
+
+    buckets.forEach((bucket, index) => {
+        const target = index < buckets.length - half ? older : recent;
+        target.focusSeconds += bucket.focusSeconds;
+        target.phoneEvents += bucket.phoneEvents;
+    });
+
+    const before = phoneRate(older);
+    const after = phoneRate(recent);
+    if (before === null || after === null) return { direction: 'unknown', change: null };
+    if (before === 0) return { direction: after === 0 ? 'steady' : 'worse', change: null };
+
+    const change = (after - before) / before;
+    if (Math.abs(change) < 0.1) return { direction: 'steady', change };
+    return { direction: change < 0 ? 'better' : 'worse', change };
+}
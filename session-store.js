@@ -0,0 +1,22 @@
+// Focus session history, persisted locally in IndexedDB
+
+import { putRecord, getRecords, clearStore } from './local-db.js';
+
+const STORE = 'sessions';
+
+export function saveSession(session) {
+    return putRecord(STORE, session);
+}
+
+/**
+ * @param {number} [since] - Only sessions that started at or after this time (ms)
+ * @returns {Promise<Array>} Sessions, oldest first
+ */
+export function getSessions(since) {
+    const range = since !== undefined ? IDBKeyRange.lowerBound(since) : undefined;
+    return getRecords(STORE, { index: 'startTime', range });
+}
+
+export function clearSessions() {
+    return clearStore(STORE);
+}
@@ -0,0 +1,191 @@
+// Settings screen - form generated from SETTINGS_SCHEMA
+
+import { SETTINGS_SCHEMA } from './settings.js';
+
+function groupFields() {
+    const groups = new Map();
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        if (!groups.has(field.group)) groups.set(field.group, []);
+        groups.get(field.group).push([key, field]);
+    });
+    return groups;
+}
+
+function buildForm(form) {
+    form.innerHTML = '';
+
+    groupFields().forEach((fields, groupName) => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'settings-group';
+        const legend = document.createElement('legend');
+        legend.textContent = groupName;
+        fieldset.appendChild(legend);
+
+        fields.forEach(([key, field]) => {
+            const label = document.createElement('label');
+            label.className = 'settings-field';
+
+            const name = document.createElement('span');
+            name.className = 'settings-label';
+            name.textContent = field.label;
+
+            const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+            input.name = key;
+            if (field.type === 'select') {
+                Object.entries(field.options).forEach(([value, text]) => {
+                    input.appendChild(new Option(text, value));
+                });
+            } else if (field.type === 'time') {
+                input.type = 'time';
+            } else if (field.type === 'boolean') {
+                input.type = 'checkbox';
+            } else if (field.type === 'text') {
+                input.type = 'text';
+                input.maxLength = field.maxLength;
+                input.spellcheck = false;
+            } else {
+                input.type = 'number';
+                input.min = field.min;
+                input.max = field.max;
+                input.step = field.step;
+            }
+
+            const error = document.createElement('span');
+            error.className = 'settings-error';
+            error.dataset.errorFor = key;
+
+            label.append(name, input);
+            if (field.help) {
+                const help = document.createElement('span');
+                help.className = 'settings-help';
+                help.textContent = field.help;
+                label.appendChild(help);
+            }
+            label.appendChild(error);
+            fieldset.appendChild(label);
+        });
+
+        form.appendChild(fieldset);
+    });
+}
+
+function showErrors(form, errors) {
+    form.querySelectorAll('[data-error-for]').forEach((el) => {
+        el.textContent = errors[el.dataset.errorFor] || '';
+    });
+    form.querySelectorAll('input, select').forEach((input) => {
+        input.classList.toggle('invalid', Boolean(errors[input.name]));
+    });
+}
+
+function fillForm(form, values) {
+    Object.entries(values).forEach(([key, value]) => {
+        const input = form.elements.namedItem(key);
+        if (!input) return;
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    });
+    showErrors(form, {});
+}
+
+// FormData leaves out unticked checkboxes, so read every schema field directly
+function readForm(form) {
+    const values = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        const input = form.elements.namedItem(key);
+        if (!input) return;
+        values[key] = field.type === 'boolean' ? input.checked : input.value;
+    });
+    return values;
+}
+
+export function downloadFile(filename, contents, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wire up the settings modal.
+ * @param {import('./settings.js').SettingsStore} store
+ * @returns {{open: Function, close: Function}}
+ */
+export function initSettingsPanel(store) {
+    const modal = document.getElementById('settings-modal');
+    const form = document.getElementById('settings-form');
+    const message = document.getElementById('settings-message');
+    const closeBtn = document.getElementById('settings-close-btn');
+    const resetBtn = document.getElementById('settings-reset-btn');
+    const exportBtn = document.getElementById('settings-export-btn');
+    const importInput = document.getElementById('settings-import-input');
+
+    buildForm(form);
+
+    function setMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('is-error', isError);
+    }
+
+    function open() {
+        fillForm(form, store.get());
+        setMessage('');
+        modal.hidden = false;
+    }
+
+    function close() {
+        modal.hidden = true;
+    }
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const errors = store.update(readForm(form));
+        showErrors(form, errors);
+
+        if (Object.keys(errors).length > 0) {
+            setMessage('Please fix the highlighted values.', true);
+        } else {
+            setMessage('Settings saved and applied.');
+        }
+    });
+
+    resetBtn.addEventListener('click', () => {
+        store.reset();
+        fillForm(form, store.get());
+        setMessage('Defaults restored.');
+    });
+
+    exportBtn.addEventListener('click', () => {
+        downloadFile('focus-guard-settings.json', store.export());
+    });
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        const errors = store.import(await file.text());
+        fillForm(form, store.get());
+        showErrors(form, errors);
+        if (Object.keys(errors).length > 0) {
+            setMessage(errors._ || 'Some imported values are invalid - nothing was changed.', true);
+        } else {
+            setMessage('Settings imported and applied.');
+        }
+    });
+
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.hidden) close();
+    });
+
+    return { open, close };
+}
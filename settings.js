@@ -0,0 +1,309 @@
+// User settings - validated, persisted in localStorage, importable/exportable as JSON
+//
+// Every tunable value lives in SETTINGS_SCHEMA. The settings screen is generated
+// from it and SettingsStore emits 'change' so a running session can apply
+// new values without restarting the camera.
+
+import { EventEmitter } from './event-emitter.js';
+import { SCHEDULER_PROFILES, SCHEDULER_PROFILE_LABELS } from './adaptive-scheduler.js';
+import { parseTime } from './alert-policy.js';
+import { SNAPSHOT_BLUR, SNAPSHOT_BLUR_LABELS } from './snapshot-capture.js';
+import { createLogger, LOG_LEVELS, LOG_LEVEL_LABELS } from './logger.js';
+
+const log = createLogger('settings');
+
+const STORAGE_KEY = 'focus-guard-settings';
+const EXPORT_FORMAT = 'focus-guard-settings';
+const EXPORT_VERSION = 1;
+
+export const SETTINGS_SCHEMA = {
+    confidenceThreshold: {
+        label: 'Confidence threshold', group: 'Detection', default: 0.4, min: 0.05, max: 0.95, step: 0.05,
+        help: 'Minimum score for a phone to count. Lower catches more phones but also more false alarms.'
+    },
+    iouThreshold: {
+        label: 'Overlap (NMS IoU) threshold', group: 'Detection', default: 0.45, min: 0.1, max: 0.9, step: 0.05,
+        help: 'Boxes overlapping more than this are merged into one detection.'
+    },
+    detectionInterval: {
+        label: 'Minimum pause between detections (ms)', group: 'Detection', default: 0, min: 0, max: 10000, step: 100,
+        help: 'Detection otherwise paces itself: faster while a phone is around or the picture changes, slower when nothing happens.'
+    },
+    cpuBudget: {
+        label: 'CPU budget (%)', group: 'Detection', default: 50, min: 10, max: 100, step: 5,
+        help: 'Share of the time spent detecting while something is happening. 100 runs as fast as the device allows.'
+    },
+    schedulerProfile: {
+        label: 'Power profile', group: 'Detection', type: 'select', default: SCHEDULER_PROFILES.BALANCED,
+        options: SCHEDULER_PROFILE_LABELS,
+        help: 'Power saver caps the CPU budget at 20% and checks a static scene far less often.'
+    },
+    modelInputSize: {
+        label: 'Model input size (px)', group: 'Detection', default: 640, min: 160, max: 1280, step: 32,
+        help: 'Only for custom models exported with a dynamic input ("dynamicInput": true in the manifest); the built-in YOLOv8 Nano always runs at 640. Must be a multiple of 32. Smaller is faster, larger finds distant phones.'
+    },
+    modelManifestUrl: {
+        label: 'Custom model manifest URL', group: 'Detection', type: 'text', default: '', maxLength: 500,
+        help: 'Leave empty for the built-in YOLOv8 Nano. Takes effect the next time monitoring starts.'
+    },
+    chimeCooldown: {
+        label: 'Chime cooldown (s)', group: 'Alerts', default: 5, min: 0, max: 3600, step: 1,
+        help: 'Minimum time between two gentle chimes (and their notifications).'
+    },
+    alertNearbyPhones: {
+        label: 'Alert for phones lying nearby', group: 'Alerts', type: 'boolean', default: true,
+        help: 'When off, only phones that look held or in use alert; a phone on the desk is just outlined.'
+    },
+    toneAfter: {
+        label: 'Louder tone after (s)', group: 'Escalation', default: 10, min: 0, max: 3600, step: 1,
+        help: 'How long a phone must stay in view before each level starts. 0 turns the level off.'
+    },
+    toneCooldown: {
+        label: 'Louder tone cooldown (s)', group: 'Escalation', default: 15, min: 0, max: 3600, step: 1
+    },
+    speechAfter: {
+        label: 'Spoken reminder after (s)', group: 'Escalation', default: 30, min: 0, max: 3600, step: 1
+    },
+    speechCooldown: {
+        label: 'Spoken reminder cooldown (s)', group: 'Escalation', default: 30, min: 0, max: 3600, step: 1
+    },
+    speechMessage: {
+        label: 'Spoken reminder', group: 'Escalation', type: 'text', default: 'Time to put the phone away and get back to work.', maxLength: 200
+    },
+    overlayAfter: {
+        label: 'Full-screen overlay after (s)', group: 'Escalation', default: 60, min: 0, max: 3600, step: 1
+    },
+    overlayCooldown: {
+        label: 'Overlay cooldown (s)', group: 'Escalation', default: 60, min: 0, max: 3600, step: 1,
+        help: 'A dismissed overlay comes back after this long if the phone is still there.'
+    },
+    quietHoursEnabled: {
+        label: 'Quiet hours', group: 'Quiet Hours', type: 'boolean', default: false,
+        help: 'No alerts at all during these hours. Distractions are still recorded.'
+    },
+    quietHoursStart: {
+        label: 'Quiet from', group: 'Quiet Hours', type: 'time', default: '22:00'
+    },
+    quietHoursEnd: {
+        label: 'Quiet until', group: 'Quiet Hours', type: 'time', default: '07:00'
+    },
+    presenceEnabled: {
+        label: 'Pause when you leave the desk', group: 'Presence', type: 'boolean', default: true,
+        help: 'Uses person detection: with nobody in view, alerts and focus time pause until you are back. Time away is recorded separately.'
+    },
+    awayGracePeriod: {
+        label: 'Away after (s)', group: 'Presence', default: 30, min: 5, max: 600, step: 5,
+        help: 'How long the camera must see nobody before you count as away.'
+    },
+    snapshotsEnabled: {
+        label: 'Save alert snapshots', group: 'Snapshots', type: 'boolean', default: false,
+        help: 'Keeps a small picture of what triggered the first alert of each distraction, so false alarms can be checked and marked. Pictures never leave this browser.'
+    },
+    snapshotBlur: {
+        label: 'Blur', group: 'Snapshots', type: 'select', default: SNAPSHOT_BLUR.BACKGROUND,
+        options: SNAPSHOT_BLUR_LABELS,
+        help: 'Faces only blurs the heads of detected people; the detected object is never blurred.'
+    },
+    snapshotRetentionDays: {
+        label: 'Keep snapshots for (days)', group: 'Snapshots', default: 7, min: 1, max: 365, step: 1,
+        help: 'Snapshots marked as false alarms are kept until you delete them.'
+    },
+    snapshotLimit: {
+        label: 'Maximum snapshots', group: 'Snapshots', default: 100, min: 10, max: 1000, step: 10
+    },
+    goalFocusMinutes: {
+        label: 'Daily focus goal (minutes)', group: 'Goals', default: 180, min: 0, max: 960, step: 15,
+        help: 'Time monitored per day, not counting pauses or time away. 0 means no focus goal.'
+    },
+    goalMaxPickups: {
+        label: 'Fewer phone pickups than', group: 'Goals', default: 5, min: 0, max: 100, step: 1,
+        help: 'A day only meets its goals below this many pickups. 0 means no pickup limit. Streaks and achievements use the current goals for past days too.'
+    },
+    cameraWidth: {
+        label: 'Camera width (px)', group: 'Camera', default: 640, min: 160, max: 3840, step: 1
+    },
+    cameraHeight: {
+        label: 'Camera height (px)', group: 'Camera', default: 480, min: 120, max: 2160, step: 1
+    },
+    cameraFrameRate: {
+        label: 'Camera frame rate (fps)', group: 'Camera', default: 10, min: 1, max: 60, step: 1
+    },
+    logLevel: {
+        label: 'Console log level', group: 'Diagnostics', type: 'select', default: LOG_LEVELS.WARN,
+        options: LOG_LEVEL_LABELS,
+        help: 'What is printed to the browser console. Recent messages are kept for the diagnostics bundle either way.'
+    }
+};
+
+export function defaultSettings() {
+    const defaults = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        defaults[key] = field.default;
+    });
+    return defaults;
+}
+
+/**
+ * Validate a (partial) settings object.
+ * Unknown keys are ignored, missing keys are left out of the result.
+ * @returns {{values: object, errors: object}} errors maps key -> message
+ */
+export function validateSettings(input) {
+    const values = {};
+    const errors = {};
+
+    if (!input || typeof input !== 'object') {
+        return { values, errors: { _: 'Settings must be an object' } };
+    }
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        if (field.type === 'text') {
+            if (input[key] === undefined) return;
+            const value = String(input[key]).trim();
+            if (value.length > field.maxLength) {
+                errors[key] = `${field.label} must be at most ${field.maxLength} characters`;
+            } else {
+                values[key] = value;
+            }
+            return;
+        }
+
+        if (input[key] === undefined || input[key] === '') return;
+
+        if (field.type === 'time') {
+            try {
+                parseTime(input[key]);
+                values[key] = input[key];
+            } catch (e) {
+                errors[key] = `${field.label} must be a time like 22:30`;
+            }
+            return;
+        }
+
+        if (field.type === 'select') {
+            if (Object.hasOwn(field.options, input[key])) {
+                values[key] = input[key];
+            } else {
+                errors[key] = `${field.label} must be one of ${Object.keys(field.options).join(', ')}`;
+            }
+            return;
+        }
+
+        if (field.type === 'boolean') {
+            if (typeof input[key] === 'boolean') {
+                values[key] = input[key];
+            } else if (input[key] === 'true' || input[key] === 'false') {
+                values[key] = input[key] === 'true';
+            } else {
+                errors[key] = `${field.label} must be true or false`;
+            }
+            return;
+        }
+
+        const value = Number(input[key]);
+        if (!Number.isFinite(value)) {
+            errors[key] = `${field.label} must be a number`;
+        } else if (value < field.min || value > field.max) {
+            errors[key] = `${field.label} must be between ${field.min} and ${field.max}`;
+        } else if (key === 'modelInputSize' && value % 32 !== 0) {
+            errors[key] = `${field.label} must be a multiple of 32`;
+        } else {
+            values[key] = value;
+        }
+    });
+
+    return { values, errors };
+}
+
+export class SettingsStore extends EventEmitter {
+    /**
+     * @param {Storage} [storage=localStorage] - Anything with getItem/setItem/removeItem
+     */
+    constructor(storage = globalThis.localStorage) {
+        super();
+        this.storage = storage;
+        this.values = { ...defaultSettings(), ...this._read() };
+    }
+
+    _read() {
+        if (!this.storage) return {};
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            // Drop anything that no longer validates (e.g. after a schema change)
+            return validateSettings(stored).values;
+        } catch (e) {
+            log.warn('Ignoring corrupt saved settings:', e);
+            return {};
+        }
+    }
+
+    _write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            log.warn('Failed to save settings:', e);
+        }
+    }
+
+    get() {
+        return { ...this.values };
+    }
+
+    /**
+     * Validate and apply a partial update. Nothing is applied if any value is invalid.
+     * @returns {object} errors (empty when the update was applied)
+     */
+    update(partial) {
+        const { values, errors } = validateSettings(partial);
+        if (Object.keys(errors).length > 0) return errors;
+
+        const previous = this.values;
+        this.values = { ...this.values, ...values };
+        this._write();
+
+        const changed = Object.keys(values).filter(key => previous[key] !== this.values[key]);
+        if (changed.length > 0) {
+            this.emit('change', { settings: this.get(), changed });
+        }
+        return {};
+    }
+
+    reset() {
+        if (this.storage) this.storage.removeItem(STORAGE_KEY);
+        const previous = this.values;
+        this.values = defaultSettings();
+        const changed = Object.keys(this.values).filter(key => previous[key] !== this.values[key]);
+        this.emit('change', { settings: this.get(), changed });
+    }
+
+    export() {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            settings: this.values
+        }, null, 2);
+    }
+
+    /**
+     * Import settings previously produced by export().
+     * @param {string} json
+     * @returns {object} errors (empty when the import was applied)
+     */
+    import(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (e) {
+            return { _: 'File is not valid JSON' };
+        }
+
+        if (!parsed || parsed.format !== EXPORT_FORMAT) {
+            return { _: 'File is not a Focus Guard settings export' };
+        }
+        if (parsed.version > EXPORT_VERSION) {
+            return { _: 'Settings were exported by a newer version of Focus Guard' };
+        }
+        return this.update(parsed.settings);
+    }
+}
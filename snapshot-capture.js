@@ -0,0 +1,118 @@
+// Alert snapshot capture - a small, privacy-blurred thumbnail of the frame
+// that triggered an alert. Boxes come in frame pixels and are returned in
+// thumbnail pixels.
+
+export const SNAPSHOT_BLUR = {
+    BACKGROUND: 'background',
+    FACES: 'faces'
+};
+
+export const SNAPSHOT_BLUR_LABELS = {
+    [SNAPSHOT_BLUR.BACKGROUND]: 'Everything except the detected object',
+    [SNAPSHOT_BLUR.FACES]: 'Faces only'
+};
+
+// Longest side of a thumbnail
+const THUMBNAIL_SIZE = 320;
+const JPEG_QUALITY = 0.8;
+// Blurred areas are drawn from a copy this much smaller
+const BLUR_SCALE = 1 / 16;
+// Context kept sharp around the detected object, relative to its size
+const BOX_MARGIN = 0.15;
+// Share of a person box (from the top) treated as the head
+const FACE_HEIGHT = 0.4;
+
+/**
+ * Where the face probably is: the top of a person box.
+ */
+export function faceRegion(person) {
+    return { x: person.x, y: person.y, width: person.width, height: person.height * FACE_HEIGHT };
+}
+
+export function scaleBox(box, scale) {
+    return { x: box.x * scale, y: box.y * scale, width: box.width * scale, height: box.height * scale };
+}
+
+/**
+ * Grow a box by `margin` of its size on every side, clipped to the frame.
+ */
+export function expandBox(box, margin, width, height) {
+    const x = Math.max(0, box.x - box.width * margin);
+    const y = Math.max(0, box.y - box.height * margin);
+    return {
+        x,
+        y,
+        width: Math.min(width, box.x + box.width * (1 + margin)) - x,
+        height: Math.min(height, box.y + box.height * (1 + margin)) - y
+    };
+}
+
+function toBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the snapshot'))), type, quality);
+    });
+}
+
+// Strong blur that works everywhere (ctx.filter is missing in Safari):
+// shrink the picture, then let smoothing scale it back up
+function blurRegions(ctx, regions) {
+    const { width, height } = ctx.canvas;
+    const small = document.createElement('canvas');
+    small.width = Math.max(1, Math.round(width * BLUR_SCALE));
+    small.height = Math.max(1, Math.round(height * BLUR_SCALE));
+    small.getContext('2d').drawImage(ctx.canvas, 0, 0, small.width, small.height);
+
+    ctx.save();
+    ctx.beginPath();
+    regions.forEach(region => ctx.rect(region.x, region.y, region.width, region.height));
+    ctx.clip();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(small, 0, 0, width, height);
+    ctx.restore();
+}
+
+/**
+ * Capture a thumbnail of the current frame.
+ * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source
+ * @param {object} options
+ * @param {object} options.box - Detected object, in frame pixels
+ * @param {Array} [options.persons] - Person boxes, in frame pixels
+ * @param {string} [options.blur] - SNAPSHOT_BLUR mode
+ * @returns {Promise<{image: Blob, width: number, height: number, box: object, persons: Array, blur: string}>}
+ */
+export async function captureSnapshot(source, { box, persons = [], blur = SNAPSHOT_BLUR.BACKGROUND }) {
+    const frameWidth = source.videoWidth || source.width;
+    const frameHeight = source.videoHeight || source.height;
+    if (!frameWidth || !frameHeight) throw new Error('No camera frame to capture');
+
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(frameWidth, frameHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(frameWidth * scale);
+    canvas.height = Math.round(frameHeight * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    const thumbnailBox = scaleBox(box, scale);
+    const thumbnailPersons = persons.map(person => scaleBox(person, scale));
+    const sharp = expandBox(thumbnailBox, BOX_MARGIN, canvas.width, canvas.height);
+
+    if (blur === SNAPSHOT_BLUR.FACES) {
+        blurRegions(ctx, thumbnailPersons.map(faceRegion));
+    } else {
+        blurRegions(ctx, [{ x: 0, y: 0, width: canvas.width, height: canvas.height }]);
+    }
+    // The object that triggered the alert always stays recognisable
+    ctx.drawImage(source,
+        sharp.x / scale, sharp.y / scale, sharp.width / scale, sharp.height / scale,
+        sharp.x, sharp.y, sharp.width, sharp.height);
+
+    return {
+        image: await toBlob(canvas, 'image/jpeg', JPEG_QUALITY),
+        width: canvas.width,
+        height: canvas.height,
+        box: thumbnailBox,
+        persons: thumbnailPersons,
+        blur
+    };
+}
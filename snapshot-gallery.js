@@ -0,0 +1,156 @@
+// Alert snapshot gallery on the dashboard - review what triggered alerts,
+// mark false alarms and export them as a dataset
+
+import { getSnapshots, pruneSnapshots, markFalsePositive, deleteSnapshot, clearSnapshots, exportSnapshotDataset } from './snapshot-store.js';
+import { downloadFile } from './settings-panel.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('snapshots');
+
+function percent(value, total) {
+    return `${(value / total) * 100}%`;
+}
+
+function buildCard(snapshot, imageUrl) {
+    const card = document.createElement('figure');
+    card.className = 'snapshot-card';
+    card.dataset.id = snapshot.id;
+    card.classList.toggle('is-false-positive', snapshot.falsePositive);
+
+    const frame = document.createElement('div');
+    frame.className = 'snapshot-frame';
+    const image = document.createElement('img');
+    image.src = imageUrl;
+    image.alt = `${snapshot.className} detected`;
+    const box = document.createElement('span');
+    box.className = 'snapshot-box';
+    box.style.left = percent(snapshot.box.x, snapshot.width);
+    box.style.top = percent(snapshot.box.y, snapshot.height);
+    box.style.width = percent(snapshot.box.width, snapshot.width);
+    box.style.height = percent(snapshot.box.height, snapshot.height);
+    frame.append(image, box);
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'snapshot-caption';
+    const when = new Date(snapshot.timestamp).toLocaleString(undefined, {
+        weekday: 'short', hour: '2-digit', minute: '2-digit'
+    });
+    caption.textContent = `${when} · ${snapshot.className} ${Math.round(snapshot.score * 100)}%`;
+
+    const actions = document.createElement('div');
+    actions.className = 'snapshot-card-actions';
+    const mark = document.createElement('button');
+    mark.type = 'button';
+    mark.className = 'btn-secondary';
+    mark.dataset.action = 'mark';
+    mark.setAttribute('aria-pressed', String(snapshot.falsePositive));
+    mark.textContent = snapshot.falsePositive ? 'False alarm ✓' : 'False alarm?';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn-link';
+    remove.dataset.action = 'delete';
+    remove.textContent = 'Delete';
+    actions.append(mark, remove);
+
+    card.append(frame, caption, actions);
+    return card;
+}
+
+/**
+ * Wire up the snapshot section of the dashboard.
+ * @param {object} options
+ * @param {Function} options.getLimits - Current retention limits, see snapshotLimits()
+ * @returns {{render: Function}} render() prunes and reloads the snapshots
+ */
+export function initSnapshotGallery({ getLimits }) {
+    const grid = document.getElementById('snapshot-grid');
+    const message = document.getElementById('snapshot-message');
+    const exportBtn = document.getElementById('snapshot-export-btn');
+    const clearBtn = document.getElementById('snapshot-clear-btn');
+    let snapshots = [];
+    let imageUrls = [];
+
+    function setMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('is-error', isError);
+    }
+
+    function update() {
+        imageUrls.forEach(url => URL.revokeObjectURL(url));
+        imageUrls = snapshots.map(snapshot => URL.createObjectURL(snapshot.image));
+
+        grid.innerHTML = '';
+        if (snapshots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'session-empty';
+            empty.textContent = 'No snapshots. Turn on "Save alert snapshots" in Settings to see what triggered each alert.';
+            grid.appendChild(empty);
+        }
+        // Newest first
+        snapshots.forEach((snapshot, index) => grid.prepend(buildCard(snapshot, imageUrls[index])));
+
+        const marked = snapshots.filter(snapshot => snapshot.falsePositive).length;
+        exportBtn.disabled = marked === 0;
+        exportBtn.textContent = `Export false alarms (${marked})`;
+        clearBtn.hidden = snapshots.length === 0;
+    }
+
+    async function render() {
+        try {
+            // Never show a snapshot that is already past the retention limits
+            await pruneSnapshots(getLimits());
+            snapshots = await getSnapshots();
+        } catch (e) {
+            log.warn('Failed to load snapshots:', e);
+            snapshots = [];
+        }
+        update();
+    }
+
+    grid.addEventListener('click', async (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        const { id } = button.closest('.snapshot-card').dataset;
+        const snapshot = snapshots.find(item => item.id === id);
+        if (!snapshot) return;
+
+        try {
+            if (button.dataset.action === 'mark') {
+                await markFalsePositive(id, !snapshot.falsePositive);
+                snapshot.falsePositive = !snapshot.falsePositive;
+            } else if (button.dataset.action === 'delete') {
+                await deleteSnapshot(id);
+                snapshots = snapshots.filter(item => item !== snapshot);
+            }
+            setMessage('');
+        } catch (e) {
+            setMessage(`Could not update the snapshot: ${e.message}`, true);
+        }
+        update();
+    });
+
+    exportBtn.addEventListener('click', async () => {
+        try {
+            const zip = await exportSnapshotDataset(snapshots);
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`focus-guard-false-alarms-${date}.zip`, zip, 'application/zip');
+            setMessage('Exported as a YOLO dataset: images/, labels/ and data.yaml.');
+        } catch (e) {
+            setMessage(`Export failed: ${e.message}`, true);
+        }
+    });
+
+    clearBtn.addEventListener('click', async () => {
+        if (!confirm('Delete all alert snapshots, including those marked as false alarms?')) return;
+        try {
+            await clearSnapshots();
+            snapshots = [];
+            setMessage('');
+        } catch (e) {
+            setMessage(`Could not delete snapshots: ${e.message}`, true);
+        }
+        update();
+    });
+
+    return { render };
+}
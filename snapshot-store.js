@@ -0,0 +1,175 @@
+// Alert snapshots, persisted locally in IndexedDB
+// Thumbnails of what triggered an alert, so a false alarm can be checked and
+// marked. Marked false positives export as a YOLO dataset for fine-tuning.
+
+import { putRecord, getRecord, getRecords, deleteRecord, deleteRecords, clearStore } from './local-db.js';
+import { CLASS_NAMES } from './detection-core.js';
+import { PERSON_CLASS_INDEX } from './phone-context.js';
+import { createZip } from './zip-writer.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('snapshots');
+
+const STORE = 'snapshots';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings that pruneSnapshots() limits come from
+export const SNAPSHOT_LIMIT_SETTINGS = Object.freeze(['snapshotRetentionDays', 'snapshotLimit']);
+
+/**
+ * @typedef {object} Snapshot
+ * @property {string} id
+ * @property {number} timestamp - When the alert fired (ms)
+ * @property {string|null} sessionId
+ * @property {number} classIndex - Class of the detected object
+ * @property {string} className
+ * @property {number} score
+ * @property {Blob} image - JPEG thumbnail
+ * @property {number} width - Thumbnail size
+ * @property {number} height
+ * @property {{x: number, y: number, width: number, height: number}} box - Detected object, in thumbnail pixels
+ * @property {Array<{x: number, y: number, width: number, height: number}>} persons - Person boxes, in thumbnail pixels
+ * @property {string} blur - SNAPSHOT_BLUR mode the thumbnail was taken with
+ * @property {boolean} falsePositive - Marked by the user as not a real distraction
+ */
+
+export function createSnapshotId(timestamp) {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `snapshot-${timestamp}-${random}`;
+}
+
+export function saveSnapshot(snapshot) {
+    return putRecord(STORE, { falsePositive: false, ...snapshot });
+}
+
+/**
+ * @returns {Promise<Snapshot[]>} Oldest first
+ */
+export function getSnapshots() {
+    return getRecords(STORE, { index: 'timestamp' });
+}
+
+export async function markFalsePositive(id, falsePositive = true) {
+    const snapshot = await getRecord(STORE, id);
+    if (!snapshot) throw new Error('Snapshot not found');
+    await putRecord(STORE, { ...snapshot, falsePositive });
+}
+
+export function deleteSnapshot(id) {
+    return deleteRecord(STORE, id);
+}
+
+export function clearSnapshots() {
+    return clearStore(STORE);
+}
+
+/**
+ * Snapshots that fall outside the retention limits.
+ * Unmarked snapshots expire after `retentionDays`; marked false positives are
+ * kept until exported or deleted, since they are the fine-tuning data. Over
+ * `limit`, the oldest unmarked snapshots go first.
+ * @param {Snapshot[]} snapshots
+ * @param {object} limits
+ * @param {number} limits.retentionDays
+ * @param {number} limits.limit - Maximum number of snapshots kept
+ * @param {number} [now]
+ * @returns {string[]} ids to delete
+ */
+export function snapshotsToPrune(snapshots, { retentionDays, limit }, now = Date.now()) {
+    const cutoff = now - retentionDays * DAY_MS;
+    const expired = snapshots.filter(snapshot => !snapshot.falsePositive && snapshot.timestamp < cutoff);
+    const kept = snapshots.filter(snapshot => !expired.includes(snapshot));
+
+    const excess = kept.length - limit;
+    if (excess <= 0) return expired.map(snapshot => snapshot.id);
+
+    const oldestFirst = [...kept].sort((a, b) =>
+        Number(a.falsePositive) - Number(b.falsePositive) || a.timestamp - b.timestamp);
+    return [...expired, ...oldestFirst.slice(0, excess)].map(snapshot => snapshot.id);
+}
+
+/**
+ * Delete snapshots outside the retention limits.
+ * @returns {Promise<number>} How many were deleted
+ */
+export async function pruneSnapshots(limits) {
+    const ids = snapshotsToPrune(await getSnapshots(), limits);
+    if (ids.length > 0) await deleteRecords(STORE, ids);
+    return ids.length;
+}
+
+/**
+ * @param {object} settings - SettingsStore values
+ * @returns {{retentionDays: number, limit: number}}
+ */
+export function snapshotLimits(settings) {
+    return { retentionDays: settings.snapshotRetentionDays, limit: settings.snapshotLimit };
+}
+
+/**
+ * Keep the stored snapshots within the limits in the settings - right away
+ * and whenever a limit changes. Expired snapshots are deleted even while
+ * taking new ones is turned off.
+ * @param {SettingsStore} settingsStore
+ * @param {Function} [prune=pruneSnapshots]
+ * @returns {Promise<number>} How many the first pass deleted
+ */
+export function enforceSnapshotRetention(settingsStore, prune = pruneSnapshots) {
+    const run = () => prune(snapshotLimits(settingsStore.get())).catch((e) => {
+        log.warn('Failed to prune snapshots:', e);
+        return 0;
+    });
+    settingsStore.on('change', ({ changed }) => {
+        if (changed.some(key => SNAPSHOT_LIMIT_SETTINGS.includes(key))) run();
+    });
+    return run();
+}
+
+// One YOLO label line: class, then the box centre and size relative to the image
+function yoloLine(classIndex, box, width, height) {
+    const values = [
+        (box.x + box.width / 2) / width,
+        (box.y + box.height / 2) / height,
+        box.width / width,
+        box.height / height
+    ];
+    return `${classIndex} ${values.map(value => value.toFixed(6)).join(' ')}`;
+}
+
+/**
+ * Files of a YOLO dataset made from false-positive snapshots.
+ * The detected object was not real, so each label file only lists the people
+ * in view (COCO class ids, as focus-guard-eval reads them by default).
+ * snapshots.json records what the detector thought it saw.
+ * @param {Snapshot[]} snapshots - Only those marked as false positives are used
+ * @returns {Promise<Array<{name: string, data: Uint8Array|string}>>}
+ */
+export async function snapshotDatasetFiles(snapshots) {
+    const marked = snapshots.filter(snapshot => snapshot.falsePositive);
+    const files = [];
+    for (const snapshot of marked) {
+        files.push({ name: `images/${snapshot.id}.jpg`, data: new Uint8Array(await snapshot.image.arrayBuffer()) });
+        const labels = (snapshot.persons || []).map(person =>
+            yoloLine(PERSON_CLASS_INDEX, person, snapshot.width, snapshot.height));
+        files.push({ name: `labels/${snapshot.id}.txt`, data: labels.map(line => `${line}\n`).join('') });
+    }
+
+    const names = CLASS_NAMES.map((name, index) => `  ${index}: ${name}`).join('\n');
+    files.push({ name: 'data.yaml', data: `path: .\ntrain: images\nval: images\nnames:\n${names}\n` });
+    files.push({
+        name: 'snapshots.json',
+        data: `${JSON.stringify(marked.map(({ image, falsePositive, ...details }) => ({
+            ...details,
+            image: `images/${details.id}.jpg`
+        })), null, 2)}\n`
+    });
+    return files;
+}
+
+/**
+ * Zip of snapshotDatasetFiles(), ready to download.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function exportSnapshotDataset(snapshots) {
+    return createZip(await snapshotDatasetFiles(snapshots));
+}
@@ -0,0 +1,31 @@
+// Custom alert sounds, persisted locally in IndexedDB
+// Files are kept encoded and decoded again on each start (see audio-alerts.js).
+
+import { putRecord, getRecords, deleteRecord } from './local-db.js';
+
+const STORE = 'alert-sounds';
+
+// Longer clips are almost certainly music, not an alert
+export const MAX_SOUND_BYTES = 2 * 1024 * 1024;
+
+/**
+ * @param {object} sound
+ * @param {string} sound.level - Alert level the sound belongs to
+ * @param {string} sound.name - Original file name
+ * @param {string} sound.type - MIME type
+ * @param {ArrayBuffer} sound.data
+ */
+export function saveAlertSound(sound) {
+    if (sound.data.byteLength > MAX_SOUND_BYTES) {
+        return Promise.reject(new Error(`Sound files must be smaller than ${MAX_SOUND_BYTES / 1024 / 1024} MB`));
+    }
+    return putRecord(STORE, { ...sound, savedAt: Date.now() });
+}
+
+export function getAlertSounds() {
+    return getRecords(STORE);
+}
+
+export function deleteAlertSound(level) {
+    return deleteRecord(STORE, level);
+}
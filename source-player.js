@@ -0,0 +1,177 @@
+// Reviewing video and image files - play/pause/seek and frame stepping for
+// videos, and the list of what was detected on which frame. Clicking a
+// result goes back to exactly that frame.
+
+import { SOURCE_TYPES, FRAME_STEP_SECONDS, FrameResultLog, formatMediaTime } from './frame-sources.js';
+import { PHONE_USAGE } from './phone-context.js';
+import { downloadFile } from './settings-panel.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('review');
+
+function describeDetection(det) {
+    let label = `${det.className} ${Math.round(det.score * 100)}%`;
+    if (det.trackId) label += ` #${det.trackId}`;
+    if (det.usage) label += det.usage === PHONE_USAGE.IN_USE ? ' (in use)' : ' (nearby)';
+    return label;
+}
+
+function buildRow(frame, index, isImage) {
+    const row = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'source-result';
+    button.dataset.index = String(index);
+    button.disabled = isImage;
+
+    const time = document.createElement('span');
+    time.className = 'source-result-time';
+    time.textContent = isImage ? 'Image' : formatMediaTime(frame.mediaTime);
+    const labels = document.createElement('span');
+    labels.textContent = frame.detections.map(describeDetection).join(', ');
+    button.append(time, labels);
+    row.appendChild(button);
+    return row;
+}
+
+/**
+ * Wire up the file player and results list on the detection screen.
+ * @param {object} options
+ * @param {HTMLVideoElement} options.video
+ * @param {HTMLImageElement} options.image - Shown instead of the video for still images
+ * @param {Function} [options.getReportDetails] - Extra fields for the downloaded results, e.g. model and settings
+ * @returns {{load: Function, unload: Function, record: Function}}
+ */
+export function initSourcePlayer({ video, image, getReportDetails = () => ({}) }) {
+    const player = document.getElementById('source-player');
+    const playBtn = document.getElementById('source-play-btn');
+    const stepBackBtn = document.getElementById('source-step-back-btn');
+    const stepForwardBtn = document.getElementById('source-step-forward-btn');
+    const seek = document.getElementById('source-seek');
+    const timeLabel = document.getElementById('source-time');
+    const results = document.getElementById('source-results');
+    const resultsCount = document.getElementById('source-results-count');
+    const list = document.getElementById('source-results-list');
+    const exportBtn = document.getElementById('source-results-export-btn');
+
+    const frameLog = new FrameResultLog();
+    let source = null;
+    let renderQueued = false;
+
+    function showTime() {
+        if (source?.type !== SOURCE_TYPES.VIDEO) return;
+        const duration = Number.isFinite(video.duration) ? video.duration : 0;
+        seek.max = String(duration);
+        seek.value = String(video.currentTime);
+        timeLabel.textContent = `${formatMediaTime(video.currentTime)} / ${formatMediaTime(duration)}`;
+        playBtn.textContent = video.paused ? '▶ Play' : '⏸ Pause';
+    }
+
+    function render() {
+        renderQueued = false;
+        if (!source) return;
+        const isImage = source.type === SOURCE_TYPES.IMAGE;
+        list.innerHTML = '';
+        frameLog.frames.forEach((frame, index) => list.appendChild(buildRow(frame, index, isImage)));
+        const count = frameLog.frames.length;
+        if (count === 0) {
+            resultsCount.textContent = 'Nothing detected yet';
+        } else {
+            resultsCount.textContent = isImage ? '' : `${count} frame${count === 1 ? '' : 's'} with detections`;
+        }
+        exportBtn.disabled = count === 0;
+    }
+
+    // Results can arrive several times a second
+    function queueRender() {
+        if (renderQueued) return;
+        renderQueued = true;
+        requestAnimationFrame(render);
+    }
+
+    function goTo(time) {
+        video.pause();
+        const duration = Number.isFinite(video.duration) ? video.duration : time;
+        video.currentTime = Math.min(duration, Math.max(0, time));
+    }
+
+    /**
+     * Show a file in place of the camera.
+     * @param {File} file
+     * @param {string} type - SOURCE_TYPES.VIDEO or SOURCE_TYPES.IMAGE
+     */
+    function load(file, type) {
+        unload();
+        source = { name: file.name, type, url: URL.createObjectURL(file) };
+        const isImage = type === SOURCE_TYPES.IMAGE;
+        if (isImage) {
+            image.src = source.url;
+        } else {
+            video.srcObject = null;
+            video.src = source.url;
+        }
+        video.hidden = isImage;
+        image.hidden = !isImage;
+        player.classList.toggle('is-image', isImage);
+        player.hidden = false;
+        results.hidden = false;
+        render();
+    }
+
+    function unload() {
+        if (!source) return;
+        URL.revokeObjectURL(source.url);
+        if (source.type === SOURCE_TYPES.VIDEO) {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        } else {
+            image.removeAttribute('src');
+        }
+        video.hidden = false;
+        image.hidden = true;
+        player.hidden = true;
+        results.hidden = true;
+        frameLog.clear();
+        source = null;
+    }
+
+    /**
+     * Note the detections of one analysed frame.
+     * @param {number} mediaTime - Seconds into the video, 0 for an image
+     * @param {Array} detections
+     */
+    function record(mediaTime, detections) {
+        if (source && frameLog.record(mediaTime, detections)) queueRender();
+    }
+
+    playBtn.addEventListener('click', () => {
+        if (video.paused) {
+            video.play().catch(e => log.warn('Failed to play the video:', e));
+        } else {
+            video.pause();
+        }
+    });
+    stepBackBtn.addEventListener('click', () => goTo(video.currentTime - FRAME_STEP_SECONDS));
+    stepForwardBtn.addEventListener('click', () => goTo(video.currentTime + FRAME_STEP_SECONDS));
+    seek.addEventListener('input', () => {
+        video.currentTime = Number(seek.value);
+    });
+    ['play', 'pause', 'timeupdate', 'seeked', 'durationchange'].forEach((type) => {
+        video.addEventListener(type, showTime);
+    });
+
+    list.addEventListener('click', (event) => {
+        const button = event.target.closest('.source-result');
+        const frame = button && frameLog.frames[Number(button.dataset.index)];
+        if (frame && source?.type === SOURCE_TYPES.VIDEO) goTo(frame.mediaTime);
+    });
+
+    exportBtn.addEventListener('click', () => {
+        const report = frameLog.export(source, { exportedAt: new Date().toISOString(), ...getReportDetails() });
+        const name = source.name.replace(/\.[^.]+$/, '');
+        downloadFile(`focus-guard-review-${name}.json`, JSON.stringify(report, null, 2));
+    });
+
+    return { load, unload, record };
+}
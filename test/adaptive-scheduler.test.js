@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveScheduler, SCHEDULER_PROFILES, frameDifference, grayscale } from '../adaptive-scheduler.js';
+
+// A detection spending `ms` in inference
+function frame(ms, { motion = 0, phoneSeen = false, timestamp = 0 } = {}) {
+    return { stages: { capture: 0, inference: ms }, motion, phoneSeen, timestamp };
+}
+
+describe('AdaptiveScheduler.nextDelay', () => {
+    test('pauses to keep detection within the CPU budget', () => {
+        const scheduler = new AdaptiveScheduler({ cpuBudget: 0.5 });
+        scheduler.record(frame(100, { phoneSeen: true }));
+        assert.equal(scheduler.nextDelay({ now: 0 }), 100);
+
+        scheduler.configure({ cpuBudget: 0.25 });
+        assert.equal(scheduler.nextDelay({ now: 0 }), 300);
+
+        scheduler.configure({ cpuBudget: 1 });
+        assert.equal(scheduler.nextDelay({ now: 0 }), 0);
+        scheduler.configure({ minInterval: 50 });
+        assert.equal(scheduler.nextDelay({ now: 0 }), 50);
+    });
+
+    test('smooths the measured latency', () => {
+        const scheduler = new AdaptiveScheduler({ cpuBudget: 0.5 });
+        scheduler.record(frame(100, { phoneSeen: true }));
+        scheduler.record(frame(200, { phoneSeen: true }));
+        assert.equal(scheduler.nextDelay({ now: 0 }), 130);
+        assert.equal(scheduler.stats(0).latency.inference, 130);
+    });
+
+    test('backs off frame by frame in a static scene, up to the profile maximum', () => {
+        const scheduler = new AdaptiveScheduler({ cpuBudget: 0.5 });
+        const delays = [];
+        for (let i = 0; i < 10; i++) {
+            scheduler.record(frame(10, { timestamp: i * 1000 }));
+            delays.push(scheduler.nextDelay({ now: i * 1000 }));
+        }
+        assert.deepEqual(delays.slice(0, 4), [100, 150, 225, 338]);
+        assert.equal(delays[9], 2000);
+    });
+
+    test('movement or a phone restores the budget rate for the active window', () => {
+        const scheduler = new AdaptiveScheduler({ cpuBudget: 0.5 });
+        [0, 1000, 2000].forEach(timestamp => scheduler.record(frame(10, { timestamp })));
+        assert.equal(scheduler.nextDelay({ now: 2000 }), 225);
+
+        scheduler.record(frame(10, { motion: 0.05, timestamp: 3000 }));
+        assert.equal(scheduler.nextDelay({ now: 3000 }), 10);
+        assert.equal(scheduler.isActive(7999), true);
+        assert.equal(scheduler.isActive(8000), false);
+
+        // Still active: a static frame does not slow down yet
+        scheduler.record(frame(10, { timestamp: 4000 }));
+        assert.equal(scheduler.nextDelay({ now: 4000 }), 10);
+        assert.equal(scheduler.nextDelay({ now: 8000 }), 100);
+    });
+
+    test('a hidden tab waits at least the hidden interval', () => {
+        const scheduler = new AdaptiveScheduler({ cpuBudget: 0.5 });
+        scheduler.record(frame(100, { phoneSeen: true }));
+        assert.equal(scheduler.nextDelay({ hidden: true, now: 0 }), 1000);
+
+        scheduler.configure({ profile: SCHEDULER_PROFILES.POWER_SAVER });
+        assert.equal(scheduler.nextDelay({ hidden: true, now: 0 }), 5000);
+    });
+
+    test('the power saver caps the budget and backs off further on less movement', () => {
+        const scheduler = new AdaptiveScheduler({ cpuBudget: 0.5, profile: SCHEDULER_PROFILES.POWER_SAVER });
+        assert.equal(scheduler.cpuBudget, 0.2);
+        scheduler.record(frame(100, { phoneSeen: true }));
+        assert.equal(scheduler.nextDelay({ now: 0 }), 400);
+
+        // Movement the balanced profile would react to
+        const delays = [];
+        for (let i = 1; i <= 6; i++) {
+            scheduler.record(frame(100, { motion: 0.05, timestamp: 3000 + i * 1000 }));
+            delays.push(scheduler.nextDelay({ now: 3000 + i * 1000 }));
+        }
+        assert.deepEqual(delays, [400, 800, 1600, 3200, 5000, 5000]);
+    });
+
+    test('rejects unknown profiles and budgets out of range', () => {
+        assert.throws(() => new AdaptiveScheduler({ profile: 'turbo' }), /Unknown scheduler profile "turbo"/);
+        assert.throws(() => new AdaptiveScheduler({ cpuBudget: 0 }), /cpuBudget/);
+        assert.throws(() => new AdaptiveScheduler({ cpuBudget: 1.5 }), /cpuBudget/);
+    });
+});
+
+describe('frameDifference', () => {
+    test('counts pixels that changed beyond the noise threshold', () => {
+        const before = grayscale(new Uint8ClampedArray([0, 0, 0, 255, 100, 100, 100, 255, 200, 200, 200, 255, 50, 50, 50, 255]));
+        const after = Uint8Array.from(before);
+        after[1] += 10;
+        after[2] -= 40;
+        assert.equal(frameDifference(before, after), 0.25);
+        assert.equal(frameDifference(before, before), 0);
+        assert.throws(() => frameDifference(before, new Uint8Array(2)), /same size/);
+    });
+});
@@ -0,0 +1,132 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertPolicy, ALERT_LEVELS, DEFAULT_ALERT_POLICY, isQuietTime, parseTime } from '../alert-policy.js';
+
+const { CHIME, TONE, SPEECH, OVERLAY } = ALERT_LEVELS;
+
+// Local time, so quiet hours apply the way they do in the browser
+function at(hours, minutes = 0, day = 2) {
+    return new Date(2026, 2, day, hours, minutes).getTime();
+}
+
+let policy = null;
+
+afterEach(() => policy?.end());
+
+function createPolicy(options) {
+    policy = new AlertPolicy(options);
+    const alerts = [];
+    policy.on('alert', ({ level, elapsed }) => alerts.push(`${level}@${elapsed}`));
+    return alerts;
+}
+
+describe('AlertPolicy', () => {
+    test('escalates through the levels the longer the distraction lasts', () => {
+        const alerts = createPolicy();
+        const start = at(10);
+        policy.start(start);
+        [3000, 5000, 10000, 20000, 25000, 30000, 45000, 60000].forEach(ms => policy.update(start + ms));
+
+        assert.deepEqual(alerts, [
+            `${CHIME}@0`,
+            `${CHIME}@5000`,
+            `${TONE}@10000`,
+            `${TONE}@25000`,
+            `${SPEECH}@30000`,
+            `${OVERLAY}@60000`
+        ]);
+        assert.equal(policy.level, OVERLAY);
+    });
+
+    test('cooldowns carry over to the next episode', () => {
+        const alerts = createPolicy();
+        const start = at(10);
+        let cleared = null;
+        policy.on('clear', (info) => { cleared = info; });
+
+        policy.start(start);
+        policy.end(start + 2000);
+        assert.deepEqual(cleared, { timestamp: start + 2000, duration: 2000 });
+        assert.equal(policy.isActive, false);
+
+        policy.start(start + 3000);
+        policy.update(start + 5000);
+        assert.deepEqual(alerts, [`${CHIME}@0`, `${CHIME}@2000`]);
+    });
+
+    test('passes the context through', () => {
+        createPolicy();
+        let context = null;
+        policy.on('alert', (alert) => { context = alert.context; });
+        policy.start(at(10), { className: 'cell phone' });
+        assert.deepEqual(context, { className: 'cell phone' });
+    });
+
+    test('stays silent in quiet hours but keeps escalating', () => {
+        const alerts = createPolicy({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+        const start = at(6, 59);
+        policy.start(start);
+        policy.update(start + 10000);
+        assert.deepEqual(alerts, []);
+        assert.equal(policy.level, TONE);
+
+        // 07:00 - quiet hours are over
+        policy.update(start + 60000);
+        assert.deepEqual(alerts, [`${OVERLAY}@60000`]);
+    });
+
+    test('levels can be turned off and are sorted by start time', () => {
+        const alerts = createPolicy({
+            levels: [
+                { id: SPEECH, after: 2000, cooldown: 10000 },
+                { id: CHIME, after: null, cooldown: 5000 },
+                { id: TONE, after: 0, cooldown: 10000 }
+            ]
+        });
+        assert.deepEqual(policy.options.levels.map(level => level.id), [TONE, SPEECH]);
+        const start = at(10);
+        policy.start(start);
+        policy.update(start + 2000);
+        assert.deepEqual(alerts, [`${TONE}@0`, `${SPEECH}@2000`]);
+    });
+
+    test('rejects unknown levels and malformed quiet hours', () => {
+        assert.throws(() => new AlertPolicy({ levels: [{ id: 'siren', after: 0, cooldown: 0 }] }), /Unknown alert level "siren"/);
+        assert.throws(() => new AlertPolicy({ quietHours: { enabled: true, start: '25:00', end: '07:00' } }), /22:30/);
+    });
+});
+
+describe('isQuietTime', () => {
+    const overnight = { enabled: true, start: '22:00', end: '07:00' };
+
+    test('a window that crosses midnight covers both evenings and mornings', () => {
+        assert.equal(isQuietTime(new Date(at(21, 59)), overnight), false);
+        assert.equal(isQuietTime(new Date(at(22, 0)), overnight), true);
+        assert.equal(isQuietTime(new Date(at(0, 30)), overnight), true);
+        assert.equal(isQuietTime(new Date(at(6, 59)), overnight), true);
+        assert.equal(isQuietTime(new Date(at(7, 0)), overnight), false);
+        assert.equal(isQuietTime(new Date(at(12, 0)), overnight), false);
+    });
+
+    test('a window within one day', () => {
+        const lunch = { enabled: true, start: '12:00', end: '13:30' };
+        assert.equal(isQuietTime(new Date(at(11, 59)), lunch), false);
+        assert.equal(isQuietTime(new Date(at(12, 45)), lunch), true);
+        assert.equal(isQuietTime(new Date(at(13, 30)), lunch), false);
+    });
+
+    test('disabled or empty windows are never quiet', () => {
+        assert.equal(isQuietTime(new Date(at(23)), DEFAULT_ALERT_POLICY.quietHours), false);
+        assert.equal(isQuietTime(new Date(at(23)), { enabled: true, start: '09:00', end: '09:00' }), false);
+        assert.equal(isQuietTime(new Date(at(23)), undefined), false);
+    });
+});
+
+describe('parseTime', () => {
+    test('reads HH:MM as minutes since midnight', () => {
+        assert.equal(parseTime('00:00'), 0);
+        assert.equal(parseTime('22:30'), 1350);
+        assert.throws(() => parseTime('7:00'), /Expected a time like 22:30, got "7:00"/);
+        assert.throws(() => parseTime('24:00'), /24:00/);
+    });
+});
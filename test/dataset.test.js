@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadYoloDataset, loadCocoDataset } from '../cli/dataset.js';
+import { decodeImage, parsePnm } from '../cli/frame-files.js';
+
+const fixtures = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+const rounded = boxes => boxes.map(box => ({
+    class: box.class,
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height)
+}));
+
+describe('labelled fixtures', () => {
+    test('YOLO labels and COCO annotations describe the same boxes', async () => {
+        const yolo = await loadYoloDataset(`${fixtures}yolo`);
+        const coco = await loadCocoDataset(`${fixtures}coco.json`, `${fixtures}yolo/images`);
+        assert.deepEqual(yolo.map(entry => basename(entry.file)), ['desk-1.ppm', 'desk-2.ppm', 'empty-desk.ppm']);
+        assert.deepEqual(coco.map(entry => entry.file), yolo.map(entry => entry.file));
+
+        for (const [index, entry] of yolo.entries()) {
+            const { width, height } = await decodeImage(await readFile(entry.file), entry.file);
+            assert.deepEqual(rounded(entry.boxes(width, height)), rounded(coco[index].boxes(width, height)));
+        }
+    });
+
+    test('an image without a label file has no objects', async () => {
+        const [, , empty] = await loadYoloDataset(`${fixtures}yolo`);
+        assert.deepEqual(empty.boxes(40, 30), []);
+    });
+
+    test('COCO image sizes must match the decoded image', async () => {
+        const [entry] = await loadCocoDataset(`${fixtures}coco.json`, `${fixtures}yolo/images`);
+        assert.throws(() => entry.boxes(80, 60), /annotations say 40x30/);
+    });
+});
+
+describe('parsePnm', () => {
+    test('reads P6 and P5 frames back to back, with comments', () => {
+        const stream = Buffer.concat([
+            Buffer.from('P6\n# frame 1\n2 1\n255\n'), Buffer.from([1, 2, 3, 4, 5, 6]),
+            Buffer.from('P5 2 1 255 '), Buffer.from([7, 8])
+        ]);
+        const first = parsePnm(stream);
+        assert.deepEqual([...first.data], [1, 2, 3, 255, 4, 5, 6, 255]);
+        const second = parsePnm(stream, first.end);
+        assert.deepEqual([...second.data], [7, 7, 7, 255, 8, 8, 8, 255]);
+        assert.equal(second.end, stream.length);
+    });
+
+    test('waits for the rest of a partial frame', () => {
+        assert.equal(parsePnm(Buffer.from('P6\n2 1\n255\n\x01\x02')), null);
+        assert.equal(parsePnm(Buffer.from('P6\n2')), null);
+    });
+
+    test('rejects formats other than 8-bit binary PNM', () => {
+        assert.throws(() => parsePnm(Buffer.from('P3\n1 1\n255\n0 0 0\n')), /P3/);
+        assert.throws(() => parsePnm(Buffer.from('P6\n1 1\n65535\n')), /8-bit/);
+    });
+});
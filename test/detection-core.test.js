@@ -0,0 +1,204 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PHONE_CLASS_INDEX,
+    OUTPUT_LAYOUTS,
+    calculateIOU,
+    nms,
+    postprocess,
+    postprocessWithStats,
+    resizeGeometry,
+    resizePixels
+} from '../detection-core.js';
+
+const PERSON = 0;
+
+function assertBox(actual, expected) {
+    ['x', 'y', 'width', 'height'].forEach((key) => {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 1e-6, `${key}: ${actual[key]} != ${expected[key]}`);
+    });
+}
+
+// [1, 4 + 80, n] tensor, stored feature-major as YOLOv8 exports it
+function yolov8Output(candidates) {
+    const n = candidates.length;
+    const data = new Float32Array(84 * n);
+    candidates.forEach(({ cx, cy, w, h, classIndex, score }, i) => {
+        data[i] = cx;
+        data[n + i] = cy;
+        data[2 * n + i] = w;
+        data[3 * n + i] = h;
+        data[(4 + classIndex) * n + i] = score;
+    });
+    return { dims: [1, 84, n], data };
+}
+
+// [1, n, 5 + 80] tensor, one row per candidate
+function yolov5Output(candidates) {
+    const data = new Float32Array(candidates.length * 85);
+    candidates.forEach(({ cx, cy, w, h, objectness, classIndex, score }, i) => {
+        data.set([cx, cy, w, h, objectness], i * 85);
+        data[i * 85 + 5 + classIndex] = score;
+    });
+    return { dims: [1, candidates.length, 85], data };
+}
+
+describe('calculateIOU', () => {
+    test('identical boxes overlap completely', () => {
+        const box = { x: 10, y: 20, width: 30, height: 40 };
+        assert.equal(calculateIOU(box, { ...box }), 1);
+    });
+
+    test('disjoint and edge-touching boxes do not overlap', () => {
+        const a = { x: 0, y: 0, width: 10, height: 10 };
+        assert.equal(calculateIOU(a, { x: 20, y: 20, width: 10, height: 10 }), 0);
+        assert.equal(calculateIOU(a, { x: 10, y: 0, width: 10, height: 10 }), 0);
+    });
+
+    test('partial overlap is intersection over union', () => {
+        const a = { x: 0, y: 0, width: 10, height: 10 };
+        const b = { x: 5, y: 0, width: 10, height: 10 };
+        // 50 / (100 + 100 - 50)
+        assert.equal(calculateIOU(a, b), 1 / 3);
+        assert.equal(calculateIOU(b, a), 1 / 3);
+    });
+
+    test('a box inside another', () => {
+        const outer = { x: 0, y: 0, width: 20, height: 20 };
+        const inner = { x: 5, y: 5, width: 10, height: 10 };
+        assert.equal(calculateIOU(outer, inner), 0.25);
+    });
+
+    test('zero-area boxes give 0 instead of NaN', () => {
+        const empty = { x: 5, y: 5, width: 0, height: 0 };
+        assert.equal(calculateIOU(empty, { ...empty }), 0);
+    });
+});
+
+describe('nms', () => {
+    const best = { x: 0, y: 0, width: 10, height: 10, score: 0.9 };
+    const overlapping = { x: 1, y: 0, width: 10, height: 10, score: 0.8 };
+    const separate = { x: 50, y: 50, width: 10, height: 10, score: 0.7 };
+
+    test('drops boxes overlapping a better box', () => {
+        assert.deepEqual(nms([overlapping, separate, best], 0.5), [best, separate]);
+    });
+
+    test('keeps overlapping boxes below the IoU threshold', () => {
+        // IoU of best and overlapping is 90 / 110
+        assert.deepEqual(nms([best, overlapping], 0.9), [best, overlapping]);
+    });
+
+    test('returns highest score first without modifying the input', () => {
+        const input = [separate, best];
+        assert.deepEqual(nms(input, 0.5), [best, separate]);
+        assert.deepEqual(input, [separate, best]);
+    });
+
+    test('handles an empty list', () => {
+        assert.deepEqual(nms([], 0.5), []);
+    });
+});
+
+describe('postprocess', () => {
+    describe('YOLOv8 layout', () => {
+        // 1280x720 letterboxed into 640x640: scale 0.5, 140 px of padding above and below
+        const geometry = resizeGeometry(1280, 720, 640, 640);
+        const output = yolov8Output([
+            { cx: 320, cy: 320, w: 64, h: 128, classIndex: PHONE_CLASS_INDEX, score: 0.9 },
+            { cx: 322, cy: 322, w: 64, h: 128, classIndex: PHONE_CLASS_INDEX, score: 0.6 },
+            { cx: 100, cy: 300, w: 80, h: 160, classIndex: PERSON, score: 0.8 },
+            { cx: 500, cy: 300, w: 40, h: 80, classIndex: PHONE_CLASS_INDEX, score: 0.2 }
+        ]);
+
+        test('maps boxes back through the letterbox and suppresses duplicates', () => {
+            const detections = postprocess(output, 1280, 720, 640, 640, { geometry });
+            assert.equal(detections.length, 1);
+            assert.equal(detections[0].class, PHONE_CLASS_INDEX);
+            assert.equal(detections[0].className, 'cell phone');
+            assert.ok(Math.abs(detections[0].score - 0.9) < 1e-6);
+            assertBox(detections[0], { x: 576, y: 232, width: 128, height: 256 });
+        });
+
+        test('keeps requested classes with their own thresholds', () => {
+            const detections = postprocess(output, 1280, 720, 640, 640, {
+                geometry,
+                classes: [PHONE_CLASS_INDEX, PERSON],
+                classThresholds: { [PHONE_CLASS_INDEX]: 0.1 }
+            });
+            assert.deepEqual(detections.map(det => det.class), [PHONE_CLASS_INDEX, PERSON, PHONE_CLASS_INDEX]);
+            assert.ok(Math.abs(detections[2].score - 0.2) < 1e-6);
+        });
+
+        test('reports candidates before and after NMS and the best raw scores', () => {
+            const { detections, stats } = postprocessWithStats(output, 1280, 720, 640, 640, { geometry });
+            assert.equal(stats.candidates, 2);
+            assert.equal(stats.kept, detections.length);
+            assert.equal(stats.kept, 1);
+            // The person is not a requested class but still shows up
+            assert.deepEqual(stats.topScores.map(({ className }) => className), ['cell phone', 'person']);
+            assert.ok(Math.abs(stats.topScores[0].score - 0.9) < 1e-6);
+        });
+
+        test('is detected automatically from the output shape', () => {
+            const explicit = postprocess(output, 1280, 720, 640, 640, { geometry, layout: OUTPUT_LAYOUTS.YOLOV8 });
+            assert.deepEqual(postprocess(output, 1280, 720, 640, 640, { geometry }), explicit);
+        });
+    });
+
+    describe('YOLOv5 layout', () => {
+        const output = yolov5Output([
+            { cx: 320, cy: 320, w: 64, h: 160, objectness: 0.9, classIndex: PHONE_CLASS_INDEX, score: 0.8 },
+            { cx: 320, cy: 320, w: 64, h: 160, objectness: 0.9, classIndex: PHONE_CLASS_INDEX, score: 0.3 },
+            { cx: 100, cy: 100, w: 50, h: 50, objectness: 0.5, classIndex: PERSON, score: 0.9 }
+        ]);
+
+        test('scores are objectness times class score', () => {
+            // Stretched 640x480 frame: y is scaled by 480 / 640
+            const detections = postprocess(output, 640, 480, 640, 640);
+            assert.equal(detections.length, 1);
+            assert.ok(Math.abs(detections[0].score - 0.72) < 1e-6);
+            assertBox(detections[0], { x: 288, y: 180, width: 64, height: 120 });
+        });
+
+        test('filters by class and threshold', () => {
+            const detections = postprocess(output, 640, 480, 640, 640, {
+                classes: [PERSON],
+                confidenceThreshold: 0.5
+            });
+            assert.deepEqual(detections, []);
+
+            const people = postprocess(output, 640, 480, 640, 640, { classes: [PERSON] });
+            assert.equal(people.length, 1);
+            assert.ok(Math.abs(people[0].score - 0.45) < 1e-6);
+        });
+    });
+
+    test('NMS-in-graph output is read as corner boxes', () => {
+        const output = { dims: [1, 2, 6], data: new Float32Array([10, 20, 110, 220, 0.7, 67, 0, 0, 5, 5, 0.1, 67]) };
+        const detections = postprocess(output, 640, 640, 640, 640, { layout: OUTPUT_LAYOUTS.NMS });
+        assert.equal(detections.length, 1);
+        assertBox(detections[0], { x: 10, y: 20, width: 100, height: 200 });
+    });
+
+    test('rejects output shapes it cannot interpret', () => {
+        assert.throws(() => postprocess({ dims: [1, 10, 10], data: new Float32Array(100) }, 640, 640, 640, 640),
+            /Unrecognised model output shape/);
+    });
+});
+
+describe('resizePixels', () => {
+    test('letterboxes with the pad colour and keeps edge colours', () => {
+        // 4x2: left half red, right half blue
+        const frame = new Uint8ClampedArray(4 * 2 * 4);
+        for (let i = 0; i < 8; i++) frame.set(i % 4 < 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+        const geometry = resizeGeometry(4, 2, 8, 8);
+        const pixels = resizePixels(frame, 4, 2, 8, 8, geometry, [114, 114, 114]);
+
+        const at = (x, y) => [...pixels.slice((y * 8 + x) * 4, (y * 8 + x) * 4 + 4)];
+        assert.deepEqual(at(0, 0), [114, 114, 114, 255]);
+        assert.deepEqual(at(0, 2), [255, 0, 0, 255]);
+        assert.deepEqual(at(7, 5), [0, 0, 255, 255]);
+        assert.deepEqual(at(7, 7), [114, 114, 114, 255]);
+    });
+});
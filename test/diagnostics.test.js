@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FrameRateMeter,
+    formatStages,
+    formatTopScores,
+    collectEnvironment,
+    createDiagnosticsBundle
+} from '../diagnostics.js';
+
+const frame = {
+    timestamp: 1000,
+    width: 1280,
+    height: 720,
+    state: 'idle',
+    stages: { preprocess: 4.12, inference: 38, postprocess: 2.25 },
+    stats: { candidates: 3, kept: 1, topScores: [{ class: 67, className: 'cell phone', score: 0.62 }] },
+    detections: [{ class: 67, className: 'cell phone', score: 0.62 }]
+};
+
+describe('FrameRateMeter', () => {
+    test('counts frames over the window', () => {
+        const meter = new FrameRateMeter({ windowMs: 2000 });
+        assert.equal(meter.rate(0), 0);
+        [0, 250, 500, 750, 1000].forEach(time => meter.tick(time));
+        assert.equal(meter.rate(1000), 4);
+
+        // Only 750 and 1000 are still inside the window
+        assert.equal(meter.rate(2700), 4);
+        assert.equal(meter.rate(3500), 0);
+    });
+
+    test('reset starts over', () => {
+        const meter = new FrameRateMeter();
+        meter.tick(0);
+        meter.tick(100);
+        meter.reset();
+        assert.equal(meter.rate(100), 0);
+    });
+});
+
+describe('formatting', () => {
+    test('stages and top scores', () => {
+        assert.equal(formatStages(frame.stages), 'preprocess 4.1 · inference 38.0 · postprocess 2.3 ms');
+        assert.equal(formatTopScores([
+            { className: 'person', score: 0.912 },
+            { className: 'cell phone', score: 0.6 }
+        ]), 'person 0.91 · cell phone 0.60');
+        assert.equal(formatTopScores([]), 'none');
+    });
+});
+
+describe('createDiagnosticsBundle', () => {
+    test('summarises the last frame without any pixels', () => {
+        const bundle = createDiagnosticsBundle({
+            settings: { logLevel: 'warn' },
+            backend: { name: 'wasm', label: 'WASM', latency: 50 },
+            source: { type: 'camera' },
+            frame: { ...frame, imageData: new Uint8ClampedArray(16) },
+            frameRate: 2.5,
+            log: [{ timestamp: 1, level: 'warn', scope: 'camera', message: 'Camera lost' }],
+            environment: {},
+            createdAt: new Date(0)
+        });
+        assert.equal(bundle.format, 'focus-guard-diagnostics');
+        assert.equal(bundle.createdAt, '1970-01-01T00:00:00.000Z');
+        assert.deepEqual(bundle.lastFrame, {
+            timestamp: 1000,
+            width: 1280,
+            height: 720,
+            state: 'idle',
+            stages: frame.stages,
+            candidates: 3,
+            kept: 1,
+            tracked: 1,
+            topScores: frame.stats.topScores,
+            frameRate: 2.5
+        });
+        assert.ok(!JSON.stringify(bundle).includes('imageData'));
+    });
+
+    test('no frame yet', () => {
+        const bundle = createDiagnosticsBundle({ settings: {}, log: [], environment: {} });
+        assert.equal(bundle.lastFrame, null);
+        assert.equal(bundle.profile, null);
+    });
+});
+
+describe('collectEnvironment', () => {
+    test('reads what the browser offers', () => {
+        const env = collectEnvironment({
+            navigator: { userAgent: 'Test', language: 'en', hardwareConcurrency: 8, gpu: {} },
+            crossOriginIsolated: true
+        });
+        assert.equal(env.userAgent, 'Test');
+        assert.equal(env.webgpu, true);
+        assert.equal(env.crossOriginIsolated, true);
+        assert.equal(env.documentPictureInPicture, false);
+        assert.equal(env.screen, null);
+    });
+});
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ALERT_MODES,
+    BUILT_IN_PROFILES,
+    ProfileStore,
+    alertModeFor,
+    profileSmoothingOptions,
+    validateProfile
+} from '../distraction-profiles.js';
+import { PHONE_CLASS_INDEX } from '../detection-core.js';
+
+const BOOK = 73;
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+function studyProfile(classes = { [PHONE_CLASS_INDEX]: { threshold: '', alert: ALERT_MODES.FULL }, [BOOK]: { threshold: '0.6', alert: ALERT_MODES.NONE } }) {
+    return { id: 'study', name: '  Study  ', classes };
+}
+
+describe('validateProfile', () => {
+    test('returns a clean copy', () => {
+        assert.deepEqual(validateProfile({ ...studyProfile(), builtIn: true }), {
+            id: 'study',
+            name: 'Study',
+            classes: {
+                [PHONE_CLASS_INDEX]: { threshold: null, alert: ALERT_MODES.FULL },
+                [BOOK]: { threshold: 0.6, alert: ALERT_MODES.NONE }
+            }
+        });
+    });
+
+    test('an unknown alert mode falls back to sound and notification', () => {
+        const { classes } = validateProfile(studyProfile({ [BOOK]: { threshold: null, alert: 'siren' } }));
+        assert.equal(classes[BOOK].alert, ALERT_MODES.FULL);
+    });
+
+    test('rejects incomplete profiles, unknown classes and thresholds out of range', () => {
+        assert.throws(() => validateProfile(null), /must be an object/);
+        assert.throws(() => validateProfile({ ...studyProfile(), id: '' }), /needs an id/);
+        assert.throws(() => validateProfile({ ...studyProfile(), name: ' ' }), /needs a name/);
+        assert.throws(() => validateProfile(studyProfile({})), /at least one class/);
+        assert.throws(() => validateProfile(studyProfile({ 80: { threshold: null } })), /Unknown class index 80/);
+        assert.throws(() => validateProfile(studyProfile({ [BOOK]: { threshold: 1 } })), /Threshold for book must be between 0.05 and 0.95/);
+    });
+
+    test('the built-in profiles are valid', () => {
+        BUILT_IN_PROFILES.forEach(profile => assert.doesNotThrow(() => validateProfile(profile)));
+    });
+});
+
+describe('profile options', () => {
+    test('classes without their own threshold use the global one', () => {
+        const profile = validateProfile(studyProfile());
+        assert.deepEqual(profileSmoothingOptions(profile, 0.4), {
+            targetClasses: [PHONE_CLASS_INDEX, BOOK],
+            classThresholds: { [PHONE_CLASS_INDEX]: 0.4, [BOOK]: 0.6 }
+        });
+        assert.equal(alertModeFor(profile, BOOK), ALERT_MODES.NONE);
+        assert.equal(alertModeFor(profile, 0), ALERT_MODES.NONE);
+        assert.equal(alertModeFor(profile, PHONE_CLASS_INDEX), ALERT_MODES.FULL);
+    });
+});
+
+describe('ProfileStore', () => {
+    test('saves custom profiles and remembers the active one', () => {
+        const storage = memoryStorage();
+        const store = new ProfileStore(storage);
+        assert.equal(store.active.id, BUILT_IN_PROFILES[0].id);
+
+        store.save(studyProfile());
+        const reloaded = new ProfileStore(storage);
+        assert.equal(reloaded.active.id, 'study');
+        assert.equal(reloaded.list().length, BUILT_IN_PROFILES.length + 1);
+
+        reloaded.remove('study');
+        assert.equal(new ProfileStore(storage).active.id, BUILT_IN_PROFILES[0].id);
+    });
+
+    test('built-in profiles cannot be changed or removed', () => {
+        const store = new ProfileStore(null);
+        assert.throws(() => store.save({ ...BUILT_IN_PROFILES[0], name: 'Mine' }), /Built-in profiles cannot be changed/);
+        store.remove(BUILT_IN_PROFILES[0].id);
+        assert.equal(store.list().length, BUILT_IN_PROFILES.length);
+        assert.throws(() => store.setActive('missing'), /Unknown profile missing/);
+    });
+});
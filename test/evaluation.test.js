@@ -0,0 +1,159 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { PHONE_CLASS_INDEX } from '../detection-core.js';
+import {
+    parseYoloLabels,
+    parseCocoAnnotations,
+    matchDetections,
+    averagePrecision,
+    scoreAtThreshold,
+    evaluateClass,
+    compareEvaluations,
+    formatEvaluationReport
+} from '../evaluation.js';
+
+const PERSON = 0;
+const coco = JSON.parse(readFileSync(new URL('./fixtures/coco.json', import.meta.url), 'utf8'));
+
+const phone = (x, y, width, height, score) => ({ class: PHONE_CLASS_INDEX, x, y, width, height, ...(score !== undefined && { score }) });
+
+// Ground truth matching test/fixtures/coco.json, with one detection set that
+// finds both labelled phones in desk-1/desk-2 but also raises two false alarms
+function labelledImages() {
+    return [
+        { name: 'desk-1', boxes: [phone(15, 9, 10, 12)], detections: [phone(15, 9, 10, 12, 0.9)] },
+        {
+            name: 'desk-2',
+            boxes: [phone(6, 9, 8, 12), phone(26, 9, 8, 12)],
+            detections: [phone(6, 9, 8, 12, 0.8), phone(16, 0, 8, 12, 0.6)]
+        },
+        { name: 'empty-desk', boxes: [], detections: [phone(0, 0, 5, 5, 0.3)] }
+    ];
+}
+
+describe('parseYoloLabels', () => {
+    test('converts normalized centre boxes to pixels', () => {
+        const [box] = parseYoloLabels('67 0.5 0.5 0.25 0.4\n', 40, 30);
+        assert.equal(box.class, PHONE_CLASS_INDEX);
+        assert.ok(Math.abs(box.x - 15) < 1e-9 && Math.abs(box.y - 9) < 1e-9);
+        assert.ok(Math.abs(box.width - 10) < 1e-9 && Math.abs(box.height - 12) < 1e-9);
+    });
+
+    test('maps label ids through a class map and skips blank and comment lines', () => {
+        const boxes = parseYoloLabels('# desk\n\n0 0.5 0.5 0.1 0.1\n1 0.5 0.5 0.2 0.2 0.93\n', 100, 100, [PHONE_CLASS_INDEX, PERSON]);
+        assert.deepEqual(boxes.map(box => box.class), [PHONE_CLASS_INDEX, PERSON]);
+    });
+
+    test('names the malformed line', () => {
+        assert.throws(() => parseYoloLabels('0 0.5 0.5 0.1 0.1\n0 0.5 0.5\n', 10, 10), /Line 2/);
+        assert.throws(() => parseYoloLabels('0 12 40 5 5\n', 10, 10), /normalized/);
+    });
+});
+
+describe('parseCocoAnnotations', () => {
+    test('maps categories by name and skips crowd annotations', () => {
+        const images = parseCocoAnnotations(coco);
+        assert.deepEqual(images.map(image => image.name), ['desk-1.ppm', 'desk-2.ppm', 'empty-desk.ppm']);
+        assert.deepEqual(images[0].boxes.map(box => box.class), [PHONE_CLASS_INDEX, PERSON]);
+        assert.deepEqual(images[1].boxes, [phone(6, 9, 8, 12), phone(26, 9, 8, 12)]);
+        assert.deepEqual(images[2].boxes, []);
+    });
+
+    test('rejects annotations pointing at unknown images', () => {
+        const broken = { ...coco, annotations: [{ id: 9, image_id: 42, category_id: 77, bbox: [0, 0, 1, 1] }] };
+        assert.throws(() => parseCocoAnnotations(broken), /unknown image 42/);
+        assert.throws(() => parseCocoAnnotations({ images: [] }), /categories/);
+    });
+});
+
+describe('matchDetections', () => {
+    test('matches each box once, best score first', () => {
+        const boxes = [phone(0, 0, 10, 10)];
+        const matches = matchDetections([phone(1, 0, 10, 10, 0.5), phone(0, 0, 10, 10, 0.9)], boxes);
+        assert.deepEqual(matches.map(match => [match.score, match.truePositive]), [[0.9, true], [0.5, false]]);
+    });
+
+    test('needs the IoU threshold', () => {
+        // IoU 1/3
+        const [match] = matchDetections([phone(5, 0, 10, 10, 0.9)], [phone(0, 0, 10, 10)], 0.5);
+        assert.equal(match.truePositive, false);
+        assert.equal(matchDetections([phone(5, 0, 10, 10, 0.9)], [phone(0, 0, 10, 10)], 0.3)[0].truePositive, true);
+    });
+});
+
+describe('averagePrecision', () => {
+    test('is 1 for a perfect ranking', () => {
+        assert.equal(averagePrecision([{ score: 0.9, truePositive: true }, { score: 0.5, truePositive: true }], 2), 1);
+    });
+
+    test('integrates the precision envelope', () => {
+        const matches = [
+            { score: 0.9, truePositive: true },
+            { score: 0.8, truePositive: false },
+            { score: 0.7, truePositive: true }
+        ];
+        // recall 0.5 at precision 1, then recall 1 at precision 2/3
+        assert.ok(Math.abs(averagePrecision(matches, 2) - (0.5 + 0.5 * (2 / 3))) < 1e-9);
+    });
+
+    test('is 0 without ground truth or detections', () => {
+        assert.equal(averagePrecision([{ score: 0.9, truePositive: false }], 0), 0);
+        assert.equal(averagePrecision([], 3), 0);
+    });
+});
+
+describe('evaluateClass', () => {
+    test('reports precision, recall, F1 and AP per threshold', () => {
+        const result = evaluateClass(labelledImages(), { thresholds: [0.25, 0.5, 0.85] });
+        assert.equal(result.images, 3);
+        assert.equal(result.groundTruth, 3);
+        assert.equal(result.ap, 0.667);
+
+        assert.deepEqual(result.thresholds[0], { threshold: 0.25, tp: 2, fp: 2, fn: 1, precision: 0.5, recall: 0.667, f1: 0.571 });
+        assert.deepEqual(result.thresholds[1], { threshold: 0.5, tp: 2, fp: 1, fn: 1, precision: 0.667, recall: 0.667, f1: 0.667 });
+        assert.deepEqual(result.thresholds[2], { threshold: 0.85, tp: 1, fp: 0, fn: 2, precision: 1, recall: 0.333, f1: 0.5 });
+        assert.equal(result.best.threshold, 0.5);
+    });
+
+    test('only counts the evaluated class', () => {
+        const images = labelledImages();
+        images[0].detections.push({ class: PERSON, x: 0, y: 0, width: 40, height: 30, score: 0.99 });
+        assert.equal(evaluateClass(images).thresholds[0].fp, 2);
+        assert.equal(evaluateClass(images, { classIndex: PERSON }).groundTruth, 0);
+    });
+
+    test('scoreAtThreshold avoids dividing by zero', () => {
+        assert.deepEqual(scoreAtThreshold([], 0, 0.5), { threshold: 0.5, tp: 0, fp: 0, fn: 0, precision: 0, recall: 0, f1: 0 });
+    });
+});
+
+describe('comparison report', () => {
+    const thresholds = [0.5, 0.85];
+    const baseline = evaluateClass(labelledImages(), { thresholds });
+    const improved = labelledImages();
+    improved[1].detections[1] = phone(26, 9, 8, 12, 0.6);
+    const candidate = evaluateClass(improved, { thresholds });
+
+    test('compareEvaluations reports candidate minus baseline', () => {
+        const diff = compareEvaluations(baseline, candidate);
+        assert.equal(diff.ap, 0.333);
+        assert.deepEqual(diff.thresholds[0], { threshold: 0.5, precision: 0.333, recall: 0.333, f1: 0.333 });
+    });
+
+    test('refuses to compare different image sets', () => {
+        assert.throws(() => compareEvaluations(baseline, evaluateClass(labelledImages().slice(1), { thresholds })),
+            /different image sets/);
+    });
+
+    test('formats both runs and the differences as markdown', () => {
+        const report = formatEvaluationReport([
+            { label: 'yolov8n.onnx', result: baseline, latency: 12.34 },
+            { label: 'phone-int8.onnx', result: candidate }
+        ]);
+        assert.match(report, /^# Detection evaluation: cell phone/);
+        assert.match(report, /\| yolov8n\.onnx \| 66\.7% \| 66\.7% \| 0\.5 \| 66\.7% \| 66\.7% \| 12\.3 \|/);
+        assert.match(report, /## phone-int8\.onnx vs yolov8n\.onnx/);
+        assert.match(report, /AP \+33\.3 points/);
+    });
+});
@@ -0,0 +1,109 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FocusTimer, validateTimerOptions, formatRemaining } from '../focus-timer.js';
+
+const MINUTE = 60 * 1000;
+// Real time, so the timer's own interval never finishes a block
+const T0 = Date.now();
+
+let timer = null;
+
+afterEach(() => timer?.stop());
+
+function startTimer(options = { workMinutes: 25, breakMinutes: 5, cycles: 2 }) {
+    timer = new FocusTimer(options);
+    const blocks = [];
+    timer.on('block-end', summary => blocks.push(summary));
+    timer.start(T0);
+    return blocks;
+}
+
+describe('FocusTimer', () => {
+    test('alternates work and break blocks and finishes after the last work block', () => {
+        const blocks = startTimer();
+        let finished = null;
+        timer.on('finished', (result) => { finished = result; });
+
+        timer.tick(T0 + 25 * MINUTE);
+        assert.equal(timer.phase, 'break');
+        assert.equal(timer.cycle, 1);
+        timer.tick(T0 + 30 * MINUTE);
+        assert.equal(timer.phase, 'work');
+        assert.equal(timer.cycle, 2);
+
+        // A late tick (throttled background tab) finishes the block at its end time
+        timer.tick(T0 + 90 * MINUTE);
+        assert.equal(timer.isActive, false);
+        assert.deepEqual(blocks.map(({ phase, cycle }) => `${phase} ${cycle}`), ['work 1', 'break 1', 'work 2']);
+        assert.equal(blocks[2].endTime, T0 + 55 * MINUTE);
+        assert.equal(finished.blocks.length, 3);
+    });
+
+    test('counts pickups and phone time in work blocks only', () => {
+        const blocks = startTimer();
+        assert.equal(timer.phoneStart(T0 + MINUTE), true);
+        timer.phoneEnd(T0 + 2 * MINUTE);
+        assert.equal(timer.phoneStart(T0 + 10 * MINUTE), true);
+        timer.phoneEnd(T0 + 10 * MINUTE + 30000);
+        timer.tick(T0 + 25 * MINUTE);
+
+        assert.equal(timer.phoneStart(T0 + 26 * MINUTE), false);
+        timer.phoneEnd(T0 + 28 * MINUTE);
+        timer.tick(T0 + 30 * MINUTE);
+
+        assert.deepEqual(blocks.map(({ violations, phoneSeconds }) => [violations, phoneSeconds]), [[2, 90], [0, 0]]);
+    });
+
+    test('a phone kept from a break into work counts as a pickup of the work block', () => {
+        const blocks = startTimer();
+        timer.tick(T0 + 25 * MINUTE);
+        timer.phoneStart(T0 + 28 * MINUTE);
+        timer.tick(T0 + 30 * MINUTE);
+
+        assert.equal(timer.violations, 1);
+        timer.phoneEnd(T0 + 31 * MINUTE);
+        timer.tick(T0 + 55 * MINUTE);
+        assert.deepEqual(blocks[2], {
+            phase: 'work', cycle: 2, startTime: T0 + 30 * MINUTE, endTime: T0 + 55 * MINUTE, violations: 1, phoneSeconds: 60
+        });
+    });
+
+    test('a phone kept through a break counts again in the next work block', () => {
+        const blocks = startTimer();
+        timer.phoneStart(T0 + 20 * MINUTE);
+        timer.tick(T0 + 25 * MINUTE);
+        assert.deepEqual([blocks[0].violations, blocks[0].phoneSeconds], [1, 300]);
+
+        timer.tick(T0 + 30 * MINUTE);
+        timer.phoneEnd(T0 + 32 * MINUTE);
+        timer.tick(T0 + 55 * MINUTE);
+        assert.deepEqual([blocks[1].violations, blocks[1].phoneSeconds], [0, 0]);
+        assert.deepEqual([blocks[2].violations, blocks[2].phoneSeconds], [1, 120]);
+    });
+
+    test('ignores phones while stopped', () => {
+        timer = new FocusTimer();
+        assert.equal(timer.phoneStart(T0), false);
+        assert.equal(timer.phoneSince, null);
+    });
+});
+
+describe('validateTimerOptions', () => {
+    test('fills in defaults and rounds the cycles', () => {
+        assert.deepEqual(validateTimerOptions({ workMinutes: '50', cycles: 2.6 }), { workMinutes: 50, breakMinutes: 5, cycles: 3 });
+    });
+
+    test('rejects values out of range', () => {
+        assert.throws(() => validateTimerOptions({ workMinutes: 0 }), /workMinutes must be between 1 and 180/);
+        assert.throws(() => validateTimerOptions({ breakMinutes: 61 }), /breakMinutes/);
+        assert.throws(() => validateTimerOptions({ cycles: 'many' }), /cycles/);
+    });
+});
+
+describe('formatRemaining', () => {
+    test('rounds up to whole seconds', () => {
+        assert.equal(formatRemaining(25 * MINUTE), '25:00');
+        assert.equal(formatRemaining(61001), '1:02');
+        assert.equal(formatRemaining(-5), '0:00');
+    });
+});
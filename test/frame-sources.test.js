@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SOURCE_TYPES,
+    FrameResultLog,
+    isLiveSource,
+    tracksPresence,
+    sourceTypeForFile,
+    formatMediaTime,
+    openScreenCapture
+} from '../frame-sources.js';
+
+const phone = (score, extra = {}) => ({ class: 67, className: 'cell phone', score, x: 10, y: 20, width: 30, height: 40, ...extra });
+
+describe('sourceTypeForFile', () => {
+    test('goes by MIME type, then by extension', () => {
+        assert.equal(sourceTypeForFile({ name: 'clip.bin', type: 'video/mp4' }), SOURCE_TYPES.VIDEO);
+        assert.equal(sourceTypeForFile({ name: 'desk', type: 'image/png' }), SOURCE_TYPES.IMAGE);
+        assert.equal(sourceTypeForFile({ name: 'Session.MKV', type: '' }), SOURCE_TYPES.VIDEO);
+        assert.equal(sourceTypeForFile({ name: 'frame.jpeg', type: '' }), SOURCE_TYPES.IMAGE);
+        assert.equal(sourceTypeForFile({ name: 'notes.txt', type: 'text/plain' }), null);
+        assert.equal(sourceTypeForFile({ name: 'README', type: '' }), null);
+    });
+
+    test('only the camera and screen are live', () => {
+        assert.ok(isLiveSource(SOURCE_TYPES.CAMERA));
+        assert.ok(isLiveSource(SOURCE_TYPES.SCREEN));
+        assert.ok(!isLiveSource(SOURCE_TYPES.VIDEO));
+        assert.ok(!isLiveSource(SOURCE_TYPES.IMAGE));
+    });
+
+    test('only the camera can tell that nobody is at the desk', () => {
+        assert.ok(tracksPresence(SOURCE_TYPES.CAMERA));
+        assert.ok(!tracksPresence(SOURCE_TYPES.SCREEN));
+        assert.ok(!tracksPresence(SOURCE_TYPES.VIDEO));
+        assert.ok(!tracksPresence(SOURCE_TYPES.IMAGE));
+    });
+});
+
+describe('formatMediaTime', () => {
+    test('shows milliseconds, and hours only when needed', () => {
+        assert.equal(formatMediaTime(0), '0:00.000');
+        assert.equal(formatMediaTime(62.0333), '1:02.033');
+        assert.equal(formatMediaTime(3725.5), '1:02:05.500');
+        assert.equal(formatMediaTime(-1), '0:00.000');
+    });
+});
+
+describe('FrameResultLog', () => {
+    test('keeps frames with detections in media time order', () => {
+        const log = new FrameResultLog();
+        assert.equal(log.record(2, [phone(0.8)]), true);
+        assert.equal(log.record(1, []), false);
+        log.record(0.5, [phone(0.6, { trackId: 3, usage: 'in-use' })]);
+        assert.deepEqual(log.frames.map(frame => frame.mediaTime), [0.5, 2]);
+        assert.deepEqual(log.frames[0].detections[0], {
+            class: 67,
+            className: 'cell phone',
+            score: 0.6,
+            box: { x: 10, y: 20, width: 30, height: 40 },
+            trackId: 3,
+            usage: 'in-use'
+        });
+    });
+
+    test('the same frame analysed again replaces its entry', () => {
+        const log = new FrameResultLog();
+        log.record(1, [phone(0.5)]);
+        log.record(1, [phone(0.7)]);
+        assert.equal(log.frames.length, 1);
+        assert.equal(log.frames[0].detections[0].score, 0.7);
+
+        // e.g. a lower threshold after a settings change
+        assert.equal(log.record(1, []), true);
+        assert.deepEqual(log.frames, []);
+    });
+
+    test('stops growing at maxFrames, keeping the earliest frames', () => {
+        const log = new FrameResultLog({ maxFrames: 2 });
+        [3, 1, 2].forEach(time => log.record(time, [phone(0.5)]));
+        assert.deepEqual(log.frames.map(frame => frame.mediaTime), [1, 2]);
+    });
+
+    test('export names the source and each frame time', () => {
+        const log = new FrameResultLog();
+        log.record(61.5, [phone(0.9)]);
+        const report = log.export({ name: 'monday.webm', type: SOURCE_TYPES.VIDEO, url: 'blob:x' }, { model: 'yolov8n' });
+        assert.deepEqual(report.source, { name: 'monday.webm', type: 'video' });
+        assert.equal(report.model, 'yolov8n');
+        assert.equal(report.frames[0].time, '1:01.500');
+        assert.equal(report.frames[0].mediaTime, 61.5);
+    });
+});
+
+describe('openScreenCapture', () => {
+    test('asks for video only', async () => {
+        let constraints;
+        const stream = {};
+        const mediaDevices = { getDisplayMedia: async (options) => { constraints = options; return stream; } };
+        assert.equal(await openScreenCapture(mediaDevices), stream);
+        assert.deepEqual(constraints, { video: true, audio: false });
+    });
+
+    test('explains a cancelled picker and a missing API', async () => {
+        const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+        const mediaDevices = { getDisplayMedia: async () => { throw denied; } };
+        await assert.rejects(openScreenCapture(mediaDevices), /cancelled or blocked/);
+        await assert.rejects(openScreenCapture({}), /cannot share a screen/);
+    });
+});
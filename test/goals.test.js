@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    goalsFromSettings,
+    dailyTotals,
+    goalProgress,
+    goalStreak,
+    achievements,
+    goalSummary
+} from '../goals.js';
+
+const HOUR = 3600 * 1000;
+const goals = { focusMinutes: 60, maxPickups: 3 };
+
+// Local noon, so a session never crosses midnight
+function dayAt(year, month, day) {
+    return new Date(year, month - 1, day, 12).getTime();
+}
+
+function session(start, { hours = 1.5, pickups = 0, phoneFreeHours = 0.5 } = {}) {
+    return {
+        id: `session-${start}`,
+        startTime: start,
+        endTime: start + hours * HOUR,
+        phoneEvents: pickups,
+        phoneSeconds: pickups * 30,
+        longestPhoneFreeSeconds: phoneFreeHours * 3600,
+        pausedSeconds: 0,
+        awaySeconds: 0
+    };
+}
+
+describe('goalProgress', () => {
+    test('focus time must reach the target and pickups stay below the limit', () => {
+        const morning = dayAt(2026, 3, 2) - 3 * HOUR;
+        const [day] = dailyTotals([session(morning, { hours: 0.5, pickups: 1 }), session(morning + 2 * HOUR, { pickups: 1 })]);
+        assert.equal(day.sessions, 2);
+        const progress = goalProgress(day, goals);
+        assert.deepEqual(progress.focus, { value: 7200, target: 3600, done: true });
+        assert.deepEqual(progress.pickups, { value: 2, limit: 3, done: true });
+        assert.equal(progress.met, true);
+
+        assert.equal(goalProgress(day, { focusMinutes: 60, maxPickups: 2 }).met, false);
+        assert.equal(goalProgress(day, { focusMinutes: 180, maxPickups: 0 }).met, false);
+    });
+
+    test('a day without sessions or without any goals never counts', () => {
+        assert.equal(goalProgress(undefined, { focusMinutes: 0, maxPickups: 3 }).met, false);
+        const [day] = dailyTotals([session(dayAt(2026, 3, 2))]);
+        assert.equal(goalProgress(day, { focusMinutes: 0, maxPickups: 0 }).met, false);
+    });
+
+    test('goals come from the settings', () => {
+        assert.deepEqual(goalsFromSettings({ goalFocusMinutes: 180, goalMaxPickups: 5 }), { focusMinutes: 180, maxPickups: 5 });
+    });
+});
+
+describe('goalStreak', () => {
+    const history = [
+        session(dayAt(2026, 3, 1)),
+        session(dayAt(2026, 3, 2)),
+        session(dayAt(2026, 3, 3)),
+        session(dayAt(2026, 3, 4), { pickups: 5 }),
+        session(dayAt(2026, 3, 5)),
+        session(dayAt(2026, 3, 6))
+    ];
+    const days = dailyTotals(history);
+
+    test('counts days in a row up to today', () => {
+        assert.deepEqual(goalStreak(days, goals, dayAt(2026, 3, 6) + HOUR * 3), { current: 2, best: 3 });
+    });
+
+    test('today not being done yet keeps yesterday\'s streak, a missed day ends it', () => {
+        assert.deepEqual(goalStreak(days, goals, dayAt(2026, 3, 7)), { current: 2, best: 3 });
+        assert.deepEqual(goalStreak(days, goals, dayAt(2026, 3, 8)), { current: 0, best: 3 });
+    });
+
+    test('crosses the end of a month', () => {
+        const monthEnd = dailyTotals([session(dayAt(2026, 1, 31)), session(dayAt(2026, 2, 1))]);
+        assert.deepEqual(goalStreak(monthEnd, goals, dayAt(2026, 2, 1)), { current: 2, best: 2 });
+    });
+});
+
+describe('achievements', () => {
+    test('are unlocked by the session that earned them', () => {
+        const first = session(dayAt(2026, 3, 1), { hours: 0.5 });
+        const long = session(dayAt(2026, 3, 2), { hours: 6, phoneFreeHours: 1.5 });
+        const later = [3, 4, 5].map(day => session(dayAt(2026, 3, day), { hours: 2 }));
+        const unlocked = Object.fromEntries(
+            achievements([...later, long, first], goals).map(({ id, unlockedAt }) => [id, unlockedAt])
+        );
+
+        assert.equal(unlocked['first-session'], first.endTime);
+        assert.equal(unlocked['phone-free-hour'], long.endTime);
+        // The first day was too short to meet the goals
+        assert.equal(unlocked['goals-met'], long.endTime);
+        assert.equal(unlocked['streak-3'], later[1].endTime);
+        assert.equal(unlocked['focus-10h'], later[1].endTime);
+        assert.equal(unlocked['streak-7'], null);
+        assert.equal(unlocked['focus-100h'], null);
+    });
+
+    test('nothing is unlocked without history', () => {
+        assert.ok(achievements([], goals).every(({ unlockedAt }) => unlockedAt === null));
+    });
+});
+
+describe('goalSummary', () => {
+    test('shows today\'s progress', () => {
+        const now = dayAt(2026, 3, 2) + 4 * HOUR;
+        const summary = goalSummary([session(dayAt(2026, 3, 1)), session(dayAt(2026, 3, 2), { hours: 0.5, pickups: 1 })], goals, now);
+        assert.equal(summary.today.focus.value, 1800);
+        assert.equal(summary.today.pickups.value, 1);
+        assert.equal(summary.today.met, false);
+        assert.deepEqual(summary.streak, { current: 1, best: 1 });
+    });
+});
@@ -0,0 +1,126 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EventBridge,
+    IntegrationStore,
+    Integrations,
+    WebhookDispatcher,
+    createEvent,
+    validateOrigin,
+    validateWebhook
+} from '../integrations.js';
+
+// Focus Guard framed by another page: window.parent is a different window
+function embed() {
+    const posted = [];
+    globalThis.window = { parent: { postMessage: (message, origin) => posted.push({ message, origin }) } };
+    return posted;
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const bridges = [];
+function bridge(options) {
+    const created = new EventBridge({ channelName: 'focus-guard-test', ...options });
+    bridges.push(created);
+    return created;
+}
+
+afterEach(() => {
+    delete globalThis.window;
+    bridges.splice(0).forEach(created => created.close());
+});
+
+describe('validateOrigin', () => {
+    test('keeps only the origin of an http(s) URL', () => {
+        assert.equal(validateOrigin(' https://dash.example.com/focus?x=1 '), 'https://dash.example.com');
+        assert.equal(validateOrigin(''), '');
+        assert.equal(validateOrigin(undefined), '');
+        assert.throws(() => validateOrigin('*'), /not a valid URL/);
+        assert.throws(() => validateOrigin('file:///tmp/page.html'), /http:\/\/ or https:\/\//);
+    });
+});
+
+describe('EventBridge', () => {
+    test('posts nothing to an embedding page by default', () => {
+        const posted = embed();
+        bridge().publish({ type: 'phone-start', sessionId: 's1' });
+        assert.deepEqual(posted, []);
+    });
+
+    test('posts only to the allowed origin', () => {
+        const posted = embed();
+        bridge({ targetOrigin: 'https://dash.example.com' }).publish({ type: 'phone-start' });
+        assert.deepEqual(posted, [{
+            message: { source: 'focus-guard', type: 'phone-start' },
+            origin: 'https://dash.example.com'
+        }]);
+    });
+});
+
+describe('IntegrationStore embedding origin', () => {
+    test('is saved and applied to the bridge', () => {
+        const posted = embed();
+        const storage = memoryStorage();
+        const store = new IntegrationStore(storage);
+        const integrations = new Integrations({ store, dispatcher: new WebhookDispatcher({ fetch: null }), bridge: bridge() });
+
+        integrations.emit('session-start');
+        assert.equal(posted.length, 0);
+
+        assert.equal(store.setEmbedOrigin('https://dash.example.com/'), 'https://dash.example.com');
+        integrations.emit('session-start');
+        assert.equal(posted.length, 1);
+        assert.equal(new IntegrationStore(storage).embedOrigin, 'https://dash.example.com');
+
+        store.setEmbedOrigin('');
+        integrations.emit('session-end');
+        assert.equal(posted.length, 1);
+    });
+});
+
+describe('WebhookDispatcher', () => {
+    const crypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    afterEach(() => Object.defineProperty(globalThis, 'crypto', crypto));
+
+    function dispatcher(fetch) {
+        const sent = new WebhookDispatcher({ fetch, sleep: async () => {} });
+        const failed = [];
+        sent.on('failed', info => failed.push(info));
+        return { sent, failed };
+    }
+
+    test('signs the body when the hook has a secret', async () => {
+        const requests = [];
+        const { sent } = dispatcher(async (url, request) => {
+            requests.push(request);
+            return { ok: true, status: 204 };
+        });
+        const hook = validateWebhook({ url: 'https://hooks.example.com/focus', secret: 'shh' });
+        assert.deepEqual(await sent.deliver(hook, createEvent('session-start')), { status: 204, attempts: 1 });
+        assert.match(requests[0].headers['X-Focus-Guard-Signature'], /^sha256=[0-9a-f]{64}$/);
+    });
+
+    test('reports a signed hook as failed outside a secure context', async () => {
+        Object.defineProperty(globalThis, 'crypto', { value: {}, configurable: true });
+        let posts = 0;
+        const { sent, failed } = dispatcher(async () => {
+            posts++;
+            return { ok: true, status: 204 };
+        });
+        const hook = validateWebhook({ url: 'https://hooks.example.com/focus', secret: 'shh' });
+
+        await sent.dispatch(createEvent('session-start'), [hook]);
+        assert.equal(posts, 0);
+        assert.equal(failed.length, 1);
+        assert.equal(failed[0].attempts, 0);
+        assert.match(failed[0].error.message, /signing needs a secure context/i);
+    });
+});
@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger, LOG_LEVELS, formatLogValue } from '../logger.js';
+
+// Records what would have been printed
+function recordingOutput() {
+    const lines = [];
+    const output = {};
+    Object.values(LOG_LEVELS).forEach((level) => {
+        output[level] = (...args) => lines.push([level, ...args]);
+    });
+    return { output, lines };
+}
+
+describe('Logger', () => {
+    test('prints only entries at or above the level', () => {
+        const { output, lines } = recordingOutput();
+        const log = new Logger({ output }).scope('camera');
+        log.info('Camera reconnected');
+        log.warn('Failed to list cameras:', 'busy');
+        assert.deepEqual(lines, [['warn', '[camera] Failed to list cameras:', 'busy']]);
+    });
+
+    test('keeps info and up in the buffer, debug only at the debug level', () => {
+        const logger = new Logger({ output: null });
+        const log = logger.scope('app');
+        log.debug('hidden');
+        log.info('kept');
+        assert.deepEqual(logger.entries().map(entry => entry.message), ['kept']);
+
+        logger.setLevel(LOG_LEVELS.DEBUG);
+        log.debug('now kept');
+        assert.deepEqual(logger.entries().map(entry => entry.level), ['info', 'debug']);
+        assert.equal(logger.entries()[1].scope, 'app');
+    });
+
+    test('the ring buffer drops the oldest entries first', () => {
+        const logger = new Logger({ capacity: 3, output: null });
+        const log = logger.scope('db');
+        ['a', 'b', 'c', 'd', 'e'].forEach(message => log.warn(message));
+        assert.deepEqual(logger.entries().map(entry => entry.message), ['c', 'd', 'e']);
+
+        logger.clear();
+        assert.deepEqual(logger.entries(), []);
+    });
+
+    test('stores extra arguments as text', () => {
+        const logger = new Logger({ output: null });
+        logger.scope('app').error('Session failed:', { id: 4 }, new Error('disk full'));
+        const [entry] = logger.entries();
+        assert.match(entry.details, /^\{"id":4\} Error: disk full/);
+    });
+
+    test('rejects unknown levels', () => {
+        assert.throws(() => new Logger({ level: 'verbose' }), /Unknown log level "verbose"/);
+    });
+});
+
+describe('formatLogValue', () => {
+    test('handles strings, objects, errors and circular values', () => {
+        assert.equal(formatLogValue('ok'), 'ok');
+        assert.equal(formatLogValue(undefined), 'undefined');
+        assert.equal(formatLogValue([1, 2]), '[1,2]');
+        const circular = {};
+        circular.self = circular;
+        assert.equal(formatLogValue(circular), '[object Object]');
+        const error = new Error('boom');
+        error.stack = undefined;
+        assert.equal(formatLogValue(error), 'Error: boom');
+    });
+});
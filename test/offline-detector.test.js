@@ -0,0 +1,23 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { OfflineDetector } from '../offline-detector.js';
+import { DEFAULT_MODEL_MANIFEST } from '../model-manifest.js';
+
+// Enough of ONNX Runtime for the constructor; no model is loaded
+const ort = { InferenceSession: {} };
+
+describe('OfflineDetector input size', () => {
+    test('the stock export has a fixed input and ignores the requested size', () => {
+        assert.equal(DEFAULT_MODEL_MANIFEST.dynamicInput, false);
+        const detector = new OfflineDetector({ ort, modelWidth: 320, modelHeight: 320 });
+        assert.equal(detector.modelWidth, 640);
+        assert.equal(detector.modelHeight, 640);
+    });
+
+    test('models exported with a dynamic input run at the requested size', () => {
+        const manifest = { ...DEFAULT_MODEL_MANIFEST, dynamicInput: true };
+        const detector = new OfflineDetector({ ort, manifest, modelWidth: 320, modelHeight: 320 });
+        assert.equal(detector.modelWidth, 320);
+        assert.equal(detector.modelHeight, 320);
+    });
+});
@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhoneContext, PHONE_USAGE, PERSON_CLASS_INDEX, inUseScore, phoneFeatures } from '../phone-context.js';
+import { PHONE_CLASS_INDEX } from '../detection-core.js';
+
+const { IN_USE, NEARBY } = PHONE_USAGE;
+
+function person(x = 200, y = 50) {
+    return { x, y, width: 200, height: 300, score: 0.9, class: PERSON_CLASS_INDEX };
+}
+
+function phone(x, y, width = 30, height = 60) {
+    return { x, y, width, height, score: 0.8, class: PHONE_CLASS_INDEX };
+}
+
+// Upright, in front of the chest
+const held = phone(280, 120);
+// Wide and down at desk level, off to the side
+const flat = phone(420, 320, 70, 30);
+
+function usageOf(context, detections, timestamp) {
+    return context.classify(detections, timestamp).find(det => det.class === PHONE_CLASS_INDEX);
+}
+
+describe('inUseScore', () => {
+    test('a held phone scores high, a flat one low', () => {
+        const holding = phoneFeatures(held, person());
+        assert.equal(holding.overlap, 1);
+        assert.equal(inUseScore(holding), 1);
+
+        const lying = phoneFeatures(flat, person());
+        assert.equal(lying.overlap, 0);
+        assert.ok(lying.verticalPosition > 0.9);
+        assert.ok(Math.abs(inUseScore(lying) - 0.15) < 1e-9);
+    });
+});
+
+describe('PhoneContext', () => {
+    test('labels a held phone in use and a flat one nearby', () => {
+        const context = new PhoneContext();
+        const labelled = context.classify([person(), held, flat], 0);
+        const phones = labelled.filter(det => det.class === PHONE_CLASS_INDEX);
+        assert.deepEqual(phones.map(det => det.usage), [IN_USE, NEARBY]);
+        // Person boxes pass through untouched
+        assert.deepEqual(labelled.filter(det => det.class === PERSON_CLASS_INDEX), [person()]);
+    });
+
+    test('nobody in view means nobody is using it', () => {
+        const context = new PhoneContext();
+        usageOf(context, [person(), held], 0);
+        const alone = usageOf(context, [held], 100);
+        assert.equal(alone.usage, NEARBY);
+        assert.equal(alone.usageScore, 0);
+        // A person too uncertain to count is nobody
+        assert.equal(usageOf(new PhoneContext(), [{ ...person(), score: 0.2 }, held], 0).usage, NEARBY);
+    });
+
+    test('an in-use phone stays in use until its score drops below the release threshold', () => {
+        const options = { inUseThreshold: 0.8, releaseThreshold: 0.4 };
+        const context = new PhoneContext(options);
+        assert.equal(usageOf(context, [person(), held], 0).usage, IN_USE);
+
+        // Half of the phone leaves the upper body: 0.75, between the thresholds
+        const halfOut = usageOf(context, [person(45), held], 100);
+        assert.equal(halfOut.usageScore, 0.75);
+        assert.equal(halfOut.usage, IN_USE);
+        assert.equal(usageOf(new PhoneContext(options), [person(45), held], 0).usage, NEARBY);
+
+        // Below the person's chin and outside the upper body: 0.3
+        assert.equal(usageOf(context, [person(200, 200), held], 200).usage, NEARBY);
+    });
+
+    test('size and aspect ratio are smoothed per phone', () => {
+        const context = new PhoneContext();
+        usageOf(context, [person(), held], 0);
+        // The same phone, turned sideways for one frame
+        const turned = phone(265, 135, 60, 30);
+        const smoothed = usageOf(context, [person(), turned], 100);
+        assert.equal(smoothed.usageScore, 1);
+
+        const unsmoothed = usageOf(new PhoneContext(), [person(), turned], 0);
+        assert.ok(Math.abs(unsmoothed.usageScore - 0.85) < 1e-9);
+    });
+
+    test('nearby phones can be kept from alerting', () => {
+        const context = new PhoneContext({ alertNearby: false });
+        const [inUse, nearby] = context.classify([person(), held, flat], 0);
+        assert.equal(context.shouldAlert(inUse), true);
+        assert.equal(context.shouldAlert(nearby), false);
+        assert.equal(new PhoneContext().shouldAlert(nearby), true);
+    });
+
+    test('rejects inconsistent options', () => {
+        assert.throws(() => new PhoneContext({ releaseThreshold: 0.7 }), /releaseThreshold/);
+        assert.throws(() => new PhoneContext({ featureSmoothing: 0 }), /featureSmoothing/);
+    });
+});
@@ -0,0 +1,185 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhoneStateMachine, BoxTracker, PHONE_STATES } from '../phone-state-machine.js';
+import { PHONE_CLASS_INDEX } from '../detection-core.js';
+
+const { IDLE, SUSPECTED, CONFIRMED, CLEARED } = PHONE_STATES;
+
+function phone(score = 0.8, x = 100) {
+    return { x, y: 100, width: 40, height: 80, score, class: PHONE_CLASS_INDEX };
+}
+
+// Feeds [timestamp, detections] frames and records every transition
+function run(machine, frames) {
+    const transitions = [];
+    machine.on('transition', ({ from, to, timestamp }) => transitions.push(`${from}->${to}@${timestamp}`));
+    const states = frames.map(([timestamp, detections]) => machine.update(detections, timestamp).state);
+    return { transitions, states };
+}
+
+describe('PhoneStateMachine', () => {
+    test('goes idle -> suspected -> confirmed -> cleared -> idle', () => {
+        const { transitions } = run(new PhoneStateMachine(), [
+            [0, [phone()]],
+            [100, [phone()]],
+            [200, [phone()]],
+            [1000, [phone()]],
+            [1200, []],
+            [1300, []],
+            [1400, []],
+            [2000, []],
+            [2100, []]
+        ]);
+        assert.deepEqual(transitions, [
+            'idle->suspected@0',
+            'suspected->confirmed@1000',
+            'confirmed->cleared@2000',
+            'cleared->idle@2100'
+        ]);
+    });
+
+    test('needs N of the last M frames, not N in a row', () => {
+        const { states } = run(new PhoneStateMachine(), [
+            [0, [phone()]],
+            [300, []],
+            [600, [phone()]],
+            [900, []],
+            [1200, [phone()]]
+        ]);
+        assert.deepEqual(states, [SUSPECTED, SUSPECTED, SUSPECTED, SUSPECTED, CONFIRMED]);
+    });
+
+    test('a suspicion that is not backed up is a false alarm', () => {
+        const { transitions, states } = run(new PhoneStateMachine(), [
+            [0, [phone()]],
+            [100, []],
+            [200, []],
+            [300, []]
+        ]);
+        assert.deepEqual(states, [SUSPECTED, SUSPECTED, SUSPECTED, IDLE]);
+        assert.deepEqual(transitions, ['idle->suspected@0', 'suspected->idle@300']);
+    });
+
+    test('waits out the minimum dwell before confirming or clearing', () => {
+        const machine = new PhoneStateMachine({ minDwellMs: 500 });
+        const { states } = run(machine, [
+            [0, [phone()]],
+            [100, [phone()]],
+            [200, [phone()]],
+            [499, [phone()]],
+            [500, [phone()]],
+            [600, []],
+            [700, []],
+            [800, []],
+            [999, []],
+            [1000, []]
+        ]);
+        assert.deepEqual(states, [
+            SUSPECTED, SUSPECTED, SUSPECTED, SUSPECTED, CONFIRMED,
+            CONFIRMED, CONFIRMED, CONFIRMED, CONFIRMED, CLEARED
+        ]);
+    });
+
+    test('a weak box keeps a confirmed phone but cannot raise a suspicion', () => {
+        const weak = phone(0.35);
+        assert.equal(run(new PhoneStateMachine(), [[0, [weak]], [100, [weak]]]).states.every(state => state === IDLE), true);
+
+        const { states } = run(new PhoneStateMachine(), [
+            [0, [phone()]],
+            [500, [phone()]],
+            [1000, [phone()]],
+            [1500, [weak]],
+            [2000, [weak]],
+            [2500, [weak]],
+            [3000, [phone(0.2)]],
+            [3500, [phone(0.2)]],
+            [4000, [phone(0.2)]]
+        ]);
+        assert.deepEqual(states.slice(2), [CONFIRMED, CONFIRMED, CONFIRMED, CONFIRMED, CONFIRMED, CONFIRMED, CLEARED]);
+    });
+
+    test('the phone coming back while cleared is suspected again', () => {
+        const { transitions } = run(new PhoneStateMachine({ minDwellMs: 0, votesRequired: 1 }), [
+            [0, [phone()]],
+            [100, [phone()]],
+            [200, []],
+            [300, [phone()]]
+        ]);
+        assert.deepEqual(transitions, [
+            'idle->suspected@0',
+            'suspected->confirmed@100',
+            'confirmed->cleared@200',
+            'cleared->suspected@300'
+        ]);
+    });
+
+    test('keeps following the same phone when a more confident one shows up', () => {
+        const machine = new PhoneStateMachine();
+        const first = machine.update([phone(0.5, 100)], 0).trackId;
+        const { trackId, detections } = machine.update([phone(0.5, 102), phone(0.9, 400)], 100);
+        assert.equal(trackId, first);
+        assert.equal(new Set(detections.map(det => det.trackId)).size, 2);
+    });
+
+    test('rejects inconsistent options', () => {
+        assert.throws(() => new PhoneStateMachine({ votesRequired: 6 }), /votesRequired/);
+        assert.throws(() => new PhoneStateMachine({ exitThreshold: 0.5 }), /exitThreshold/);
+    });
+});
+
+describe('PhoneStateMachine target classes', () => {
+    const BOOK = 73;
+
+    test('any target class counts, each with its own thresholds', () => {
+        const machine = new PhoneStateMachine({ targetClasses: [PHONE_CLASS_INDEX, BOOK], classThresholds: { [BOOK]: 0.7 } });
+        const { enter, exit } = machine.thresholdsFor(BOOK);
+        assert.equal(enter, 0.7);
+        // Same hysteresis margin as the defaults
+        assert.ok(Math.abs(exit - 0.6) < 1e-9);
+        const { classes, classThresholds } = machine.candidateFilter();
+        assert.deepEqual(classes, [PHONE_CLASS_INDEX, BOOK]);
+        assert.equal(classThresholds[BOOK], exit);
+
+        const book = score => ({ ...phone(score), class: BOOK });
+        assert.equal(machine.update([book(0.65)], 0).state, IDLE);
+        assert.equal(machine.update([book(0.75)], 100).state, SUSPECTED);
+    });
+
+    test('other classes pass through untracked', () => {
+        const machine = new PhoneStateMachine();
+        const person = { x: 0, y: 0, width: 300, height: 400, score: 0.9, class: 0 };
+        const { state, detections } = machine.update([person], 0);
+        assert.equal(state, IDLE);
+        assert.deepEqual(detections, [person]);
+    });
+
+    test('needs at least one target class', () => {
+        assert.throws(() => new PhoneStateMachine({ targetClasses: [] }), /targetClasses/);
+    });
+});
+
+describe('BoxTracker', () => {
+    test('keeps an id while the box moves and forgets it after too many misses', () => {
+        const tracker = new BoxTracker({ maxMisses: 2 });
+        const [a] = tracker.update([phone(0.8, 100)], 0);
+        const [b] = tracker.update([phone(0.8, 110)], 100);
+        assert.equal(b.trackId, a.trackId);
+
+        tracker.update([], 200);
+        tracker.update([], 300);
+        assert.ok(tracker.getTrack(a.trackId));
+        tracker.update([], 400);
+        assert.equal(tracker.getTrack(a.trackId), null);
+
+        const [c] = tracker.update([phone(0.8, 110)], 500);
+        assert.notEqual(c.trackId, a.trackId);
+    });
+
+    test('boxes that do not overlap enough are different phones', () => {
+        const tracker = new BoxTracker();
+        const ids = tracker.update([phone(0.8, 100), phone(0.7, 300)], 0).map(det => det.trackId);
+        assert.equal(new Set(ids).size, 2);
+        const [moved] = tracker.update([phone(0.8, 130)], 100);
+        assert.notEqual(moved.trackId, ids[0]);
+    });
+});
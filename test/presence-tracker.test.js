@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PresenceTracker, PRESENCE_STATES, modelDetectsPeople } from '../presence-tracker.js';
+import { DEFAULT_MODEL_MANIFEST } from '../model-manifest.js';
+import { PHONE_CLASS_INDEX } from '../detection-core.js';
+
+const person = (score = 0.8) => ({ class: 0, score, x: 0, y: 0, width: 100, height: 200 });
+const phone = { class: PHONE_CLASS_INDEX, score: 0.9, x: 0, y: 0, width: 10, height: 20 };
+
+function track(tracker) {
+    const events = [];
+    tracker.on('away', event => events.push(['away', event]));
+    tracker.on('return', event => events.push(['return', event]));
+    return events;
+}
+
+describe('PresenceTracker', () => {
+    test('goes away after the grace period, counted from the last sighting', () => {
+        const tracker = new PresenceTracker({ awayAfterMs: 10000 });
+        tracker.reset(0);
+        const events = track(tracker);
+
+        tracker.update([person()], 1000);
+        assert.equal(tracker.update([phone], 9000), PRESENCE_STATES.PRESENT);
+        assert.equal(tracker.update([], 11000), PRESENCE_STATES.AWAY);
+        assert.deepEqual(events, [['away', { since: 1000, timestamp: 11000 }]]);
+    });
+
+    test('returns once someone stays in view', () => {
+        const tracker = new PresenceTracker({ awayAfterMs: 5000, returnAfterMs: 1000 });
+        tracker.reset(0);
+        tracker.update([], 6000);
+        const events = track(tracker);
+
+        // A single stray box is not enough
+        tracker.update([person()], 7000);
+        tracker.update([], 7500);
+        tracker.update([person()], 8000);
+        assert.ok(tracker.isAway);
+        tracker.update([person()], 9000);
+        assert.ok(!tracker.isAway);
+        assert.deepEqual(events, [['return', { timestamp: 8000, duration: 8000 }]]);
+    });
+
+    test('ignores people below the confidence threshold', () => {
+        const tracker = new PresenceTracker({ awayAfterMs: 1000, personThreshold: 0.5 });
+        tracker.reset(0);
+        assert.equal(tracker.update([person(0.3)], 2000), PRESENCE_STATES.AWAY);
+    });
+
+    test('rejects a non-positive grace period', () => {
+        assert.throws(() => new PresenceTracker({ awayAfterMs: 0 }), /awayAfterMs/);
+    });
+});
+
+describe('modelDetectsPeople', () => {
+    test('needs a person class', () => {
+        assert.equal(modelDetectsPeople(DEFAULT_MODEL_MANIFEST), true);
+        assert.equal(modelDetectsPeople({ ...DEFAULT_MODEL_MANIFEST, classNames: ['phone'] }), false);
+    });
+});
@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZONE_TYPES, ZoneStore, inZones, pointInPolygon, validateZones, zoneToPixels } from '../roi-zones.js';
+
+const { INCLUDE, EXCLUDE } = ZONE_TYPES;
+
+// The left half of the frame, and a box in its lower corner
+const leftHalf = { id: 'desk', type: INCLUDE, points: [[0, 0], [0.5, 0], [0.5, 1], [0, 1]] };
+const corner = { id: 'mug', type: EXCLUDE, points: [[0, 0.75], [0.25, 0.75], [0.25, 1], [0, 1]] };
+
+// A 20x20 box centred on a point given as fractions of the frame
+function boxAt(fx, fy, width = 640, height = 480) {
+    return { x: fx * width - 10, y: fy * height - 10, width: 20, height: 20 };
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+describe('inZones', () => {
+    test('everything counts without zones', () => {
+        assert.equal(inZones(boxAt(0.9, 0.9), [], 640, 480), true);
+        assert.equal(inZones(boxAt(0.9, 0.9), undefined, 640, 480), true);
+    });
+
+    test('with include zones, only boxes inside one of them count', () => {
+        assert.equal(inZones(boxAt(0.25, 0.5), [leftHalf], 640, 480), true);
+        assert.equal(inZones(boxAt(0.75, 0.5), [leftHalf], 640, 480), false);
+    });
+
+    test('exclude zones win over include zones', () => {
+        const zones = [leftHalf, corner];
+        assert.equal(inZones(boxAt(0.1, 0.9), zones, 640, 480), false);
+        assert.equal(inZones(boxAt(0.4, 0.9), zones, 640, 480), true);
+        // Exclude zones alone leave the rest of the frame in
+        assert.equal(inZones(boxAt(0.75, 0.5), [corner], 640, 480), true);
+        assert.equal(inZones(boxAt(0.1, 0.9), [corner], 640, 480), false);
+    });
+
+    test('the box centre decides, at any resolution', () => {
+        const zones = [leftHalf, corner];
+        [[640, 480], [1920, 1080], [320, 240]].forEach(([width, height]) => {
+            assert.equal(inZones(boxAt(0.25, 0.5, width, height), zones, width, height), true);
+            assert.equal(inZones(boxAt(0.1, 0.9, width, height), zones, width, height), false);
+            assert.equal(inZones(boxAt(0.75, 0.5, width, height), zones, width, height), false);
+        });
+        // Mostly outside, but centred inside
+        assert.equal(inZones({ x: 200, y: 100, width: 200, height: 100 }, [leftHalf], 640, 480), true);
+    });
+
+    test('zone corners scale to the frame size', () => {
+        assert.deepEqual(zoneToPixels(corner, 1920, 1080), [[0, 810], [480, 810], [480, 1080], [0, 1080]]);
+    });
+});
+
+describe('pointInPolygon', () => {
+    test('handles concave shapes', () => {
+        const l = [[0, 0], [0.2, 0], [0.2, 0.8], [1, 0.8], [1, 1], [0, 1]];
+        assert.equal(pointInPolygon(0.1, 0.5, l), true);
+        assert.equal(pointInPolygon(0.5, 0.5, l), false);
+        assert.equal(pointInPolygon(0.5, 0.9, l), true);
+    });
+});
+
+describe('validateZones', () => {
+    test('returns clean copies and fills in missing ids', () => {
+        const [zone] = validateZones([{ type: INCLUDE, points: [[0, 0], [1, 0], [1, 1]], extra: true }]);
+        assert.deepEqual(Object.keys(zone), ['id', 'type', 'points']);
+        assert.match(zone.id, /^zone-/);
+    });
+
+    test('rejects malformed zones', () => {
+        assert.throws(() => validateZones('desk'), /must be a list/);
+        assert.throws(() => validateZones([{ ...leftHalf, type: 'ignore' }]), /Zone 1 must be "include" or "exclude"/);
+        assert.throws(() => validateZones([leftHalf, { ...corner, points: [[0, 0], [1, 1]] }]), /Zone 2 needs at least 3 corners/);
+        assert.throws(() => validateZones([{ ...corner, points: [[0, 0], [640, 0], [640, 480]] }]), /fractions of the frame/);
+        assert.throws(() => validateZones(Array(21).fill(leftHalf)), /At most 20 zones/);
+    });
+});
+
+describe('ZoneStore', () => {
+    test('keeps zones per camera', () => {
+        const storage = memoryStorage();
+        const store = new ZoneStore(storage);
+        store.save('camera-a', [leftHalf]);
+        store.save('camera-b', [corner]);
+
+        const reloaded = new ZoneStore(storage);
+        assert.deepEqual(reloaded.get('camera-a'), [leftHalf]);
+        assert.deepEqual(reloaded.get('camera-b'), [corner]);
+
+        reloaded.clear('camera-a');
+        assert.deepEqual(new ZoneStore(storage).get('camera-a'), []);
+    });
+});
@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, summarizeSession, activeTime } from '../session-recorder.js';
+import { bucketSessions, focusSeconds } from '../session-stats.js';
+
+describe('activeTime', () => {
+    test('leaves out the paused parts of a span', () => {
+        const paused = [{ start: 10, end: 20 }, { start: 90, end: 200 }];
+        assert.equal(activeTime(0, 100, paused), 80);
+        assert.equal(activeTime(30, 50, paused), 20);
+        assert.equal(activeTime(12, 18, paused), 0);
+    });
+});
+
+describe('SessionRecorder', () => {
+    test('pausing ends a running phone interval and stops the clock', () => {
+        const recorder = new SessionRecorder();
+        recorder.start(0);
+        recorder.phoneStart(10000);
+        recorder.pause(15000);
+        assert.ok(recorder.isPaused);
+        assert.equal(recorder.elapsed(60000), 15000);
+
+        recorder.resume(60000);
+        assert.equal(recorder.elapsed(70000), 25000);
+        assert.equal(recorder.phoneFreeStreak(70000), 10000);
+
+        const session = recorder.stop(70000);
+        assert.deepEqual(session.phoneIntervals, [{ start: 10000, end: 15000 }]);
+        assert.equal(session.pausedSeconds, 45);
+        assert.equal(session.longestPhoneFreeSeconds, 10);
+    });
+
+    test('the phone-free streak is 0 while a phone is in view', () => {
+        const recorder = new SessionRecorder();
+        recorder.start(0);
+        assert.equal(recorder.phoneFreeStreak(5000), 5000);
+        recorder.phoneStart(5000);
+        assert.equal(recorder.phoneFreeStreak(8000), 0);
+        recorder.phoneEnd(9000);
+        assert.equal(recorder.phoneFreeStreak(12000), 3000);
+    });
+
+    test('stopping while paused counts the pause up to the end', () => {
+        const recorder = new SessionRecorder();
+        recorder.start(0);
+        recorder.pause(4000);
+        const session = recorder.stop(10000);
+        assert.equal(session.pausedSeconds, 6);
+        assert.equal(session.longestPhoneFreeSeconds, 4);
+    });
+});
+
+describe('away time', () => {
+    test('starts when the person was last seen and cuts the phone interval there', () => {
+        const recorder = new SessionRecorder();
+        recorder.start(0);
+        recorder.phoneStart(5000);
+        recorder.awayStart(8000, 38000);
+        assert.ok(recorder.isAway);
+        assert.equal(recorder.elapsed(40000), 8000);
+        recorder.awayEnd(50000);
+
+        const session = recorder.stop(60000);
+        assert.deepEqual(session.phoneIntervals, [{ start: 5000, end: 8000 }]);
+        assert.deepEqual(session.awayIntervals, [{ start: 8000, end: 50000 }]);
+        assert.equal(session.awaySeconds, 42);
+        assert.equal(session.pausedSeconds, 0);
+        assert.equal(session.longestPhoneFreeSeconds, 10);
+    });
+
+    test('is not focus time', () => {
+        const now = new Date(2026, 5, 10, 12).getTime();
+        const session = summarizeSession(now - 3600000, now, [], 'session-1', {
+            awayIntervals: [{ start: now - 600000, end: now }]
+        });
+        assert.equal(focusSeconds(session), 3000);
+    });
+});
+
+describe('focus time', () => {
+    test('paused time is not focus time', () => {
+        const now = new Date(2026, 5, 10, 12).getTime();
+        const session = summarizeSession(now - 3600000, now, [], 'session-1', {
+            pausedIntervals: [{ start: now - 1800000, end: now - 600000 }]
+        });
+        const [today] = bucketSessions([session], 1, 'day', now);
+        assert.equal(today.focusSeconds, 2400);
+    });
+});
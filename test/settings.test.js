@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SettingsStore, SETTINGS_SCHEMA, defaultSettings, validateSettings } from '../settings.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: key => items.delete(key)
+    };
+}
+
+describe('validateSettings', () => {
+    test('defaults validate', () => {
+        assert.deepEqual(validateSettings(defaultSettings()), { values: defaultSettings(), errors: {} });
+    });
+
+    test('converts numbers and checks their range', () => {
+        const { values, errors } = validateSettings({ confidenceThreshold: '0.6', cameraWidth: 100, cameraFrameRate: 'fast' });
+        assert.deepEqual(values, { confidenceThreshold: 0.6 });
+        assert.deepEqual(errors, {
+            cameraWidth: `${SETTINGS_SCHEMA.cameraWidth.label} must be between 160 and 3840`,
+            cameraFrameRate: `${SETTINGS_SCHEMA.cameraFrameRate.label} must be a number`
+        });
+    });
+
+    test('the model input size must be a multiple of 32', () => {
+        assert.deepEqual(validateSettings({ modelInputSize: 320 }).values, { modelInputSize: 320 });
+        assert.match(validateSettings({ modelInputSize: 300 }).errors.modelInputSize, /multiple of 32/);
+    });
+
+    test('ignores unknown keys and leaves out missing or empty ones', () => {
+        assert.deepEqual(validateSettings({ cameraHeight: '', volume: 11 }), { values: {}, errors: {} });
+        assert.deepEqual(validateSettings(null).errors, { _: 'Settings must be an object' });
+    });
+
+    test('accepts true and false, also as text', () => {
+        assert.deepEqual(validateSettings({ alertNearbyPhones: 'false' }).values, { alertNearbyPhones: false });
+        assert.match(validateSettings({ alertNearbyPhones: 'maybe' }).errors.alertNearbyPhones, /true or false/);
+    });
+
+    test('trims text and limits its length', () => {
+        assert.deepEqual(validateSettings({ modelManifestUrl: ' ./models/custom.json ' }).values, { modelManifestUrl: './models/custom.json' });
+        assert.match(validateSettings({ modelManifestUrl: 'x'.repeat(501) }).errors.modelManifestUrl, /at most 500 characters/);
+    });
+
+    test('select values must be one of the options', () => {
+        assert.deepEqual(validateSettings({ schedulerProfile: 'power-saver' }).values, { schedulerProfile: 'power-saver' });
+        assert.match(validateSettings({ schedulerProfile: 'turbo' }).errors.schedulerProfile, /must be one of balanced, power-saver/);
+    });
+
+    test('times must look like 22:30', () => {
+        assert.deepEqual(validateSettings({ quietHoursStart: '21:15' }).values, { quietHoursStart: '21:15' });
+        assert.match(validateSettings({ quietHoursEnd: '7am' }).errors.quietHoursEnd, /time like 22:30/);
+    });
+});
+
+describe('SettingsStore', () => {
+    test('applies an update only when every value is valid', () => {
+        const storage = memoryStorage();
+        const store = new SettingsStore(storage);
+        const changes = [];
+        store.on('change', ({ changed }) => changes.push(changed));
+
+        const errors = store.update({ confidenceThreshold: 0.5, cameraWidth: 10 });
+        assert.deepEqual(Object.keys(errors), ['cameraWidth']);
+        assert.equal(store.get().confidenceThreshold, defaultSettings().confidenceThreshold);
+
+        assert.deepEqual(store.update({ confidenceThreshold: 0.5, cameraWidth: defaultSettings().cameraWidth }), {});
+        assert.deepEqual(changes, [['confidenceThreshold']]);
+        assert.equal(new SettingsStore(storage).get().confidenceThreshold, 0.5);
+
+        store.reset();
+        assert.deepEqual(new SettingsStore(storage).get(), defaultSettings());
+    });
+
+    test('drops saved values that no longer validate', () => {
+        const storage = memoryStorage();
+        storage.setItem('focus-guard-settings', JSON.stringify({ cameraFrameRate: 500, cameraHeight: 720 }));
+        const settings = new SettingsStore(storage).get();
+        assert.equal(settings.cameraFrameRate, defaultSettings().cameraFrameRate);
+        assert.equal(settings.cameraHeight, 720);
+    });
+
+    test('imports its own export', () => {
+        const source = new SettingsStore(null);
+        source.update({ cameraFrameRate: 30 });
+        const target = new SettingsStore(null);
+        assert.deepEqual(target.import(source.export()), {});
+        assert.equal(target.get().cameraFrameRate, 30);
+    });
+
+    test('rejects files that are not a settings export', () => {
+        const store = new SettingsStore(null);
+        assert.deepEqual(store.import('{'), { _: 'File is not valid JSON' });
+        assert.deepEqual(store.import('{"settings": {}}'), { _: 'File is not a Focus Guard settings export' });
+        assert.deepEqual(
+            store.import(JSON.stringify({ format: 'focus-guard-settings', version: 99, settings: {} })),
+            { _: 'Settings were exported by a newer version of Focus Guard' }
+        );
+    });
+});
@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PHONE_CLASS_INDEX } from '../detection-core.js';
+import { parseYoloLabels } from '../evaluation.js';
+import { snapshotsToPrune, snapshotDatasetFiles, enforceSnapshotRetention } from '../snapshot-store.js';
+import { SettingsStore } from '../settings.js';
+import { faceRegion, expandBox } from '../snapshot-capture.js';
+import { createZip, crc32 } from '../zip-writer.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY;
+
+const snapshot = (id, ageDays, falsePositive = false) => ({ id, timestamp: NOW - ageDays * DAY, falsePositive });
+
+describe('snapshotsToPrune', () => {
+    test('drops unmarked snapshots past the retention period', () => {
+        const snapshots = [snapshot('old', 10), snapshot('old-marked', 10, true), snapshot('new', 1)];
+        assert.deepEqual(snapshotsToPrune(snapshots, { retentionDays: 7, limit: 100 }, NOW), ['old']);
+    });
+
+    test('over the limit, drops the oldest unmarked snapshots first', () => {
+        const snapshots = [snapshot('a', 5, true), snapshot('b', 4), snapshot('c', 3), snapshot('d', 2)];
+        assert.deepEqual(snapshotsToPrune(snapshots, { retentionDays: 7, limit: 2 }, NOW), ['b', 'c']);
+    });
+
+    test('marked snapshots go last, oldest first', () => {
+        const snapshots = [snapshot('a', 5, true), snapshot('b', 4, true), snapshot('c', 3)];
+        assert.deepEqual(snapshotsToPrune(snapshots, { retentionDays: 7, limit: 1 }, NOW), ['c', 'a']);
+    });
+
+    test('keeps everything within the limits', () => {
+        assert.deepEqual(snapshotsToPrune([snapshot('a', 1)], { retentionDays: 7, limit: 10 }, NOW), []);
+    });
+});
+
+describe('enforceSnapshotRetention', () => {
+    test('prunes at startup with snapshots off, and again when a limit changes', async () => {
+        const settings = new SettingsStore(null);
+        const calls = [];
+        const prune = async (limits) => {
+            calls.push(limits);
+            return 0;
+        };
+        assert.equal(settings.get().snapshotsEnabled, false);
+        await enforceSnapshotRetention(settings, prune);
+        assert.deepEqual(calls, [{ retentionDays: 7, limit: 100 }]);
+
+        assert.deepEqual(settings.update({ snapshotBlur: 'faces', confidenceThreshold: 0.5 }), {});
+        assert.equal(calls.length, 1);
+        settings.update({ snapshotRetentionDays: 2 });
+        settings.update({ snapshotLimit: 20 });
+        assert.deepEqual(calls.slice(1), [{ retentionDays: 2, limit: 100 }, { retentionDays: 2, limit: 20 }]);
+    });
+
+    test('a failing database does not break startup', async (t) => {
+        const settings = new SettingsStore(null);
+        // Expected - keep it out of the test output
+        const warn = t.mock.method(console, 'warn', () => {});
+        assert.equal(await enforceSnapshotRetention(settings, async () => { throw new Error('no IndexedDB'); }), 0);
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(String(warn.mock.calls[0].arguments.at(-1)), /no IndexedDB/);
+    });
+});
+
+describe('snapshot geometry', () => {
+    test('the face is the top of the person box', () => {
+        assert.deepEqual(faceRegion({ x: 10, y: 20, width: 100, height: 200 }), { x: 10, y: 20, width: 100, height: 80 });
+    });
+
+    test('expandBox adds a margin and stays inside the frame', () => {
+        assert.deepEqual(expandBox({ x: 10, y: 10, width: 20, height: 40 }, 0.25, 100, 100), { x: 5, y: 0, width: 30, height: 60 });
+        assert.deepEqual(expandBox({ x: 90, y: 0, width: 10, height: 10 }, 0.5, 100, 100), { x: 85, y: 0, width: 15, height: 15 });
+    });
+});
+
+describe('false-positive dataset', () => {
+    const marked = {
+        id: 'snapshot-1',
+        timestamp: NOW,
+        classIndex: PHONE_CLASS_INDEX,
+        className: 'cell phone',
+        score: 0.62,
+        image: new Blob([new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9])], { type: 'image/jpeg' }),
+        width: 320,
+        height: 240,
+        box: { x: 100, y: 100, width: 20, height: 40 },
+        persons: [{ x: 80, y: 40, width: 160, height: 200 }],
+        falsePositive: true
+    };
+
+    test('only marked snapshots are exported, labelled with the people in view', async () => {
+        const files = await snapshotDatasetFiles([marked, { ...marked, id: 'snapshot-2', falsePositive: false }]);
+        assert.deepEqual(files.map(file => file.name),
+            ['images/snapshot-1.jpg', 'labels/snapshot-1.txt', 'data.yaml', 'snapshots.json']);
+        assert.deepEqual([...files[0].data], [0xFF, 0xD8, 0xFF, 0xD9]);
+
+        const [person] = parseYoloLabels(files[1].data, 320, 240);
+        assert.equal(person.class, 0);
+        assert.ok(Math.abs(person.x - 80) < 1e-3 && Math.abs(person.height - 200) < 1e-3);
+
+        assert.match(files[2].data, /^ {2}67: cell phone$/m);
+        const [details] = JSON.parse(files[3].data);
+        assert.equal(details.className, 'cell phone');
+        assert.equal(details.image, 'images/snapshot-1.jpg');
+        assert.equal(details.falsePositive, undefined);
+    });
+});
+
+describe('createZip', () => {
+    test('crc32 matches the standard check value', () => {
+        assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    });
+
+    test('writes stored entries and a central directory', () => {
+        const zip = createZip([{ name: 'labels/a.txt', data: 'hello\n' }, { name: 'b.bin', data: new Uint8Array([1, 2, 3]) }]);
+        const view = new DataView(zip.buffer);
+        const text = new TextDecoder();
+
+        assert.equal(view.getUint32(0, true), 0x04034B50);
+        assert.equal(view.getUint16(8, true), 0);
+        assert.equal(view.getUint32(14, true), crc32(new TextEncoder().encode('hello\n')));
+        assert.equal(text.decode(zip.slice(30, 42)), 'labels/a.txt');
+        assert.equal(text.decode(zip.slice(42, 48)), 'hello\n');
+
+        const end = zip.length - 22;
+        assert.equal(view.getUint32(end, true), 0x06054B50);
+        assert.equal(view.getUint16(end + 10, true), 2);
+        const centralStart = view.getUint32(end + 16, true);
+        assert.equal(view.getUint32(centralStart, true), 0x02014B50);
+        assert.equal(view.getUint32(end + 12, true), end - centralStart);
+        // Second entry's local header offset
+        assert.equal(view.getUint32(centralStart + 46 + 12 + 42, true), 48);
+    });
+});
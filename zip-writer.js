@@ -0,0 +1,89 @@
+// Minimal zip writer for exports - stored (uncompressed) entries only
+// JPEG thumbnails do not compress further, so deflate would buy nothing here.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields, local time, 2-second resolution
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Build a zip archive.
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Paths use '/'
+ * @param {Date} [date] - Modification time for every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const entries = files.map(({ name, data }) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.bytes.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+
+    // Fields shared by the local and central headers, from "version needed" on
+    function writeCommon(entry) {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 4, 0, true); // stored
+        view.setUint16(offset + 6, time, true);
+        view.setUint16(offset + 8, day, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.bytes.length, true);
+        view.setUint32(offset + 18, entry.bytes.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true); // extra field length
+        offset += 26;
+    }
+
+    entries.forEach((entry) => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        offset += 4;
+        writeCommon(entry);
+        output.set(entry.name, offset);
+        offset += entry.name.length;
+        output.set(entry.bytes, offset);
+        offset += entry.bytes.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach((entry) => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true); // version made by
+        offset += 6;
+        writeCommon(entry);
+        // Comment length, disk number, internal and external attributes
+        offset += 10;
+        view.setUint32(offset, entry.offset, true);
+        offset += 4;
+        output.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return output;
+}